@@ -23,6 +23,9 @@ export default class AudioManager {
     this.currentBGM = null;
     this.currentBGMName = null;
 
+    // 最近一次请求的BGM（音乐关闭期间也记录，重新打开时从这里恢复）
+    this.requestedBGMName = null;
+
     // 音效池（复用InnerAudioContext）
     this.sfxPool = {};
 
@@ -68,6 +71,7 @@ export default class AudioManager {
    * @param {string} name - BGM名称（menu/playing/victory/defeat）
    */
   playBGM(name) {
+    this.requestedBGMName = name;
     if (!this.bgmEnabled) return;
 
     const config = BGM_CONFIG[name];
@@ -158,33 +162,36 @@ export default class AudioManager {
   /**
    * 设置BGM音量
    * @param {number} volume - 音量（0-1）
+   * @param {boolean} [save=true] - 是否立即保存（拖动滑块时松手再保存）
    */
-  setBGMVolume(volume) {
+  setBGMVolume(volume, save = true) {
     this.bgmVolume = Math.max(0, Math.min(1, volume));
     if (this.currentBGM) {
-      this.currentBGM.volume = this.bgmVolume;
+      this.currentBGM.volume = BGM_CONFIG[this.currentBGMName].volume * this.bgmVolume;
     }
-    this.saveSettings();
+    if (save) this.saveSettings();
   }
 
   /**
    * 设置SFX音量
    * @param {number} volume - 音量（0-1）
+   * @param {boolean} [save=true] - 是否立即保存
    */
-  setSFXVolume(volume) {
+  setSFXVolume(volume, save = true) {
     this.sfxVolume = Math.max(0, Math.min(1, volume));
-    this.saveSettings();
+    if (save) this.saveSettings();
   }
 
   /**
    * 切换BGM开关
+   * 关闭时停止当前BGM；打开时播放最近一次请求的BGM（关闭期间场景可能已切换）
    */
   toggleBGM() {
     this.bgmEnabled = !this.bgmEnabled;
     if (!this.bgmEnabled) {
-      this.pauseBGM();
-    } else {
-      this.resumeBGM();
+      this.stopBGM();
+    } else if (this.requestedBGMName) {
+      this.playBGM(this.requestedBGMName);
     }
     this.saveSettings();
     return this.bgmEnabled;
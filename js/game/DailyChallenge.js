@@ -0,0 +1,156 @@
+/**
+ * 每日挑战
+ * 每天一个由日期决定的棋盘：种子取本地日期的 YYYYMMDD，难度参数固定取自第 12 关，
+ * 因此同一天、同一屏幕尺寸下所有玩家拿到相同的棋盘（可用 levelJson export --level 12 --seed 20261019 复现）。
+ *
+ * - 当天第一次开局为计分挑战：开局即消耗当天机会，通关计入成绩与连续天数
+ * - 之后重玩当天、或从日历重玩过去的日期都不计分
+ * - 连续天数：计分挑战通关的连续日期数，断一天后归零
+ *
+ * 记录随关卡存档保存（GameDataBus.daily）
+ */
+import ReverseLevelGenerator from '../../workers/generator/ReverseLevelGenerator';
+
+// 难度参数取自的关卡号（非休息关，方块数与深度适中）
+const DAILY_PARAMS_LEVEL = 12;
+
+// 日历最多可回看的月数（含当月）
+const HISTORY_MONTHS = 12;
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+export default class DailyChallenge {
+  static PARAMS_LEVEL = DAILY_PARAMS_LEVEL;
+  static HISTORY_MONTHS = HISTORY_MONTHS;
+
+  /**
+   * @param {GameDataBus} databus - 记录保存在 databus.daily，随存档持久化
+   */
+  constructor(databus) {
+    this.databus = databus;
+  }
+
+  /**
+   * 当前记录（重置进度或读档后 databus.daily 会被替换，因此每次现取）
+   */
+  get data() {
+    return this.databus.daily;
+  }
+
+  // ==================== 日期工具 ====================
+
+  /**
+   * 本地日期 → 'YYYY-MM-DD'
+   */
+  static toDateKey(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+  }
+
+  /**
+   * 'YYYY-MM-DD' → 本地日期（当天 0 点）
+   */
+  static parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * 今天的日期键
+   */
+  static today() {
+    return this.toDateKey(new Date());
+  }
+
+  /**
+   * 相对某天偏移若干天的日期键
+   */
+  static shiftDateKey(dateKey, days) {
+    const date = this.parseDateKey(dateKey);
+    date.setDate(date.getDate() + days);
+    return this.toDateKey(date);
+  }
+
+  /**
+   * 日期种子：'2026-10-19' → 20261019
+   */
+  static getSeed(dateKey) {
+    return ReverseLevelGenerator.normalizeSeed(Number(dateKey.replace(/-/g, '')));
+  }
+
+  // ==================== 挑战记录 ====================
+
+  /**
+   * 指定日期的记录
+   * @returns {{ completed: boolean, moves: number|null, time: number|null, stars: number }|null}
+   */
+  getRecord(dateKey) {
+    return this.data.records[dateKey] || null;
+  }
+
+  /**
+   * 指定日期是否已用掉计分机会
+   */
+  hasAttempted(dateKey) {
+    return Boolean(this.data.records[dateKey]);
+  }
+
+  /**
+   * 开局是否计分：只有今天、且今天还没开过局
+   */
+  isScored(dateKey, today = DailyChallenge.today()) {
+    return dateKey === today && !this.hasAttempted(dateKey);
+  }
+
+  /**
+   * 记录一次计分开局（开局即消耗当天机会，中途退出不返还）
+   */
+  startAttempt(dateKey) {
+    if (this.hasAttempted(dateKey)) return;
+    this.data.records[dateKey] = { completed: false, moves: null, time: null, stars: 0 };
+    this.save();
+    console.log(`[DailyChallenge] ${dateKey} 计分挑战开始`);
+  }
+
+  /**
+   * 记录计分挑战通关，更新连续天数
+   * @param {string} dateKey
+   * @param {Object} result - { moves, time, stars }
+   * @returns {number} 更新后的连续天数
+   */
+  recordVictory(dateKey, result) {
+    const record = this.data.records[dateKey];
+    if (!record || record.completed) return this.getStreak(dateKey);
+
+    Object.assign(record, { completed: true, moves: result.moves, time: result.time, stars: result.stars });
+
+    const continued = this.data.lastCompleted === DailyChallenge.shiftDateKey(dateKey, -1);
+    this.data.streak = continued ? this.data.streak + 1 : 1;
+    this.data.bestStreak = Math.max(this.data.bestStreak, this.data.streak);
+    this.data.lastCompleted = dateKey;
+    this.save();
+
+    console.log(`[DailyChallenge] ${dateKey} 通关，连续 ${this.data.streak} 天`);
+    return this.data.streak;
+  }
+
+  /**
+   * 当前连续天数（最近一次通关早于昨天时已中断）
+   */
+  getStreak(today = DailyChallenge.today()) {
+    const last = this.data.lastCompleted;
+    if (last === today || last === DailyChallenge.shiftDateKey(today, -1)) {
+      return this.data.streak;
+    }
+    return 0;
+  }
+
+  getBestStreak() {
+    return this.data.bestStreak;
+  }
+
+  // ==================== 持久化 ====================
+
+  save() {
+    this.databus.saveProgress();
+  }
+}
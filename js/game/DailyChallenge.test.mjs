@@ -0,0 +1,107 @@
+/**
+ * 每日挑战流程测试：日历开局、失败后重试、通关后重玩、撤销引导重开，以及生成中离开日历
+ *
+ * 用法：
+ *   node js/game/DailyChallenge.test.mjs
+ *
+ * 在无头运行时中通过触摸注入完整走一遍流程（无 Worker，棋盘在主线程分帧生成）。
+ * 重开与重试在结算画面或对局中发起，生成结果返回时状态不是 'daily'，也必须重建棋盘。
+ */
+import assert from 'node:assert/strict';
+import HeadlessRuntime from '../../tools/headless/HeadlessRuntime.mjs';
+import { solverAgent } from '../../tools/headless/agents.mjs';
+
+const { default: DailyChallenge } = await import('./DailyChallenge.js');
+
+/**
+ * 当前棋盘的方块位置（比较两局是否为同一日期种子的新棋盘）
+ */
+function layoutOf(runtime) {
+  return runtime.databus.blocks.map(block => `${block.gridRow},${block.gridCol},${block.direction}`).join(' ');
+}
+
+/**
+ * 断言每日挑战已重新开局：对局进行中、无弹窗、棋盘完整
+ */
+function assertFreshBoard(runtime, dateKey, layout, label) {
+  const { game, databus } = runtime;
+  assert.equal(game.state, 'playing', `${label}：状态应为 playing`);
+  assert.equal(game.pendingDaily, null, `${label}：生成请求未结束`);
+  assert.equal(game.modalRenderer.isModalVisible(), false, `${label}：仍有弹窗`);
+  assert.equal(game.daily && game.daily.dateKey, dateKey, `${label}：不在每日挑战中`);
+  assert.equal(databus.removedBlocks, 0, `${label}：棋盘未重置`);
+  assert.equal(layoutOf(runtime), layout, `${label}：同一日期应得到同一棋盘`);
+}
+
+function testRetryAndReplay(runtime) {
+  const { game } = runtime;
+  const today = DailyChallenge.today();
+
+  game.openDailyCalendar();
+  game.startDaily(today);
+  assert.ok(runtime.settle(), '开局后动画未停止');
+  assert.equal(game.state, 'playing');
+  const layout = layoutOf(runtime);
+  assert.ok(game.daily.scored, '今天第一次开局应计分');
+
+  // 失败弹窗 → 重试
+  runtime.tapBlock(runtime.getRemovableBlocks()[0]);
+  runtime.settle();
+  game.onDefeat();
+  assert.equal(game.state, 'defeat');
+  runtime.tapModalButton('retry');
+  assert.ok(runtime.settle(), '重试后动画未停止');
+  assertFreshBoard(runtime, today, layout, '失败后重试');
+  assert.equal(game.daily.scored, false, '重试不再计分');
+
+  // 撤销次数为 0 时的重开确认
+  game.handleTopButtonClick('undo');
+  assert.equal(game.modalRenderer.currentModal, 'confirm');
+  runtime.tapModalButton('confirm');
+  assert.ok(runtime.settle(), '重开后动画未停止');
+  assertFreshBoard(runtime, today, layout, '撤销引导重开');
+
+  // 通关弹窗 → 重玩
+  for (let i = 0; i < 200 && game.state === 'playing'; i++) {
+    assert.ok(solverAgent.act(runtime), '求解器玩家无法继续');
+    runtime.settle();
+  }
+  assert.equal(game.state, 'victory');
+  runtime.tapModalButton('replay');
+  assert.ok(runtime.settle(), '重玩后动画未停止');
+  assertFreshBoard(runtime, today, layout, '通关后重玩');
+}
+
+function testLeaveWhileGenerating(runtime) {
+  const { game } = runtime;
+  const yesterday = DailyChallenge.shiftDateKey(DailyChallenge.today(), -1);
+
+  game.openDailyCalendar();
+  game.startDaily(yesterday);
+  assert.notEqual(game.pendingDaily, null);
+
+  // 生成结束前返回主界面：结果被丢弃，不会把玩家拉进对局
+  const back = game.dailyCalendarRenderer.backButton;
+  runtime.tap(back.x + back.width / 2, back.y + back.height / 2);
+  assert.equal(game.state, 'menu');
+  assert.equal(game.pendingDaily, null);
+  assert.ok(runtime.settle(), '离开后动画未停止');
+  assert.equal(game.state, 'menu');
+  assert.equal(game.daily, null);
+}
+
+async function main() {
+  const runtime = new HeadlessRuntime({ quiet: true, randomSeed: 1, renderEvery: 0 });
+  await runtime.boot();
+  try {
+    runtime.settle();
+    testRetryAndReplay(runtime);
+    testLeaveWhileGenerating(runtime);
+  } finally {
+    runtime.dispose();
+  }
+
+  process.stdout.write('每日挑战流程测试通过：2 组\n');
+}
+
+main();
@@ -9,16 +9,40 @@
  */
 import GameDataBus from './GameDataBus';
 import LevelManager from './LevelManager';
+import LevelEditor from './LevelEditor';
+import DailyChallenge from './DailyChallenge';
+import EndlessMode from './EndlessMode';
+import LevelRules from './LevelRules';
+import GameSettings from './GameSettings';
 import DeadlockDetector from './algorithms/DeadlockDetector';
-import { BLOCK_SIZES, getBoardRect } from '../ui/UIConstants';
+import DirectionDetector from '../../workers/generator/DirectionDetector';
+import PuzzleSolver from './algorithms/PuzzleSolver';
+import { BLOCK_SIZES, getBoardRect, setColorPalette } from '../ui/UIConstants';
+import { setLanguage, t } from '../ui/Strings';
 import MenuRenderer from '../ui/MenuRenderer';
+import LevelMapRenderer from '../ui/LevelMapRenderer';
+import EditorRenderer from '../ui/EditorRenderer';
+import DailyCalendarRenderer from '../ui/DailyCalendarRenderer';
 import GameRenderer from '../ui/GameRenderer';
 import ModalRenderer from '../ui/ModalRenderer';
-import BlockRenderer from '../ui/BlockRenderer';
+import { getBackgroundTheme } from '../ui/BackgroundThemes';
 import AudioManager from '../audio/AudioManager';
 
 const ctx = canvas.getContext('2d');
 
+// 死局预警分析的搜索节点预算（主线程同步执行，需保持在几十毫秒内）
+const DOOM_CHECK_MAX_NODES = 5000;
+
+// 倒计时单帧最多计入的时长（切到后台恢复后不会一次扣掉后台时长）
+const MAX_TIMER_TICK_MS = 100;
+
+// 新手教程步骤（第 1 关）：每消除一个方块进入下一步，highlight 的步骤高亮一个安全的可消除方块
+const TUTORIAL_STEPS = [
+  { title: 'tutorial.tapTitle', message: 'tutorial.tap', highlight: true },
+  { title: 'tutorial.blockedTitle', message: 'tutorial.blocked', highlight: true },
+  { title: 'tutorial.clearTitle', message: 'tutorial.clear', highlight: false }
+];
+
 export default class DirectionGame {
   constructor() {
     // 初始化全局状态
@@ -30,21 +54,73 @@ export default class DirectionGame {
 
     // UI渲染器
     this.menuRenderer = new MenuRenderer();
+    this.levelMapRenderer = new LevelMapRenderer(this.levelManager);
+    this.editorRenderer = new EditorRenderer();
+    this.dailyCalendarRenderer = new DailyCalendarRenderer();
     this.gameRenderer = new GameRenderer();
     this.modalRenderer = new ModalRenderer();
 
-    // 音频管理器
+    // 音频管理器与其余设置（振动、语言、背景、配色等）
     this.audioManager = new AudioManager();
+    this.settings = new GameSettings();
+
+    // 背景主题（主界面与关卡页共用）
+    this.gameRenderer.setBackgroundTheme(this.settings.background, false);
+    this.gameRenderer.setPureColor(this.settings.pureColor);
+
+    // 配色方案与方向标记（色觉辅助）
+    setColorPalette(this.settings.palette);
+    this.gameRenderer.setDirectionGlyphs(this.settings.directionGlyphs);
+    this.menuRenderer.setBackgroundTheme(this.settings.background);
+
+    // 界面语言
+    setLanguage(this.settings.language);
+
+    // 设置面板中正在拖动的音量滑块（bgmVolume / sfxVolume）
+    this.settingsDrag = null;
 
     // 游戏状态
-    this.state = 'menu'; // menu, playing, victory, defeat
+    this.state = 'menu'; // menu, levelMap, editor, daily, playing, victory, defeat
     this.aniId = 0;
     this.pendingStartLevel = null;
     this.pendingStartTimer = null;
+    // 正在生成的每日挑战日期
+    this.pendingDaily = null;
 
     // 道具使用模式
     this.propMode = null; // null, 'grab', 'flip', 'shuffle'
 
+    // 道具动画进行中：{ onComplete }；播放期间锁定输入，死局检测等收尾在动画结束后执行
+    this.propAnimation = null;
+
+    // 提示道具高亮：{ block, path, historySize, startTime }，棋盘发生变化后自动清除
+    this.hint = null;
+
+    // 新手教程进行中为 { step, removed, highlight }（highlight 结构同 hint），通关第 1 关后结束
+    this.tutorial = null;
+
+    // 已有进度的存档视为学过，不再把老玩家拉进教程
+    if (!this.settings.tutorialDone && GameGlobal.databus.unlockedLevels > 1) {
+      this.settings.setTutorialDone(true);
+    }
+
+    // 本段无解局面是否已提示过死局预警（撤销/改变棋盘的道具后重新分析）
+    this.doomWarned = false;
+
+    // 关卡编辑器（首次打开时创建）；试玩编辑器棋盘时 playtest 为 true，结果不计入进度
+    this.levelEditor = null;
+    this.playtest = false;
+
+    // 每日挑战记录；进行中的每日挑战为 { dateKey, scored }，结果不计入关卡进度
+    this.dailyChallenge = new DailyChallenge(GameGlobal.databus);
+    this.daily = null;
+
+    // 无尽模式进行中为 EndlessMode 实例（补位与计分），死局时记录成绩
+    this.endless = null;
+
+    // 倒计时上一帧的时间戳
+    this.lastTimerTick = 0;
+
     // 使用 LevelManager 的预加载功能
     // 预加载前几关
     this.levelManager.preloadLevels(1);
@@ -66,6 +142,8 @@ export default class DirectionGame {
    */
   initTouchEvent() {
     wx.onTouchStart(this.handleTouchStart.bind(this));
+    wx.onTouchMove(this.handleTouchMove.bind(this));
+    wx.onTouchEnd(this.handleTouchEnd.bind(this));
   }
 
   /**
@@ -82,11 +160,85 @@ export default class DirectionGame {
       return;
     }
 
+    // 每日挑战重开生成中：旧棋盘与结算画面不再响应
+    if (this.pendingDaily !== null && this.state !== 'daily') return;
+
     // 根据状态分发事件
     if (this.state === 'playing') {
       this.handleGamePlayTouch(clientX, clientY);
     } else if (this.state === 'menu') {
       this.handleMenuTouch(clientX, clientY);
+    } else if (this.state === 'levelMap') {
+      this.levelMapRenderer.onTouchStart(clientX, clientY);
+    } else if (this.state === 'editor') {
+      this.handleEditorTouch(clientX, clientY);
+    } else if (this.state === 'daily') {
+      this.handleDailyTouch(clientX, clientY);
+    }
+  }
+
+  /**
+   * 触摸移动（关卡地图拖动滚动、设置面板拖动音量滑块）
+   */
+  handleTouchMove(event) {
+    if (!event.touches.length) return;
+    const { clientX, clientY } = event.touches[0];
+    if (this.settingsDrag) {
+      this.dragSettingsSlider(clientX);
+      return;
+    }
+    if (this.state !== 'levelMap') return;
+    this.levelMapRenderer.onTouchMove(clientX, clientY);
+  }
+
+  /**
+   * 触摸结束（关卡地图：未拖动则视为点击；设置面板：松开滑块后保存音量）
+   */
+  handleTouchEnd(event) {
+    if (this.settingsDrag) {
+      this.settingsDrag = null;
+      this.audioManager.saveSettings();
+      return;
+    }
+    if (this.state !== 'levelMap' || !event.changedTouches.length) return;
+    const { clientX, clientY } = event.changedTouches[0];
+    const target = this.levelMapRenderer.onTouchEnd(clientX, clientY);
+    if (target) {
+      this.handleLevelMapTap(target);
+    }
+  }
+
+  /**
+   * 打开关卡选择地图（定位到当前关卡）
+   */
+  openLevelMap() {
+    const databus = GameGlobal.databus;
+    const focusLevel = Math.min(databus.currentLevel, databus.unlockedLevels);
+
+    this.levelMapRenderer.open(databus, focusLevel);
+    this.state = 'levelMap';
+
+    // 预加载最可能被选择的关卡
+    this.levelManager.preloadLevel(focusLevel);
+  }
+
+  /**
+   * 关卡地图点击处理
+   */
+  handleLevelMapTap(target) {
+    if (this.pendingStartLevel !== null) return;
+
+    this.audioManager.playSFX('buttonClick');
+
+    if (target.type === 'back') {
+      this.state = 'menu';
+    } else if (target.type === 'level') {
+      if (target.locked) {
+        this.modalRenderer.showToast(t('map.locked'));
+        return;
+      }
+      console.log(`[DirectionGame] 关卡地图：选择关卡 ${target.level}`);
+      this.startLevel(target.level);
     }
   }
 
@@ -103,18 +255,38 @@ export default class DirectionGame {
       startButton.press();
       setTimeout(() => {
         startButton.release();
-        this.startLevel(1);
+        this.openLevelMap();
       }, 100);
       return;
     }
 
     // 检查顶部图标按钮
-    const iconButtons = ['settings', 'community', 'rank'];
+    const iconButtons = ['editor', 'daily', 'endless', 'settings', 'community', 'rank'];
     for (const type of iconButtons) {
       const area = this.menuRenderer.getIconButtonArea(type);
       if (area && x >= area.x && x <= area.x + area.width &&
           y >= area.y && y <= area.y + area.height) {
         console.log(`[DirectionGame] 点击了 ${type} 按钮`);
+        if (type === 'editor') {
+          this.audioManager.playSFX('buttonClick');
+          this.openEditor();
+          return;
+        }
+        if (type === 'daily') {
+          this.audioManager.playSFX('buttonClick');
+          this.openDailyCalendar();
+          return;
+        }
+        if (type === 'endless') {
+          this.audioManager.playSFX('buttonClick');
+          this.startEndless();
+          return;
+        }
+        if (type === 'settings') {
+          this.audioManager.playSFX('buttonClick');
+          this.openSettings();
+          return;
+        }
         // TODO: 实现相应功能
         if (type === 'community' || type === 'rank') {
           // 显示"敬请期待"
@@ -139,16 +311,333 @@ export default class DirectionGame {
     }
   }
 
+  /**
+   * 打开关卡编辑器（保留上次编辑的棋盘）
+   */
+  openEditor() {
+    if (!this.levelEditor) {
+      this.levelEditor = new LevelEditor();
+    }
+    this.playtest = false;
+    this.daily = null;
+    this.endless = null;
+    this.modalRenderer.hide();
+    this.state = 'editor';
+    this.audioManager.playBGM('menu');
+  }
+
+  /**
+   * 关卡编辑器触摸处理
+   */
+  handleEditorTouch(x, y) {
+    const editor = this.levelEditor;
+    const target = this.editorRenderer.hitTest(x, y);
+
+    if (target.type === 'board') {
+      if (editor.tap(x, y) === 'blocked') {
+        this.modalRenderer.showToast(t('editor.noRoom'), 1000);
+      }
+      return;
+    }
+
+    this.audioManager.playSFX('buttonClick');
+
+    switch (target.type) {
+      case 'back':
+        this.state = 'menu';
+        break;
+      case 'size': {
+        const dropped = editor.cycleBlockSize();
+        this.modalRenderer.showToast(dropped > 0
+          ? t('editor.sizeDropped', { size: editor.blockSize, dropped })
+          : t('editor.sizeChanged', { size: editor.blockSize }));
+        break;
+      }
+      case 'rotate':
+        if (!editor.rotateSelected()) {
+          this.modalRenderer.showToast(t('editor.noRotate'), 1000);
+        }
+        break;
+      case 'animal':
+        editor.setType(target.animal);
+        break;
+      case 'action':
+        this.handleEditorAction(target.name);
+        break;
+    }
+  }
+
+  /**
+   * 关卡编辑器底部操作按钮
+   */
+  handleEditorAction(name) {
+    const editor = this.levelEditor;
+    const button = this.editorRenderer.getButton(name);
+    button.press();
+    setTimeout(() => button.release(), 100);
+
+    const isEmpty = editor.blocks.length === 0;
+    switch (name) {
+      case 'delete':
+        if (!editor.deleteSelected()) {
+          this.modalRenderer.showToast(t('editor.selectFirst'));
+        }
+        break;
+
+      case 'clear':
+        if (isEmpty) return;
+        this.modalRenderer.showConfirm(
+          { title: t('editor.clearTitle'), message: t('editor.clearMessage'), confirmText: t('editor.clear'), cancelText: t('common.cancel') },
+          (ok) => {
+            if (ok) editor.clear();
+          }
+        );
+        break;
+
+      case 'import':
+        // 从剪贴板读取关卡 JSON
+        wx.getClipboardData({
+          success: (res) => {
+            const result = editor.importJson(res.data);
+            this.modalRenderer.showToast(result.ok
+              ? t('editor.imported', { count: editor.blocks.length })
+              : t('editor.importFailed', { error: result.errors[0] }), 2000);
+          },
+          fail: () => this.modalRenderer.showToast(t('editor.clipboardFailed'))
+        });
+        break;
+
+      case 'export': {
+        if (isEmpty) {
+          this.modalRenderer.showToast(t('editor.empty'));
+          return;
+        }
+        const json = editor.exportJson({ name: '自定义关卡' });
+        console.log(`[DirectionGame] 导出关卡 JSON:\n${json}`);
+        wx.setClipboardData({
+          data: json,
+          success: () => this.modalRenderer.showToast(t('editor.copied')),
+          fail: () => this.modalRenderer.showToast(t('editor.copyFailed'))
+        });
+        break;
+      }
+
+      case 'playtest':
+        if (isEmpty) {
+          this.modalRenderer.showToast(t('editor.empty'));
+          return;
+        }
+        if (editor.analysis.status === 'unsolvable') {
+          this.modalRenderer.showConfirm(
+            { title: t('editor.unsolvableTitle'), message: t('editor.unsolvableMessage'), confirmText: t('editor.playtest'), cancelText: t('common.cancel') },
+            (ok) => {
+              if (ok) this.startPlaytest();
+            }
+          );
+          return;
+        }
+        this.startPlaytest();
+        break;
+    }
+  }
+
+  /**
+   * 试玩编辑器中的棋盘（不计入关卡进度与成绩）
+   */
+  startPlaytest() {
+    this.playtest = true;
+    this.daily = null;
+    this.endless = null;
+    this._doStartLevel(GameGlobal.databus.currentLevel, { levelData: this.levelEditor.toLevelData() });
+  }
+
+  /**
+   * 打开每日挑战日历（定位到今天所在月份）
+   */
+  openDailyCalendar() {
+    this.daily = null;
+    this.playtest = false;
+    this.endless = null;
+    this.modalRenderer.hide();
+    this.dailyCalendarRenderer.open();
+    this.state = 'daily';
+    this.audioManager.playBGM('menu');
+  }
+
+  /**
+   * 每日挑战日历触摸处理
+   */
+  handleDailyTouch(x, y) {
+    const target = this.dailyCalendarRenderer.hitTest(x, y);
+    if (!target) return;
+
+    this.audioManager.playSFX('buttonClick');
+
+    switch (target.type) {
+      case 'back':
+        this.cancelPendingDaily();
+        this.state = 'menu';
+        break;
+      case 'month':
+        this.dailyCalendarRenderer.shiftMonth(target.delta);
+        break;
+      case 'start': {
+        const button = this.dailyCalendarRenderer.getButton('start');
+        button.press();
+        setTimeout(() => {
+          button.release();
+          this.startDaily(this.dailyCalendarRenderer.today);
+        }, 100);
+        break;
+      }
+      case 'day':
+        this.startDaily(target.dateKey);
+        break;
+    }
+  }
+
+  /**
+   * 开始指定日期的每日挑战（今天第一次开局计分，其余为不计分重玩）
+   * 日历开局与对局中的重开/重试共用；生成期间对局画面不响应触摸
+   */
+  startDaily(dateKey) {
+    if (this.pendingStartLevel !== null || this.pendingDaily !== null) return;
+
+    const scored = this.dailyChallenge.isScored(dateKey);
+    // 每次请求一个令牌：结果返回时令牌已被取消或替换则丢弃
+    const request = { dateKey };
+    this.pendingDaily = request;
+    this.modalRenderer.showToast(scored ? t('common.generating') : t('daily.generatingUnscored'), 10000);
+
+    // 与普通关卡一样交给 Worker 生成（不可用时主线程分帧），同一日期种子在任何设备上得到同一棋盘
+    this.levelManager.generateDetachedLevel(DailyChallenge.PARAMS_LEVEL, {
+      seed: DailyChallenge.getSeed(dateKey)
+    }, levelData => {
+      if (this.pendingDaily !== request) return;
+      this.pendingDaily = null;
+      this.modalRenderer.hideToast();
+      if (!levelData) {
+        // 对局中重开失败时回到日历，不留在没有弹窗的结算画面
+        if (this.state !== 'daily') this.openDailyCalendar();
+        this.modalRenderer.showToast(t('common.generateFailed'));
+        return;
+      }
+
+      if (scored) {
+        this.dailyChallenge.startAttempt(dateKey);
+      }
+      const date = DailyChallenge.parseDateKey(dateKey);
+      this.playtest = false;
+      this.endless = null;
+      this.daily = { dateKey, scored };
+      this._doStartLevel(GameGlobal.databus.currentLevel, {
+        levelData,
+        title: t('daily.levelTitle', { month: date.getMonth() + 1, day: date.getDate() })
+      });
+    });
+  }
+
+  /**
+   * 放弃生成中的每日挑战（玩家离开日历），稍后返回的生成结果被丢弃
+   */
+  cancelPendingDaily() {
+    if (this.pendingDaily === null) return;
+    this.pendingDaily = null;
+    this.modalRenderer.hideToast();
+  }
+
+  /**
+   * 开始一局无尽模式（撤销关闭：补位后无法还原到消除前的棋盘）
+   */
+  startEndless() {
+    const databus = GameGlobal.databus;
+    this.playtest = false;
+    this.daily = null;
+    this.endless = new EndlessMode(canvas.width, canvas.height);
+    this._doStartLevel(databus.currentLevel, {
+      levelData: this.endless.createInitialLevel(),
+      title: t('endless.title', { cleared: 0 })
+    });
+    databus.undoLimit = 0;
+  }
+
+  /**
+   * 无尽模式：消除后从棋盘边缘滑入新方块补位
+   * @param {number} count - 本次消除的方块数
+   */
+  refillEndless(count) {
+    const databus = GameGlobal.databus;
+
+    // 飞出动画已结束的方块不再参与渲染与检测
+    databus.blocks = databus.blocks.filter(block => !block.isRemoved || block.visible);
+
+    const added = this.endless.onBlocksCleared(count, databus.blocks.filter(block => !block.isRemoved));
+    this.spawnEndlessBlocks(added);
+  }
+
+  /**
+   * 无尽模式：新方块从朝向一侧的棋盘外沿滑入并计入总数
+   * @param {Array} added - 新方块数据（与生成器输出格式一致）
+   */
+  spawnEndlessBlocks(added) {
+    const databus = GameGlobal.databus;
+    const { blocks } = this.levelManager.createBlockInstances({ blocks: added });
+
+    // 补位方块朝外，从朝向一侧的棋盘外沿来路滑入
+    const distance = Math.max(canvas.width, canvas.height) * 0.6;
+    blocks.forEach((block, index) => {
+      const vec = block.getDirectionVector();
+      block.startSpawn({
+        delay: index * 90,
+        duration: 420,
+        offsetX: vec.x * distance,
+        offsetY: vec.y * distance,
+        startScale: 1
+      });
+    });
+
+    databus.blocks.push(...blocks);
+    databus.totalBlocks += blocks.length;
+    databus.levelTitle = t('endless.title', { cleared: this.endless.cleared });
+  }
+
+  /**
+   * 重开当前关卡（试玩时重开试玩棋盘，每日挑战重开同一天的棋盘且不再计分，无尽模式开新的一局）
+   */
+  restartLevel() {
+    if (this.playtest) {
+      this.startPlaytest();
+    } else if (this.daily) {
+      this.startDaily(this.daily.dateKey);
+    } else if (this.endless) {
+      this.startEndless();
+    } else {
+      this.startLevel(GameGlobal.databus.currentLevel);
+    }
+  }
+
   /**
    * 游戏中的触摸处理
    */
   handleGamePlayTouch(x, y) {
+    // 死局预警横幅上的快捷按钮
+    const warningActions = ['warningUndo', 'warningProp'];
+    for (const name of warningActions) {
+      const button = this.modalRenderer.getWarningButton(name);
+      if (button && button.isClicked(x, y)) {
+        // 播放按钮点击音效
+        this.audioManager.playSFX('buttonClick');
+        this.handleWarningAction(name);
+        return;
+      }
+    }
+
     const databus = GameGlobal.databus;
 
-    if (databus.isSpawning) return;
+    if (databus.isSpawning || this.propAnimation) return;
 
     // 检查顶部功能按钮（4个）
-    const topButtons = ['settings', 'refresh', 'background', 'pureColor'];
+    const topButtons = ['settings', 'undo', 'background', 'pureColor'];
     for (const type of topButtons) {
       const area = this.gameRenderer.getTopButtonArea(type);
       if (area && x >= area.x && x <= area.x + area.width &&
@@ -160,8 +649,8 @@ export default class DirectionGame {
       }
     }
 
-    // 检查道具按钮（PRD v1.3: 4种道具）
-    const propButtons = ['grab', 'flip', 'shufflePos', 'shuffleDir'];
+    // 检查道具按钮（PRD v1.3: 4种道具 + 提示）
+    const propButtons = ['grab', 'flip', 'shufflePos', 'shuffleDir', 'hint'];
     for (const type of propButtons) {
       const button = this.gameRenderer.getPropButton(type);
       if (button && button.isClicked(x, y)) {
@@ -183,7 +672,7 @@ export default class DirectionGame {
   }
 
   /**
-   * 处理道具按钮点击（PRD v1.3: 4种道具）
+   * 处理道具按钮点击（PRD v1.3: 4种道具 + 提示）
    */
   handlePropButtonClick(type) {
     const databus = GameGlobal.databus;
@@ -193,7 +682,7 @@ export default class DirectionGame {
     // 检查道具数量
     if (databus.items[type] <= 0) {
       console.log('[DirectionGame] 道具数量不足');
-      this.modalRenderer.showToast('道具数量不足');
+      this.modalRenderer.showToast(t('prop.notEnough'));
       return;
     }
 
@@ -201,7 +690,7 @@ export default class DirectionGame {
     if (type === 'grab') {
       // 进入抓取模式
       this.propMode = 'grab';
-      this.modalRenderer.showToast('点击要移除的方块', 2000);
+      this.modalRenderer.showToast(t('prop.pickBlock'), 2000);
       console.log('[DirectionGame] 进入抓取模式');
     } else if (type === 'flip') {
       // 直接使用翻转道具
@@ -212,6 +701,9 @@ export default class DirectionGame {
     } else if (type === 'shuffleDir') {
       // 使用洗牌道具（方向）
       this.useShuffleDirProp();
+    } else if (type === 'hint') {
+      // 使用提示道具
+      this.useHintProp();
     } else if (type === 'shuffle') {
       // 兼容旧版本
       this.useShufflePosProp();
@@ -233,21 +725,25 @@ export default class DirectionGame {
         console.log(`[DirectionGame] 抓取模式：选中方块 (${block.x}, ${block.y})`);
 
         // 使用抓走道具
+        const snapshot = this.captureHistory('grab', [block], { removed: 1, item: 'grab' });
         if (databus.useItem('grab')) {
-          block.remove();
+          databus.pushHistory(snapshot);
+          block.grab();
           databus.removedBlocks++;
+          if (this.endless) this.refillEndless(1);
 
           // 更新UI
           this.gameRenderer.updatePropCount('grab', databus.items.grab);
 
-          // 检查胜利
-          if (databus.removedBlocks >= databus.totalBlocks) {
-            this.onVictory();
-            return;
-          }
-
-          // 检查死局
-          this.checkDeadlock();
+          // 缩小淡出结束后再检查胜利与死局
+          this.startPropAnimation(() => {
+            if (databus.removedBlocks >= databus.totalBlocks) {
+              this.onVictory();
+              return;
+            }
+            this.checkDeadlock();
+            this.checkDoomedState();
+          });
         }
 
         // 退出抓取模式
@@ -267,17 +763,22 @@ export default class DirectionGame {
   useFlipProp() {
     const databus = GameGlobal.databus;
 
+    const snapshot = this.captureHistory('flip', databus.blocks.filter(b => !b.isRemoved), { item: 'flip' });
     if (!databus.useItem('flip')) return;
+    databus.pushHistory(snapshot);
+    this.resetDoomWarning();
 
     // 播放道具使用音效
     this.audioManager.playSFX('propUse');
 
-    // 翻转所有方块
+    // 翻转所有方块（同步原地旋转 180°）
     databus.blocks.forEach(block => {
       if (!block.isRemoved) {
         block.flip();
+        block.startFlipAnimation();
       }
     });
+    this.startPropAnimation();
 
     // 更新UI
     this.gameRenderer.updatePropCount('flip', databus.items.flip);
@@ -286,7 +787,7 @@ export default class DirectionGame {
     // 死局检测只会在玩家点击方块后进行
     console.log('[DirectionGame] 使用了翻转道具');
 
-    this.modalRenderer.showToast('已翻转所有方块');
+    this.modalRenderer.showToast(t('prop.flipped'));
   }
 
   /**
@@ -295,14 +796,20 @@ export default class DirectionGame {
   useShufflePosProp() {
     const databus = GameGlobal.databus;
 
+    const activeBlocks = databus.blocks.filter(b => !b.isRemoved);
+    const snapshot = this.captureHistory('shufflePos', activeBlocks, { item: 'shufflePos' });
     if (!databus.useItem('shufflePos')) return;
+    databus.pushHistory(snapshot);
+    this.resetDoomWarning();
 
     // 播放道具使用音效
     this.audioManager.playSFX('propUse');
 
+    // 记录洗牌前的姿态，用于飞散-汇聚动画
+    const poses = new Map(activeBlocks.map(block => [block, block.getPose()]));
+
     // 获取所有未消除方块的“中心点位置”
     // 关键：不能交换 top-left（不同方向/尺寸会导致对齐崩坏），交换中心点才能保持排列感
-    const activeBlocks = databus.blocks.filter(b => !b.isRemoved);
     const groups = new Map();
     activeBlocks.forEach(block => {
       const axis = block.axis || (block.direction === 0 || block.direction === 2 ? 'row' : 'col');
@@ -337,13 +844,15 @@ export default class DirectionGame {
       });
     });
 
+    this.startShuffleAnimation(poses);
+
     // 更新UI
     this.gameRenderer.updatePropCount('shufflePos', databus.items.shufflePos);
 
     // 不立即检测死局，让玩家先操作
     console.log('[DirectionGame] 使用了洗牌道具（位置）');
 
-    this.modalRenderer.showToast('已重新排列方块');
+    this.modalRenderer.showToast(t('prop.shuffled'));
   }
 
   /**
@@ -352,11 +861,18 @@ export default class DirectionGame {
   useShuffleDirProp() {
     const databus = GameGlobal.databus;
 
+    const activeBlocks = databus.blocks.filter(b => !b.isRemoved);
+    const snapshot = this.captureHistory('shuffleDir', activeBlocks, { item: 'shuffleDir' });
     if (!databus.useItem('shuffleDir')) return;
+    databus.pushHistory(snapshot);
+    this.resetDoomWarning();
 
     // 播放道具使用音效
     this.audioManager.playSFX('propUse');
 
+    // 记录洗牌前的姿态，用于飞散-汇聚动画
+    const poses = new Map(activeBlocks.map(block => [block, block.getPose()]));
+
     // 随机设置每个方块的方向（必须同步重算尺寸，且保持中心不变）
     // 直接改 block.direction 会导致“头尾旋转但身体不变/变形”
     const directions = [0, 1, 2, 3]; // UP, RIGHT, DOWN, LEFT
@@ -375,13 +891,90 @@ export default class DirectionGame {
       }
     });
 
+    this.startShuffleAnimation(poses);
+
     // 更新UI
     this.gameRenderer.updatePropCount('shuffleDir', databus.items.shuffleDir);
 
     // 不立即检测死局，让玩家先操作
     console.log('[DirectionGame] 使用了洗牌道具（方向）');
 
-    this.modalRenderer.showToast('已随机方块方向');
+    this.modalRenderer.showToast(t('prop.directionsShuffled'));
+  }
+
+  /**
+   * 洗牌道具的飞散-汇聚动画（PRD §17.2，1 秒）
+   * @param {Map} poses - 方块 -> 洗牌前的姿态
+   */
+  startShuffleAnimation(poses) {
+    const boardRect = getBoardRect(canvas.width, canvas.height);
+    const center = { x: boardRect.x + boardRect.width / 2, y: boardRect.y + boardRect.height / 2 };
+    poses.forEach((pose, block) => block.startShuffleAnimation(pose, center));
+    this.startPropAnimation();
+  }
+
+  /**
+   * 登记道具动画：播放期间锁定输入与限步/限时计数，全部方块播放完毕后执行 onComplete
+   * @param {Function} [onComplete] - 动画结束后的收尾（如抓走后的胜利与死局检测）
+   */
+  startPropAnimation(onComplete = null) {
+    this.propAnimation = { onComplete };
+  }
+
+  /**
+   * 道具动画结束检测（每帧）
+   */
+  updatePropAnimation() {
+    if (!this.propAnimation) return;
+    if (GameGlobal.databus.blocks.some(block => block.isPropAnimating())) return;
+
+    const { onComplete } = this.propAnimation;
+    this.propAnimation = null;
+    if (onComplete) onComplete();
+  }
+
+  /**
+   * 使用提示道具 - 高亮一个消除后仍可解的方块，并画出它的出口射线
+   * 没有安全步骤、或搜索预算内无法判断时只提示，不消耗道具
+   */
+  useHintProp() {
+    const databus = GameGlobal.databus;
+
+    if (databus.isSpawning) return;
+
+    const { index, exact } = PuzzleSolver.findSafeRemoval(databus.blocks, {
+      screenWidth: canvas.width,
+      screenHeight: canvas.height
+    });
+    if (index < 0 && !exact) {
+      // 搜索预算耗尽：棋盘不一定无解，不能按死局提示
+      console.log('[DirectionGame] 提示道具：搜索预算内未找到安全步骤，无法判断');
+      this.modalRenderer.showToast(t('prop.hintTooComplex'));
+      return;
+    }
+    if (index < 0) {
+      console.log('[DirectionGame] 提示道具：当前没有安全的消除步骤');
+      this.modalRenderer.showToast(t('prop.hintNoSafeMove'));
+      return;
+    }
+
+    if (!databus.useItem('hint')) return;
+
+    // 播放道具使用音效
+    this.audioManager.playSFX('propUse');
+
+    const block = databus.blocks[index];
+    this.hint = {
+      block,
+      path: DirectionDetector.getRayPath(block, canvas.width, canvas.height),
+      historySize: databus.history.length,
+      startTime: Date.now()
+    };
+
+    // 更新UI
+    this.gameRenderer.updatePropCount('hint', databus.items.hint);
+
+    console.log(`[DirectionGame] 使用了提示道具：方块 #${index} (${block.gridRow}, ${block.gridCol})`);
   }
 
   /**
@@ -411,13 +1004,18 @@ export default class DirectionGame {
   onBlockClicked(block) {
     const databus = GameGlobal.databus;
 
+    // 记录点击前状态（消除与滑动都可撤销）
+    const snapshot = this.captureHistory('remove', [block], { removed: 1 });
+
     // 检查是否可消除
     if (block.canRemove(databus.blocks)) {
       // 播放点击成功音效
       this.audioManager.playSFX('clickSuccess');
 
+      databus.pushHistory(snapshot);
       block.remove();
       databus.removedBlocks++;
+      if (this.endless) this.refillEndless(1);
 
       // 播放飞出音效
       this.audioManager.playSFX('slideOut');
@@ -430,17 +1028,88 @@ export default class DirectionGame {
 
       // 检查死局
       this.checkDeadlock();
+      this.checkDoomedState();
     } else {
       // 播放点击失败音效
       this.audioManager.playSFX('clickFail');
+      this.settings.vibrate('light');
 
       // 不可消除，向阻塞方向滑动到尽头
-      if (!block.slideToBlocked(databus.blocks)) {
+      if (block.slideToBlocked(databus.blocks)) {
+        databus.pushHistory({ ...snapshot, type: 'slide', removed: 0 });
+      } else {
         block.shake();
       }
     }
   }
 
+  /**
+   * 生成一条撤销记录（操作前调用，记录受影响方块的快照）
+   * @param {string} type - 操作类型：remove/slide/grab/flip/shufflePos/shuffleDir
+   * @param {Array} blocks - 受影响的方块
+   * @param {Object} options - { removed: 消除数量, item: 消耗的道具 }
+   */
+  captureHistory(type, blocks, options = {}) {
+    return {
+      type,
+      snapshots: blocks.map(block => ({ block, state: block.captureState() })),
+      removed: options.removed || 0,
+      item: options.item || null
+    };
+  }
+
+  /**
+   * 撤销上一步操作（PRD 6.5）
+   * 方块从当前位置反向动画回到操作前状态，消耗的道具一并返还
+   */
+  undoLastMove() {
+    const databus = GameGlobal.databus;
+
+    if (!databus.isPlaying || databus.isSpawning || this.propAnimation) return;
+
+    // 无尽模式不能撤销，也不引导重开（重开会丢掉这一局的成绩；结束本局走设置按钮）
+    if (this.endless) {
+      this.modalRenderer.showToast(t('undo.endless'), 1500);
+      return;
+    }
+
+    if (databus.history.length === 0 || databus.getUndoRemaining() <= 0) {
+      const message = databus.history.length === 0
+        ? t('undo.empty')
+        : t('undo.exhausted');
+      this.modalRenderer.showConfirm(
+        {
+          title: t('undo.title'),
+          message,
+          confirmText: t('common.restart'),
+          cancelText: t('common.cancel')
+        },
+        (ok) => {
+          if (ok) this.restartLevel();
+        }
+      );
+      return;
+    }
+
+    const entry = databus.popHistory();
+    entry.snapshots.forEach(({ block, state }) => block.restoreState(state));
+
+    databus.removedBlocks = Math.max(0, databus.removedBlocks - entry.removed);
+    databus.undoUsed++;
+    databus.isDeadlock = false;
+    this.propMode = null;
+    this.resetDoomWarning();
+
+    if (entry.item) {
+      databus.addItem(entry.item, 1);
+      databus.propsUsed = Math.max(0, databus.propsUsed - 1);
+      this.gameRenderer.updatePropCount(entry.item, databus.items[entry.item]);
+    }
+
+    console.log(`[DirectionGame] 撤销操作: ${entry.type}，剩余撤销次数: ${databus.getUndoRemaining()}`);
+    this.modalRenderer.showToast(t('undo.done'), 1200);
+  }
+
   /**
    * 检查是否死局
    */
@@ -455,6 +1124,59 @@ export default class DirectionGame {
     }
   }
 
+  /**
+   * 死局预警：消除后分析剩余棋盘是否已"注定无解"（仍有可消方块，但不用道具无法清空）
+   * 只在精确求解器完整搜索得出结论时提示；无解局面在不用道具时不会好转，
+   * 因此同一段无解局面只提示一次，直到撤销或使用改变棋盘的道具
+   */
+  checkDoomedState() {
+    const databus = GameGlobal.databus;
+
+    if (!databus.doomWarning || this.doomWarned) return;
+    if (!databus.isPlaying || databus.isDeadlock) return;
+
+    const result = PuzzleSolver.solve(databus.blocks, {
+      maxNodes: DOOM_CHECK_MAX_NODES,
+      screenWidth: canvas.width,
+      screenHeight: canvas.height
+    });
+    if (result.solvable || !result.exact) return;
+
+    this.doomWarned = true;
+    console.log(`[DirectionGame] 死局预警：剩余棋盘已无解，最少还需道具 ${result.minProps}`);
+
+    const message = result.minProps
+      ? t('warning.doomProps', { count: result.minProps })
+      : t('warning.doom');
+    const actions = [{ name: 'warningProp', text: t('warning.useProp'), color: '#43A047' }];
+    if (databus.canUndo()) {
+      actions.unshift({ name: 'warningUndo', text: t('warning.undo'), color: '#FF9800' });
+    }
+    this.modalRenderer.showLevelWarning(t('warning.doomTitle'), message, 5000, null, { soft: true, actions });
+  }
+
+  /**
+   * 棋盘可能重新变得可解（撤销、翻转、洗牌）时，清除死局预警状态
+   */
+  resetDoomWarning() {
+    if (!this.doomWarned) return;
+    this.doomWarned = false;
+    this.modalRenderer.hideLevelWarning();
+  }
+
+  /**
+   * 处理死局预警横幅按钮
+   */
+  handleWarningAction(name) {
+    this.modalRenderer.hideLevelWarning();
+
+    if (name === 'warningUndo') {
+      if (GameGlobal.databus.canUndo()) this.undoLastMove();
+    } else if (name === 'warningProp') {
+      this.modalRenderer.showToast(t('prop.choose'), 1800);
+    }
+  }
+
   /**
    * 判断触摸点是否在方块内
    */
@@ -472,6 +1194,11 @@ export default class DirectionGame {
    * 弹窗触摸处理
    */
   handleModalTouch(x, y) {
+    if (this.modalRenderer.currentModal === 'settings') {
+      this.handleSettingsTouch(x, y);
+      return;
+    }
+
     const buttons = ['next', 'replay', 'useProp', 'retry', 'confirm', 'cancel'];
 
     for (const name of buttons) {
@@ -498,14 +1225,22 @@ export default class DirectionGame {
 
     switch (buttonName) {
       case 'next':
-        // 下一关
+        // 下一关（试玩结束则回到编辑器，每日挑战结束则回到日历）
+        if (this.playtest) {
+          this.openEditor();
+          break;
+        }
+        if (this.daily) {
+          this.openDailyCalendar();
+          break;
+        }
         this.startLevel(databus.currentLevel + 1);
         this.modalRenderer.hide();
         break;
 
       case 'replay':
         // 重玩当前关卡
-        this.startLevel(databus.currentLevel);
+        this.restartLevel();
         this.modalRenderer.hide();
         break;
 
@@ -520,13 +1255,13 @@ export default class DirectionGame {
           if (totalProps <= 0) {
             this.modalRenderer.showConfirm(
               {
-                title: '没有可用道具',
-                message: '要重开本关吗？',
-                confirmText: '重开',
-                cancelText: '取消'
+                title: t('defeat.noProps'),
+                message: t('defeat.restartPrompt'),
+                confirmText: t('common.restart'),
+                cancelText: t('common.cancel')
               },
               (ok) => {
-                if (ok) this.startLevel(databus.currentLevel);
+                if (ok) this.restartLevel();
               }
             );
             return;
@@ -535,16 +1270,17 @@ export default class DirectionGame {
           // 允许继续游戏（仅用于点击下方道具按钮解围）
           databus.isPlaying = true;
           databus.isDeadlock = false;
+          databus.defeatReason = null;
           this.state = 'playing';
           this.propMode = null;
           this.modalRenderer.hide();
-          this.modalRenderer.showToast('请在下方选择要使用的道具', 1800);
+          this.modalRenderer.showToast(t('prop.choose'), 1800);
         }
         break;
 
       case 'retry':
         // 重试
-        this.startLevel(databus.currentLevel);
+        this.restartLevel();
         this.modalRenderer.hide();
         break;
 
@@ -562,6 +1298,148 @@ export default class DirectionGame {
     }
   }
 
+  /**
+   * 当前设置值（设置面板显示用）
+   */
+  getSettingsValues() {
+    const audio = this.audioManager;
+    return {
+      bgmEnabled: audio.bgmEnabled,
+      bgmVolume: audio.bgmVolume,
+      sfxEnabled: audio.sfxEnabled,
+      sfxVolume: audio.sfxVolume,
+      haptics: this.settings.haptics,
+      doomWarning: GameGlobal.databus.doomWarning,
+      paletteName: this.settings.getPaletteName(),
+      directionGlyphs: this.settings.directionGlyphs,
+      languageName: this.settings.getLanguageName()
+    };
+  }
+
+  /**
+   * 打开设置面板（主界面与关卡页的设置按钮）
+   */
+  openSettings() {
+    this.propMode = null;
+    this.modalRenderer.showSettings(this.getSettingsValues());
+  }
+
+  /**
+   * 设置面板点击处理（点击面板外关闭）
+   */
+  handleSettingsTouch(x, y) {
+    const target = this.modalRenderer.hitTestSettings(x, y);
+    if (!target) {
+      this.modalRenderer.hide();
+      return;
+    }
+    if (target.type === 'inside') return;
+
+    const databus = GameGlobal.databus;
+    if (target.type !== 'slider') this.audioManager.playSFX('buttonClick');
+
+    switch (target.type) {
+      case 'close':
+        this.modalRenderer.hide();
+        break;
+      case 'toggle':
+        if (target.key === 'bgmEnabled') {
+          this.audioManager.toggleBGM();
+        } else if (target.key === 'sfxEnabled') {
+          this.audioManager.toggleSFX();
+        } else if (target.key === 'haptics') {
+          if (this.settings.toggleHaptics()) this.settings.vibrate();
+        } else if (target.key === 'doomWarning') {
+          databus.doomWarning = !databus.doomWarning;
+          databus.saveProgress();
+        } else if (target.key === 'directionGlyphs') {
+          this.gameRenderer.setDirectionGlyphs(this.settings.toggleDirectionGlyphs());
+        }
+        break;
+      case 'slider': {
+        const enabledBy = target.key === 'bgmVolume' ? 'bgmEnabled' : 'sfxEnabled';
+        if (!this.audioManager[enabledBy]) return;
+        this.settingsDrag = target.key;
+        this.dragSettingsSlider(x);
+        break;
+      }
+      case 'palette':
+        setColorPalette(this.settings.cyclePalette());
+        break;
+      case 'language':
+        setLanguage(this.settings.cycleLanguage());
+        break;
+      case 'tutorial':
+        this.pressSettingsButton('settingsTutorial', () => {
+          this.modalRenderer.hide();
+          this.replayTutorial();
+        });
+        return;
+      case 'reset':
+        this.pressSettingsButton('settingsReset', () => {
+          this.modalRenderer.showConfirm(
+            {
+              title: t('settings.reset'),
+              message: t('settings.resetMessage'),
+              confirmText: t('settings.resetConfirm'),
+              cancelText: t('common.cancel')
+            },
+            (ok) => {
+              if (ok) this.resetProgress();
+            }
+          );
+        });
+        return;
+    }
+
+    this.modalRenderer.updateSettings(this.getSettingsValues());
+  }
+
+  /**
+   * 设置面板按钮的按下反馈，随后执行操作
+   */
+  pressSettingsButton(name, action) {
+    const button = this.modalRenderer.getButton(name);
+    button.press();
+    setTimeout(() => {
+      button.release();
+      action();
+    }, 100);
+  }
+
+  /**
+   * 拖动音量滑块（松手时再保存）
+   */
+  dragSettingsSlider(x) {
+    if (this.modalRenderer.currentModal !== 'settings') {
+      this.settingsDrag = null;
+      return;
+    }
+    const row = this.modalRenderer.getSettingsRow(this.settingsDrag);
+    const value = this.modalRenderer.getSliderValue(row, x);
+    if (this.settingsDrag === 'bgmVolume') {
+      this.audioManager.setBGMVolume(value, false);
+    } else {
+      this.audioManager.setSFXVolume(value, false);
+    }
+    this.modalRenderer.updateSettings({ [this.settingsDrag]: value });
+  }
+
+  /**
+   * 重置进度：清除关卡进度、道具、无尽模式成绩与每日挑战记录，回到主界面（设置保留）
+   */
+  resetProgress() {
+    GameGlobal.databus.resetProgress();
+    this.playtest = false;
+    this.daily = null;
+    this.endless = null;
+    this.propMode = null;
+    this.modalRenderer.hideLevelWarning();
+    this.state = 'menu';
+    this.audioManager.playBGM('menu');
+    this.modalRenderer.showToast(t('settings.resetDone'), 1500);
+  }
+
   /**
    * 顶部功能按钮点击处理（关卡页左上角 2x2）
    */
@@ -569,43 +1447,118 @@ export default class DirectionGame {
     const databus = GameGlobal.databus;
     switch (type) {
       case 'settings':
-        this.modalRenderer.showToast('设置功能开发中');
+        // 试玩中：结束试玩回到编辑器
+        if (this.playtest) {
+          this.modalRenderer.showConfirm(
+            { title: t('playtest.leaveTitle'), message: t('playtest.leaveMessage'), confirmText: t('common.leave'), cancelText: t('common.continue') },
+            (ok) => {
+              if (ok) this.openEditor();
+            }
+          );
+          break;
+        }
+        // 无尽模式中：结束本局（记录成绩）回到主菜单
+        if (this.endless) {
+          this.modalRenderer.showConfirm(
+            { title: t('endless.leaveTitle'), message: t('endless.leaveMessage', { cleared: this.endless.cleared }), confirmText: t('endless.leaveConfirm'), cancelText: t('common.continue') },
+            (ok) => {
+              if (!ok) return;
+              this.recordEndlessRun();
+              this.endless = null;
+              this.state = 'menu';
+              this.audioManager.playBGM('menu');
+            }
+          );
+          break;
+        }
+        // 每日挑战中：放弃本局回到日历（计分机会已在开局时消耗）
+        if (this.daily) {
+          this.modalRenderer.showConfirm(
+            { title: t('daily.leaveTitle'), message: t('daily.leaveMessage'), confirmText: t('common.leave'), cancelText: t('common.continue') },
+            (ok) => {
+              if (ok) this.openDailyCalendar();
+            }
+          );
+          break;
+        }
+        this.openSettings();
         break;
-      case 'refresh':
-        // 刷新/重开本关
-        this.startLevel(databus.currentLevel);
+      case 'undo':
+        // 撤销上一步（无可撤销操作时引导重开本关）
+        this.undoLastMove();
         break;
-      case 'background':
-        this.modalRenderer.showToast('背景切换开发中');
+      case 'background': {
+        // 切换到下一个背景主题（淡入过渡）
+        const id = this.settings.cycleBackground();
+        this.gameRenderer.setBackgroundTheme(id);
+        this.menuRenderer.setBackgroundTheme(id);
+        this.modalRenderer.showToast(t('game.backgroundToast', { name: t(`background.${id}`, null, getBackgroundTheme(id).name) }), 1200);
         break;
-      case 'pureColor':
-        this.modalRenderer.showToast('纯色模式开发中');
+      }
+      case 'pureColor': {
+        // 纯色模式：扁平方块 + 大箭头，方向更易辨认
+        const enabled = this.settings.togglePureColor();
+        this.gameRenderer.setPureColor(enabled);
+        this.modalRenderer.showToast(enabled ? t('game.pureColorOn') : t('game.pureColorOff'), 1200);
         break;
+      }
       default:
-        this.modalRenderer.showToast('功能开发中');
+        this.modalRenderer.showToast(t('common.comingSoon'));
     }
   }
 
   /**
    * 开始指定关卡
+   * @param {number} levelNumber - 关卡号
+   * @param {Object} [options] - { seed } 指定种子时重放同一棋盘
    */
-  startLevel(levelNumber) {
+  startLevel(levelNumber, options = {}) {
     const databus = GameGlobal.databus;
+    this.playtest = false;
+    this.daily = null;
+    this.endless = null;
+    // 改开其他关卡时放弃之前的等待
+    if (this.pendingStartTimer && this.pendingStartLevel !== levelNumber) {
+      clearTimeout(this.pendingStartTimer);
+      this.pendingStartTimer = null;
+      this.pendingStartLevel = null;
+    }
+    // 跳过的关卡不再需要预加载
+    this.levelManager.dropSkippedLevels(levelNumber);
+
+    // 指定种子时不走预加载缓存，直接按种子生成
+    if (Number.isFinite(options.seed)) {
+      this.modalRenderer.showToast(t('common.generating'), 10000);
+      setTimeout(() => {
+        this._doStartLevel(levelNumber, options);
+        this.modalRenderer.hideToast();
+      }, 50);
+      return;
+    }
+
     // 检查关卡是否已预加载
     const isPreloaded = this.levelManager.isPreloaded(levelNumber);
     
     if (!isPreloaded) {
-      // 关卡未预加载，等待 Worker 生成完成，避免同步生成阻塞
+      // 关卡未预加载，交给 Worker（不可用时主线程分帧）生成并等待完成，避免同步生成阻塞
+      this.levelManager.preloadLevel(levelNumber);
       if (this.levelManager.isPreloading(levelNumber)) {
         console.log(`[DirectionGame] 关卡 ${levelNumber} 生成中，等待完成...`);
         if (this.pendingStartLevel === levelNumber && this.pendingStartTimer) {
           return;
         }
         this.pendingStartLevel = levelNumber;
-        this.modalRenderer.showToast('关卡生成中...', 10000);
+        this.modalRenderer.showToast(t('common.generating'), 10000);
+        // 插队到其他预加载任务之前
+        this.levelManager.prioritizeLevel(levelNumber);
 
         const checkReady = () => {
-          if (this.levelManager.isPreloaded(levelNumber)) {
+          const progress = this.levelManager.getPreloadProgress(levelNumber);
+          if (progress > 0) {
+            this.modalRenderer.updateToastMessage(t('common.generatingProgress', { percent: Math.round(progress * 100) }));
+          }
+          // 已生成，或任务被取消/失败（此时 generateLevel 会同步生成）
+          if (this.levelManager.isPreloaded(levelNumber) || !this.levelManager.isPreloading(levelNumber)) {
             this.pendingStartLevel = null;
             clearTimeout(this.pendingStartTimer);
             this.pendingStartTimer = null;
@@ -621,7 +1574,7 @@ export default class DirectionGame {
       }
 
       console.log(`[DirectionGame] 关卡 ${levelNumber} 未预加载，开始同步生成...`);
-      this.modalRenderer.showToast('关卡生成中...', 10000);
+      this.modalRenderer.showToast(t('common.generating'), 10000);
       
       setTimeout(() => {
         this._doStartLevel(levelNumber);
@@ -641,30 +1594,65 @@ export default class DirectionGame {
 
   /**
    * 实际执行开始关卡的逻辑
+   * @param {number} levelNumber
+   * @param {Object} [options] - { seed } 或 { levelData }（直接使用给定棋盘，如编辑器试玩、每日挑战）；
+   *   title 替换顶部"第 N 关"标题
    */
-  _doStartLevel(levelNumber) {
+  _doStartLevel(levelNumber, options = {}) {
     const databus = GameGlobal.databus;
 
     // 重置状态
     databus.reset();
 
     // 生成关卡（LevelManager 会自动使用缓存）
-    const levelData = this.levelManager.generateLevel(levelNumber);
+    const levelData = options.levelData
+      ? this.levelManager.createBlockInstances(options.levelData)
+      : this.levelManager.generateLevel(levelNumber, options);
 
     // 创建方块实例
     databus.blocks = levelData.blocks;
     databus.totalBlocks = levelData.total;
     databus.removedBlocks = 0;
     databus.currentLevel = levelNumber;
+    databus.levelSeed = levelData.seed;
+    databus.levelTitle = options.title || null;
+    databus.undoLimit = levelData.meta && Number.isFinite(levelData.meta.undoLimit)
+      ? levelData.meta.undoLimit
+      : 3;
     databus.isPlaying = true;
     databus.isDeadlock = false;
     databus.isSpawning = true;
 
+    // 失败条件 B：限步 / 限时关卡按标准解计算限额
+    const limits = levelData.meta
+      ? LevelRules.compute(levelData.meta.limitMode, databus.blocks, { screenWidth: canvas.width, screenHeight: canvas.height })
+      : null;
+    if (limits) {
+      databus.moveLimit = limits.moveLimit;
+      databus.timeLimit = limits.timeLimit;
+      console.log(`[DirectionGame] 限制规则 ${limits.mode}：标准 ${limits.parMoves} 步${limits.solved ? '' : '（未求出标准解，不限步）'}，步数上限 ${limits.moveLimit}，倒计时 ${limits.timeLimit}ms`);
+    }
+    this.lastTimerTick = 0;
+    this.propAnimation = null;
+
+    // 清除上一局残留的死局预警
+    this.doomWarned = false;
+    this.modalRenderer.hideLevelWarning();
+
     // Level 2 特殊警告提示
     if (levelData.meta && levelData.meta.showWarning) {
       this.modalRenderer.showLevelWarning(
-        '⚠️ 难度飙升',
-        '做好准备，真正的挑战开始了！',
+        t('warning.spikeTitle'),
+        t('warning.spike'),
+        2000
+      );
+    } else if (limits) {
+      const rules = [];
+      if (limits.timeLimit !== null) rules.push(t('warning.timeRule', { time: LevelRules.formatTime(limits.timeLimit) }));
+      if (limits.moveLimit !== null) rules.push(t('warning.moveRule', { moves: limits.moveLimit }));
+      this.modalRenderer.showLevelWarning(
+        limits.timeLimit !== null ? t('warning.timedTitle') : t('warning.movesTitle'),
+        t('warning.rules', { rules: rules.join(t('warning.ruleSeparator')) }),
         2000
       );
     }
@@ -750,6 +1738,12 @@ export default class DirectionGame {
 
     // 重置道具模式
     this.propMode = null;
+    this.hint = null;
+
+    // 第 1 关在教程未完成时带分步引导（试玩、每日挑战与无尽模式不带）
+    this.tutorial = levelNumber === 1 && !this.playtest && !this.daily && !this.endless && !this.settings.tutorialDone
+      ? { step: 0, removed: 0, highlight: null }
+      : null;
 
     // 隐藏弹窗
     this.modalRenderer.hide();
@@ -761,11 +1755,13 @@ export default class DirectionGame {
 
     // 预加载后续关卡（通过 Worker 在后台执行，不阻塞主线程）
     // 延迟 3 秒再预加载，等动画播放完成且游戏稳定后
-    setTimeout(() => {
-      this.levelManager.preloadLevels(levelNumber + 1);
-    }, 3000);
+    if (!this.playtest && !this.daily && !this.endless) {
+      setTimeout(() => {
+        this.levelManager.preloadLevels(levelNumber + 1);
+      }, 3000);
+    }
 
-    console.log(`关卡 ${levelNumber} 开始，方块数量: ${databus.totalBlocks}`);
+    console.log(`关卡 ${levelNumber} 开始，方块数量: ${databus.totalBlocks}，种子: ${databus.levelSeed}`);
   }
 
   /**
@@ -773,38 +1769,208 @@ export default class DirectionGame {
    */
   onVictory() {
     const databus = GameGlobal.databus;
+
+    // 无尽模式没有终点：补位没跟上、棋盘被清空时按当前难度重新铺满，铺不出方块才结束本局
+    if (this.endless) {
+      const added = this.endless.refillBoard(databus.blocks.filter(block => !block.isRemoved));
+      if (added.length > 0) {
+        this.spawnEndlessBlocks(added);
+        console.log(`[DirectionGame] 无尽模式棋盘已清空，重新铺入 ${added.length} 个方块`);
+      } else {
+        this.onDefeat('cleared');
+      }
+      return;
+    }
+
     databus.isPlaying = false;
+    this.settings.vibrate('medium');
+
+    // 试玩不解锁关卡、不记录成绩
+    if (this.playtest) {
+      databus.lastResult = null;
+      this.state = 'victory';
+      this.modalRenderer.showVictory({ nextText: t('victory.backToEditor') });
+      this.audioManager.playBGM('victory');
+      return;
+    }
+
+    // 每日挑战不影响关卡进度；只有计分挑战记录成绩与连续天数
+    if (this.daily) {
+      const result = {
+        moves: databus.moves,
+        time: Date.now() - databus.levelStartTime,
+        propsUsed: databus.propsUsed,
+        stars: databus.getStarRating()
+      };
+      databus.lastResult = { ...result, firstClear: false, newRecords: { stars: false, moves: false, time: false } };
+      this.state = 'victory';
+      this.modalRenderer.showVictory({ nextText: t('victory.backToCalendar') });
+      this.audioManager.playBGM('victory');
+
+      if (this.daily.scored) {
+        const streak = this.dailyChallenge.recordVictory(this.daily.dateKey, result);
+        this.modalRenderer.showToast(t('daily.completed', { days: streak }), 2000);
+      }
+      return;
+    }
 
     // 解锁下一关
     if (databus.currentLevel >= databus.unlockedLevels) {
       databus.unlockedLevels++;
     }
 
+    // 记录本关成绩（关卡地图与胜利弹窗的新纪录标记使用）
+    databus.recordVictory(databus.currentLevel, {
+      moves: databus.moves,
+      time: Date.now() - databus.levelStartTime,
+      propsUsed: databus.propsUsed,
+      stars: databus.getStarRating(),
+      seed: databus.levelSeed
+    });
+
     // 保存进度
     databus.saveProgress();
 
     this.state = 'victory';
     this.modalRenderer.showVictory();
 
+    if (this.tutorial) {
+      this.tutorial = null;
+      this.settings.setTutorialDone(true);
+      this.modalRenderer.showToast(t('tutorial.done'), 2000);
+    }
+
     // 播放胜利音效
     this.audioManager.playBGM('victory');
 
     console.log('[DirectionGame] 关卡完成！');
   }
 
+  /**
+   * 重玩新手教程：清除完成标记后从第 1 关开始
+   */
+  replayTutorial() {
+    this.settings.setTutorialDone(false);
+    this.startLevel(1);
+  }
+
+  /**
+   * 推进新手教程：消除方块后进入下一步，高亮的步骤在棋盘变化后重新找一个安全的方块
+   */
+  updateTutorial() {
+    const databus = GameGlobal.databus;
+    const tutorial = this.tutorial;
+    if (!tutorial || databus.isSpawning) return;
+
+    if (databus.removedBlocks > tutorial.removed) {
+      tutorial.step = Math.min(tutorial.step + 1, TUTORIAL_STEPS.length - 1);
+      tutorial.highlight = null;
+    }
+    tutorial.removed = databus.removedBlocks;
+
+    if (!TUTORIAL_STEPS[tutorial.step].highlight) {
+      tutorial.highlight = null;
+      return;
+    }
+    if (tutorial.highlight && tutorial.highlight.historySize === databus.history.length) return;
+
+    // 找不到安全步骤时记下空高亮，棋盘再变化前不重复搜索
+    const { index } = PuzzleSolver.findSafeRemoval(databus.blocks, {
+      screenWidth: canvas.width,
+      screenHeight: canvas.height
+    });
+    const block = index >= 0 ? databus.blocks[index] : null;
+    tutorial.highlight = {
+      block,
+      path: block ? DirectionDetector.getRayPath(block, canvas.width, canvas.height) : [],
+      historySize: databus.history.length,
+      startTime: Date.now()
+    };
+  }
+
+  /**
+   * 记录当前这局无尽模式（用道具续玩后再结束时更新同一局）
+   * @returns {{ rank: number, isBest: boolean }}
+   */
+  recordEndlessRun() {
+    const databus = GameGlobal.databus;
+    const result = databus.recordEndlessRun({
+      cleared: this.endless.cleared,
+      moves: databus.moves,
+      time: Date.now() - databus.levelStartTime,
+      seed: this.endless.seed,
+      startedAt: databus.levelStartTime
+    });
+    databus.saveProgress();
+    console.log(`[DirectionGame] 无尽模式结束，消除 ${this.endless.cleared} 个方块，排名 ${result.rank}`);
+    return result;
+  }
+
   /**
    * 失败处理
+   * @param {string} [reason='deadlock'] - deadlock 死局 / time 倒计时结束 / moves 步数用完 / cleared 无尽模式棋盘清空后无法补位
    */
-  onDefeat() {
+  onDefeat(reason = 'deadlock') {
     const databus = GameGlobal.databus;
     databus.isPlaying = false;
+    databus.defeatReason = reason;
+    this.settings.vibrate('heavy');
+
+    // 无尽模式：死局即本局结束（仍可用道具续玩）
+    if (this.endless) {
+      const { rank, isBest } = this.recordEndlessRun();
+      let message = t('endless.result', { cleared: this.endless.cleared });
+      if (isBest) message += t('endless.newBest');
+      else if (rank > 0) message += t('endless.rank', { rank });
+      this.state = 'defeat';
+      this.modalRenderer.showDefeat({ title: t('endless.over'), message, retryText: t('endless.again') });
+      this.audioManager.playBGM('defeat');
+      return;
+    }
+
+    // 记录挑战次数（试玩与每日挑战不记录）
+    if (!this.playtest && !this.daily) {
+      databus.recordDefeat(databus.currentLevel);
+      databus.saveProgress();
+    }
     this.state = 'defeat';
-    this.modalRenderer.showDefeat();
+    // 限额用完后道具无法续玩，只能重开
+    const remaining = databus.totalBlocks - databus.removedBlocks;
+    if (reason === 'time') {
+      this.modalRenderer.showDefeat({ title: t('defeat.timeUp'), message: t('defeat.timeUpMessage', { remaining }), allowProps: false });
+    } else if (reason === 'moves') {
+      this.modalRenderer.showDefeat({ title: t('defeat.movesUp'), message: t('defeat.movesUpMessage', { limit: databus.moveLimit, remaining }), allowProps: false });
+    } else {
+      this.modalRenderer.showDefeat();
+    }
 
     // 播放失败音效
     this.audioManager.playBGM('defeat');
 
-    console.log('[DirectionGame] 死局！');
+    console.log(`[DirectionGame] 失败：${reason}`);
+  }
+
+  /**
+   * 限步 / 限时关卡：推进倒计时，限额用完时判负
+   * 倒计时只在对局进行中推进，方块入场、道具动画播放、弹窗打开期间暂停
+   */
+  updateLevelLimits() {
+    const databus = GameGlobal.databus;
+    const now = Date.now();
+    const delta = this.lastTimerTick ? Math.min(MAX_TIMER_TICK_MS, now - this.lastTimerTick) : 0;
+    this.lastTimerTick = now;
+
+    if (!databus.isPlaying || databus.isSpawning || this.propAnimation || this.modalRenderer.currentModal) return;
+
+    if (databus.getMovesRemaining() <= 0) {
+      this.onDefeat('moves');
+      return;
+    }
+
+    if (databus.timeLimit !== null) {
+      databus.timeUsed += delta;
+      if (databus.getTimeRemaining() <= 0) this.onDefeat('time');
+    }
   }
 
   /**
@@ -816,6 +1982,10 @@ export default class DirectionGame {
     // 更新弹窗动画
     this.modalRenderer.update();
 
+    if (this.state === 'levelMap') {
+      this.levelMapRenderer.update();
+    }
+
     if (this.state === 'playing') {
       // 更新所有方块
       databus.blocks.forEach(block => {
@@ -828,6 +1998,25 @@ export default class DirectionGame {
           databus.isSpawning = false;
         }
       }
+
+      // 道具动画结束后执行收尾（抓走后的胜利与死局检测）
+      this.updatePropAnimation();
+
+      // 失败条件 B：步数上限与倒计时
+      this.updateLevelLimits();
+
+      // 消除、滑动、道具或撤销都会改变历史记录长度，提示随之失效
+      if (this.hint && (this.hint.block.isRemoved || databus.history.length !== this.hint.historySize)) {
+        this.hint = null;
+      }
+
+      // 新手教程步骤与高亮
+      this.updateTutorial();
+
+      // 死局预警横幅显示期间撤销变得不可用时，撤销按钮随之隐藏
+      if (this.modalRenderer.getWarningButton('warningUndo') && !databus.canUndo()) {
+        this.modalRenderer.removeWarningButton('warningUndo');
+      }
     }
   }
 
@@ -841,19 +2030,41 @@ export default class DirectionGame {
     const databus = GameGlobal.databus;
 
     if (this.state === 'menu') {
-      // 绘制菜单界面
-      this.menuRenderer.render(ctx);
+      // 绘制菜单界面（今日挑战未开局时入口显示红点）
+      this.menuRenderer.render(ctx, { dailyPending: !this.dailyChallenge.hasAttempted(DailyChallenge.today()) });
+      this.modalRenderer.render(ctx, databus);
+    } else if (this.state === 'levelMap') {
+      // 绘制关卡地图（含生成中的 Toast）
+      this.levelMapRenderer.render(ctx, databus);
+      this.modalRenderer.render(ctx, databus);
+    } else if (this.state === 'editor') {
+      // 绘制关卡编辑器（含提示 Toast 与确认弹窗）
+      this.editorRenderer.render(ctx, this.levelEditor);
+      this.modalRenderer.render(ctx, databus);
+    } else if (this.state === 'daily') {
+      // 绘制每日挑战日历（含生成中的 Toast）
+      this.dailyCalendarRenderer.render(ctx, this.dailyChallenge);
+      this.modalRenderer.render(ctx, databus);
     } else if (this.state === 'playing' || this.state === 'victory' || this.state === 'defeat') {
       // 绘制游戏界面（传递道具模式状态）
       this.gameRenderer.render(ctx, databus, this.propMode);
 
-      // 绘制方块（包括正在滑出的方块）
-      databus.blocks.forEach(block => {
-        // 只要方块可见就渲染（让滑出动画完整播放）
-        if (block.visible) {
-          BlockRenderer.render(ctx, block);
-        }
-      });
+      // 绘制提示与教程高亮（光晕衬在方块下方）
+      const tutorial = this.state === 'playing' ? this.tutorial : null;
+      if (this.state === 'playing') {
+        this.gameRenderer.drawHint(ctx, this.hint);
+        if (tutorial) this.gameRenderer.drawHint(ctx, tutorial.highlight);
+      }
+
+      // 绘制方块（包括正在滑出的方块，纯色模式由 GameRenderer 决定）
+      this.gameRenderer.drawBlocks(ctx, databus.blocks);
+
+      // 绘制教程横幅（方块入场结束后）
+      if (tutorial && !databus.isSpawning) {
+        const step = TUTORIAL_STEPS[tutorial.step];
+        this.gameRenderer.drawTutorial(ctx, { title: t(step.title), message: t(step.message) },
+          tutorial.highlight && tutorial.highlight.block);
+      }
 
       // 绘制弹窗
       this.modalRenderer.render(ctx, databus);
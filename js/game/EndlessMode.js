@@ -0,0 +1,153 @@
+/**
+ * 无尽模式（补位与难度曲线）
+ * 棋盘不会被清空：每消除一个方块，就用逆向填空的插入步骤（ReverseLevelGenerator.tryInsertBlock /
+ * simulateSlide）从棋盘边缘滑入新方块补位，直到死局为止。
+ *
+ * 补位不会破坏可解性：新方块滑入后朝外的路径畅通，先消除它即回到补位前的局面，
+ * 因此补位前可解的棋盘补位后仍然可解，死局只来自玩家的消除顺序。
+ *
+ * 难度随已消除方块数上升：在场方块目标数增加、深度因子变大（更倾向插入缝隙、形成深层依赖）、动物种类增多。
+ */
+import ReverseLevelGenerator from '../../workers/generator/ReverseLevelGenerator';
+import { MAIN_ANIMAL_TYPES, getBoardRect } from '../ui/UIConstants';
+
+// 方块短边（与第 2 关起的密集棋盘一致）
+const BLOCK_SIZE = 16;
+
+// 难度在消除这么多方块后达到上限
+const RAMP_BLOCKS = 200;
+
+// 在场方块数上限占网格容量的比例
+const MAX_FILL_RATE = 0.7;
+
+// 每次消除后最多补入的方块数（目标数上升时需要多于 1 个）
+const REFILL_PER_CLEAR = 2;
+
+// 连续插入失败次数上限（每次 tryInsertBlock 内部已尝试多个入射点）
+const MAX_INSERT_FAILURES = 3;
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export default class EndlessMode {
+  static BLOCK_SIZE = BLOCK_SIZE;
+
+  /**
+   * @param {number} screenWidth
+   * @param {number} screenHeight
+   * @param {number} [seed] - 补位随机种子，缺省取当前时间
+   */
+  constructor(screenWidth, screenHeight, seed) {
+    this.screenWidth = screenWidth;
+    this.screenHeight = screenHeight;
+
+    const fixedSeed = ReverseLevelGenerator.normalizeSeed(seed);
+    this.seed = fixedSeed !== null ? fixedSeed : ReverseLevelGenerator.normalizeSeed(Date.now());
+    this.rand = ReverseLevelGenerator.createSeededRandom(this.seed);
+    this.grid = ReverseLevelGenerator.initializeGrid(BLOCK_SIZE, getBoardRect(screenWidth, screenHeight));
+
+    // 本局已消除方块数（计分）
+    this.cleared = 0;
+  }
+
+  /**
+   * 已消除 cleared 个方块时的难度参数
+   */
+  static getParams(cleared) {
+    const progress = Math.min(1, cleared / RAMP_BLOCKS);
+    return {
+      targetActive: Math.round(lerp(24, 60, progress)),
+      depthFactor: lerp(0.3, 0.95, progress),
+      animalTypes: progress < 0.3 ? 3 : progress < 0.7 ? 4 : 5,
+      useEdgeEntries: true,
+      directionMixTarget: { up: 0.25, right: 0.25, down: 0.25, left: 0.25 }
+    };
+  }
+
+  /**
+   * 开局棋盘：从空棋盘逐个滑入方块（插入顺序的逆序即一个可行的消除顺序）
+   * @returns {{ blocks: Array, total: number, seed: number }} 与生成器输出格式一致
+   */
+  createInitialLevel() {
+    const blocks = this.fill([], Infinity);
+    console.log(`[EndlessMode] 开局 ${blocks.length} 个方块，种子: ${this.seed}`);
+    return { blocks, total: blocks.length, seed: this.seed };
+  }
+
+  /**
+   * 记录消除并补位
+   * @param {number} count - 本次消除的方块数
+   * @param {Array} activeBlocks - 场上未消除的方块（Block 实例）
+   * @returns {Array} 新方块数据（与生成器输出格式一致）
+   */
+  onBlocksCleared(count, activeBlocks) {
+    this.cleared += count;
+    return this.fill(activeBlocks, REFILL_PER_CLEAR * count);
+  }
+
+  /**
+   * 不限数量地把棋盘补满（棋盘被清空时使用，不计消除数）
+   * @param {Array} activeBlocks - 场上未消除的方块（Block 实例）
+   * @returns {Array} 新方块数据
+   */
+  refillBoard(activeBlocks) {
+    return this.fill(activeBlocks, Infinity);
+  }
+
+  /**
+   * 按当前难度把棋盘补到目标方块数
+   * @param {Array} activeBlocks - 场上方块
+   * @param {number} limit - 本次最多补入的方块数
+   */
+  fill(activeBlocks, limit) {
+    const params = EndlessMode.getParams(this.cleared);
+    const grid = this.grid;
+    const target = Math.min(params.targetActive, Math.floor(grid.maxPossibleBlocks * MAX_FILL_RATE));
+
+    // 用方块的逻辑状态（滑动中的方块取终点）重建网格占用
+    ReverseLevelGenerator.resetGridOccupancy(grid);
+    const placed = activeBlocks.map((block, index) => {
+      const state = block.captureState();
+      const data = {
+        _id: index,
+        x: state.x,
+        y: state.y,
+        width: block.width,
+        height: block.height,
+        direction: state.direction,
+        axis: block.axis,
+        gridRow: state.gridRow,
+        gridCol: state.gridCol
+      };
+      ReverseLevelGenerator.occupyBlockCells(grid, data);
+      return data;
+    });
+
+    const added = [];
+    let failures = 0;
+    while (placed.length < target && added.length < limit && failures < MAX_INSERT_FAILURES) {
+      const result = ReverseLevelGenerator.tryInsertBlock(
+        grid,
+        placed,
+        this.rand,
+        params.depthFactor,
+        BLOCK_SIZE,
+        this.screenWidth,
+        this.screenHeight,
+        null,
+        params
+      );
+      if (!result) {
+        failures++;
+        continue;
+      }
+
+      const block = result.block;
+      block.type = MAIN_ANIMAL_TYPES[Math.floor(this.rand() * params.animalTypes)];
+      ReverseLevelGenerator.occupyBlockCells(grid, block);
+      placed.push(block);
+      added.push(block);
+    }
+
+    return added;
+  }
+}
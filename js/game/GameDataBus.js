@@ -10,17 +10,174 @@ import Pool from '../base/pool';
 
 let instance;
 
+// 存档键：主存档 + 备份槽（最近一次校验通过的存档）
+const SAVE_KEY = 'gameProgress';
+const BACKUP_KEY = 'gameProgressBackup';
+
+/**
+ * 存档迁移（按版本升序执行）
+ * 旧存档（无 schemaVersion 的裸对象）视为版本 0；新增持久化字段时追加一条迁移并提升版本号
+ */
+const SAVE_MIGRATIONS = [
+  {
+    // v1：旧版单一洗牌道具 shuffle 并入洗牌（位置）
+    version: 1,
+    migrate(data) {
+      const items = { ...(data.items || {}) };
+      if (items.shuffle > 0 && !(items.shufflePos > 0)) {
+        items.shufflePos = items.shuffle;
+      }
+      delete items.shuffle;
+      return { ...data, items };
+    }
+  },
+  {
+    // v2：关卡记录补全为完整字段（早期记录只有 stars/bestMoves）
+    version: 2,
+    migrate(data) {
+      const levels = {};
+      for (const key in data.levels || {}) {
+        levels[key] = normalizeLevelRecord(data.levels[key]);
+      }
+      return { ...data, levels };
+    }
+  },
+  {
+    // v3：无尽模式最佳成绩
+    version: 3,
+    migrate(data) {
+      return { ...data, endless: { bestRuns: [], totalRuns: 0, ...data.endless } };
+    }
+  }
+];
+
+// 无尽模式保留的最佳成绩条数
+const ENDLESS_BEST_RUNS = 5;
+
+const SAVE_SCHEMA_VERSION = SAVE_MIGRATIONS[SAVE_MIGRATIONS.length - 1].version;
+
+/**
+ * 新存档的道具数量
+ */
+function createDefaultItems() {
+  return {
+    grab: 3,          // 抓走道具
+    flip: 2,          // 翻转道具
+    shufflePos: 1,    // 洗牌道具（位置）
+    shuffleDir: 1,    // 洗牌道具（方向）
+    hint: 2           // 提示道具
+  };
+}
+
+/**
+ * 空的每日挑战记录
+ */
+function createEmptyDaily() {
+  return { records: {}, streak: 0, bestStreak: 0, lastCompleted: null };
+}
+
+/**
+ * 补全每日挑战记录字段（无效数据视为空记录）
+ */
+function normalizeDailyData(daily) {
+  if (!daily || typeof daily !== 'object' || !daily.records || typeof daily.records !== 'object') {
+    return createEmptyDaily();
+  }
+  return {
+    records: { ...daily.records },
+    streak: Number.isFinite(daily.streak) ? daily.streak : 0,
+    bestStreak: Number.isFinite(daily.bestStreak) ? daily.bestStreak : 0,
+    lastCompleted: typeof daily.lastCompleted === 'string' ? daily.lastCompleted : null
+  };
+}
+
+/**
+ * 补全关卡记录字段
+ */
+function normalizeLevelRecord(record) {
+  const stars = Number.isFinite(record && record.stars) ? record.stars : 0;
+  return {
+    completed: stars > 0,
+    stars,
+    bestMoves: null,
+    bestTime: null,
+    propsUsed: null,
+    attempts: 0,
+    seed: null,
+    ...record
+  };
+}
+
+/**
+ * 键排序后的 JSON（存储层不保证对象键顺序，校验和需与顺序无关）
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * 存档校验和（FNV-1a 32 位）
+ */
+function computeChecksum(data) {
+  const text = stableStringify(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
 export default class GameDataBus {
   blocks = [];              // 当前关卡的所有方块
   totalBlocks = 0;          // 方块总数
   removedBlocks = 0;        // 已消除方块数
   currentLevel = 1;         // 当前关卡
+  levelSeed = null;         // 当前关卡的生成种子（用于复现棋盘）
+  levelTitle = null;        // 顶部标题（为空时显示"第 N 关"，如每日挑战）
   unlockedLevels = 1;       // 已解锁关卡
   isPlaying = false;        // 游戏进行中
   isDeadlock = false;       // 是否死局
+  defeatReason = null;      // 本局失败原因（见 DirectionGame.onDefeat），未失败时为 null
   isSpawning = false;       // 关卡生成动画中
   pool = new Pool();         // 对象池
 
+  // 撤销（PRD 6.5）
+  history = [];             // 操作历史栈（每条记录可逆）
+  undoLimit = 3;            // 本关撤销次数上限（由关卡元数据配置）
+  undoUsed = 0;             // 本关已撤销次数
+
+  // 失败条件 B（PRD 3.2，见 LevelRules）：null 表示本关不限制
+  moveLimit = null;         // 本关最大操作步数
+  timeLimit = null;         // 本关倒计时（毫秒）
+  timeUsed = 0;             // 本关已计时（毫秒，暂停期间不计）
+
+  // 本关统计
+  moves = 0;                // 本关操作步数（每条可撤销操作计一步）
+  propsUsed = 0;            // 本关消耗的道具数（撤销返还的不计）
+  levelStartTime = 0;       // 本关开始时间戳
+  attemptRecorded = false;  // 本局是否已计入挑战次数（失败后用道具续玩不重复计数）
+  lastResult = null;        // 最近一次通关结果（胜利弹窗展示新纪录）
+
+  // 每关记录（PRD 9.1）：{ [关卡号]: { completed, stars, bestMoves, bestTime, propsUsed, attempts, seed } }
+  levels = {};
+
+  // 无尽模式：{ bestRuns: [{ cleared, moves, time, seed, startedAt }]（按消除数降序）, totalRuns }
+  endless = { bestRuns: [], totalRuns: 0 };
+
+  // 每日挑战（见 DailyChallenge）：{ records: { 'YYYY-MM-DD': { completed, moves, time, stars } }, streak, bestStreak, lastCompleted }
+  daily = createEmptyDaily();
+
+  // 死局预警：每次消除后分析剩余棋盘，不用道具已无解时提前提示（可关闭）
+  doomWarning = true;
+
   // 道具数量（PRD v1.3: 4种道具）
   // 注意：移到构造函数中初始化，避免类属性被意外修改
   items = null;
@@ -29,14 +186,8 @@ export default class GameDataBus {
     if (instance) return instance;
     instance = this;
 
-    // 在构造函数中初始化道具默认值
-    this.items = {
-      grab: 3,          // 抓走道具
-      flip: 2,          // 翻转道具
-      shufflePos: 1,    // 洗牌道具（位置）
-      shuffleDir: 1,    // 洗牌道具（方向）
-      shuffle: 1        // 兼容旧版本
-    };
+    // 在构造函数中初始化道具默认值（旧版 shuffle 由存档迁移 v1 并入 shufflePos）
+    this.items = createDefaultItems();
   }
 
   /**
@@ -46,9 +197,154 @@ export default class GameDataBus {
     this.blocks = [];
     this.totalBlocks = 0;
     this.removedBlocks = 0;
+    this.levelSeed = null;
     this.isPlaying = false;
     this.isDeadlock = false;
+    this.defeatReason = null;
     this.isSpawning = false;
+    this.history = [];
+    this.undoUsed = 0;
+    this.moveLimit = null;
+    this.timeLimit = null;
+    this.timeUsed = 0;
+    this.moves = 0;
+    this.propsUsed = 0;
+    this.levelStartTime = Date.now();
+    this.attemptRecorded = false;
+  }
+
+  /**
+   * 记录一条可撤销的操作
+   * @param {Object} entry - { type, snapshots: [{ block, state }], removed, item }
+   */
+  pushHistory(entry) {
+    this.history.push(entry);
+    this.moves++;
+  }
+
+  /**
+   * 弹出最近一条操作记录
+   */
+  popHistory() {
+    return this.history.pop() || null;
+  }
+
+  /**
+   * 本关剩余撤销次数
+   */
+  getUndoRemaining() {
+    if (!Number.isFinite(this.undoLimit)) return Infinity;
+    return Math.max(0, this.undoLimit - this.undoUsed);
+  }
+
+  /**
+   * 当前是否可以撤销
+   */
+  canUndo() {
+    return this.history.length > 0 && this.getUndoRemaining() > 0;
+  }
+
+  /**
+   * 本关剩余步数（不限步数时为 Infinity）
+   */
+  getMovesRemaining() {
+    if (this.moveLimit === null) return Infinity;
+    return Math.max(0, this.moveLimit - this.moves);
+  }
+
+  /**
+   * 本关剩余时间（毫秒，不限时时为 Infinity）
+   */
+  getTimeRemaining() {
+    if (this.timeLimit === null) return Infinity;
+    return Math.max(0, this.timeLimit - this.timeUsed);
+  }
+
+  /**
+   * 本关星级：不用道具、不撤销 3 星；辅助（道具 + 撤销）不超过 2 次 2 星；否则 1 星
+   */
+  getStarRating() {
+    const assists = this.propsUsed + this.undoUsed;
+    if (assists === 0) return 3;
+    if (assists <= 2) return 2;
+    return 1;
+  }
+
+  /**
+   * 获取关卡记录
+   * @returns {{ completed: boolean, stars: number, bestMoves: number|null, bestTime: number|null,
+   *   propsUsed: number|null, attempts: number, seed: number|null }|null}
+   */
+  getLevelRecord(level) {
+    return this.levels[level] || null;
+  }
+
+  /**
+   * 本局计入挑战次数（每局只计一次）
+   */
+  countAttempt(record) {
+    if (!this.attemptRecorded) {
+      record.attempts++;
+      this.attemptRecorded = true;
+    }
+  }
+
+  /**
+   * 记录通关结果：星级取最高，步数/用时/道具数取最少，种子记为本次通关的棋盘
+   * @param {number} level - 关卡号
+   * @param {Object} result - { moves, time, propsUsed, stars, seed }
+   * @returns {Object} 本次结果，附 firstClear 与 newRecords（{ stars, moves, time }）标记
+   */
+  recordVictory(level, result) {
+    const record = normalizeLevelRecord(this.levels[level]);
+    const firstClear = !record.completed;
+    const isLess = (value, best) => best === null || value < best;
+
+    const newRecords = {
+      stars: !firstClear && result.stars > record.stars,
+      moves: !firstClear && isLess(result.moves, record.bestMoves),
+      time: !firstClear && isLess(result.time, record.bestTime)
+    };
+
+    this.countAttempt(record);
+    record.completed = true;
+    record.stars = Math.max(record.stars, result.stars);
+    if (isLess(result.moves, record.bestMoves)) record.bestMoves = result.moves;
+    if (isLess(result.time, record.bestTime)) record.bestTime = result.time;
+    if (isLess(result.propsUsed, record.propsUsed)) record.propsUsed = result.propsUsed;
+    record.seed = Number.isFinite(result.seed) ? result.seed : record.seed;
+    this.levels[level] = record;
+
+    this.lastResult = { level, ...result, firstClear, newRecords };
+    return this.lastResult;
+  }
+
+  /**
+   * 记录失败（仅累计挑战次数）
+   */
+  recordDefeat(level) {
+    const record = normalizeLevelRecord(this.levels[level]);
+    this.countAttempt(record);
+    this.levels[level] = record;
+  }
+
+  /**
+   * 记录一局无尽模式（死局时调用；用道具续玩后再次死局时按 startedAt 更新同一局）
+   * @param {Object} run - { cleared, moves, time, seed, startedAt }
+   * @returns {{ rank: number, isBest: boolean }} rank 为进入最佳榜的名次（从 1 开始），未上榜为 0
+   */
+  recordEndlessRun(run) {
+    const runs = this.endless.bestRuns.filter(item => item.startedAt !== run.startedAt);
+    if (runs.length === this.endless.bestRuns.length) {
+      this.endless.totalRuns++;
+    }
+
+    runs.push({ ...run });
+    runs.sort((a, b) => b.cleared - a.cleared || a.time - b.time);
+    this.endless.bestRuns = runs.slice(0, ENDLESS_BEST_RUNS);
+
+    const rank = this.endless.bestRuns.findIndex(item => item.startedAt === run.startedAt) + 1;
+    return { rank, isBest: rank === 1 };
   }
 
   /**
@@ -79,17 +375,33 @@ export default class GameDataBus {
 
   /**
    * 保存进度到本地
+   * 存档格式：{ schemaVersion, checksum, data }
+   * 写入后读回校验，通过才更新备份槽：写坏的主存档不会覆盖上一份完好的备份
    */
   saveProgress() {
     const data = {
       unlockedLevels: this.unlockedLevels,
       currentLevel: this.currentLevel,
       items: this.items,
+      doomWarning: this.doomWarning,
+      levels: this.levels,
+      endless: this.endless,
+      daily: this.daily,
       lastPlayed: Date.now()
     };
 
     try {
-      wx.setStorageSync('gameProgress', data);
+      const save = {
+        schemaVersion: SAVE_SCHEMA_VERSION,
+        checksum: computeChecksum(data),
+        data
+      };
+      wx.setStorageSync(SAVE_KEY, save);
+      if (!this.readSave(wx.getStorageSync(SAVE_KEY))) {
+        console.warn('[GameDataBus] 存档写入后校验失败，保留原备份');
+        return;
+      }
+      this.writeBackup(save, data);
       console.log('[GameDataBus] 进度保存成功', {
         unlockedLevels: data.unlockedLevels,
         currentLevel: data.currentLevel,
@@ -100,41 +412,153 @@ export default class GameDataBus {
     }
   }
 
+  /**
+   * 重置进度：关卡进度、关卡记录、道具、无尽模式成绩与每日挑战记录恢复为新存档，死局预警等偏好保留
+   * 先清除备份槽再保存（保存时写入重置后的备份），避免主存档损坏时恢复出重置前的进度
+   */
+  resetProgress() {
+    this.unlockedLevels = 1;
+    this.currentLevel = 1;
+    this.levels = {};
+    this.endless = { bestRuns: [], totalRuns: 0 };
+    this.daily = createEmptyDaily();
+    this.items = createDefaultItems();
+
+    try {
+      wx.removeStorageSync(BACKUP_KEY);
+    } catch (e) {
+      console.error('[GameDataBus] 清除备份失败', e);
+    }
+    this.saveProgress();
+    console.log('[GameDataBus] 进度已重置');
+  }
+
   /**
    * 从本地加载进度
+   * 主存档损坏（校验和不符、无法迁移）时回退到备份槽，并用备份覆盖主存档
    */
   loadProgress() {
     try {
-      const data = wx.getStorageSync('gameProgress');
+      const raw = wx.getStorageSync(SAVE_KEY);
+      if (!raw) {
+        console.log('[GameDataBus] 无存档记录，使用默认值', {
+          items: this.items
+        });
+        return;
+      }
+
+      const data = this.readSave(raw);
       if (data) {
-        this.unlockedLevels = data.unlockedLevels || 1;
-        this.currentLevel = data.currentLevel || 1;
-
-        // 合并道具数据，只保留大于0的值（避免用0覆盖默认值）
-        if (data.items) {
-          for (const key in data.items) {
-            // 只合并有效的正值，确保不会用0或负数覆盖默认值
-            if (data.items[key] > 0 && this.items.hasOwnProperty(key)) {
-              this.items[key] = data.items[key];
-            }
-          }
+        this.applyProgress(data);
+        // 校验通过的存档写入备份槽（迁移过的旧存档同时升级主存档）
+        this.writeBackup(raw, data);
+        if (raw.schemaVersion !== SAVE_SCHEMA_VERSION) {
+          this.saveProgress();
         }
+        return;
+      }
 
-        console.log('[GameDataBus] 进度加载成功', {
-          unlockedLevels: this.unlockedLevels,
-          currentLevel: this.currentLevel,
-          items: this.items
-        });
+      console.warn('[GameDataBus] 存档已损坏，尝试从备份恢复');
+      const backup = this.readSave(wx.getStorageSync(BACKUP_KEY));
+      if (backup) {
+        this.applyProgress(backup);
+        this.saveProgress();
+        console.log('[GameDataBus] 已从备份恢复存档');
       } else {
-        console.log('[GameDataBus] 无存档记录，使用默认值', {
-          items: this.items
-        });
+        console.warn('[GameDataBus] 备份不可用，使用默认值');
       }
     } catch (e) {
       console.error('[GameDataBus] 加载失败', e);
     }
   }
 
+  /**
+   * 解析存档：校验完整性并迁移到当前版本
+   * @returns {Object|null} 当前版本的存档数据，损坏时返回 null
+   */
+  readSave(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    // 旧版裸对象存档（无版本、无校验和）
+    let version = 0;
+    let data = raw;
+
+    if (raw.schemaVersion !== undefined) {
+      version = raw.schemaVersion;
+      data = raw.data;
+      if (!Number.isInteger(version) || version > SAVE_SCHEMA_VERSION || !data || typeof data !== 'object') {
+        console.warn(`[GameDataBus] 存档版本无效: ${raw.schemaVersion}`);
+        return null;
+      }
+      if (raw.checksum !== computeChecksum(data)) {
+        console.warn('[GameDataBus] 存档校验和不匹配');
+        return null;
+      }
+    }
+
+    try {
+      for (const migration of SAVE_MIGRATIONS) {
+        if (migration.version > version) {
+          data = migration.migrate(data);
+          console.log(`[GameDataBus] 存档迁移: v${version} -> v${migration.version}`);
+          version = migration.version;
+        }
+      }
+    } catch (e) {
+      console.warn('[GameDataBus] 存档迁移失败', e);
+      return null;
+    }
+
+    return data;
+  }
+
+  /**
+   * 将校验通过的存档写入备份槽
+   */
+  writeBackup(raw, data) {
+    try {
+      wx.setStorageSync(BACKUP_KEY, raw.schemaVersion === SAVE_SCHEMA_VERSION
+        ? raw
+        : { schemaVersion: SAVE_SCHEMA_VERSION, checksum: computeChecksum(data), data });
+    } catch (e) {
+      console.error('[GameDataBus] 备份失败', e);
+    }
+  }
+
+  /**
+   * 将存档数据应用到当前状态
+   */
+  applyProgress(data) {
+    this.unlockedLevels = data.unlockedLevels || 1;
+    this.currentLevel = data.currentLevel || 1;
+    if (typeof data.doomWarning === 'boolean') {
+      this.doomWarning = data.doomWarning;
+    }
+    if (data.levels && typeof data.levels === 'object') {
+      this.levels = { ...data.levels };
+    }
+    if (data.endless && Array.isArray(data.endless.bestRuns)) {
+      this.endless = { bestRuns: data.endless.bestRuns.slice(), totalRuns: data.endless.totalRuns || 0 };
+    }
+    this.daily = normalizeDailyData(data.daily);
+
+    // 合并道具数据，只保留大于0的值（避免用0覆盖默认值）
+    if (data.items) {
+      for (const key in data.items) {
+        // 只合并有效的正值，确保不会用0或负数覆盖默认值
+        if (data.items[key] > 0 && this.items.hasOwnProperty(key)) {
+          this.items[key] = data.items[key];
+        }
+      }
+    }
+
+    console.log('[GameDataBus] 进度加载成功', {
+      unlockedLevels: this.unlockedLevels,
+      currentLevel: this.currentLevel,
+      items: this.items
+    });
+  }
+
   /**
    * 使用道具
    */
@@ -146,6 +570,7 @@ export default class GameDataBus {
 
     if (this.items[itemType] > 0) {
       this.items[itemType]--;
+      this.propsUsed++;
       console.log(`[GameDataBus] 使用道具: ${itemType}, 剩余: ${this.items[itemType]}`);
       this.saveProgress();
       return true;
@@ -0,0 +1,212 @@
+/**
+ * 游戏设置（振动、语言、背景主题、纯色模式、配色方案与方向标记）与新手教程是否已完成
+ * 音量与音乐/音效开关由 AudioManager 保存在 audioSettings，死局预警随存档保存在 GameDataBus，
+ * 这里保存其余偏好。重置进度不影响设置。
+ *
+ * 存储：{ version, haptics, language, background, pureColor, palette, directionGlyphs, tutorialDone }
+ */
+import { BACKGROUND_THEMES } from '../ui/BackgroundThemes';
+import { COLOR_PALETTES } from '../ui/UIConstants';
+import { LANGUAGES, t } from '../ui/Strings';
+
+// 存储键
+const STORAGE_KEY = 'gameSettings';
+
+// 存储格式版本
+const STORAGE_VERSION = 1;
+
+export default class GameSettings {
+  constructor() {
+    this.data = this.load();
+  }
+
+  /**
+   * 是否开启振动反馈
+   */
+  get haptics() {
+    return this.data.haptics;
+  }
+
+  /**
+   * 界面语言 id（见 Strings.LANGUAGES）
+   */
+  get language() {
+    return this.data.language;
+  }
+
+  /**
+   * 切换到下一种语言
+   * @returns {string} 切换后的语言 id
+   */
+  cycleLanguage() {
+    const index = LANGUAGES.findIndex(lang => lang.id === this.data.language);
+    this.data.language = LANGUAGES[(index + 1) % LANGUAGES.length].id;
+    this.save();
+    return this.data.language;
+  }
+
+  /**
+   * 当前语言的显示名称（始终用该语言自己的写法）
+   */
+  getLanguageName() {
+    const lang = LANGUAGES.find(item => item.id === this.data.language);
+    return lang ? lang.name : LANGUAGES[0].name;
+  }
+
+  /**
+   * 背景主题 id（见 BackgroundThemes）
+   */
+  get background() {
+    return this.data.background;
+  }
+
+  /**
+   * 切换到下一个背景主题
+   * @returns {string} 切换后的主题 id
+   */
+  cycleBackground() {
+    const index = BACKGROUND_THEMES.findIndex(theme => theme.id === this.data.background);
+    this.data.background = BACKGROUND_THEMES[(index + 1) % BACKGROUND_THEMES.length].id;
+    this.save();
+    return this.data.background;
+  }
+
+  /**
+   * 是否开启纯色模式（方块不画动物五官，改为大号方向箭头）
+   */
+  get pureColor() {
+    return this.data.pureColor;
+  }
+
+  /**
+   * 切换纯色模式
+   * @returns {boolean} 切换后的状态
+   */
+  togglePureColor() {
+    this.data.pureColor = !this.data.pureColor;
+    this.save();
+    return this.data.pureColor;
+  }
+
+  /**
+   * 动物配色方案 id（见 UIConstants.COLOR_PALETTES）
+   */
+  get palette() {
+    return this.data.palette;
+  }
+
+  /**
+   * 切换到下一个配色方案
+   * @returns {string} 切换后的方案 id
+   */
+  cyclePalette() {
+    const index = COLOR_PALETTES.findIndex(palette => palette.id === this.data.palette);
+    this.data.palette = COLOR_PALETTES[(index + 1) % COLOR_PALETTES.length].id;
+    this.save();
+    return this.data.palette;
+  }
+
+  /**
+   * 当前配色方案的显示名称（按当前语言）
+   */
+  getPaletteName() {
+    const palette = COLOR_PALETTES.find(item => item.id === this.data.palette) || COLOR_PALETTES[0];
+    return t(`palette.${palette.id}`, null, palette.name);
+  }
+
+  /**
+   * 是否在方块上叠加方向标记
+   */
+  get directionGlyphs() {
+    return this.data.directionGlyphs;
+  }
+
+  /**
+   * 切换方向标记
+   * @returns {boolean} 切换后的状态
+   */
+  toggleDirectionGlyphs() {
+    this.data.directionGlyphs = !this.data.directionGlyphs;
+    this.save();
+    return this.data.directionGlyphs;
+  }
+
+  /**
+   * 新手教程是否已完成（未完成时第 1 关带分步引导）
+   */
+  get tutorialDone() {
+    return this.data.tutorialDone;
+  }
+
+  /**
+   * 标记新手教程完成；设置面板重玩教程时清除
+   */
+  setTutorialDone(done) {
+    this.data.tutorialDone = done;
+    this.save();
+  }
+
+  /**
+   * 切换振动开关
+   * @returns {boolean} 切换后的状态
+   */
+  toggleHaptics() {
+    this.data.haptics = !this.data.haptics;
+    this.save();
+    return this.data.haptics;
+  }
+
+  /**
+   * 短振动（关闭振动或设备不支持时忽略）
+   * @param {string} [type='light'] - heavy / medium / light
+   */
+  vibrate(type = 'light') {
+    if (!this.data.haptics || typeof wx.vibrateShort !== 'function') return;
+    try {
+      wx.vibrateShort({ type });
+    } catch (e) {
+      console.warn('[GameSettings] 振动失败', e);
+    }
+  }
+
+  // ==================== 持久化 ====================
+
+  load() {
+    const defaults = {
+      version: STORAGE_VERSION,
+      haptics: true,
+      language: LANGUAGES[0].id,
+      background: BACKGROUND_THEMES[0].id,
+      pureColor: false,
+      palette: COLOR_PALETTES[0].id,
+      directionGlyphs: false,
+      tutorialDone: false
+    };
+    try {
+      const raw = wx.getStorageSync(STORAGE_KEY);
+      if (raw && raw.version === STORAGE_VERSION) {
+        return {
+          ...defaults,
+          haptics: typeof raw.haptics === 'boolean' ? raw.haptics : defaults.haptics,
+          language: LANGUAGES.some(lang => lang.id === raw.language) ? raw.language : defaults.language,
+          background: BACKGROUND_THEMES.some(theme => theme.id === raw.background) ? raw.background : defaults.background,
+          pureColor: typeof raw.pureColor === 'boolean' ? raw.pureColor : defaults.pureColor,
+          palette: COLOR_PALETTES.some(palette => palette.id === raw.palette) ? raw.palette : defaults.palette,
+          directionGlyphs: typeof raw.directionGlyphs === 'boolean' ? raw.directionGlyphs : defaults.directionGlyphs,
+          tutorialDone: typeof raw.tutorialDone === 'boolean' ? raw.tutorialDone : defaults.tutorialDone
+        };
+      }
+    } catch (e) {
+      console.warn('[GameSettings] 读取设置失败', e);
+    }
+    return defaults;
+  }
+
+  save() {
+    try {
+      wx.setStorageSync(STORAGE_KEY, this.data);
+    } catch (e) {
+      console.error('[GameSettings] 保存设置失败', e);
+    }
+  }
+}
@@ -0,0 +1,299 @@
+/**
+ * 关卡持久化缓存
+ * 把生成好的关卡数据保存到本地存储，冷启动时直接复用，避免重新生成
+ *
+ * - 条目按 (关卡号, 种子, 棋盘尺寸) 区分，同时记录生成器版本与难度参数指纹；
+ *   ReverseLevelGenerator.VERSION 或 getDifficultyParams 变化后旧条目自动失效
+ * - 方块压缩为数组元组，动物类型与轴向用下标表示
+ * - 条目数超过上限时淘汰最久未使用的条目（LRU）
+ *
+ * 存储布局：索引键保存条目元数据与使用顺序，每个条目单独一个键，写入时只改动一个条目。
+ */
+import ReverseLevelGenerator from '../../workers/generator/ReverseLevelGenerator';
+
+// 存储键
+const INDEX_KEY = 'levelCacheIndex';
+const ENTRY_KEY_PREFIX = 'levelCache_';
+
+// 缓存格式版本（压缩格式变化时提升，旧缓存整体丢弃）
+const CACHE_FORMAT_VERSION = 1;
+
+// 默认最多保存的关卡数
+const DEFAULT_MAX_ENTRIES = 16;
+
+// 坐标保留两位小数（亚像素误差不影响渲染与网格判定）
+const COORD_PRECISION = 100;
+
+const AXES = ['row', 'col'];
+
+/**
+ * 字符串哈希（FNV-1a）
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+export default class LevelCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=16] - 最多保存的关卡数
+   */
+  constructor(options = {}) {
+    this.maxEntries = Number.isFinite(options.maxEntries) ? options.maxEntries : DEFAULT_MAX_ENTRIES;
+
+    // 索引：{ version, clock, entries: { key: { level, seed, board, generator, params, usedAt } } }
+    this.index = this.loadIndex();
+    this.pruneInvalid();
+  }
+
+  /**
+   * 生成条目键
+   */
+  static makeKey(levelNumber, seed, screenWidth, screenHeight) {
+    return `${levelNumber}_${seed}_${screenWidth}x${screenHeight}`;
+  }
+
+  /**
+   * 计算关卡难度参数指纹
+   */
+  static getParamsHash(levelNumber) {
+    return hashString(JSON.stringify(ReverseLevelGenerator.getDifficultyParams(levelNumber)));
+  }
+
+  /**
+   * 读取关卡
+   * @param {number} levelNumber - 关卡号
+   * @param {number} screenWidth - 棋盘所在屏幕宽度
+   * @param {number} screenHeight - 棋盘所在屏幕高度
+   * @param {number} [seed] - 指定种子时只命中同种子的条目；不指定时返回该关卡最近保存的条目
+   * @returns {{ blocks: Array, total: number, seed: number }|null}
+   */
+  get(levelNumber, screenWidth, screenHeight, seed) {
+    const key = Number.isFinite(seed)
+      ? LevelCache.makeKey(levelNumber, seed, screenWidth, screenHeight)
+      : this.findLatestKey(levelNumber, screenWidth, screenHeight);
+    const meta = key ? this.index.entries[key] : null;
+    if (!meta || !this.isValid(meta)) return null;
+
+    let levelData = null;
+    try {
+      levelData = this.deserialize(wx.getStorageSync(ENTRY_KEY_PREFIX + key));
+    } catch (e) {
+      console.warn('[LevelCache] 读取缓存失败', e);
+    }
+    if (!levelData) {
+      this.remove(levelNumber, meta.seed, screenWidth, screenHeight);
+      return null;
+    }
+
+    meta.usedAt = ++this.index.clock;
+    this.saveIndex();
+    console.log(`[LevelCache] 命中缓存关卡 ${levelNumber}，种子 ${meta.seed}`);
+    return levelData;
+  }
+
+  /**
+   * 保存关卡
+   * @param {number} levelNumber - 关卡号
+   * @param {Object} levelData - 生成器输出 { blocks, total, seed }
+   * @param {number} screenWidth
+   * @param {number} screenHeight
+   */
+  put(levelNumber, levelData, screenWidth, screenHeight) {
+    if (!levelData || !Number.isFinite(levelData.seed)) return;
+    const entry = this.serialize(levelData);
+    if (!entry) return;
+
+    const key = LevelCache.makeKey(levelNumber, levelData.seed, screenWidth, screenHeight);
+    try {
+      wx.setStorageSync(ENTRY_KEY_PREFIX + key, entry);
+    } catch (e) {
+      console.warn('[LevelCache] 写入缓存失败', e);
+      return;
+    }
+
+    this.index.entries[key] = {
+      level: levelNumber,
+      seed: levelData.seed,
+      board: `${screenWidth}x${screenHeight}`,
+      generator: ReverseLevelGenerator.VERSION,
+      params: LevelCache.getParamsHash(levelNumber),
+      usedAt: ++this.index.clock
+    };
+    this.evict();
+    this.saveIndex();
+  }
+
+  /**
+   * 删除关卡条目
+   */
+  remove(levelNumber, seed, screenWidth, screenHeight) {
+    const key = LevelCache.makeKey(levelNumber, seed, screenWidth, screenHeight);
+    if (!this.index.entries[key]) return;
+    this.removeEntry(key);
+    this.saveIndex();
+  }
+
+  /**
+   * 清空缓存
+   */
+  clear() {
+    Object.keys(this.index.entries).forEach(key => this.removeEntry(key));
+    this.saveIndex();
+  }
+
+  /**
+   * 当前缓存的条目数
+   */
+  get size() {
+    return Object.keys(this.index.entries).length;
+  }
+
+  // ==================== 内部实现 ====================
+
+  /**
+   * 查找关卡最近保存的有效条目
+   */
+  findLatestKey(levelNumber, screenWidth, screenHeight) {
+    const board = `${screenWidth}x${screenHeight}`;
+    let latestKey = null;
+    let latestUsedAt = -1;
+    for (const key in this.index.entries) {
+      const meta = this.index.entries[key];
+      if (meta.level !== levelNumber || meta.board !== board || !this.isValid(meta)) continue;
+      if (meta.usedAt > latestUsedAt) {
+        latestKey = key;
+        latestUsedAt = meta.usedAt;
+      }
+    }
+    return latestKey;
+  }
+
+  /**
+   * 条目是否仍与当前生成器版本、难度参数一致
+   */
+  isValid(meta) {
+    return meta.generator === ReverseLevelGenerator.VERSION &&
+      meta.params === LevelCache.getParamsHash(meta.level);
+  }
+
+  /**
+   * 删除失效条目（生成器升级或难度参数调整后）
+   */
+  pruneInvalid() {
+    const stale = Object.keys(this.index.entries).filter(key => !this.isValid(this.index.entries[key]));
+    if (stale.length === 0) return;
+    stale.forEach(key => this.removeEntry(key));
+    this.saveIndex();
+    console.log(`[LevelCache] 清除失效缓存 ${stale.length} 个`);
+  }
+
+  /**
+   * 超过上限时淘汰最久未使用的条目
+   */
+  evict() {
+    const keys = Object.keys(this.index.entries)
+      .sort((a, b) => this.index.entries[a].usedAt - this.index.entries[b].usedAt);
+    while (keys.length > this.maxEntries) {
+      this.removeEntry(keys.shift());
+    }
+  }
+
+  removeEntry(key) {
+    delete this.index.entries[key];
+    try {
+      wx.removeStorageSync(ENTRY_KEY_PREFIX + key);
+    } catch (e) {
+      console.warn('[LevelCache] 删除缓存失败', e);
+    }
+  }
+
+  loadIndex() {
+    try {
+      const raw = wx.getStorageSync(INDEX_KEY);
+      if (raw && raw.version === CACHE_FORMAT_VERSION && raw.entries && typeof raw.entries === 'object') {
+        return { version: CACHE_FORMAT_VERSION, clock: raw.clock || 0, entries: raw.entries };
+      }
+      if (raw) {
+        // 旧格式缓存：逐个删除条目后重建
+        Object.keys(raw.entries || {}).forEach(key => wx.removeStorageSync(ENTRY_KEY_PREFIX + key));
+      }
+    } catch (e) {
+      console.warn('[LevelCache] 读取缓存索引失败', e);
+    }
+    return { version: CACHE_FORMAT_VERSION, clock: 0, entries: {} };
+  }
+
+  saveIndex() {
+    try {
+      wx.setStorageSync(INDEX_KEY, this.index);
+    } catch (e) {
+      console.warn('[LevelCache] 保存缓存索引失败', e);
+    }
+  }
+
+  /**
+   * 压缩关卡数据
+   * 格式：{ seed, size, types, blocks: [[x, y, direction, typeIndex, axisIndex, gridRow, gridCol], ...] }
+   * 方块尺寸不一致时无法压缩，返回 null
+   */
+  serialize(levelData) {
+    const source = levelData.blocks || [];
+    if (source.length === 0) return null;
+    const size = source[0].size;
+    const types = [];
+    const blocks = [];
+
+    for (const block of source) {
+      if (block.size !== size) return null;
+      let typeIndex = types.indexOf(block.type);
+      if (typeIndex < 0) {
+        typeIndex = types.length;
+        types.push(block.type);
+      }
+      blocks.push([
+        Math.round(block.x * COORD_PRECISION) / COORD_PRECISION,
+        Math.round(block.y * COORD_PRECISION) / COORD_PRECISION,
+        block.direction,
+        typeIndex,
+        AXES.indexOf(block.axis),
+        Number.isFinite(block.gridRow) ? block.gridRow : null,
+        Number.isFinite(block.gridCol) ? block.gridCol : null
+      ]);
+    }
+
+    return { seed: levelData.seed, size, types, blocks };
+  }
+
+  /**
+   * 还原为生成器输出格式，数据损坏时返回 null
+   */
+  deserialize(entry) {
+    if (!entry || !Array.isArray(entry.blocks) || !Array.isArray(entry.types) || entry.blocks.length === 0) {
+      return null;
+    }
+
+    const blocks = [];
+    for (const item of entry.blocks) {
+      if (!Array.isArray(item) || item.length < 7 || entry.types[item[3]] === undefined) return null;
+      const [x, y, direction, typeIndex, axisIndex, gridRow, gridCol] = item;
+      blocks.push({
+        x,
+        y,
+        direction,
+        type: entry.types[typeIndex],
+        size: entry.size,
+        axis: AXES[axisIndex] || null,
+        gridRow,
+        gridCol
+      });
+    }
+
+    return { blocks, total: blocks.length, seed: entry.seed };
+  }
+}
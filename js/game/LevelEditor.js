@@ -0,0 +1,325 @@
+/**
+ * 关卡编辑器（数据与操作）
+ * 在 ReverseLevelGenerator.initializeGrid 的菱形网格上手工摆放多米诺方块：
+ * - 点击空格子放置方块（沿当前朝向的轴占两格），点击方块选中，再次点击旋转朝向
+ * - 每次修改后重新求解（PuzzleSolver）并计算依赖深度（DependencyGraph）
+ * - 可导出/导入关卡 JSON（LevelFormat），或转换为关卡数据交给游戏试玩
+ *
+ * 方块只记录网格坐标、朝向与动物类型，像素坐标在 rebuild() 时由网格换算，
+ * 因此切换方块尺寸时布局保持不变。
+ */
+import ReverseLevelGenerator from '../../workers/generator/ReverseLevelGenerator';
+import DependencyGraph from '../../workers/generator/DependencyGraph';
+import PuzzleSolver from './algorithms/PuzzleSolver';
+import LevelFormat from './LevelFormat';
+import Block, { DIRECTIONS } from './blocks/Block';
+import { BLOCK_SIZES, MAIN_ANIMAL_TYPES, getBoardRect } from '../ui/UIConstants';
+
+// 可选方块尺寸（短边），第一个为默认值
+const BLOCK_SIZE_OPTIONS = [BLOCK_SIZES.WIDTH, 22, 26, 30];
+
+// 实时可解性检查的搜索节点预算（主线程同步执行，与死局预警一致）
+const SOLVER_MAX_NODES = 5000;
+
+const axisOf = (direction) => (direction === DIRECTIONS.UP || direction === DIRECTIONS.DOWN ? 'row' : 'col');
+
+export default class LevelEditor {
+  static BLOCK_SIZE_OPTIONS = BLOCK_SIZE_OPTIONS;
+
+  constructor() {
+    this.screenWidth = canvas.width;
+    this.screenHeight = canvas.height;
+
+    // 方块：{ row, col, direction, type }，(row, col) 为占据的两格中编号较小的一格
+    this.items = [];
+    this.selected = -1;
+
+    // 新方块使用的朝向与动物类型
+    this.direction = DIRECTIONS.UP;
+    this.type = MAIN_ANIMAL_TYPES[0];
+
+    // 由 items 派生：Block 实例（渲染/求解用）与格子占用（cellKey -> 方块下标）
+    this.blocks = [];
+    this.occupancy = new Map();
+
+    // 分析结果：{ status: 'empty' | 'solvable' | 'unsolvable' | 'unknown', moves, depths, maxDepth }
+    this.analysis = null;
+
+    this.blockSize = BLOCK_SIZE_OPTIONS[0];
+    this.grid = null;
+    this.setBlockSize(this.blockSize);
+  }
+
+  /**
+   * 切换方块尺寸（重建网格，放不下的方块被移除）
+   * @returns {number} 被移除的方块数
+   */
+  setBlockSize(blockSize) {
+    this.blockSize = blockSize;
+    this.grid = ReverseLevelGenerator.initializeGrid(blockSize, getBoardRect(this.screenWidth, this.screenHeight));
+
+    const kept = this.items.filter(item => this.getCells(item.row, item.col, axisOf(item.direction)));
+    const dropped = this.items.length - kept.length;
+    this.items = kept;
+    this.selected = -1;
+    this.rebuild();
+    return dropped;
+  }
+
+  /**
+   * 切换到下一个可选尺寸
+   * @returns {number} 被移除的方块数
+   */
+  cycleBlockSize() {
+    const index = BLOCK_SIZE_OPTIONS.indexOf(this.blockSize);
+    return this.setBlockSize(BLOCK_SIZE_OPTIONS[(index + 1) % BLOCK_SIZE_OPTIONS.length]);
+  }
+
+  /**
+   * 点击棋盘
+   * @returns {string|null} 'place' | 'select' | 'rotate' | 'blocked' | 'deselect' | null（未点中网格）
+   */
+  tap(x, y) {
+    const cell = this.findCellAt(x, y);
+    if (!cell) {
+      if (this.selected < 0) return null;
+      this.selected = -1;
+      return 'deselect';
+    }
+
+    const index = this.occupancy.get(cell.key);
+    if (index !== undefined) {
+      if (index === this.selected) {
+        return this.rotateSelected() ? 'rotate' : 'blocked';
+      }
+      this.selected = index;
+      this.direction = this.items[index].direction;
+      return 'select';
+    }
+
+    return this.place(cell.row, cell.col) ? 'place' : 'blocked';
+  }
+
+  /**
+   * 以指定格子为一端放置新方块（另一端优先取编号较大的相邻格）
+   * @returns {boolean} 是否放置成功
+   */
+  place(row, col) {
+    const anchor = this.findAnchor([{ row, col }], this.direction, -1);
+    if (!anchor) return false;
+
+    this.items.push({ row: anchor.row, col: anchor.col, direction: this.direction, type: this.type });
+    this.selected = this.items.length - 1;
+    this.rebuild();
+    return true;
+  }
+
+  /**
+   * 顺时针旋转选中方块；换轴后放不下的朝向会被跳过
+   * 未选中方块时只旋转新方块的朝向
+   * @returns {boolean} 是否旋转成功
+   */
+  rotateSelected() {
+    if (this.selected < 0) {
+      this.direction = (this.direction + 1) % 4;
+      return true;
+    }
+
+    const item = this.items[this.selected];
+    const oldCells = this.getCells(item.row, item.col, axisOf(item.direction));
+    for (let turn = 1; turn < 4; turn++) {
+      const direction = (item.direction + turn) % 4;
+      const anchor = this.findAnchor(oldCells, direction, this.selected);
+      if (!anchor) continue;
+      Object.assign(item, { row: anchor.row, col: anchor.col, direction });
+      this.direction = direction;
+      this.rebuild();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 设置动物类型（同时作用于选中方块）
+   */
+  setType(type) {
+    this.type = type;
+    if (this.selected < 0) return;
+    this.items[this.selected].type = type;
+    this.rebuild();
+  }
+
+  /**
+   * 删除选中方块
+   * @returns {boolean} 是否删除
+   */
+  deleteSelected() {
+    if (this.selected < 0) return false;
+    this.items.splice(this.selected, 1);
+    this.selected = -1;
+    this.rebuild();
+    return true;
+  }
+
+  /**
+   * 清空棋盘
+   */
+  clear() {
+    this.items = [];
+    this.selected = -1;
+    this.rebuild();
+  }
+
+  /**
+   * 选中的 Block 实例
+   */
+  getSelectedBlock() {
+    return this.selected >= 0 ? this.blocks[this.selected] : null;
+  }
+
+  /**
+   * 转换为生成器输出格式的关卡数据（试玩用）
+   * @returns {{ blocks: Array, total: number, seed: null }}
+   */
+  toLevelData() {
+    const blocks = this.items.map((item, index) => this.createBlockData(item, index));
+    return { blocks, total: blocks.length, seed: null };
+  }
+
+  /**
+   * 导出关卡 JSON 字符串
+   * @param {Object} [info] - 见 LevelFormat.serialize
+   */
+  exportJson(info = {}) {
+    return LevelFormat.stringify(this.blocks, info);
+  }
+
+  /**
+   * 导入关卡 JSON（替换当前棋盘）
+   * @returns {{ ok: boolean, errors: Array<string> }}
+   */
+  importJson(input) {
+    const result = LevelFormat.parse(input, this.screenWidth, this.screenHeight, { checkSolvable: false });
+    if (!result.ok) return { ok: false, errors: result.errors };
+
+    this.items = result.level.levelData.blocks.map(block => ({
+      row: block.gridRow,
+      col: block.gridCol,
+      direction: block.direction,
+      type: block.type
+    }));
+    this.setBlockSize(result.level.blockSize);
+    return { ok: true, errors: [] };
+  }
+
+  // ==================== 内部实现 ====================
+
+  /**
+   * 找到离触点最近的网格单元（超出半个格距视为未点中）
+   */
+  findCellAt(x, y) {
+    let best = null;
+    let bestDist = this.grid.step * this.grid.step;
+    for (const cell of this.grid.cells.values()) {
+      const dx = cell.x - x;
+      const dy = cell.y - y;
+      const dist = dx * dx + dy * dy;
+      if (dist < bestDist) {
+        best = cell;
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 方块占据的两个网格单元，任一不在棋盘内时返回 null
+   */
+  getCells(row, col, axis) {
+    const cellA = this.grid.getCell(row, col);
+    const cellB = axis === 'row' ? this.grid.getCell(row + 1, col) : this.grid.getCell(row, col + 1);
+    return cellA && cellB ? [cellA, cellB] : null;
+  }
+
+  /**
+   * 为给定朝向找一个覆盖 preferred 中某个格子、且未被其他方块占用的锚点
+   * @param {Array<{row, col}>} preferred - 希望方块覆盖的格子（按优先级）
+   * @param {number} direction
+   * @param {number} ignoreIndex - 忽略该方块自身的占用（旋转时）
+   */
+  findAnchor(preferred, direction, ignoreIndex) {
+    const axis = axisOf(direction);
+    for (const { row, col } of preferred) {
+      const candidates = axis === 'row'
+        ? [{ row, col }, { row: row - 1, col }]
+        : [{ row, col }, { row, col: col - 1 }];
+      for (const anchor of candidates) {
+        const cells = this.getCells(anchor.row, anchor.col, axis);
+        if (cells && cells.every(cell => this.isFree(cell.key, ignoreIndex))) return anchor;
+      }
+    }
+    return null;
+  }
+
+  isFree(cellKey, ignoreIndex) {
+    const owner = this.occupancy.get(cellKey);
+    return owner === undefined || owner === ignoreIndex;
+  }
+
+  createBlockData(item, index) {
+    const axis = axisOf(item.direction);
+    const [cellA, cellB] = this.getCells(item.row, item.col, axis);
+    const data = ReverseLevelGenerator.createBlockFromCells(cellA, cellB, axis, this.blockSize, item.direction, index, this.grid, 0);
+    data.type = item.type;
+    return data;
+  }
+
+  /**
+   * 由 items 重建占用表与 Block 实例，并重新分析
+   */
+  rebuild() {
+    this.occupancy.clear();
+    this.blocks = this.items.map((item, index) => {
+      this.getCells(item.row, item.col, axisOf(item.direction)).forEach(cell => this.occupancy.set(cell.key, index));
+
+      const data = this.createBlockData(item, index);
+      const block = new Block();
+      block.init(data.x, data.y, data.direction, data.type, data.size);
+      block.axis = data.axis;
+      block.gridRow = data.gridRow;
+      block.gridCol = data.gridCol;
+      return block;
+    });
+    this.analyze();
+  }
+
+  /**
+   * 可解性与依赖深度分析
+   */
+  analyze() {
+    if (this.blocks.length === 0) {
+      this.analysis = { status: 'empty', moves: 0, depths: [], maxDepth: 0 };
+      return;
+    }
+
+    const result = PuzzleSolver.solve(this.blocks, {
+      computeMinProps: false,
+      maxNodes: SOLVER_MAX_NODES,
+      screenWidth: this.screenWidth,
+      screenHeight: this.screenHeight
+    });
+    const graph = DependencyGraph.build(this.blocks, this.screenWidth, this.screenHeight);
+    const depths = this.blocks.map((block, index) => graph.getNodeByIndex(index).depth);
+
+    let status = 'unknown';
+    if (result.solvable) status = 'solvable';
+    else if (result.exact) status = 'unsolvable';
+
+    this.analysis = {
+      status,
+      moves: result.solvable ? result.solution.length : 0,
+      depths,
+      maxDepth: depths.reduce((max, depth) => (Number.isFinite(depth) ? Math.max(max, depth) : max), 0)
+    };
+  }
+}
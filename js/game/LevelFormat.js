@@ -0,0 +1,280 @@
+/**
+ * 关卡 JSON 格式（PRD §15.4）导入/导出
+ *
+ * 格式：
+ * {
+ *   "level_id": 1,
+ *   "name": "第一步",
+ *   "difficulty": "tutorial",          // tutorial / easy / medium / hard
+ *   "block_size": 16,                  // 扩展字段：方块短边（dp），缺省为 BLOCK_SIZES.WIDTH
+ *   "blocks": [
+ *     { "id": 1, "type": "pig", "position": { "x": 0, "y": -1 }, "direction": "up" }
+ *   ],
+ *   "par_moves": 5,
+ *   "hints": ["点击方块，让它飞出屏幕"]
+ * }
+ *
+ * position 使用网格坐标而不是像素：x 为网格列、y 为网格行（方块占据的两个格子中编号较小的一个），
+ * 网格以棋盘中心为原点，因此同一份关卡在不同分辨率下布局一致；屏幕放不下时导入会等比缩小方块。
+ * 方块轴向由朝向决定：up/down 沿行方向占两格，left/right 沿列方向占两格。
+ */
+import ReverseLevelGenerator from '../../workers/generator/ReverseLevelGenerator';
+import LevelGenerator from './algorithms/LevelGenerator';
+import PuzzleSolver from './algorithms/PuzzleSolver';
+import { DIRECTIONS } from './blocks/Block';
+import { ANIMAL_TYPES, BLOCK_SIZES, getBoardRect } from '../ui/UIConstants';
+
+// 朝向名称（下标即 DIRECTIONS 取值）
+const DIRECTION_NAMES = ['up', 'right', 'down', 'left'];
+
+// 难度等级
+const DIFFICULTIES = ['tutorial', 'easy', 'medium', 'hard'];
+
+// 方块短边允许范围（dp）
+const MIN_BLOCK_SIZE = 8;
+const MAX_BLOCK_SIZE = 64;
+
+const isInteger = (value) => Number.isInteger(value);
+
+export default class LevelFormat {
+  static DIRECTION_NAMES = DIRECTION_NAMES;
+  static DIFFICULTIES = DIFFICULTIES;
+
+  /**
+   * 导出：Block 数组（或生成器输出的方块数据）→ 关卡 JSON 对象
+   * 已消除的方块不导出
+   * @param {Array} blocks - 方块数组，需带网格坐标（gridRow/gridCol）
+   * @param {Object} [info]
+   * @param {number} [info.levelId=1] - 关卡编号
+   * @param {string} [info.name] - 关卡名称，缺省为"第 N 关"
+   * @param {string} [info.difficulty='medium'] - 难度等级
+   * @param {number} [info.parMoves] - 推荐步数，缺省时取求解器给出的解的步数
+   * @param {Array<string>} [info.hints] - 提示文案
+   * @returns {Object} 关卡 JSON 对象
+   */
+  static serialize(blocks, info = {}) {
+    const active = (blocks || []).filter(block => block && !block.isRemoved);
+    if (active.length === 0) {
+      throw new Error('没有可导出的方块');
+    }
+
+    const blockSize = active[0].shortSide || active[0].size;
+    const levelId = isInteger(info.levelId) ? info.levelId : 1;
+
+    const items = active.map((block, index) => {
+      if (!Number.isFinite(block.gridRow) || !Number.isFinite(block.gridCol)) {
+        throw new Error(`第 ${index + 1} 个方块缺少网格坐标，无法导出`);
+      }
+      if ((block.shortSide || block.size) !== blockSize) {
+        throw new Error('方块尺寸不一致，无法导出');
+      }
+      return {
+        id: index + 1,
+        type: block.type,
+        position: { x: block.gridCol, y: block.gridRow },
+        direction: DIRECTION_NAMES[block.direction]
+      };
+    });
+
+    return {
+      level_id: levelId,
+      name: typeof info.name === 'string' ? info.name : `第 ${levelId} 关`,
+      difficulty: DIFFICULTIES.includes(info.difficulty) ? info.difficulty : 'medium',
+      block_size: blockSize,
+      blocks: items,
+      par_moves: isInteger(info.parMoves) ? info.parMoves : this.estimateParMoves(active),
+      hints: Array.isArray(info.hints) ? info.hints.slice() : []
+    };
+  }
+
+  /**
+   * 导出为 JSON 字符串
+   */
+  static stringify(blocks, info = {}) {
+    return JSON.stringify(this.serialize(blocks, info), null, 2);
+  }
+
+  /**
+   * 推荐步数：求解器找到的解的点击次数（含滑动），无解时为方块数
+   */
+  static estimateParMoves(blocks) {
+    const result = PuzzleSolver.solve(blocks, { computeMinProps: false });
+    return result.solvable ? result.solution.length : blocks.length;
+  }
+
+  /**
+   * 导入：关卡 JSON（字符串或对象）→ 当前屏幕下的关卡数据
+   * 依次校验字段、棋盘范围、方块重叠与可解性，任何一项失败都拒绝导入
+   * @param {string|Object} input - 关卡 JSON
+   * @param {number} screenWidth - 屏幕宽度
+   * @param {number} screenHeight - 屏幕高度
+   * @param {Object} [options]
+   * @param {boolean} [options.checkSolvable=true] - 是否用精确求解器校验可解
+   * @param {number} [options.solverNodes] - 求解器节点预算
+   * @returns {{ ok: boolean, errors: Array<string>, level: Object|null }}
+   *   level：{ levelId, name, difficulty, blockSize, parMoves, hints, levelData: { blocks, total, seed } }
+   *   levelData 与生成器输出格式一致，可直接交给 LevelManager.createBlockInstances
+   */
+  static parse(input, screenWidth, screenHeight, options = {}) {
+    let json = input;
+    if (typeof input === 'string') {
+      try {
+        json = JSON.parse(input);
+      } catch (e) {
+        return this.reject([`JSON 解析失败：${e.message}`]);
+      }
+    }
+
+    const errors = this.validateFields(json);
+    if (errors.length > 0) return this.reject(errors);
+
+    // 屏幕放不下时逐步缩小方块（网格坐标不变，布局整体等比缩小）
+    const boardRect = getBoardRect(screenWidth, screenHeight);
+    let blockSize = Number.isFinite(json.block_size) ? json.block_size : BLOCK_SIZES.WIDTH;
+    let grid = ReverseLevelGenerator.initializeGrid(blockSize, boardRect);
+    let outside = this.findOutsideBlocks(json.blocks, grid);
+    while (outside.length > 0 && blockSize > MIN_BLOCK_SIZE) {
+      blockSize = Math.max(MIN_BLOCK_SIZE, blockSize - 1);
+      grid = ReverseLevelGenerator.initializeGrid(blockSize, boardRect);
+      outside = this.findOutsideBlocks(json.blocks, grid);
+    }
+    if (outside.length > 0) {
+      const listed = outside.slice(0, 5).map(item => `#${item.id}（${item.position.x},${item.position.y}）`).join('、');
+      const more = outside.length > 5 ? ` 等 ${outside.length} 个方块` : '';
+      return this.reject([`方块 ${listed}${more}超出棋盘（屏幕 ${screenWidth}x${screenHeight}）`]);
+    }
+
+    // 网格坐标 → 像素坐标
+    const blocks = json.blocks.map((item, index) => {
+      const { direction, axis, cells } = this.getItemCells(item, grid);
+      const block = ReverseLevelGenerator.createBlockFromCells(cells[0], cells[1], axis, blockSize, direction, index, grid, 0);
+      block.type = item.type;
+      block.id = item.id;
+      return block;
+    });
+
+    const overlap = LevelGenerator.findOverlap(blocks);
+    if (overlap) {
+      return this.reject([`方块 #${blocks[overlap[0]].id} 与 #${blocks[overlap[1]].id} 重叠`]);
+    }
+
+    if (options.checkSolvable !== false) {
+      const result = PuzzleSolver.solve(blocks, {
+        computeMinProps: false,
+        maxNodes: options.solverNodes,
+        screenWidth,
+        screenHeight
+      });
+      if (!result.solvable) {
+        return this.reject([result.exact
+          ? '关卡无解：不使用道具无法清空棋盘'
+          : `无法确认关卡可解：搜索 ${result.nodes} 个节点后仍未找到解`]);
+      }
+    }
+
+    blocks.forEach(block => { delete block.id; });
+    return {
+      ok: true,
+      errors: [],
+      level: {
+        levelId: json.level_id,
+        name: typeof json.name === 'string' ? json.name : `第 ${json.level_id} 关`,
+        difficulty: json.difficulty || 'medium',
+        blockSize,
+        parMoves: isInteger(json.par_moves) ? json.par_moves : null,
+        hints: Array.isArray(json.hints) ? json.hints.slice() : [],
+        levelData: { blocks, total: blocks.length, seed: null }
+      }
+    };
+  }
+
+  /**
+   * 方块占据的两个网格单元（不在棋盘内的单元为 undefined）
+   */
+  static getItemCells(item, grid) {
+    const direction = DIRECTION_NAMES.indexOf(item.direction);
+    const axis = direction === DIRECTIONS.UP || direction === DIRECTIONS.DOWN ? 'row' : 'col';
+    const row = item.position.y;
+    const col = item.position.x;
+    const cells = axis === 'row'
+      ? [grid.getCell(row, col), grid.getCell(row + 1, col)]
+      : [grid.getCell(row, col), grid.getCell(row, col + 1)];
+    return { direction, axis, cells };
+  }
+
+  /**
+   * 找出超出棋盘网格的方块
+   */
+  static findOutsideBlocks(items, grid) {
+    return items.filter(item => !this.getItemCells(item, grid).cells.every(Boolean));
+  }
+
+  /**
+   * 校验字段类型与取值
+   * @returns {Array<string>} 错误描述
+   */
+  static validateFields(json) {
+    const errors = [];
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      return ['关卡数据必须是 JSON 对象'];
+    }
+
+    if (!isInteger(json.level_id) || json.level_id <= 0) {
+      errors.push('level_id 必须是正整数');
+    }
+    if (json.name !== undefined && typeof json.name !== 'string') {
+      errors.push('name 必须是字符串');
+    }
+    if (json.difficulty !== undefined && !DIFFICULTIES.includes(json.difficulty)) {
+      errors.push(`difficulty 必须是 ${DIFFICULTIES.join(' / ')} 之一`);
+    }
+    if (json.block_size !== undefined &&
+      !(Number.isFinite(json.block_size) && json.block_size >= MIN_BLOCK_SIZE && json.block_size <= MAX_BLOCK_SIZE)) {
+      errors.push(`block_size 必须是 ${MIN_BLOCK_SIZE}-${MAX_BLOCK_SIZE} 之间的数字`);
+    }
+    if (json.par_moves !== undefined && !(isInteger(json.par_moves) && json.par_moves > 0)) {
+      errors.push('par_moves 必须是正整数');
+    }
+    if (json.hints !== undefined && !(Array.isArray(json.hints) && json.hints.every(hint => typeof hint === 'string'))) {
+      errors.push('hints 必须是字符串数组');
+    }
+
+    if (!Array.isArray(json.blocks) || json.blocks.length === 0) {
+      errors.push('blocks 必须是非空数组');
+      return errors;
+    }
+
+    const animalTypes = Object.values(ANIMAL_TYPES);
+    const ids = new Set();
+    json.blocks.forEach((item, index) => {
+      const label = item && item.id !== undefined ? `方块 #${item.id}` : `第 ${index + 1} 个方块`;
+      if (!item || typeof item !== 'object') {
+        errors.push(`${label} 必须是对象`);
+        return;
+      }
+      if (!isInteger(item.id) && typeof item.id !== 'string') {
+        errors.push(`${label}：id 必须是整数或字符串`);
+      } else if (ids.has(item.id)) {
+        errors.push(`${label}：id 重复`);
+      } else {
+        ids.add(item.id);
+      }
+      if (!animalTypes.includes(item.type)) {
+        errors.push(`${label}：未知动物类型 ${JSON.stringify(item.type)}（可选 ${animalTypes.join(', ')}）`);
+      }
+      if (!DIRECTION_NAMES.includes(item.direction)) {
+        errors.push(`${label}：direction 必须是 ${DIRECTION_NAMES.join(' / ')} 之一`);
+      }
+      if (!item.position || !isInteger(item.position.x) || !isInteger(item.position.y)) {
+        errors.push(`${label}：position.x / position.y 必须是整数网格坐标`);
+      }
+    });
+
+    return errors;
+  }
+
+  static reject(errors) {
+    console.warn(`[LevelFormat] 关卡导入失败：${errors.join('；')}`);
+    return { ok: false, errors, level: null };
+  }
+}
@@ -5,8 +5,15 @@
  * 
  * 更新：仅使用 ReverseLevelGenerator（逆向填空算法）
  */
-import ReverseLevelGenerator from './algorithms/ReverseLevelGenerator';
+import ReverseLevelGenerator from '../../workers/generator/ReverseLevelGenerator';
 import Block from './blocks/Block';
+import LevelCache from './LevelCache';
+import LevelPackRegistry from './LevelPackRegistry';
+import { getBoardRect } from '../ui/UIConstants';
+
+// Worker 任务优先级：数值越大越先执行，玩家正在等待的关卡插队到预加载之前
+const PRIORITY_PRELOAD = 0;
+const PRIORITY_CURRENT = 10;
 
 export default class LevelManager {
   constructor() {
@@ -17,17 +24,25 @@ export default class LevelManager {
     
     // 预加载缓存
     this.preloadedLevels = new Map();
+
+    // 持久化缓存：预加载完成的关卡写入本地存储，冷启动时直接复用
+    this.levelCache = new LevelCache();
+
+    // 手工关卡包：收录的关卡号不走生成器
+    this.levelPacks = new LevelPackRegistry();
     
-    // 请求队列
+    // 请求队列（requestId -> { levelNumber, priority, progress, timeoutId }）
     this.pendingRequests = new Map();
     this.requestId = 0;
+    this.batchId = 0;
     
-    // 分帧计算状态
-    this.timeSliceGenerators = new Map(); // 正在进行的分帧生成任务
+    // 分帧计算状态（levelNumber -> { steps, progress }，Map 顺序即执行顺序）
+    this.timeSliceTasks = new Map(); // 正在进行的分帧生成任务
     this.isTimeSlicing = false;
+    this.timeSliceBudgetMs = 8; // 每帧最多执行 8ms，保证 60fps
     
-    // 预加载配置（一次只预加载一个关卡，避免 Worker 排队）
-    this.preloadAhead = 1;
+    // 预加载配置（Worker 按优先级排队，可取消，因此可以多预加载几关）
+    this.preloadAhead = 2;
     
     // Worker 超时时间（增加到 15 秒，给复杂算法足够时间）
     this.workerTimeout = 15000;
@@ -80,35 +95,40 @@ export default class LevelManager {
    * 处理 Worker 消息
    */
   handleWorkerMessage(msg) {
-    if (msg.type === 'levelReady') {
+    if (msg.type === 'progress') {
+      const pending = this.pendingRequests.get(msg.requestId);
+      if (pending) {
+        pending.stage = msg.stage;
+        pending.progress = msg.progress;
+      }
+    } else if (msg.type === 'levelReady') {
       const { requestId, levelNumber, levelData, duration } = msg;
-      console.log(`[LevelManager] Worker 生成关卡 ${levelNumber} 完成，耗时 ${duration}ms`);
       
       // 清除超时定时器
       const pending = this.pendingRequests.get(requestId);
-      if (pending && pending.timeoutId) {
+      if (!pending) {
+        // 请求已在主线程取消，结果在取消消息到达 Worker 前已产出
+        console.log(`[LevelManager] 丢弃已取消的关卡 ${levelNumber}`);
+        return;
+      }
+      console.log(`[LevelManager] Worker 生成关卡 ${levelNumber} 完成，种子 ${levelData.seed}，耗时 ${duration}ms`);
+      if (pending.timeoutId) {
         clearTimeout(pending.timeoutId);
       }
       
-      // 转换为 Block 实例并缓存
-      const result = this.createBlockInstances(levelData);
-      
-      // 附加关卡元数据
-      const params = ReverseLevelGenerator.getDifficultyParams(levelNumber);
-      result.meta = {
-        scale: params.scale || 1.0,
-        showWarning: params.showWarning || false,
-        phaseName: params.phaseName || '',
-        isReliefLevel: params.isReliefLevel || false
-      };
-      
-      this.preloadedLevels.set(levelNumber, result);
+      // 转换为 Block 实例并缓存（独立棋盘只交给调用方，不进入关卡缓存）
+      const result = pending.detached
+        ? this.createBlockInstances(levelData)
+        : this.storePreloadedLevel(levelNumber, levelData);
       
       // 解析等待的 Promise
-      if (pending) {
-        if (pending.resolve) pending.resolve(result);
-        this.pendingRequests.delete(requestId);
-      }
+      if (pending.resolve) pending.resolve(result);
+      this.pendingRequests.delete(requestId);
+    } else if (msg.type === 'cancelled') {
+      this.clearPendingRequest(msg.requestId);
+    } else if (msg.type === 'batchDone') {
+      const { batchId, completed, cancelled, failed } = msg;
+      console.log(`[LevelManager] 预加载批次 ${batchId} 结束：完成 ${completed}，取消 ${cancelled}，失败 ${failed}`);
     } else if (msg.type === 'error') {
       const { requestId, levelNumber, error } = msg;
       console.warn(`[LevelManager] Worker 错误: ${error}，切换到分帧计算`);
@@ -121,80 +141,253 @@ export default class LevelManager {
       // Worker 出错，使用分帧计算
       if (pending) {
         this.pendingRequests.delete(requestId);
-        this.preloadLevelTimeSliced(levelNumber);
+        if (pending.detached) {
+          this.generateDetachedTimeSliced(levelNumber, pending.seed, pending.resolve);
+        } else {
+          this.preloadLevelTimeSliced(levelNumber);
+        }
       }
     }
   }
 
   /**
    * 同步生成关卡（用于即时需要的场景）
+   * @param {number} levelNumber - 关卡号
+   * @param {Object} [options] - { seed } 指定种子时可复现同一棋盘
    */
-  generateLevelSync(levelNumber) {
+  generateLevelSync(levelNumber, options = {}) {
     console.log(`[LevelManager] 同步生成关卡 ${levelNumber}`);
     const startTime = Date.now();
     
     // 选择生成算法
-    const levelData = ReverseLevelGenerator.generate(levelNumber, canvas.width, canvas.height);
+    const levelData = ReverseLevelGenerator.generate(levelNumber, canvas.width, canvas.height, options);
     const result = this.createBlockInstances(levelData);
+
+    // 指定种子的结果可复现，保存后同一种子无需再生成
+    if (Number.isFinite(options.seed)) {
+      this.levelCache.put(levelNumber, levelData, canvas.width, canvas.height);
+    }
     
     // 附加关卡元数据（scale, showWarning 等）
+    result.meta = this.buildLevelMeta(levelNumber);
+    
+    console.log(`[LevelManager] 同步生成完成，耗时 ${Date.now() - startTime}ms，算法: 逆向填空，种子: ${result.seed}`);
+    return result;
+  }
+
+  /**
+   * 构建关卡元数据（scale, showWarning, undoLimit, limitMode 等）
+   */
+  buildLevelMeta(levelNumber) {
     const params = ReverseLevelGenerator.getDifficultyParams(levelNumber);
-    result.meta = {
+    return {
       scale: params.scale || 1.0,
       showWarning: params.showWarning || false,
       phaseName: params.phaseName || '',
-      isReliefLevel: params.isReliefLevel || false
+      isReliefLevel: params.isReliefLevel || false,
+      undoLimit: Number.isFinite(params.undoLimit) ? params.undoLimit : 3,
+      limitMode: params.limitMode || null,
+      // 手工关卡可覆盖 scale / showWarning / phaseName / limitMode
+      ...this.levelPacks.getMeta(levelNumber)
     };
-    
-    console.log(`[LevelManager] 同步生成完成，耗时 ${Date.now() - startTime}ms，算法: 逆向填空`);
-    return result;
   }
 
   /**
-   * 生成关卡（优先使用缓存）
+   * 生成关卡（优先使用手工关卡包，其次缓存）
+   * @param {number} levelNumber - 关卡号
+   * @param {Object} [options] - { seed } 指定种子时仅命中同种子的缓存（手工关卡忽略种子）
    */
-  generateLevel(levelNumber) {
+  generateLevel(levelNumber, options = {}) {
+    const authored = this.createAuthoredLevel(levelNumber);
+    if (authored) return authored;
+
+    const hasSeed = Number.isFinite(options.seed);
+
     // 优先使用缓存
-    if (this.preloadedLevels.has(levelNumber)) {
+    if (this.preloadedLevels.has(levelNumber) || (!hasSeed && this.restoreFromCache(levelNumber))) {
       const cached = this.preloadedLevels.get(levelNumber);
-      this.preloadedLevels.delete(levelNumber);
-      console.log(`[LevelManager] 使用缓存关卡 ${levelNumber}`);
-      return cached;
+      if (!hasSeed || cached.seed === ReverseLevelGenerator.normalizeSeed(options.seed)) {
+        this.preloadedLevels.delete(levelNumber);
+        // 未指定种子的预加载关卡只玩一次（重玩生成新棋盘），同步移出持久化缓存
+        if (!hasSeed) this.levelCache.remove(levelNumber, cached.seed, canvas.width, canvas.height);
+        console.log(`[LevelManager] 使用缓存关卡 ${levelNumber}`);
+        return cached;
+      }
+    }
+
+    // 指定种子：命中持久化缓存时无需重新生成
+    if (hasSeed) {
+      const stored = this.levelCache.get(levelNumber, canvas.width, canvas.height, ReverseLevelGenerator.normalizeSeed(options.seed));
+      if (stored) {
+        const result = this.createBlockInstances(stored);
+        result.meta = this.buildLevelMeta(levelNumber);
+        return result;
+      }
     }
     
-    // 没有缓存，同步生成
-    return this.generateLevelSync(levelNumber);
+    // 没有缓存，同步生成（同一关卡的分帧任务不再需要）
+    if (!hasSeed) this.timeSliceTasks.delete(levelNumber);
+    return this.generateLevelSync(levelNumber, options);
+  }
+
+  /**
+   * 从关卡包创建手工关卡，未收录或加载失败时返回 null
+   * @returns {Object|null} 关卡数据 { blocks, total, seed: null, meta }
+   */
+  createAuthoredLevel(levelNumber) {
+    if (!this.levelPacks.has(levelNumber)) return null;
+    const levelData = this.levelPacks.getLevelData(levelNumber, canvas.width, canvas.height);
+    if (!levelData) return null;
+
+    // 只有关卡包显式写了 meta.scale 才缩放（生成关卡的 scale 已体现在 blockSize 中）
+    const scale = this.levelPacks.getMeta(levelNumber).scale || 1.0;
+    const result = this.createBlockInstances(levelData, scale);
+    result.meta = this.buildLevelMeta(levelNumber);
+    console.log(`[LevelManager] 使用手工关卡 ${levelNumber}${scale !== 1 ? `，缩放 ${scale}` : ''}`);
+    return result;
+  }
+
+  /**
+   * 把生成结果转换为 Block 实例放入预加载缓存，并写入持久化缓存
+   * @returns {Object} 关卡数据 { blocks, total, seed, meta }
+   */
+  storePreloadedLevel(levelNumber, levelData) {
+    const result = this.createBlockInstances(levelData);
+    result.meta = this.buildLevelMeta(levelNumber);
+    this.preloadedLevels.set(levelNumber, result);
+    this.levelCache.put(levelNumber, levelData, canvas.width, canvas.height);
+    return result;
+  }
+
+  /**
+   * 从持久化缓存恢复关卡到预加载缓存
+   * @returns {boolean} 是否命中
+   */
+  restoreFromCache(levelNumber) {
+    const levelData = this.levelCache.get(levelNumber, canvas.width, canvas.height);
+    if (!levelData) return false;
+    const result = this.createBlockInstances(levelData);
+    result.meta = this.buildLevelMeta(levelNumber);
+    this.preloadedLevels.set(levelNumber, result);
+    return true;
   }
 
   /**
-   * 预加载关卡（仅通过 Worker，Worker 不可用时跳过预加载）
+   * 预加载关卡（优先使用 Worker，Worker 不可用时在主线程分帧生成）
    */
   preloadLevel(levelNumber) {
     if (levelNumber <= 0) return;
+    if (this.levelPacks.has(levelNumber)) return;
     if (this.preloadedLevels.has(levelNumber)) return;
+    if (this.restoreFromCache(levelNumber)) return;
     
     // 检查是否已有相同关卡的请求
-    for (const [, pending] of this.pendingRequests) {
-      if (pending.levelNumber === levelNumber) return;
-    }
+    if (this.findPendingRequest(levelNumber)) return;
     
-    // 只使用 Worker 预加载，Worker 不可用时跳过（在 generateLevel 时会同步生成）
     if (this.workerReady && !this.workerFailed && this.worker) {
       this.preloadLevelWorker(levelNumber);
     } else {
-      console.log(`[LevelManager] Worker 不可用，跳过预加载关卡 ${levelNumber}，将在需要时同步生成`);
+      this.preloadLevelTimeSliced(levelNumber);
     }
   }
 
   /**
    * 通过 Worker 预加载关卡
+   * @param {number} levelNumber
+   * @param {Object} [options] - { seed, priority }
    */
-  preloadLevelWorker(levelNumber) {
+  preloadLevelWorker(levelNumber, options = {}) {
     console.log(`[LevelManager] Worker 预加载关卡 ${levelNumber}`);
-    
+
+    const priority = Number.isFinite(options.priority) ? options.priority : PRIORITY_PRELOAD;
+    const requestId = this.createPendingRequest(levelNumber, priority);
+
+    this.worker.postMessage({
+      type: 'generate',
+      requestId,
+      levelNumber,
+      screenWidth: canvas.width,
+      screenHeight: canvas.height,
+      seed: options.seed,
+      priority
+    });
+  }
+
+  /**
+   * 按指定种子生成一个独立棋盘（每日挑战等），不进入预加载与持久化缓存
+   * 优先交给 Worker 以最高优先级生成，Worker 不可用时在主线程分帧生成
+   * @param {number} levelNumber - 决定难度参数的关卡号
+   * @param {Object} options - { seed }
+   * @param {Function} onReady - 生成完成回调，参数为关卡数据 { blocks, total, seed }（不含 meta），失败时为 null
+   */
+  generateDetachedLevel(levelNumber, options, onReady) {
+    if (this.workerReady && !this.workerFailed && this.worker) {
+      const requestId = this.createPendingRequest(levelNumber, PRIORITY_CURRENT);
+      const pending = this.pendingRequests.get(requestId);
+      pending.detached = true;
+      pending.seed = options.seed;
+      pending.resolve = onReady;
+
+      console.log(`[LevelManager] Worker 生成独立棋盘（关卡 ${levelNumber} 参数，种子 ${options.seed}）`);
+      this.worker.postMessage({
+        type: 'generate',
+        requestId,
+        levelNumber,
+        screenWidth: canvas.width,
+        screenHeight: canvas.height,
+        seed: options.seed,
+        priority: PRIORITY_CURRENT
+      });
+    } else {
+      this.generateDetachedTimeSliced(levelNumber, options.seed, onReady);
+    }
+  }
+
+  /**
+   * 在主线程分帧生成独立棋盘，排在所有预加载任务之前
+   * 任务键为字符串，不会被按关卡号清理的逻辑误删
+   */
+  generateDetachedTimeSliced(levelNumber, seed, onReady) {
+    const key = `detached:${++this.requestId}`;
+    const task = { steps: null, progress: 0, onDone: onReady };
+    task.steps = this.createLevelGenerator(levelNumber, task, { seed });
+    this.timeSliceTasks = new Map([[key, task], ...this.timeSliceTasks]);
+
+    if (!this.isTimeSlicing) {
+      this.runTimeSlice();
+    }
+  }
+
+  /**
+   * 通过 Worker 批量预加载关卡（按传入顺序排队）
+   * @param {Array<number>} levelNumbers
+   */
+  preloadLevelsWorker(levelNumbers) {
+    const batchId = ++this.batchId;
+    const levels = levelNumbers.map(levelNumber => ({
+      requestId: this.createPendingRequest(levelNumber, PRIORITY_PRELOAD),
+      levelNumber
+    }));
+
+    console.log(`[LevelManager] Worker 批量预加载关卡 ${levelNumbers.join(', ')}（批次 ${batchId}）`);
+
+    this.worker.postMessage({
+      type: 'generateBatch',
+      batchId,
+      screenWidth: canvas.width,
+      screenHeight: canvas.height,
+      priority: PRIORITY_PRELOAD,
+      levels
+    });
+  }
+
+  /**
+   * 登记一个 Worker 请求，超时后记录一次警告并继续等待
+   * @returns {number} requestId
+   */
+  createPendingRequest(levelNumber, priority) {
     const requestId = ++this.requestId;
-    
-    // 设置超时，超时后记录一次警告并继续等待
+
     const scheduleTimeout = () => {
       const pending = this.pendingRequests.get(requestId);
       if (pending) {
@@ -203,21 +396,93 @@ export default class LevelManager {
       }
     };
     const timeoutId = setTimeout(scheduleTimeout, this.workerTimeout);
-    
+
     this.pendingRequests.set(requestId, {
       resolve: null,
       reject: null,
       levelNumber,
+      priority,
+      stage: 'queued',
+      progress: 0,
       timeoutId
     });
-    
-    this.worker.postMessage({
-      type: 'generate',
-      requestId,
-      levelNumber,
-      screenWidth: canvas.width,
-      screenHeight: canvas.height
-    });
+    return requestId;
+  }
+
+  /**
+   * 移除请求记录并清除超时定时器
+   */
+  clearPendingRequest(requestId) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return;
+    if (pending.timeoutId) {
+      clearTimeout(pending.timeoutId);
+    }
+    this.pendingRequests.delete(requestId);
+  }
+
+  /**
+   * 查找关卡对应的 Worker 请求
+   */
+  findPendingRequest(levelNumber) {
+    for (const [requestId, pending] of this.pendingRequests) {
+      if (pending.levelNumber === levelNumber && !pending.detached) return { requestId, pending };
+    }
+    return null;
+  }
+
+  /**
+   * 玩家正在等待的关卡插队到所有预加载之前
+   */
+  prioritizeLevel(levelNumber) {
+    const task = this.timeSliceTasks.get(levelNumber);
+    if (task) {
+      // 分帧任务按 Map 顺序执行，移到最前
+      this.timeSliceTasks.delete(levelNumber);
+      this.timeSliceTasks = new Map([[levelNumber, task], ...this.timeSliceTasks]);
+      return;
+    }
+
+    const found = this.findPendingRequest(levelNumber);
+    if (!found || found.pending.priority >= PRIORITY_CURRENT || !this.worker) return;
+
+    found.pending.priority = PRIORITY_CURRENT;
+    this.worker.postMessage({ type: 'priority', requestId: found.requestId, priority: PRIORITY_CURRENT });
+    console.log(`[LevelManager] 关卡 ${levelNumber} 提升为最高优先级`);
+  }
+
+  /**
+   * 玩家开始某关时，丢弃更早关卡（已被跳过）的排队任务与缓存
+   * @param {number} levelNumber - 即将开始的关卡
+   */
+  dropSkippedLevels(levelNumber) {
+    const requestIds = [];
+    for (const [requestId, pending] of this.pendingRequests) {
+      if (pending.levelNumber < levelNumber && !pending.detached) requestIds.push(requestId);
+    }
+    if (requestIds.length > 0 && this.worker) {
+      requestIds.forEach(requestId => this.clearPendingRequest(requestId));
+      this.worker.postMessage({ type: 'cancel', requestIds });
+      console.log(`[LevelManager] 取消已跳过关卡的预加载任务: ${requestIds.length} 个`);
+    }
+
+    for (const slicedLevel of this.timeSliceTasks.keys()) {
+      if (typeof slicedLevel === 'number' && slicedLevel < levelNumber) this.timeSliceTasks.delete(slicedLevel);
+    }
+
+    for (const cachedLevel of this.preloadedLevels.keys()) {
+      if (cachedLevel < levelNumber) this.preloadedLevels.delete(cachedLevel);
+    }
+  }
+
+  /**
+   * 获取关卡生成进度（0-1），未在生成中时返回 null
+   */
+  getPreloadProgress(levelNumber) {
+    const task = this.timeSliceTasks.get(levelNumber);
+    if (task) return task.progress;
+    const found = this.findPendingRequest(levelNumber);
+    return found ? found.pending.progress : null;
   }
 
   /**
@@ -226,13 +491,14 @@ export default class LevelManager {
    */
   preloadLevelTimeSliced(levelNumber) {
     if (this.preloadedLevels.has(levelNumber)) return;
-    if (this.timeSliceGenerators.has(levelNumber)) return;
+    if (this.timeSliceTasks.has(levelNumber)) return;
     
     console.log(`[LevelManager] 分帧计算预加载关卡 ${levelNumber}`);
     
     // 创建生成器
-    const generator = this.createLevelGenerator(levelNumber);
-    this.timeSliceGenerators.set(levelNumber, generator);
+    const task = { steps: null, progress: 0 };
+    task.steps = this.createLevelGenerator(levelNumber, task);
+    this.timeSliceTasks.set(levelNumber, task);
     
     // 启动分帧执行（如果还没启动）
     if (!this.isTimeSlicing) {
@@ -242,66 +508,59 @@ export default class LevelManager {
 
   /**
   * 创建关卡生成器（Generator）
-  * 将生成过程拆分为多个可中断的步骤
+  * 逐步推进 ReverseLevelGenerator.generateSteps，每次 next() 只执行一小段工作
+  * @param {number} levelNumber
+  * @param {Object} task - 分帧任务，生成过程中更新 task.progress
+  * @param {Object} [options] - { seed } 指定种子时可复现同一棋盘
   */
-  *createLevelGenerator(levelNumber) {
-    const screenWidth = canvas.width;
-    const screenHeight = canvas.height;
-    ReverseLevelGenerator.getDifficultyParams(levelNumber);
-    
-    yield { step: 'init', progress: 0.05 };
-    
-    const levelData = ReverseLevelGenerator.generate(levelNumber, screenWidth, screenHeight);
-    return { blocks: levelData.blocks, total: levelData.total };
+  *createLevelGenerator(levelNumber, task, options = {}) {
+    const levelData = yield* ReverseLevelGenerator.generateSteps(levelNumber, canvas.width, canvas.height, {
+      seed: options.seed,
+      onProgress: ({ attempt, maxAttempts }) => {
+        task.progress = attempt / maxAttempts;
+      }
+    });
+    return { blocks: levelData.blocks, total: levelData.total, seed: levelData.seed };
   }
 
   /**
    * 分帧执行器
-   * 每帧最多执行指定时间，避免阻塞渲染
+   * 每帧在 timeSliceBudgetMs 内连续推进任务，用完预算后让出到下一帧，避免阻塞渲染
    */
   runTimeSlice() {
-    if (this.timeSliceGenerators.size === 0) {
+    if (this.timeSliceTasks.size === 0) {
       this.isTimeSlicing = false;
       return;
     }
     
     this.isTimeSlicing = true;
-    const maxTimePerFrame = 8; // 每帧最多执行 8ms，保证 60fps
     
     const tick = () => {
-      if (this.timeSliceGenerators.size === 0) {
-        this.isTimeSlicing = false;
-        return;
-      }
-      
       const startTime = performance.now();
       
-      // 遍历所有正在进行的生成任务
-      for (const [levelNumber, generator] of this.timeSliceGenerators) {
-        // 检查时间预算
-        if (performance.now() - startTime > maxTimePerFrame) {
-          break;
-        }
+      // 按 Map 顺序推进：先完成排在最前（玩家等待或最近）的关卡
+      while (this.timeSliceTasks.size > 0 && performance.now() - startTime < this.timeSliceBudgetMs) {
+        const [levelNumber, task] = this.timeSliceTasks.entries().next().value;
         
         try {
-          const { value, done } = generator.next();
+          const { value, done } = task.steps.next();
           
           if (done) {
-            // 生成完成
-            const levelData = value;
-            const result = this.createBlockInstances(levelData);
-            this.preloadedLevels.set(levelNumber, result);
-            this.timeSliceGenerators.delete(levelNumber);
-            console.log(`[LevelManager] 分帧计算完成关卡 ${levelNumber}`);
+            // 生成完成（独立棋盘直接交给调用方）
+            const result = task.onDone ? this.createBlockInstances(value) : this.storePreloadedLevel(levelNumber, value);
+            this.timeSliceTasks.delete(levelNumber);
+            if (task.onDone) task.onDone(result);
+            console.log(`[LevelManager] 分帧计算完成关卡 ${levelNumber}，种子 ${result.seed}`);
           }
         } catch (e) {
           console.error(`[LevelManager] 分帧生成关卡 ${levelNumber} 失败:`, e);
-          this.timeSliceGenerators.delete(levelNumber);
+          this.timeSliceTasks.delete(levelNumber);
+          if (task.onDone) task.onDone(null);
         }
       }
       
       // 继续下一帧
-      if (this.timeSliceGenerators.size > 0) {
+      if (this.timeSliceTasks.size > 0) {
         requestAnimationFrame(tick);
       } else {
         this.isTimeSlicing = false;
@@ -312,69 +571,103 @@ export default class LevelManager {
   }
 
   /**
-   * 预加载多个关卡
+   * 预加载多个关卡（一个 Worker 批次，按关卡顺序排队）
+   * @param {number} startLevel - 起始关卡
+   * @param {number} [count] - 预加载数量，默认 preloadAhead
    */
-  preloadLevels(startLevel) {
-    for (let i = 0; i < this.preloadAhead; i++) {
-      // 延迟启动，避免同时启动多个任务
-      setTimeout(() => {
-        this.preloadLevel(startLevel + i);
-      }, i * 100);
+  preloadLevels(startLevel, count = this.preloadAhead) {
+    const levelNumbers = [];
+    for (let level = Math.max(1, startLevel); level < startLevel + count; level++) {
+      if (this.levelPacks.has(level)) continue;
+      if (this.preloadedLevels.has(level) || this.isPreloading(level)) continue;
+      if (this.restoreFromCache(level)) continue;
+      levelNumbers.push(level);
+    }
+    if (levelNumbers.length === 0) return;
+
+    if (this.workerReady && !this.workerFailed && this.worker) {
+      this.preloadLevelsWorker(levelNumbers);
+    } else {
+      levelNumbers.forEach(level => this.preloadLevelTimeSliced(level));
     }
   }
 
   /**
-   * 检查关卡是否已预加载
+   * 检查关卡是否已预加载（手工关卡无需生成，视为已就绪）
    */
   isPreloaded(levelNumber) {
-    return this.preloadedLevels.has(levelNumber);
+    return this.preloadedLevels.has(levelNumber) || this.levelPacks.has(levelNumber);
   }
 
   /**
    * 检查关卡是否正在预加载
    */
   isPreloading(levelNumber) {
-    if (this.timeSliceGenerators.has(levelNumber)) return true;
-    for (const [, pending] of this.pendingRequests) {
-      if (pending.levelNumber === levelNumber) return true;
-    }
-    return false;
+    if (this.timeSliceTasks.has(levelNumber)) return true;
+    return !!this.findPendingRequest(levelNumber);
   }
 
   /**
    * 创建方块实例
    * @param {Object} levelData - 关卡数据
-   * @param {number} scale - 可选的缩放比例（用于 Level 1 大方块）
+   * @param {number} scale - 可选的缩放比例（手工关卡 meta.scale）；放大后超出棋盘时按原尺寸创建
    */
   createBlockInstances(levelData, scale = 1.0) {
     const blocks = [];
 
-    for (let blockData of levelData.blocks) {
+    // 应用缩放：按放大后的短边重建网格，网格坐标不变，保证方块间距与滑动步长一致
+    const scaled = scale !== 1 ? this.scaleBlockLayout(levelData.blocks, scale) : null;
+    if (scale !== 1 && !scaled) {
+      console.warn(`[LevelManager] 缩放 ${scale} 后方块超出棋盘，按原尺寸显示`);
+      scale = 1.0;
+    }
+
+    levelData.blocks.forEach((blockData, index) => {
       const block = new Block();
-      
-      // 应用缩放
-      const effectiveSize = blockData.size * scale;
+      const layout = scaled ? scaled[index] : blockData;
       
       block.init(
-        blockData.x,
-        blockData.y,
+        layout.x,
+        layout.y,
         blockData.direction,
         blockData.type,
-        effectiveSize
+        layout.size
       );
       block.axis = blockData.axis || null;
       block.gridRow = Number.isFinite(blockData.gridRow) ? blockData.gridRow : null;
       block.gridCol = Number.isFinite(blockData.gridCol) ? blockData.gridCol : null;
       block.scale = scale; // 保存缩放值供渲染器使用
       blocks.push(block);
-    }
+    });
 
     return {
       blocks,
-      total: blocks.length
+      total: blocks.length,
+      seed: Number.isFinite(levelData.seed) ? levelData.seed : null
     };
   }
 
+  /**
+   * 在放大后的网格上重新摆放方块（需要网格坐标）
+   * @returns {Array<{x, y, size}>|null} 与 blocks 一一对应的位置与尺寸；有方块超出棋盘时返回 null
+   */
+  scaleBlockLayout(blocks, scale) {
+    if (blocks.length === 0) return [];
+    const size = blocks[0].size * scale;
+    const grid = ReverseLevelGenerator.initializeGrid(size, getBoardRect(canvas.width, canvas.height));
+    const layout = [];
+
+    for (let index = 0; index < blocks.length; index++) {
+      const blockData = blocks[index];
+      if (!Number.isFinite(blockData.gridRow) || !Number.isFinite(blockData.gridCol)) return null;
+      const cells = grid.getBlockCells(blockData).map(c => grid.getCell(c.row, c.col));
+      if (!cells[0] || !cells[1]) return null;
+      const block = ReverseLevelGenerator.createBlockFromCells(cells[0], cells[1], blockData.axis, size, blockData.direction, index, grid, 0);
+      layout.push({ x: block.x, y: block.y, size });
+    }
+    return layout;
+  }
+
   /**
    * 获取关卡难度描述
    */
@@ -404,6 +697,6 @@ export default class LevelManager {
     
     this.preloadedLevels.clear();
     this.pendingRequests.clear();
-    this.timeSliceGenerators.clear();
+    this.timeSliceTasks.clear();
   }
 }
@@ -0,0 +1,200 @@
+/**
+ * 手工关卡包注册表
+ * 设计师制作的关卡（逐条规则的教学关、Boss 关等）以 JSON 关卡包随代码包发布，
+ * LevelManager 生成关卡时先查注册表，未收录的关卡号仍由 ReverseLevelGenerator 生成
+ *
+ * 清单 levels/packs.json：{ "packs": ["levels/tutorial.json", ...] }
+ * 关卡包：
+ * {
+ *   "pack_id": "tutorial",
+ *   "name": "新手教学",
+ *   "levels": [
+ *     { ...关卡 JSON（见 LevelFormat），"meta": { "scale": 1.5, "showWarning": false, "phaseName": "教学关", "limitMode": "moves" } }
+ *   ]
+ * }
+ * - 关卡 JSON 的 level_id 即替换的关卡号
+ * - meta 可选，只能覆盖 scale / showWarning / phaseName / limitMode（moves / time / both，见 LevelRules），
+ *   其余元数据仍取自 getDifficultyParams；scale 把 block_size 换算出的方块与间距整体放大（见 LevelManager.createBlockInstances）
+ * - 同一关卡号出现在多个包中时以清单中靠前的包为准
+ *
+ * 运行时只校验字段、棋盘范围与重叠（主线程不做精确求解），
+ * 可解性由 tools/levelJson.mjs validate 在提交关卡包前检查。
+ */
+import LevelFormat from './LevelFormat';
+import LevelRules from './LevelRules';
+
+// 关卡包清单（相对代码包根目录）
+const MANIFEST_PATH = 'levels/packs.json';
+
+// 关卡可覆盖的元数据及其类型
+const META_TYPES = {
+  scale: 'number',
+  showWarning: 'boolean',
+  phaseName: 'string',
+  limitMode: 'string'
+};
+
+export default class LevelPackRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.manifestPath='levels/packs.json'] - 关卡包清单路径
+   */
+  constructor(options = {}) {
+    this.manifestPath = options.manifestPath || MANIFEST_PATH;
+
+    // 关卡号 -> { packId, json, meta }
+    this.levels = new Map();
+
+    // 解析结果缓存：关卡号 -> { board, levelData }
+    this.parsed = new Map();
+
+    this.load();
+  }
+
+  /**
+   * 读取清单与全部关卡包；单个包出错时跳过该包
+   */
+  load() {
+    const manifest = this.readJson(this.manifestPath);
+    if (!manifest) return;
+    if (!Array.isArray(manifest.packs)) {
+      console.warn(`[LevelPackRegistry] 清单 ${this.manifestPath} 缺少 packs 数组`);
+      return;
+    }
+
+    for (const path of manifest.packs) {
+      const pack = this.readJson(path);
+      if (!pack) continue;
+
+      const errors = LevelPackRegistry.validatePack(pack);
+      if (errors.length > 0) {
+        console.warn(`[LevelPackRegistry] 关卡包 ${path} 无效：${errors.join('；')}`);
+        continue;
+      }
+
+      for (const json of pack.levels) {
+        if (this.levels.has(json.level_id)) {
+          console.warn(`[LevelPackRegistry] 关卡 ${json.level_id} 已由关卡包 ${this.levels.get(json.level_id).packId} 提供，忽略 ${pack.pack_id} 中的同号关卡`);
+          continue;
+        }
+        this.levels.set(json.level_id, {
+          packId: pack.pack_id,
+          json,
+          meta: LevelPackRegistry.pickMeta(json.meta)
+        });
+      }
+      console.log(`[LevelPackRegistry] 加载关卡包 ${pack.pack_id}（${pack.levels.length} 关）`);
+    }
+  }
+
+  /**
+   * 关卡号是否由关卡包提供
+   */
+  has(levelNumber) {
+    return this.levels.has(levelNumber);
+  }
+
+  /**
+   * 关卡包覆盖的元数据（未收录的关卡返回空对象）
+   */
+  getMeta(levelNumber) {
+    const entry = this.levels.get(levelNumber);
+    return entry ? entry.meta : {};
+  }
+
+  /**
+   * 把手工关卡换算到当前屏幕，输出与生成器一致的关卡数据 { blocks, total, seed }
+   * 校验失败的关卡从注册表移除（之后改由生成器生成），返回 null
+   */
+  getLevelData(levelNumber, screenWidth, screenHeight) {
+    const entry = this.levels.get(levelNumber);
+    if (!entry) return null;
+
+    const board = `${screenWidth}x${screenHeight}`;
+    const cached = this.parsed.get(levelNumber);
+    if (cached && cached.board === board) return cached.levelData;
+
+    const result = LevelFormat.parse(entry.json, screenWidth, screenHeight, { checkSolvable: false });
+    if (!result.ok) {
+      console.warn(`[LevelPackRegistry] 关卡包 ${entry.packId} 的关卡 ${levelNumber} 无法加载，改用生成器`);
+      this.levels.delete(levelNumber);
+      this.parsed.delete(levelNumber);
+      return null;
+    }
+
+    this.parsed.set(levelNumber, { board, levelData: result.level.levelData });
+    return result.level.levelData;
+  }
+
+  /**
+   * 校验关卡包结构（关卡本身的字段由 LevelFormat 校验）
+   * @returns {Array<string>} 错误描述
+   */
+  static validatePack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return ['关卡包必须是 JSON 对象'];
+    }
+
+    const errors = [];
+    if (typeof pack.pack_id !== 'string' || pack.pack_id === '') {
+      errors.push('pack_id 必须是非空字符串');
+    }
+    if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+      errors.push('levels 必须是非空数组');
+      return errors;
+    }
+
+    const levelIds = new Set();
+    pack.levels.forEach((json, index) => {
+      const label = json && Number.isInteger(json.level_id) ? `关卡 ${json.level_id}` : `第 ${index + 1} 个关卡`;
+      if (!json || !Number.isInteger(json.level_id) || json.level_id <= 0) {
+        errors.push(`${label}：level_id 必须是正整数`);
+        return;
+      }
+      if (levelIds.has(json.level_id)) {
+        errors.push(`${label}：level_id 重复`);
+      }
+      levelIds.add(json.level_id);
+
+      if (json.meta === undefined) return;
+      if (!json.meta || typeof json.meta !== 'object' || Array.isArray(json.meta)) {
+        errors.push(`${label}：meta 必须是对象`);
+        return;
+      }
+      Object.keys(json.meta).forEach(key => {
+        if (!META_TYPES[key]) {
+          errors.push(`${label}：meta 不支持覆盖 ${key}（可选 ${Object.keys(META_TYPES).join(', ')}）`);
+        } else if (typeof json.meta[key] !== META_TYPES[key]) {
+          errors.push(`${label}：meta.${key} 必须是 ${META_TYPES[key]}`);
+        } else if (key === 'scale' && !(Number.isFinite(json.meta.scale) && json.meta.scale > 0)) {
+          errors.push(`${label}：meta.scale 必须是正数`);
+        } else if (key === 'limitMode' && !LevelRules.LIMIT_MODES.includes(json.meta.limitMode)) {
+          errors.push(`${label}：meta.limitMode 必须是 ${LevelRules.LIMIT_MODES.join(' / ')}`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * 取出可覆盖的元数据字段
+   */
+  static pickMeta(meta) {
+    const picked = {};
+    if (!meta) return picked;
+    Object.keys(META_TYPES).forEach(key => {
+      if (typeof meta[key] === META_TYPES[key]) picked[key] = meta[key];
+    });
+    return picked;
+  }
+
+  readJson(path) {
+    try {
+      return JSON.parse(wx.getFileSystemManager().readFileSync(path, 'utf8'));
+    } catch (e) {
+      console.warn(`[LevelPackRegistry] 读取 ${path} 失败`, e.message);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * 手工关卡包注册表测试：清单加载、同号关卡的优先级、元数据覆盖（含 meta.scale 放大方块）与关卡包校验错误
+ *
+ * 用法：
+ *   node js/game/LevelPackRegistry.test.mjs
+ *
+ * 代码包内的文件由内存中的 wx.getFileSystemManager 提供（本地存储为空、Worker 不可用）；
+ * 关卡取自固定种子的生成结果，结果完全确定，不依赖随机数与画布。
+ */
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+register('../../tools/headless/loader.mjs', import.meta.url);
+
+const { default: LevelPackRegistry } = await import('./LevelPackRegistry.js');
+const { default: LevelFormat } = await import('./LevelFormat.js');
+const { default: LevelManager } = await import('./LevelManager.js');
+const { default: LevelGenerator } = await import('./algorithms/LevelGenerator.js');
+const { default: ReverseLevelGenerator } = await import('../../workers/generator/ReverseLevelGenerator.js');
+
+const SCREEN = { width: 375, height: 667 };
+globalThis.canvas = { ...SCREEN };
+
+// 加载失败的包与关卡会打印警告，对本测试无意义
+console.log = () => {};
+console.warn = () => {};
+
+/**
+ * 固定种子生成一关并导出为关卡 JSON
+ */
+function createLevelJson(levelId, meta) {
+  const { blocks } = ReverseLevelGenerator.generate(1, SCREEN.width, SCREEN.height, { seed: levelId });
+  const json = LevelFormat.serialize(blocks, { levelId, name: `测试关 ${levelId}` });
+  return meta ? { ...json, meta } : json;
+}
+
+/**
+ * 棋盘中心附近的三块小关卡（生成器的棋盘铺满整屏，放大后放不下）
+ */
+function createCompactLevelJson(levelId, meta) {
+  const json = {
+    level_id: levelId,
+    block_size: 28,
+    blocks: [
+      { id: 1, type: 'pig', position: { x: 0, y: 0 }, direction: 'up' },
+      { id: 2, type: 'sheep', position: { x: 0, y: -1 }, direction: 'left' },
+      { id: 3, type: 'dog', position: { x: -2, y: 0 }, direction: 'left' }
+    ]
+  };
+  return meta ? { ...json, meta } : json;
+}
+
+/**
+ * 以内存文件表构建注册表（值为对象时按 JSON 读出，缺失的路径读取失败）
+ */
+function createRegistry(files) {
+  globalThis.wx = {
+    getFileSystemManager: () => ({
+      readFileSync(path) {
+        if (!(path in files)) throw new Error(`no such file: ${path}`);
+        const content = files[path];
+        return typeof content === 'string' ? content : JSON.stringify(content);
+      }
+    }),
+    createImage: () => ({}),
+    getStorageSync: () => '',
+    setStorageSync: () => {},
+    removeStorageSync: () => {}
+  };
+  return new LevelPackRegistry();
+}
+
+/**
+ * 以单个关卡包构建 LevelManager，返回该关的方块实例
+ */
+function createAuthoredBlocks(json) {
+  const levelId = json.level_id;
+  createRegistry({
+    'levels/packs.json': { packs: ['levels/p.json'] },
+    'levels/p.json': { pack_id: 'p', levels: [json] }
+  });
+  const levelManager = new LevelManager();
+  const level = levelManager.createAuthoredLevel(levelId);
+  levelManager.destroy();
+  return level;
+}
+
+function testManifestLoading() {
+  const registry = createRegistry({
+    'levels/packs.json': { packs: ['levels/a.json', 'levels/missing.json', 'levels/broken.json', 'levels/invalid.json'] },
+    'levels/a.json': { pack_id: 'a', levels: [createLevelJson(1), createLevelJson(2)] },
+    'levels/broken.json': '{ "pack_id": ',
+    // 整个包校验失败时一关都不加载
+    'levels/invalid.json': { pack_id: 'invalid', levels: [createLevelJson(3), { level_id: 0 }] }
+  });
+
+  assert.ok(registry.has(1) && registry.has(2));
+  assert.equal(registry.has(3), false, '校验失败的包不应加载');
+  assert.equal(registry.levels.size, 2);
+
+  const levelData = registry.getLevelData(1, SCREEN.width, SCREEN.height);
+  assert.equal(levelData.total, createLevelJson(1).blocks.length);
+  assert.equal(levelData.seed, null);
+  assert.equal(registry.getLevelData(1, SCREEN.width, SCREEN.height), levelData, '同一屏幕尺寸应复用解析结果');
+  assert.equal(registry.getLevelData(4, SCREEN.width, SCREEN.height), null);
+
+  // 清单缺失或格式不对时注册表为空
+  assert.equal(createRegistry({}).levels.size, 0);
+  assert.equal(createRegistry({ 'levels/packs.json': { packs: 'levels/a.json' } }).levels.size, 0);
+}
+
+function testOverridePrecedence() {
+  const registry = createRegistry({
+    'levels/packs.json': { packs: ['levels/first.json', 'levels/second.json'] },
+    'levels/first.json': { pack_id: 'first', levels: [createLevelJson(2, { phaseName: '教学关', limitMode: 'moves' })] },
+    'levels/second.json': { pack_id: 'second', levels: [createLevelJson(2, { phaseName: '被覆盖' }), createLevelJson(3)] }
+  });
+
+  // 清单中靠前的包优先
+  assert.equal(registry.levels.get(2).packId, 'first');
+  assert.deepEqual(registry.getMeta(2), { phaseName: '教学关', limitMode: 'moves' });
+  assert.equal(registry.levels.get(3).packId, 'second');
+  assert.deepEqual(registry.getMeta(3), {});
+  assert.deepEqual(registry.getMeta(99), {});
+}
+
+function testUnloadableLevel() {
+  // 两个方块重叠：字段合法但无法换算到棋盘，首次取用时移出注册表
+  const json = createLevelJson(5);
+  json.blocks[1] = { ...json.blocks[1], position: { ...json.blocks[0].position }, direction: json.blocks[0].direction };
+  const registry = createRegistry({
+    'levels/packs.json': { packs: ['levels/overlap.json'] },
+    'levels/overlap.json': { pack_id: 'overlap', levels: [json] }
+  });
+
+  assert.ok(registry.has(5));
+  assert.equal(registry.getLevelData(5, SCREEN.width, SCREEN.height), null);
+  assert.equal(registry.has(5), false);
+}
+
+function testScaleOverride() {
+  const plain = createAuthoredBlocks(createCompactLevelJson(1));
+  const scaled = createAuthoredBlocks(createCompactLevelJson(1, { scale: 1.5 }));
+
+  assert.equal(plain.meta.scale, 1.5, '未覆盖时 meta 沿用 getDifficultyParams 的 scale');
+  assert.equal(scaled.meta.scale, 1.5);
+  assert.equal(scaled.blocks.length, plain.blocks.length);
+
+  // 未写 meta.scale 的手工关卡按 block_size 原尺寸创建；写了才放大，网格坐标与朝向不变
+  plain.blocks.forEach(block => assert.equal(block.shortSide, 28));
+  scaled.blocks.forEach((block, i) => {
+    assert.equal(block.shortSide, 42);
+    assert.equal(block.direction, plain.blocks[i].direction);
+    assert.equal(block.gridRow, plain.blocks[i].gridRow);
+    assert.equal(block.gridCol, plain.blocks[i].gridCol);
+  });
+
+  // 方块间距随之放大，且不重叠
+  const center = block => ({ x: block.x + block.width / 2, y: block.y + block.height / 2 });
+  const spread = blocks => Math.hypot(center(blocks[0]).x - center(blocks[2]).x, center(blocks[0]).y - center(blocks[2]).y);
+  assert.ok(spread(scaled.blocks) > spread(plain.blocks) * 1.4, '放大后方块间距未同步放大');
+  assert.equal(LevelGenerator.findOverlap(scaled.blocks), null, '放大后方块重叠');
+
+  // 铺满棋盘的关卡放大后放不下，按原尺寸创建
+  const full = createLevelJson(2, { scale: 1.5 });
+  createAuthoredBlocks(full).blocks.forEach(block => assert.equal(block.shortSide, full.block_size));
+}
+
+function testValidationErrors() {
+  const level = createLevelJson(1);
+  const errorsOf = pack => LevelPackRegistry.validatePack(pack);
+
+  assert.deepEqual(errorsOf(null), ['关卡包必须是 JSON 对象']);
+  assert.deepEqual(errorsOf([]), ['关卡包必须是 JSON 对象']);
+  assert.deepEqual(errorsOf({ pack_id: '', levels: [] }), ['pack_id 必须是非空字符串', 'levels 必须是非空数组']);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [level] }), []);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [{ ...level, level_id: -1 }] }), ['关卡 -1：level_id 必须是正整数']);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [{ ...level, level_id: '1' }] }), ['第 1 个关卡：level_id 必须是正整数']);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [level, level] }), ['关卡 1：level_id 重复']);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [{ ...level, meta: [] }] }), ['关卡 1：meta 必须是对象']);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [{ ...level, meta: { undoLimit: 9 } }] }),
+    ['关卡 1：meta 不支持覆盖 undoLimit（可选 scale, showWarning, phaseName, limitMode）']);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [{ ...level, meta: { scale: 1.5 } }] }), []);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [{ ...level, meta: { scale: '1.5' } }] }),
+    ['关卡 1：meta.scale 必须是 number']);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [{ ...level, meta: { scale: 0 } }] }),
+    ['关卡 1：meta.scale 必须是正数']);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [{ ...level, meta: { showWarning: 'yes' } }] }),
+    ['关卡 1：meta.showWarning 必须是 boolean']);
+  assert.deepEqual(errorsOf({ pack_id: 'p', levels: [{ ...level, meta: { limitMode: 'steps' } }] }),
+    ['关卡 1：meta.limitMode 必须是 moves / time / both']);
+}
+
+const TESTS = [testManifestLoading, testOverridePrecedence, testUnloadableLevel, testScaleOverride, testValidationErrors];
+TESTS.forEach(test => test());
+process.stdout.write(`关卡包注册表测试通过：${TESTS.length} 组\n`);
@@ -0,0 +1,97 @@
+/**
+ * 关卡限制规则（PRD 3.2 失败条件 B）
+ * 部分关卡在死局之外还有第二个失败条件：
+ * - moves：最大操作步数（每条可撤销操作计一步，撤销不返还步数）
+ * - time：倒计时，归零即失败（只在对局进行中计时，弹窗打开或切到后台时暂停）
+ * - both：两者同时生效
+ *
+ * 限额由精确求解器给出的标准解推算：
+ * - 标准步数 = 解的步数（消除 + 必要的滑动），步数上限在此基础上留出少量余量
+ * - 标准用时按解的每一步估算：可选方块越少越需要找，用时越长；再乘以宽限系数
+ * 求解器在预算内没有找到解时不设步数上限：剩余方块数不含滑动步，按它限步可能让关卡无法完成；
+ * 倒计时仍按剩余方块数估算（宽限系数足以覆盖少量滑动）
+ */
+import PuzzleSolver from './algorithms/PuzzleSolver';
+
+// 支持的限制模式
+const LIMIT_MODES = ['moves', 'time', 'both'];
+
+// 步数余量：标准步数的 10%，至少 3 步
+const MOVE_SLACK_RATE = 0.1;
+const MIN_MOVE_SLACK = 3;
+
+// 每步用时估算：基础点击时间 + 与可选方块数成反比的寻找时间
+const TAP_MS = 700;
+const SEARCH_MS = 3000;
+
+// 求解器没有给出解时按此可选数估算每步用时
+const FALLBACK_CHOICES = 4;
+
+// 倒计时宽限系数，结果向上取整到 5 秒
+const TIME_SLACK_RATE = 1.5;
+const TIME_ROUND_MS = 5000;
+
+// 开局求解的节点预算（主线程执行，与死局预警一致）
+const SOLVE_MAX_NODES = 5000;
+
+export default class LevelRules {
+  static LIMIT_MODES = LIMIT_MODES;
+
+  /**
+   * 计算本局的限额
+   * @param {string|null} mode - 关卡元数据中的 limitMode
+   * @param {Array} blocks - 开局方块
+   * @param {Object} [options] - { screenWidth, screenHeight }（求解器回退依赖图时使用），maxNodes 求解节点预算
+   * @returns {{ mode: string, solved: boolean, parMoves: number, parTime: number, moveLimit: number|null, timeLimit: number|null }|null}
+   *   不限制（含没有解、只剩步数限制的情况）时返回 null；timeLimit 单位毫秒
+   */
+  static compute(mode, blocks, options = {}) {
+    if (!LIMIT_MODES.includes(mode)) return null;
+
+    const result = PuzzleSolver.solve(blocks, {
+      maxNodes: Number.isFinite(options.maxNodes) ? options.maxNodes : SOLVE_MAX_NODES,
+      computeMinProps: false,
+      screenWidth: options.screenWidth,
+      screenHeight: options.screenHeight
+    });
+
+    let parMoves;
+    let parTime;
+    if (result.solvable) {
+      parMoves = result.solution.length;
+      parTime = result.solution.reduce((sum, move) => sum + this.getMoveTime(move.choices), 0);
+    } else {
+      parMoves = blocks.filter(block => !block.isRemoved).length;
+      parTime = parMoves * this.getMoveTime(FALLBACK_CHOICES);
+    }
+
+    // 没有标准解时不限步
+    const hasMoves = result.solvable && (mode === 'moves' || mode === 'both');
+    const hasTime = mode === 'time' || mode === 'both';
+    if (!hasMoves && !hasTime) return null;
+
+    return {
+      mode,
+      solved: result.solvable,
+      parMoves,
+      parTime,
+      moveLimit: hasMoves ? parMoves + Math.max(MIN_MOVE_SLACK, Math.ceil(parMoves * MOVE_SLACK_RATE)) : null,
+      timeLimit: hasTime ? Math.ceil(parTime * TIME_SLACK_RATE / TIME_ROUND_MS) * TIME_ROUND_MS : null
+    };
+  }
+
+  /**
+   * 估算一步的用时（滑动没有可选数，按只有一个选择计）
+   */
+  static getMoveTime(choices) {
+    return TAP_MS + SEARCH_MS / Math.max(1, choices || 1);
+  }
+
+  /**
+   * 毫秒 → 'm:ss'（不足一秒按一秒显示，归零前不会显示 0:00）
+   */
+  static formatTime(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+}
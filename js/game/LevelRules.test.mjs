@@ -0,0 +1,97 @@
+/**
+ * 关卡限制规则测试：标准解推算的步数上限与倒计时、求解失败时的回退，以及倒计时显示格式
+ *
+ * 用法：
+ *   node js/game/LevelRules.test.mjs
+ *
+ * 棋盘为手工摆放的网格方块，标准解由精确求解器给出，结果完全确定，不依赖随机数与画布。
+ */
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+register('../../tools/headless/loader.mjs', import.meta.url);
+
+const { default: LevelRules } = await import('./LevelRules.js');
+const { DIRECTIONS } = await import('../../workers/generator/constants.js');
+
+/**
+ * rows 行，每行 perRow 个朝右的横向方块首尾相接：每行只能从最右侧开始逐个消除
+ */
+function createRowBoard(rows, perRow) {
+  const blocks = [];
+  for (let row = 0; row < rows; row++) {
+    for (let i = 0; i < perRow; i++) {
+      blocks.push({ gridRow: row, gridCol: i * 2, direction: DIRECTIONS.RIGHT, axis: 'col' });
+    }
+  }
+  return blocks;
+}
+
+function testNoLimit() {
+  const blocks = createRowBoard(1, 3);
+  assert.equal(LevelRules.compute(null, blocks), null);
+  assert.equal(LevelRules.compute('unknown', blocks), null);
+}
+
+function testParFromSolution() {
+  // 唯一解：从右到左 3 次消除，每步只有 1 个可选方块
+  const blocks = createRowBoard(1, 3);
+  const moves = LevelRules.compute('moves', blocks);
+  assert.equal(moves.solved, true);
+  assert.equal(moves.parMoves, 3);
+  assert.equal(moves.parTime, 3 * LevelRules.getMoveTime(1));
+  // 余量不足 3 步时按 3 步
+  assert.equal(moves.moveLimit, 6);
+  assert.equal(moves.timeLimit, null);
+
+  // 标准用时 11.1s × 1.5 = 16.65s，向上取整到 5 秒
+  const time = LevelRules.compute('time', blocks);
+  assert.equal(time.moveLimit, null);
+  assert.equal(time.timeLimit, 20000);
+}
+
+function testSlackRounding() {
+  // 35 步的 10% 为 3.5，向上取整为 4 步
+  const blocks = createRowBoard(5, 7);
+  const limits = LevelRules.compute('both', blocks);
+  assert.equal(limits.solved, true);
+  assert.equal(limits.parMoves, 35);
+  assert.equal(limits.moveLimit, 39);
+  assert.equal(limits.timeLimit % 5000, 0);
+  assert.ok(limits.timeLimit >= limits.parTime * 1.5 && limits.timeLimit < limits.parTime * 1.5 + 5000);
+}
+
+function testUnsolvedFallback() {
+  // 求解预算耗尽：不限步，倒计时按剩余方块数（每步 4 个可选）估算
+  const blocks = createRowBoard(5, 7);
+  assert.equal(LevelRules.compute('moves', blocks, { maxNodes: 0 }), null);
+
+  const limits = LevelRules.compute('both', blocks, { maxNodes: 0 });
+  assert.equal(limits.solved, false);
+  assert.equal(limits.moveLimit, null);
+  assert.equal(limits.parTime, 35 * LevelRules.getMoveTime(4));
+  assert.equal(limits.timeLimit, 80000);
+
+  // 两个方块相向而行，不用道具无解
+  const deadlocked = [
+    { gridRow: 0, gridCol: 0, direction: DIRECTIONS.RIGHT, axis: 'col' },
+    { gridRow: 0, gridCol: 2, direction: DIRECTIONS.LEFT, axis: 'col' }
+  ];
+  assert.equal(LevelRules.compute('moves', deadlocked), null);
+}
+
+function testFormatTime() {
+  assert.equal(LevelRules.formatTime(0), '0:00');
+  assert.equal(LevelRules.formatTime(-500), '0:00');
+  assert.equal(LevelRules.formatTime(1), '0:01');
+  assert.equal(LevelRules.formatTime(1000), '0:01');
+  assert.equal(LevelRules.formatTime(1001), '0:02');
+  assert.equal(LevelRules.formatTime(59000), '0:59');
+  assert.equal(LevelRules.formatTime(60000), '1:00');
+  assert.equal(LevelRules.formatTime(61500), '1:02');
+  assert.equal(LevelRules.formatTime(600000), '10:00');
+}
+
+const TESTS = [testNoLimit, testParFromSolution, testSlackRounding, testUnsolvedFallback, testFormatTime];
+TESTS.forEach(test => test());
+process.stdout.write(`限制规则测试通过：${TESTS.length} 组\n`);
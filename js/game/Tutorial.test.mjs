@@ -0,0 +1,120 @@
+/**
+ * 新手教程测试：新存档第 1 关带分步引导，消除推进步骤，通关后记录完成，设置面板可重玩
+ *
+ * 用法：
+ *   node js/game/Tutorial.test.mjs
+ *
+ * 在无头运行时中按教程高亮的方块点击（每帧渲染，横幅与高亮一起绘制），
+ * 再由求解器玩家打完第 1 关；已有进度的老存档、每日挑战与无尽模式不带教程。
+ */
+import assert from 'node:assert/strict';
+import HeadlessRuntime from '../../tools/headless/HeadlessRuntime.mjs';
+import { solverAgent } from '../../tools/headless/agents.mjs';
+
+const { default: DailyChallenge } = await import('./DailyChallenge.js');
+
+function storedSettings(runtime) {
+  return JSON.parse(runtime.storage.get('gameSettings'));
+}
+
+/**
+ * 点击教程高亮的方块，返回点击后的步骤
+ */
+function tapHighlight(runtime) {
+  const { highlight } = runtime.game.tutorial;
+  assert.ok(highlight && highlight.block, '高亮步骤缺少高亮方块');
+  assert.ok(highlight.block.canRemove(runtime.databus.blocks), '高亮的方块不可消除');
+  runtime.tapBlock(highlight.block);
+  runtime.settle();
+  return runtime.game.tutorial.step;
+}
+
+async function testFirstRun(runtime) {
+  const { game } = runtime;
+  assert.equal(game.settings.tutorialDone, false, '新存档不应标记教程完成');
+  assert.ok(await runtime.startLevel(1), '第 1 关未能开始');
+  assert.ok(game.tutorial, '新存档的第 1 关应带教程');
+  assert.equal(game.tutorial.step, 0);
+
+  assert.equal(tapHighlight(runtime), 1, '消除后应进入第 2 步');
+  assert.equal(tapHighlight(runtime), 2, '再消除后应进入第 3 步');
+  assert.equal(game.tutorial.highlight, null, '最后一步不高亮');
+
+  for (let i = 0; i < 200 && game.state === 'playing'; i++) {
+    assert.ok(solverAgent.act(runtime), '求解器玩家无法继续');
+    runtime.settle();
+  }
+  assert.equal(game.state, 'victory');
+  assert.equal(game.tutorial, null);
+  assert.equal(storedSettings(runtime).tutorialDone, true, '通关后未保存教程完成');
+
+  // 学完后第 1 关不再带教程
+  assert.ok(await runtime.startLevel(1), '第 1 关未能重新开始');
+  assert.equal(game.tutorial, null, '教程完成后第 1 关仍带教程');
+}
+
+async function testReplayFromSettings(runtime) {
+  const { game } = runtime;
+  // 关卡页的设置按钮打开设置面板
+  game.handleTopButtonClick('settings');
+  runtime.settle();
+  assert.equal(game.modalRenderer.currentModal, 'settings');
+  const previousBlocks = runtime.databus.blocks;
+  runtime.tapModalButton('settingsTutorial');
+  // 第 1 关可能需要重新生成：等新棋盘入场结束
+  assert.ok(
+    runtime.advanceUntil(() => runtime.databus.blocks !== previousBlocks && !runtime.databus.isSpawning, 60000),
+    '重玩教程后未进入第 1 关'
+  );
+  assert.equal(game.state, 'playing');
+  assert.equal(runtime.databus.currentLevel, 1);
+  assert.ok(game.tutorial, '重玩教程后第 1 关应带教程');
+  assert.equal(game.tutorial.step, 0);
+  assert.equal(storedSettings(runtime).tutorialDone, false, '重玩教程应清除完成标记');
+}
+
+function testOtherModes(runtime) {
+  const { game } = runtime;
+  game.openDailyCalendar();
+  game.startDaily(DailyChallenge.today());
+  assert.ok(runtime.advanceUntil(() => game.state === 'playing' && !runtime.databus.isSpawning, 60000), '每日挑战未开局');
+  assert.equal(game.tutorial, null, '每日挑战不应带教程');
+
+  game.startEndless();
+  assert.ok(runtime.advanceUntil(() => game.state === 'playing' && !runtime.databus.isSpawning, 60000), '无尽模式未开局');
+  assert.equal(game.tutorial, null, '无尽模式不应带教程');
+}
+
+async function testExistingSave(progress) {
+  // 教程上线前已有进度的存档：没有 tutorialDone 也视为学过
+  const runtime = new HeadlessRuntime({ quiet: true, randomSeed: 1, renderEvery: 0, storage: { gameProgress: progress } });
+  await runtime.boot();
+  try {
+    runtime.settle();
+    assert.equal(runtime.game.settings.tutorialDone, true, '老存档不应再进入教程');
+    assert.ok(await runtime.startLevel(1), '第 1 关未能开始');
+    assert.equal(runtime.game.tutorial, null);
+  } finally {
+    runtime.dispose();
+  }
+}
+
+async function main() {
+  const runtime = new HeadlessRuntime({ quiet: true, randomSeed: 1, renderEvery: 1 });
+  await runtime.boot();
+  let progress;
+  try {
+    runtime.settle();
+    await testFirstRun(runtime);
+    progress = JSON.parse(runtime.storage.get('gameProgress'));
+    await testReplayFromSettings(runtime);
+    testOtherModes(runtime);
+  } finally {
+    runtime.dispose();
+  }
+  await testExistingSave(progress);
+
+  process.stdout.write('新手教程测试通过：4 组\n');
+}
+
+main();
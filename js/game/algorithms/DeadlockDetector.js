@@ -2,7 +2,7 @@
  * 死局检测算法
  * 检测是否所有方块都不可消除
  */
-import DirectionDetector from './DirectionDetector';
+import DirectionDetector from '../../../workers/generator/DirectionDetector';
 
 export default class DeadlockDetector {
   /**
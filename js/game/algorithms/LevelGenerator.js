@@ -3,7 +3,7 @@
  * 根据关卡号生成合适的难度布局
  * 规则：正方形网格生成槽位，整体旋转45度，每个动物占据两个相邻格子
  */
-import DirectionDetector from './DirectionDetector';
+import DirectionDetector from '../../../workers/generator/DirectionDetector';
 import { DIRECTIONS } from '../blocks/Block';
 import { MAIN_ANIMAL_TYPES, ANIMAL_TYPES, LAYOUT, BLOCK_SIZES, getBoardRect } from '../../ui/UIConstants';
 
@@ -1228,6 +1228,29 @@ export default class LevelGenerator {
    * 检查方块是否重叠
    */
   static hasOverlap(blocks) {
+    return this.findOverlap(blocks) !== null;
+  }
+
+  /**
+   * 查找第一对重叠的方块
+   * 带网格坐标的方块按占用格子判断（45° 胶囊的外接矩形在密排时必然相交），
+   * 否则回退到内缩后的 AABB 检测
+   * @returns {Array<number>|null} 重叠方块的下标 [i, j]，无重叠时返回 null
+   */
+  static findOverlap(blocks) {
+    const cellsList = blocks.map(block => DirectionDetector.getBlockCells(block));
+    if (cellsList.every(Boolean)) {
+      const owners = new Map();
+      for (let i = 0; i < cellsList.length; i++) {
+        for (const cell of cellsList[i]) {
+          const key = `${cell.row},${cell.col}`;
+          if (owners.has(key)) return [owners.get(key), i];
+          owners.set(key, i);
+        }
+      }
+      return null;
+    }
+
     for (let i = 0; i < blocks.length; i++) {
       for (let j = i + 1; j < blocks.length; j++) {
         const a = blocks[i];
@@ -1239,11 +1262,11 @@ export default class LevelGenerator {
             a.x + a.width - margin > b.x + margin &&
             a.y + margin < b.y + b.height - margin &&
             a.y + a.height - margin > b.y + margin) {
-          return true;
+          return [i, j];
         }
       }
     }
-    return false;
+    return null;
   }
 
   /**
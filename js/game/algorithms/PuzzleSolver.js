@@ -0,0 +1,442 @@
+/**
+ * 精确求解器（基于棋盘状态的记忆化搜索）
+ *
+ * 与 DependencyGraph 的静态阻挡图不同，这里模拟真实的点击规则：
+ * - 消除：前方通道无阻挡时方块飞出
+ * - 滑动：前方有阻挡时方块滑到阻挡物前（会改变其他方块的阻挡关系）
+ * - 抓走：道具，直接移除任意方块（用于计算最少道具数）
+ *
+ * 剪枝策略：
+ * - 可消且不在任何方块前方通道上的方块，消除它不影响其他方块，直接消除不分支
+ * - 同一通道、同一轴向的方块永远无法互相越过，"相向"方块对只能靠道具解开，
+ *   据此得到所需抓走次数的下界，超过剩余道具数即剪枝
+ * - 失败状态置换表（同一状态只搜索一次）
+ * - 节点预算，超出后返回 exact=false
+ */
+import DependencyGraph from '../../../workers/generator/DependencyGraph';
+import DirectionDetector from '../../../workers/generator/DirectionDetector';
+
+export default class PuzzleSolver {
+  // 默认搜索节点预算
+  static DEFAULT_MAX_NODES = 20000;
+
+  // 计算最少道具数时最多尝试的抓走次数
+  static DEFAULT_MAX_PROPS = 5;
+
+  /**
+   * 求解当前棋盘
+   * @param {Array} blocks - 方块数组（Block 实例或生成器输出的方块数据）
+   * @param {Object} [options]
+   * @param {number} [options.maxNodes] - 每轮搜索的节点预算
+   * @param {number} [options.maxProps] - 最少道具数的搜索上限
+   * @param {boolean} [options.computeMinProps=true] - 无解时是否计算最少道具数
+   * @param {number} [options.screenWidth] - 无网格信息时回退依赖图所需
+   * @param {number} [options.screenHeight]
+   * @returns {{
+   *   solvable: boolean,
+   *   exact: boolean,
+   *   solution: Array<{ index: number, action: string, steps?: number, choices?: number }>,
+   *   minProps: number|null,
+   *   forcedMoves: number,
+   *   nodes: number
+   * }}
+   *   - solvable：不使用道具能否清空棋盘
+   *   - exact：结论是否经过完整搜索（预算耗尽或回退依赖图时为 false）
+   *   - solution：一条完整解（方块在输入数组中的下标）；无解时为使用抓走道具的解
+   *   - minProps：清空棋盘最少需要的抓走道具数（可解时为 0，未知时为 null）
+   *   - forcedMoves：解中"只有唯一可消方块"的步数
+   */
+  static solve(blocks, options = {}) {
+    const maxNodes = Number.isFinite(options.maxNodes) ? options.maxNodes : this.DEFAULT_MAX_NODES;
+    const maxProps = Number.isFinite(options.maxProps) ? options.maxProps : this.DEFAULT_MAX_PROPS;
+    const computeMinProps = options.computeMinProps !== false;
+
+    const active = [];
+    (blocks || []).forEach((block, index) => {
+      if (!block || block.isRemoved || block.visible === false) return;
+      active.push({ block, index });
+    });
+
+    if (active.length === 0) {
+      return this.createResult(true, true, [], 0, 0);
+    }
+
+    if (active.some(({ block }) => !this.hasGridInfo(block))) {
+      return this.solveByGraph(active, options);
+    }
+
+    const items = active.map(({ block, index }) => ({
+      index,
+      axis: DirectionDetector.getBlockAxis(block),
+      row: block.gridRow,
+      col: block.gridCol,
+      direction: block.direction
+    }));
+    const bounds = this.computeBounds(items);
+    const ctx = this.createContext(bounds, maxNodes);
+
+    // 1) 不使用道具
+    const path = this.search(items, 0, ctx);
+    let totalNodes = ctx.nodes;
+    if (path) {
+      return this.createResult(true, true, path, 0, totalNodes);
+    }
+
+    const exact = !ctx.exhausted;
+    if (!computeMinProps) {
+      return this.createResult(false, exact, [], null, totalNodes);
+    }
+
+    // 2) 迭代加深：逐步放宽可用抓走次数，首个可解的次数即最少道具数
+    const lowerBound = this.getPropLowerBound(items);
+    let minProps = null;
+    let propPath = [];
+    for (let k = Math.max(1, lowerBound); k <= maxProps && k <= items.length; k++) {
+      const roundCtx = this.createContext(bounds, maxNodes);
+      const result = this.search(items, k, roundCtx);
+      totalNodes += roundCtx.nodes;
+      if (result) {
+        minProps = k;
+        propPath = result;
+        break;
+      }
+      // 预算耗尽时无法断言更大的 k 就是最小值
+      if (roundCtx.exhausted) break;
+    }
+
+    return this.createResult(false, exact, propPath, minProps, totalNodes);
+  }
+
+  /**
+   * 仅判断是否可解（不计算最少道具数）
+   */
+  static isSolvable(blocks, options = {}) {
+    return this.solve(blocks, { ...options, computeMinProps: false }).solvable;
+  }
+
+  /**
+   * 寻找一个"安全"的可消方块：消除后剩余棋盘不使用道具仍可解
+   * 不挡任何通道的可消方块优先（它们不改变其余方块的阻挡关系）
+   * @param {Array} blocks - 方块数组
+   * @param {Object} [options] - 同 solve
+   * @returns {{ index: number, exact: boolean }}
+   *   - index：方块在输入数组中的下标，没找到安全步骤时为 -1
+   *   - exact：index 为 -1 时，结论是否经过完整搜索——true 表示确实没有安全步骤，
+   *     false 表示搜索预算耗尽（或回退依赖图）无法判断
+   */
+  static findSafeRemoval(blocks, options = {}) {
+    const active = [];
+    (blocks || []).forEach((block, index) => {
+      if (!block || block.isRemoved || block.visible === false) return;
+      active.push({ block, index });
+    });
+
+    if (active.length === 0) return { index: -1, exact: true };
+
+    if (active.some(({ block }) => !this.hasGridInfo(block))) {
+      return this.findSafeRemovalByGraph(blocks, active, options);
+    }
+
+    const items = active.map(({ block, index }) => ({
+      index,
+      axis: DirectionDetector.getBlockAxis(block),
+      row: block.gridRow,
+      col: block.gridCol,
+      direction: block.direction
+    }));
+    const bounds = this.computeBounds(items);
+    const { lanes, relevant } = this.analyze(items, bounds);
+    const maxNodes = Number.isFinite(options.maxNodes) ? options.maxNodes : this.DEFAULT_MAX_NODES;
+
+    const candidates = items.map((item, i) => i)
+      .filter(i => lanes[i].free)
+      .sort((a, b) => (relevant[a] ? 1 : 0) - (relevant[b] ? 1 : 0));
+
+    let exact = true;
+    for (const i of candidates) {
+      const rest = items.filter((item, j) => j !== i);
+      const ctx = this.createContext(bounds, maxNodes);
+      if (this.search(rest, 0, ctx)) {
+        return { index: items[i].index, exact: true };
+      }
+      if (ctx.exhausted) exact = false;
+    }
+
+    return { index: -1, exact };
+  }
+
+  /**
+   * 无网格信息时回退到依赖图提示（非精确）
+   */
+  static findSafeRemovalByGraph(blocks, active, options) {
+    const screenWidth = Number.isFinite(options.screenWidth) ? options.screenWidth : canvas.width;
+    const screenHeight = Number.isFinite(options.screenHeight) ? options.screenHeight : canvas.height;
+    const activeBlocks = active.map(entry => entry.block);
+    const graph = DependencyGraph.build(activeBlocks, screenWidth, screenHeight);
+
+    // getHint 在没有安全步骤时会退而返回任意可消方块，这里只接受安全的
+    if (DependencyGraph.getSafeMoves(graph).length === 0) return { index: -1, exact: false };
+
+    const node = DependencyGraph.getHint(graph);
+    return { index: node ? blocks.indexOf(node.block) : -1, exact: false };
+  }
+
+  /**
+   * 构建结果对象
+   */
+  static createResult(solvable, exact, solution, minProps, nodes) {
+    const forcedMoves = solution.filter(move => move.action === 'remove' && move.choices === 1).length;
+    return { solvable, exact, solution, minProps, forcedMoves, nodes };
+  }
+
+  /**
+   * 创建搜索上下文
+   */
+  static createContext(bounds, maxNodes) {
+    return {
+      bounds,
+      maxNodes,
+      nodes: 0,
+      exhausted: false,
+      failed: new Set()
+    };
+  }
+
+  /**
+   * 深度优先搜索
+   * 动作顺序：消除 → 滑动 → 抓走（仅在没有可消方块时使用道具）
+   * @returns {Array|null} 从当前状态开始的动作序列，失败返回 null
+   */
+  static search(items, grabsLeft, ctx) {
+    if (ctx.nodes >= ctx.maxNodes) {
+      ctx.exhausted = true;
+      return null;
+    }
+    ctx.nodes++;
+
+    const moves = [];
+    let current = items;
+    let analysis = this.analyze(current, ctx.bounds);
+
+    // 安全消除：不在任何方块前方通道上的可消方块
+    while (current.length > 0) {
+      const freeCount = analysis.lanes.filter(lane => lane.free).length;
+      const safe = [];
+      current.forEach((item, i) => {
+        if (analysis.lanes[i].free && !analysis.relevant[i]) safe.push(i);
+      });
+      if (safe.length === 0) break;
+
+      for (const i of safe) {
+        moves.push({ index: current[i].index, action: 'remove', choices: freeCount });
+      }
+      const safeSet = new Set(safe);
+      current = current.filter((item, i) => !safeSet.has(i));
+      analysis = this.analyze(current, ctx.bounds);
+    }
+
+    if (current.length === 0) return moves;
+
+    if (this.getPropLowerBound(current) > grabsLeft) return null;
+
+    const key = `${this.getStateKey(current)}#${grabsLeft}`;
+    if (ctx.failed.has(key)) return null;
+
+    const { lanes, relevant } = analysis;
+    const freeCount = lanes.filter(lane => lane.free).length;
+    const tryNext = (move, next, nextGrabs) => {
+      const sub = this.search(next, nextGrabs, ctx);
+      return sub ? moves.concat([move], sub) : null;
+    };
+
+    // 消除
+    for (let i = 0; i < current.length; i++) {
+      if (!lanes[i].free) continue;
+      const next = current.filter((item, j) => j !== i);
+      const found = tryNext({ index: current[i].index, action: 'remove', choices: freeCount }, next, grabsLeft);
+      if (found) return found;
+      if (ctx.exhausted) return null;
+    }
+
+    // 滑动
+    for (let i = 0; i < current.length; i++) {
+      const lane = lanes[i];
+      if (lane.free || lane.steps <= 0) continue;
+      const next = current.slice();
+      next[i] = this.slideItem(current[i], lane.steps);
+      const found = tryNext({ index: current[i].index, action: 'slide', steps: lane.steps }, next, grabsLeft);
+      if (found) return found;
+      if (ctx.exhausted) return null;
+    }
+
+    // 抓走（优先挡住最多通道的方块）
+    if (grabsLeft > 0 && freeCount === 0) {
+      const order = current.map((item, i) => i)
+        .sort((a, b) => (relevant[b] ? 1 : 0) - (relevant[a] ? 1 : 0));
+      for (const i of order) {
+        const next = current.filter((item, j) => j !== i);
+        const found = tryNext({ index: current[i].index, action: 'grab' }, next, grabsLeft - 1);
+        if (found) return found;
+        if (ctx.exhausted) return null;
+      }
+    }
+
+    ctx.failed.add(key);
+    return null;
+  }
+
+  /**
+   * 分析当前状态下每个方块的前方通道
+   * @returns {{ lanes: Array<{ free: boolean, steps: number }>, relevant: boolean[] }}
+   *   relevant[i] 表示方块 i 位于某个其他方块的前方通道上
+   */
+  static analyze(items, bounds) {
+    const occupancy = new Map();
+    items.forEach((item, i) => {
+      for (const cell of this.getCells(item)) {
+        occupancy.set(this.cellKey(cell.row, cell.col), i);
+      }
+    });
+
+    const relevant = new Array(items.length).fill(false);
+    const lanes = items.map((item, i) => {
+      const delta = DirectionDetector.getGridDirectionDelta(item.direction);
+      const front = this.getFrontCell(item, delta);
+      let row = front.row + delta.row;
+      let col = front.col + delta.col;
+      let steps = 0;
+      let blocked = false;
+
+      while (row >= bounds.minRow && row <= bounds.maxRow && col >= bounds.minCol && col <= bounds.maxCol) {
+        const hit = occupancy.get(this.cellKey(row, col));
+        if (hit !== undefined && hit !== i) {
+          blocked = true;
+          relevant[hit] = true;
+        } else if (!blocked) {
+          steps++;
+        }
+        row += delta.row;
+        col += delta.col;
+      }
+
+      return { free: !blocked, steps: blocked ? steps : 0 };
+    });
+
+    return { lanes, relevant };
+  }
+
+  /**
+   * 所需抓走次数的下界
+   * 同一通道上的同轴方块无法互相越过：通道内必须呈"后退方向在前、前进方向在后"的排列，
+   * 否则存在相向方块对。每条通道的最少删除数 = 数量 - 最长合法子序列长度。
+   */
+  static getPropLowerBound(items) {
+    const lanes = new Map();
+    for (const item of items) {
+      const laneKey = item.axis === 'row' ? `c${item.col}` : `r${item.row}`;
+      const position = item.axis === 'row' ? item.row : item.col;
+      const delta = DirectionDetector.getGridDirectionDelta(item.direction);
+      const forward = item.axis === 'row' ? delta.row > 0 : delta.col > 0;
+      if (!lanes.has(laneKey)) lanes.set(laneKey, []);
+      lanes.get(laneKey).push({ position, forward });
+    }
+
+    let bound = 0;
+    for (const lane of lanes.values()) {
+      if (lane.length < 2) continue;
+      lane.sort((a, b) => a.position - b.position);
+
+      const totalForward = lane.filter(entry => entry.forward).length;
+      let backwardPrefix = 0;
+      let forwardPrefix = 0;
+      let best = totalForward; // 分割点在最前：全部保留前进方向
+      for (const entry of lane) {
+        if (entry.forward) forwardPrefix++;
+        else backwardPrefix++;
+        best = Math.max(best, backwardPrefix + (totalForward - forwardPrefix));
+      }
+      bound += lane.length - best;
+    }
+
+    return bound;
+  }
+
+  /**
+   * 无网格信息时回退到依赖图拓扑排序（非精确）
+   */
+  static solveByGraph(active, options) {
+    const screenWidth = Number.isFinite(options.screenWidth) ? options.screenWidth : canvas.width;
+    const screenHeight = Number.isFinite(options.screenHeight) ? options.screenHeight : canvas.height;
+    const activeBlocks = active.map(entry => entry.block);
+    const order = DependencyGraph.getSolutionPath(activeBlocks, screenWidth, screenHeight);
+
+    if (!order) {
+      return this.createResult(false, false, [], null, 0);
+    }
+
+    const solution = order.map(i => ({ index: active[i].index, action: 'remove' }));
+    return this.createResult(true, false, solution, 0, 0);
+  }
+
+  static hasGridInfo(block) {
+    return Number.isFinite(block.gridRow) &&
+      Number.isFinite(block.gridCol) &&
+      DirectionDetector.getBlockAxis(block) !== null;
+  }
+
+  static computeBounds(items) {
+    const bounds = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+    for (const item of items) {
+      for (const cell of this.getCells(item)) {
+        bounds.minRow = Math.min(bounds.minRow, cell.row);
+        bounds.maxRow = Math.max(bounds.maxRow, cell.row);
+        bounds.minCol = Math.min(bounds.minCol, cell.col);
+        bounds.maxCol = Math.max(bounds.maxCol, cell.col);
+      }
+    }
+    return bounds;
+  }
+
+  static getCells(item) {
+    if (item.axis === 'row') {
+      return [
+        { row: item.row, col: item.col },
+        { row: item.row + 1, col: item.col }
+      ];
+    }
+    return [
+      { row: item.row, col: item.col },
+      { row: item.row, col: item.col + 1 }
+    ];
+  }
+
+  /**
+   * 获取方块朝向一侧的端点格子
+   */
+  static getFrontCell(item, delta) {
+    if (item.axis === 'row') {
+      return { row: delta.row < 0 ? item.row : item.row + 1, col: item.col };
+    }
+    return { row: item.row, col: delta.col < 0 ? item.col : item.col + 1 };
+  }
+
+  static slideItem(item, steps) {
+    const delta = DirectionDetector.getGridDirectionDelta(item.direction);
+    return {
+      ...item,
+      row: item.row + delta.row * steps,
+      col: item.col + delta.col * steps
+    };
+  }
+
+  static cellKey(row, col) {
+    return `${row},${col}`;
+  }
+
+  static getStateKey(items) {
+    return items
+      .map(item => `${item.index}:${item.row},${item.col},${item.direction}`)
+      .sort()
+      .join('|');
+  }
+}
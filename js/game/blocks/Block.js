@@ -6,21 +6,22 @@
  */
 import Sprite from '../../base/sprite';
 import BlockRenderer from '../../ui/BlockRenderer';
-import DirectionDetector from '../algorithms/DirectionDetector';
+import DirectionDetector from '../../../workers/generator/DirectionDetector';
 import { ANIMAL_TYPES, BLOCK_SIZES } from '../../ui/UIConstants';
+import { DIRECTIONS } from '../../../workers/generator/constants';
 
-// 方向常量
-export const DIRECTIONS = {
-  // 兼容旧命名，但语义改为对角线方向（方块本体45°）
-  // UP   = 右上（NE）
-  // RIGHT= 右下（SE）
-  // DOWN = 左下（SW）
-  // LEFT = 左上（NW）
-  UP: 0,
-  RIGHT: 1,
-  DOWN: 2,
-  LEFT: 3
-};
+// 方向常量（与关卡生成器共用）
+export { DIRECTIONS };
+
+// 道具动画时长（PRD §17.2）
+const FLIP_DURATION = 500;
+const SHUFFLE_DURATION = 1000;
+const GRAB_DURATION = 300;
+
+// 洗牌飞散阶段占总时长的比例，以及飞散距离与缩放
+const SHUFFLE_SCATTER_RATIO = 0.45;
+const SHUFFLE_SCATTER_DISTANCE = 36;
+const SHUFFLE_SCATTER_SCALE = 0.8;
 
 export default class Block extends Sprite {
   constructor() {
@@ -75,6 +76,14 @@ export default class Block extends Sprite {
     this.spawnStartOffsetY = 0;  // 起始Y偏移
     this.spawnScale = 1;         // 入场缩放（从小到大）
     this.spawnStartScale = 0.6;  // 入场起始缩放
+
+    // 道具动画（翻转 / 洗牌 / 抓走）：逻辑状态立即生效，只在绘制时叠加过渡
+    this.propAnimation = null;   // { type, startTime, duration, ... }
+    this.propOffsetX = 0;        // 绘制位置相对逻辑位置的偏移
+    this.propOffsetY = 0;
+    this.propRotation = 0;       // 叠加在 rotation 上的旋转角
+    this.propScale = 1;          // 抓走缩小 / 洗牌飞散时的缩放
+    this.propAlpha = 1;          // 抓走淡出
   }
 
   /**
@@ -141,6 +150,7 @@ export default class Block extends Sprite {
     this.isSpawning = false;
     this.spawnOffsetY = 0;
     this.spawnScale = 1;
+    this.resetPropAnimation();
 
     // 不使用图片资源
     this.img = null;
@@ -294,6 +304,103 @@ export default class Block extends Sprite {
     this.emit('remove', this);
   }
 
+  /**
+   * 抓走（道具）：原地缩小至透明，不沿朝向滑出
+   */
+  grab() {
+    if (this.isRemoved) return;
+
+    this.isRemoved = true;
+    this.isShaking = false;
+    this.startPropAnimation({ type: 'grab', duration: GRAB_DURATION });
+
+    // 触发事件
+    this.emit('remove', this);
+  }
+
+  /**
+   * 翻转动画：朝向已翻转，绘制时从原朝向顺时针原地转过 180°
+   */
+  startFlipAnimation() {
+    this.startPropAnimation({ type: 'flip', duration: FLIP_DURATION, fromRotation: -Math.PI });
+  }
+
+  /**
+   * 洗牌动画：位置/朝向已更新，绘制时先从原位置向外飞散，再汇聚到新位置
+   * @param {{ cx: number, cy: number, rotation: number }} from - 洗牌前的姿态（getPose）
+   * @param {{ x: number, y: number }} center - 飞散中心（棋盘中心）
+   */
+  startShuffleAnimation(from, center) {
+    const cx = this.x + this.width / 2;
+    const cy = this.y + this.height / 2;
+
+    // 沿棋盘中心 → 原位置的方向飞散（正好在中心时沿朝向）
+    let dx = from.cx - center.x;
+    let dy = from.cy - center.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length < 1) {
+      const vec = this.getDirectionVector();
+      dx = vec.x;
+      dy = vec.y;
+    } else {
+      dx /= length;
+      dy /= length;
+    }
+
+    // 旋转取最短路径（正好相反时顺时针）
+    let fromRotation = from.rotation - this.rotation;
+    while (fromRotation <= -Math.PI) fromRotation += Math.PI * 2;
+    while (fromRotation > Math.PI) fromRotation -= Math.PI * 2;
+
+    this.startPropAnimation({
+      type: 'shuffle',
+      duration: SHUFFLE_DURATION,
+      fromOffsetX: from.cx - cx,
+      fromOffsetY: from.cy - cy,
+      scatterOffsetX: from.cx + dx * SHUFFLE_SCATTER_DISTANCE - cx,
+      scatterOffsetY: from.cy + dy * SHUFFLE_SCATTER_DISTANCE - cy,
+      fromRotation
+    });
+  }
+
+  /**
+   * 当前绘制姿态（中心点与旋转角），洗牌前记录
+   */
+  getPose() {
+    return {
+      cx: this.x + this.width / 2,
+      cy: this.y + this.height / 2,
+      rotation: this.rotation
+    };
+  }
+
+  /**
+   * 是否正在播放道具动画
+   */
+  isPropAnimating() {
+    return this.propAnimation !== null;
+  }
+
+  /**
+   * 开始道具动画（立即按进度 0 计算一次叠加量，避免首帧闪现终态）
+   */
+  startPropAnimation(animation) {
+    this.propAnimation = { ...animation, startTime: Date.now() };
+    this.updatePropAnimation();
+  }
+
+  /**
+   * 结束道具动画并清除绘制叠加量
+   */
+  resetPropAnimation() {
+    this.propAnimation = null;
+    this.propOffsetX = 0;
+    this.propOffsetY = 0;
+    this.propRotation = 0;
+    this.propScale = 1;
+    this.propAlpha = 1;
+  }
+
   /**
    * 获取当前方块的网格步长（中心点位移长度）
    */
@@ -370,6 +477,66 @@ export default class Block extends Sprite {
     return true;
   }
 
+  /**
+   * 获取当前静止状态快照（用于撤销）
+   * 动画进行中时取动画终点，保证快照是稳定的逻辑状态
+   */
+  captureState() {
+    const settling = this.isMoving && this.slideMode !== 'out';
+    const pendingGrid = this.isMoving && this.slideMode === 'block' &&
+      Number.isFinite(this.gridRow) && Number.isFinite(this.gridCol);
+    let x = this.x;
+    let y = this.y;
+    if (settling) {
+      x = this.targetX;
+      y = this.targetY;
+    } else if (this.isShaking) {
+      x = this.originalX;
+      y = this.originalY;
+    }
+    return {
+      x,
+      y,
+      direction: this.direction,
+      gridRow: pendingGrid ? this.gridRow + this.slideGridDeltaRow : this.gridRow,
+      gridCol: pendingGrid ? this.gridCol + this.slideGridDeltaCol : this.gridCol,
+      isRemoved: this.isRemoved
+    };
+  }
+
+  /**
+   * 恢复到快照状态（撤销），从当前位置反向滑回
+   * 逻辑状态（网格坐标/朝向/消除标记）立即生效，位置通过动画过渡
+   */
+  restoreState(state) {
+    this.isShaking = false;
+    this.resetPropAnimation();
+    if (this.direction !== state.direction) {
+      this.setDirection(state.direction);
+    }
+
+    this.isRemoved = state.isRemoved;
+    this.visible = true;
+    this.gridRow = state.gridRow;
+    this.gridCol = state.gridCol;
+    this.slideGridDeltaRow = 0;
+    this.slideGridDeltaCol = 0;
+
+    this.startX = this.x;
+    this.startY = this.y;
+    this.targetX = state.x;
+    this.targetY = state.y;
+    this.slideStartTime = Date.now();
+    this.slideScale = 1;
+    this.slideMode = 'return';
+    this.isMoving = true;
+
+    const dx = this.targetX - this.startX;
+    const dy = this.targetY - this.startY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    this.slideDuration = Math.min(700, Math.max(260, distance * 1.2));
+  }
+
   /**
    * 抖动反馈
    * 当方块不可消除时调用
@@ -447,6 +614,52 @@ export default class Block extends Sprite {
     if (this.isBouncing) {
       this.updateBounce();
     }
+
+    // 更新道具动画
+    if (this.propAnimation) {
+      this.updatePropAnimation();
+    }
+  }
+
+  /**
+   * 更新道具动画
+   * - flip：easeInOutCubic 旋转 180°
+   * - shuffle：前段 easeOutCubic 飞散并缩小，后段 easeInOutCubic 汇聚、转到新朝向并恢复
+   * - grab：缩小并淡出，结束后隐藏
+   */
+  updatePropAnimation() {
+    const anim = this.propAnimation;
+    const progress = Math.min((Date.now() - anim.startTime) / anim.duration, 1);
+    const easeInOut = t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+    if (anim.type === 'flip') {
+      this.propRotation = anim.fromRotation * (1 - easeInOut(progress));
+    } else if (anim.type === 'shuffle') {
+      if (progress < SHUFFLE_SCATTER_RATIO) {
+        const t = 1 - Math.pow(1 - progress / SHUFFLE_SCATTER_RATIO, 3);
+        this.propOffsetX = anim.fromOffsetX + (anim.scatterOffsetX - anim.fromOffsetX) * t;
+        this.propOffsetY = anim.fromOffsetY + (anim.scatterOffsetY - anim.fromOffsetY) * t;
+        this.propRotation = anim.fromRotation;
+        this.propScale = 1 - (1 - SHUFFLE_SCATTER_SCALE) * t;
+      } else {
+        const t = easeInOut((progress - SHUFFLE_SCATTER_RATIO) / (1 - SHUFFLE_SCATTER_RATIO));
+        this.propOffsetX = anim.scatterOffsetX * (1 - t);
+        this.propOffsetY = anim.scatterOffsetY * (1 - t);
+        this.propRotation = anim.fromRotation * (1 - t);
+        this.propScale = SHUFFLE_SCATTER_SCALE + (1 - SHUFFLE_SCATTER_SCALE) * t;
+      }
+    } else if (anim.type === 'grab') {
+      this.propScale = 1 - progress;
+      this.propAlpha = 1 - progress;
+    }
+
+    if (progress >= 1) {
+      if (anim.type === 'grab') {
+        this.visible = false;
+        this.emit('moveComplete', this);
+      }
+      this.resetPropAnimation();
+    }
   }
 
   /**
@@ -499,8 +712,10 @@ export default class Block extends Sprite {
     this.x = this.startX + (this.targetX - this.startX) * eased;
     this.y = this.startY + (this.targetY - this.startY) * eased;
     
-    // 滑出时轻微缩小（美化效果）
-    this.slideScale = 1 - progress * 0.15;
+    // 滑出时轻微缩小，撤销滑回时从小恢复（美化效果）
+    this.slideScale = this.slideMode === 'return'
+      ? 0.85 + progress * 0.15
+      : 1 - progress * 0.15;
     
     if (progress >= 1) {
       if (this.slideMode === 'out') {
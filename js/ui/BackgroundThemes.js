@@ -0,0 +1,217 @@
+/**
+ * 背景主题
+ * 关卡页与主界面共用同一主题（选择保存在 GameSettings）：
+ * - game：关卡页背景渐变、底部道具栏底色、顶部进度文字颜色
+ * - menu：主界面天空、太阳光晕、云朵与山丘配色（覆盖 MenuRenderer.theme 中的同名字段）
+ * - createDecorations / drawDecoration：关卡页背景上的装饰（位置生成一次后缓存；alpha 为淡入时的整体透明度）
+ */
+
+/**
+ * 在棋盘上下的留白区域内随机取点（装饰不必避开棋盘，方块会盖住它们）
+ */
+function scatter(count, width, height, rand, make) {
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    items.push(make(rand() * width, 100 + rand() * (height - 200), rand));
+  }
+  return items;
+}
+
+export const BACKGROUND_THEMES = [
+  {
+    id: 'meadow',
+    name: '草地',
+    game: {
+      gradient: ['#A8D86B', '#9ACD32', '#8BC34A'],
+      bottomBar: ['rgba(139, 195, 74, 0.3)', 'rgba(104, 159, 56, 0.5)', 'rgba(85, 139, 47, 0.6)'],
+      hudText: '#333'
+    },
+    menu: {
+      skyTop: '#F9F1DE',
+      skyMid: '#D7F0FB',
+      skyBottom: '#B7E6D1',
+      sunGlow: ['rgba(255, 226, 154, 0.9)', 'rgba(255, 226, 154, 0)'],
+      cloud: 'rgba(255, 255, 255, 0.65)',
+      hillFront: '#77C88B',
+      hillBack: '#5EBB7A',
+      text: '#1F2A33',
+      textSoft: '#4B5B66'
+    },
+    // 小花与草叶
+    createDecorations(width, height, rand) {
+      const flowerColors = ['#FFB6C1', '#FFFFFF', '#FFE4B5', '#E6E6FA'];
+      return scatter(30, width, height, rand, (x, y, r) => ({
+        x,
+        y,
+        type: r() > 0.5 ? 'flower' : 'grass',
+        color: flowerColors[Math.floor(r() * flowerColors.length)]
+      }));
+    },
+    drawDecoration(ctx, dec, alpha) {
+      ctx.globalAlpha = alpha * 0.6;
+      if (dec.type === 'flower') {
+        ctx.fillStyle = dec.color;
+        ctx.beginPath();
+        ctx.arc(dec.x, dec.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        // 花心
+        ctx.fillStyle = '#FFD700';
+        ctx.beginPath();
+        ctx.arc(dec.x, dec.y, 2, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        ctx.strokeStyle = '#7CB342';
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(dec.x, dec.y);
+        ctx.quadraticCurveTo(dec.x + 3, dec.y - 8, dec.x + 1, dec.y - 12);
+        ctx.stroke();
+      }
+    }
+  },
+  {
+    id: 'night',
+    name: '夜晚',
+    game: {
+      gradient: ['#1A2A4F', '#25406B', '#2F5A6E'],
+      bottomBar: ['rgba(15, 25, 50, 0.3)', 'rgba(15, 25, 50, 0.5)', 'rgba(10, 18, 36, 0.65)'],
+      hudText: '#F5F5F5'
+    },
+    menu: {
+      skyTop: '#14213D',
+      skyMid: '#25406B',
+      skyBottom: '#3E6A7A',
+      sunGlow: ['rgba(255, 244, 214, 0.85)', 'rgba(255, 244, 214, 0)'],
+      cloud: 'rgba(200, 214, 240, 0.25)',
+      hillFront: '#2E5D4B',
+      hillBack: '#24493C',
+      text: '#F5F5F5',
+      textSoft: '#C5D0DC'
+    },
+    // 星星与萤火虫
+    createDecorations(width, height, rand) {
+      return scatter(40, width, height, rand, (x, y, r) => ({
+        x,
+        y,
+        type: r() > 0.8 ? 'firefly' : 'star',
+        size: 1 + r() * 1.5
+      }));
+    },
+    drawDecoration(ctx, dec, alpha) {
+      if (dec.type === 'star') {
+        ctx.globalAlpha = alpha * 0.7;
+        ctx.fillStyle = '#FFFFFF';
+        ctx.beginPath();
+        ctx.arc(dec.x, dec.y, dec.size, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        ctx.globalAlpha = alpha * 0.45;
+        ctx.fillStyle = '#FFF59D';
+        ctx.beginPath();
+        ctx.arc(dec.x, dec.y, dec.size + 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = alpha * 0.9;
+        ctx.beginPath();
+        ctx.arc(dec.x, dec.y, dec.size, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  },
+  {
+    id: 'snow',
+    name: '雪地',
+    game: {
+      gradient: ['#E3F2FD', '#CFE3F3', '#B9D4EA'],
+      bottomBar: ['rgba(144, 175, 205, 0.3)', 'rgba(120, 153, 186, 0.45)', 'rgba(96, 128, 160, 0.55)'],
+      hudText: '#2B3A4A'
+    },
+    menu: {
+      skyTop: '#EEF5FB',
+      skyMid: '#D6E7F5',
+      skyBottom: '#C3D9EC',
+      sunGlow: ['rgba(255, 250, 230, 0.9)', 'rgba(255, 250, 230, 0)'],
+      cloud: 'rgba(255, 255, 255, 0.8)',
+      hillFront: '#FFFFFF',
+      hillBack: '#E1ECF5',
+      text: '#1F2A33',
+      textSoft: '#4B5B66'
+    },
+    // 雪花
+    createDecorations(width, height, rand) {
+      return scatter(36, width, height, rand, (x, y, r) => ({ x, y, size: 2 + r() * 3 }));
+    },
+    drawDecoration(ctx, dec, alpha) {
+      ctx.globalAlpha = alpha * 0.75;
+      ctx.strokeStyle = '#FFFFFF';
+      ctx.lineWidth = 1.5;
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      for (let i = 0; i < 3; i++) {
+        const angle = (Math.PI / 3) * i;
+        const dx = Math.cos(angle) * dec.size;
+        const dy = Math.sin(angle) * dec.size;
+        ctx.moveTo(dec.x - dx, dec.y - dy);
+        ctx.lineTo(dec.x + dx, dec.y + dy);
+      }
+      ctx.stroke();
+    }
+  },
+  {
+    id: 'beach',
+    name: '沙滩',
+    game: {
+      gradient: ['#FFE9B8', '#F7D89A', '#EBC47E'],
+      bottomBar: ['rgba(79, 195, 247, 0.3)', 'rgba(41, 168, 224, 0.45)', 'rgba(2, 136, 209, 0.55)'],
+      hudText: '#4E342E'
+    },
+    menu: {
+      skyTop: '#FFF3D6',
+      skyMid: '#BDE8F6',
+      skyBottom: '#8FD3EC',
+      sunGlow: ['rgba(255, 213, 128, 0.95)', 'rgba(255, 213, 128, 0)'],
+      cloud: 'rgba(255, 255, 255, 0.7)',
+      hillFront: '#F4D79B',
+      hillBack: '#4FC3F7',
+      text: '#1F2A33',
+      textSoft: '#4B5B66'
+    },
+    // 贝壳与浪花
+    createDecorations(width, height, rand) {
+      const shellColors = ['#FFFFFF', '#FFCCBC', '#F8BBD0'];
+      return scatter(26, width, height, rand, (x, y, r) => ({
+        x,
+        y,
+        type: r() > 0.45 ? 'shell' : 'wave',
+        color: shellColors[Math.floor(r() * shellColors.length)]
+      }));
+    },
+    drawDecoration(ctx, dec, alpha) {
+      if (dec.type === 'shell') {
+        ctx.globalAlpha = alpha * 0.7;
+        ctx.fillStyle = dec.color;
+        ctx.beginPath();
+        ctx.arc(dec.x, dec.y, 5, Math.PI, Math.PI * 2);
+        ctx.closePath();
+        ctx.fill();
+      } else {
+        ctx.globalAlpha = alpha * 0.45;
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(dec.x - 8, dec.y);
+        ctx.quadraticCurveTo(dec.x - 4, dec.y - 4, dec.x, dec.y);
+        ctx.quadraticCurveTo(dec.x + 4, dec.y + 4, dec.x + 8, dec.y);
+        ctx.stroke();
+      }
+    }
+  }
+];
+
+/**
+ * 按 id 取主题，未知 id 回退到草地
+ */
+export function getBackgroundTheme(id) {
+  return BACKGROUND_THEMES.find(theme => theme.id === id) || BACKGROUND_THEMES[0];
+}
@@ -5,6 +5,9 @@
  * - 简洁的头部特征：眼睛 + 鼻子 + 小耳朵
  * - 5种主要动物：猪（粉色）、羊（白色）、狗（橙黄色）、狐狸（橙红色）、熊猫（黑白）
  * - Q萌可爱的整体造型
+ * - 纯色模式：扁平胶囊 + 大号高对比方向箭头，不绘制动物五官与装饰（密集棋盘更易辨认方向）
+ * - 方向标记：在动物身体上叠加朝向头部的双箭头，不只靠头部位置判断方向
+ * - 体色取自当前配色方案（UIConstants.getAnimalColor，含色盲友好方案）
  */
 
 import { DIRECTIONS } from "../game/blocks/Block";
@@ -13,44 +16,58 @@ import { ANIMAL_TYPES, getAnimalColor } from "./UIConstants";
 export default class BlockRenderer {
   /**
    * 渲染方块
+   * @param {Object} [options] - { pureColor: 是否按纯色模式绘制, glyphs: 是否叠加方向标记 }
    */
-  static render(ctx, block) {
+  static render(ctx, block, options = {}) {
     const { x, y, width, height, direction, type } = block;
-    // 四面八方飞入偏移
+    // 四面八方飞入偏移 + 道具动画（洗牌）偏移
     const spawnOffsetX = block.spawnOffsetX || 0;
     const spawnOffsetY = block.spawnOffsetY || 0;
-    const renderX = x - spawnOffsetX;
-    const renderY = y - spawnOffsetY;
+    const renderX = x - spawnOffsetX + (block.propOffsetX || 0);
+    const renderY = y - spawnOffsetY + (block.propOffsetY || 0);
 
-    // 计算综合缩放（滑出缩放 + 弹跳缩放 + 入场缩放）
+    // 计算综合缩放（滑出缩放 + 弹跳缩放 + 入场缩放 + 道具动画缩放）
     const slideScale = block.slideScale || 1;
     const bounceScale = block.bounceScale || 1;
     const spawnScale = block.spawnScale || 1;
-    const scale = slideScale * bounceScale * spawnScale;
+    const propScale = typeof block.propScale === "number" ? block.propScale : 1;
+    const scale = slideScale * bounceScale * spawnScale * propScale;
+    if (scale <= 0) return;
 
     ctx.save();
+    if (typeof block.propAlpha === "number" && block.propAlpha < 1) {
+      ctx.globalAlpha *= block.propAlpha;
+    }
 
     // 以碰撞盒中心为原点，旋转绘制"胶囊本体45°"
     const centerX = renderX + width / 2;
     const centerY = renderY + height / 2;
     const bodyW = block.bodyWidth || Math.max(width, height);
     const bodyH = block.bodyHeight || Math.min(width, height);
-    const rotation = typeof block.rotation === "number" ? block.rotation : 0;
+    const rotation = (typeof block.rotation === "number" ? block.rotation : 0) + (block.propRotation || 0);
 
     ctx.translate(centerX, centerY);
     if (scale !== 1) ctx.scale(scale, scale);
     ctx.rotate(rotation);
 
     // 在局部坐标系中绘制（头部默认朝向 +X）
-    this.drawAnimalBody(
-      ctx,
-      -bodyW / 2,
-      -bodyH / 2,
-      bodyW,
-      bodyH,
-      direction,
-      type
-    );
+    if (options.pureColor) {
+      this.drawPureColorBody(ctx, -bodyW / 2, -bodyH / 2, bodyW, bodyH, type);
+    } else {
+      this.drawAnimalBody(
+        ctx,
+        -bodyW / 2,
+        -bodyH / 2,
+        bodyW,
+        bodyH,
+        direction,
+        type
+      );
+      // 纯色模式的箭头已经表明方向，不再叠加标记
+      if (options.glyphs) {
+        this.drawDirectionGlyph(ctx, -bodyW / 2, -bodyH / 2, bodyW, bodyH, type);
+      }
+    }
 
     ctx.restore();
   }
@@ -114,6 +131,107 @@ export default class BlockRenderer {
     this.drawAnimalFeatures(ctx, x, y, width, height, direction, animalType);
   }
 
+  /**
+   * 绘制纯色方块：扁平胶囊 + 朝 +X 的大号方向箭头
+   * 箭头颜色按体色亮度取黑或白，保证与体色的对比度
+   */
+  static drawPureColorBody(ctx, x, y, width, height, animalType) {
+    const color = getAnimalColor(animalType);
+    const r = height / 2;
+
+    // 扁平胶囊（两端半圆，无渐变与高光）
+    ctx.beginPath();
+    ctx.arc(x + width - r, y + r, r, -Math.PI / 2, Math.PI / 2, false);
+    ctx.arc(x + r, y + r, r, Math.PI / 2, -Math.PI / 2, false);
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.strokeStyle = this.darkenColor(color, 35);
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    // 方向箭头：箭杆贯穿大半个身体，箭头占满身体高度
+    const arrowColor = this.getContrastColor(color);
+    const centerY = y + r;
+    const tipX = x + width - r * 0.45;
+    const headLength = Math.min(height * 0.85, width * 0.4);
+    const headHalf = height * 0.36;
+    const tailX = x + r * 0.6;
+
+    ctx.strokeStyle = arrowColor;
+    ctx.fillStyle = arrowColor;
+    ctx.lineWidth = Math.max(2, height * 0.18);
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    ctx.moveTo(tailX, centerY);
+    ctx.lineTo(tipX - headLength * 0.6, centerY);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(tipX, centerY);
+    ctx.lineTo(tipX - headLength, centerY - headHalf);
+    ctx.lineTo(tipX - headLength, centerY + headHalf);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /**
+   * 绘制方向标记：身体中段朝 +X（头部）的双箭头
+   * 避开头部五官，颜色与纯色模式箭头一致按体色取对比色
+   */
+  static drawDirectionGlyph(ctx, x, y, width, height, animalType) {
+    const color = getAnimalColor(animalType);
+    const centerX = x + width * 0.42;
+    const centerY = y + height / 2;
+    const size = height * 0.28;
+    const gap = size * 0.9;
+
+    ctx.save();
+    ctx.strokeStyle = this.getContrastColor(color);
+    ctx.lineWidth = Math.max(1.5, height * 0.12);
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    [-gap / 2, gap / 2].forEach(offset => {
+      const tipX = centerX + offset + size / 2;
+      ctx.moveTo(tipX - size, centerY - size);
+      ctx.lineTo(tipX, centerY);
+      ctx.lineTo(tipX - size, centerY + size);
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * 深色与白色中与给定底色对比度（WCAG）更高的一个，用于箭头等图标
+   */
+  static getContrastColor(color) {
+    const dark = "#1F2A33";
+    const light = "#FFFFFF";
+    return this.getContrastRatio(color, dark) >= this.getContrastRatio(color, light) ? dark : light;
+  }
+
+  /**
+   * 两种颜色的对比度（WCAG 2.x，1 ~ 21）
+   */
+  static getContrastRatio(colorA, colorB) {
+    const a = this.getRelativeLuminance(colorA);
+    const b = this.getRelativeLuminance(colorB);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+  }
+
+  /**
+   * 相对亮度（WCAG 2.x，sRGB 线性化后加权）
+   */
+  static getRelativeLuminance(color) {
+    const num = parseInt(color.replace("#", ""), 16);
+    const [R, G, B] = [num >> 16, (num >> 8) & 0x00ff, num & 0x0000ff].map(channel => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  }
+
   /**
    * 绘制颈部线条（半透明弧线）
    */
@@ -0,0 +1,333 @@
+/**
+ * 每日挑战日历
+ * - 顶部：返回按钮、标题；连续天数卡片（当前 / 最佳）
+ * - 月历：可前后翻月（最早回看 DailyChallenge.HISTORY_MONTHS 个月），
+ *   已通关的日期绿色打勾，挑战失败的日期灰色，今天带橙色外圈，未来日期不可点
+ * - 底部：今日挑战按钮（今天已开过局时变为不计分重玩）
+ */
+
+import Button from './Button';
+import DailyChallenge from '../game/DailyChallenge';
+import { FONT_FAMILIES, drawRoundRect } from './UIConstants';
+import { t } from './Strings';
+
+const HEADER_HEIGHT = 64;      // 顶部栏高度（返回按钮 + 标题）
+const STREAK_CARD_HEIGHT = 72;
+const MONTH_NAV_HEIGHT = 44;
+const WEEKDAY_ROW_HEIGHT = 26;
+const START_BUTTON_OFFSET = 96; // 今日挑战按钮顶部距屏幕底部
+const START_BUTTON_HEIGHT = 52;
+
+export default class DailyCalendarRenderer {
+  constructor() {
+    this.theme = {
+      skyTop: '#FFF4DC',
+      skyBottom: '#FFD9B0',
+      card: 'rgba(255, 255, 255, 0.85)',
+      completed: '#43A047',
+      failed: '#B0BEC5',
+      today: '#FF7A3D',
+      text: '#1F2A33',
+      textSoft: '#4B5B66',
+      textMuted: 'rgba(31, 42, 51, 0.3)'
+    };
+    this.fonts = {
+      display: FONT_FAMILIES.DISPLAY,
+      ui: FONT_FAMILIES.UI
+    };
+
+    this.backButton = { x: 12, y: 14, width: 72, height: 36 };
+
+    // 当前显示的月份（month 从 0 开始）与今天的日期键
+    this.year = 0;
+    this.month = 0;
+    this.today = null;
+
+    const width = Math.min(280, canvas.width - 48);
+    this.startButton = new Button(t('daily.start'), (canvas.width - width) / 2, canvas.height - START_BUTTON_OFFSET, {
+      width,
+      height: START_BUTTON_HEIGHT,
+      backgroundColor: this.theme.today,
+      textColor: '#FFFFFF',
+      fontSize: 18,
+      fontFamily: this.fonts.ui,
+      cornerRadius: START_BUTTON_HEIGHT / 2
+    });
+  }
+
+  /**
+   * 打开日历（定位到今天所在月份）
+   */
+  open(today = DailyChallenge.today()) {
+    const date = DailyChallenge.parseDateKey(today);
+    this.today = today;
+    this.year = date.getFullYear();
+    this.month = date.getMonth();
+  }
+
+  /**
+   * 翻月
+   * @returns {boolean} 是否翻动（不能翻到未来，也不能早于可回看范围）
+   */
+  shiftMonth(delta) {
+    const today = DailyChallenge.parseDateKey(this.today);
+    const target = this.year * 12 + this.month + delta;
+    const latest = today.getFullYear() * 12 + today.getMonth();
+    if (target > latest || target <= latest - DailyChallenge.HISTORY_MONTHS) return false;
+
+    this.year = Math.floor(target / 12);
+    this.month = target % 12;
+    return true;
+  }
+
+  getButton(name) {
+    return name === 'start' ? this.startButton : null;
+  }
+
+  // ==================== 布局 ====================
+
+  getMonthNavY() {
+    return HEADER_HEIGHT + 12 + STREAK_CARD_HEIGHT + 12;
+  }
+
+  /**
+   * 月历格子布局：起点、格子尺寸、本月第一天的星期与天数
+   */
+  getGridLayout() {
+    const y = this.getMonthNavY() + MONTH_NAV_HEIGHT + WEEKDAY_ROW_HEIGHT;
+    // 最多 6 行，需留在今日挑战按钮上方
+    const maxByHeight = (canvas.height - START_BUTTON_OFFSET - 12 - y) / 6;
+    const cellSize = Math.floor(Math.min(48, (canvas.width - 24) / 7, maxByHeight));
+    const x = (canvas.width - cellSize * 7) / 2;
+    const firstWeekday = new Date(this.year, this.month, 1).getDay();
+    const days = new Date(this.year, this.month + 1, 0).getDate();
+    return { x, y, cellSize, firstWeekday, days };
+  }
+
+  getDateKey(day) {
+    return DailyChallenge.toDateKey(new Date(this.year, this.month, day));
+  }
+
+  getNavArrows() {
+    const y = this.getMonthNavY();
+    const size = MONTH_NAV_HEIGHT;
+    return {
+      prev: { x: canvas.width / 2 - 110 - size / 2, y, width: size, height: size },
+      next: { x: canvas.width / 2 + 110 - size / 2, y, width: size, height: size }
+    };
+  }
+
+  /**
+   * 点击检测
+   * @returns {{ type: 'back' } | { type: 'start' } | { type: 'month', delta: number }
+   *   | { type: 'day', dateKey: string } | null}
+   */
+  hitTest(x, y) {
+    const inRect = (rect) => x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+    if (inRect(this.backButton)) return { type: 'back' };
+    if (this.startButton.isClicked(x, y)) return { type: 'start' };
+
+    const arrows = this.getNavArrows();
+    if (inRect(arrows.prev)) return { type: 'month', delta: -1 };
+    if (inRect(arrows.next)) return { type: 'month', delta: 1 };
+
+    const grid = this.getGridLayout();
+    const col = Math.floor((x - grid.x) / grid.cellSize);
+    const row = Math.floor((y - grid.y) / grid.cellSize);
+    if (col < 0 || col > 6 || row < 0) return null;
+
+    const day = row * 7 + col - grid.firstWeekday + 1;
+    if (day < 1 || day > grid.days) return null;
+
+    const dateKey = this.getDateKey(day);
+    // 日期键按字典序即时间序
+    if (dateKey > this.today) return null;
+    return { type: 'day', dateKey };
+  }
+
+  // ==================== 渲染 ====================
+
+  /**
+   * 渲染日历
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {DailyChallenge} daily
+   */
+  render(ctx, daily) {
+    const screenWidth = canvas.width;
+    const screenHeight = canvas.height;
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, screenHeight);
+    gradient.addColorStop(0, this.theme.skyTop);
+    gradient.addColorStop(1, this.theme.skyBottom);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, screenWidth, screenHeight);
+
+    this.drawHeader(ctx, screenWidth);
+    this.drawStreakCard(ctx, daily, screenWidth);
+    this.drawMonthNav(ctx, screenWidth);
+    this.drawDays(ctx, daily);
+
+    // 今天已开过局时按钮变为不计分重玩
+    const todayRecord = daily.getRecord(this.today);
+    if (!todayRecord) {
+      this.startButton.text = t('daily.start');
+    } else {
+      this.startButton.text = todayRecord.completed ? t('daily.replayCompleted') : t('daily.replayAttempted');
+    }
+    this.startButton.render(ctx);
+
+    ctx.save();
+    ctx.fillStyle = this.theme.textSoft;
+    ctx.font = `13px ${this.fonts.ui}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(t('daily.rules'), screenWidth / 2, this.startButton.y + START_BUTTON_HEIGHT + 22);
+    ctx.restore();
+  }
+
+  /**
+   * 顶部栏：返回按钮 + 标题
+   */
+  drawHeader(ctx, screenWidth) {
+    ctx.save();
+
+    ctx.fillStyle = 'rgba(255, 244, 220, 0.95)';
+    ctx.fillRect(0, 0, screenWidth, HEADER_HEIGHT);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, HEADER_HEIGHT);
+    ctx.lineTo(screenWidth, HEADER_HEIGHT);
+    ctx.stroke();
+
+    const rect = this.backButton;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    drawRoundRect(ctx, rect.x, rect.y, rect.width, rect.height, rect.height / 2);
+    ctx.fill();
+
+    ctx.fillStyle = this.theme.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `600 15px ${this.fonts.ui}`;
+    ctx.fillText(t('common.back'), rect.x + rect.width / 2, rect.y + rect.height / 2);
+
+    ctx.font = `800 20px ${this.fonts.display}`;
+    ctx.fillText(t('daily.title'), screenWidth / 2, rect.y + rect.height / 2);
+
+    ctx.restore();
+  }
+
+  /**
+   * 连续天数卡片
+   */
+  drawStreakCard(ctx, daily, screenWidth) {
+    const width = Math.min(320, screenWidth - 32);
+    const x = (screenWidth - width) / 2;
+    const y = HEADER_HEIGHT + 12;
+
+    ctx.save();
+    ctx.fillStyle = this.theme.card;
+    drawRoundRect(ctx, x, y, width, STREAK_CARD_HEIGHT, 16);
+    ctx.fill();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = this.theme.today;
+    ctx.font = `800 24px ${this.fonts.display}`;
+    ctx.fillText(t('daily.streak', { days: daily.getStreak(this.today) }), screenWidth / 2, y + 28);
+
+    ctx.fillStyle = this.theme.textSoft;
+    ctx.font = `13px ${this.fonts.ui}`;
+    ctx.fillText(t('daily.bestStreak', { days: daily.getBestStreak() }), screenWidth / 2, y + 54);
+    ctx.restore();
+  }
+
+  /**
+   * 月份标题与翻月箭头（不可翻动的方向变灰）
+   */
+  drawMonthNav(ctx, screenWidth) {
+    const y = this.getMonthNavY() + MONTH_NAV_HEIGHT / 2;
+    const arrows = this.getNavArrows();
+    const today = DailyChallenge.parseDateKey(this.today);
+    const current = this.year * 12 + this.month;
+    const latest = today.getFullYear() * 12 + today.getMonth();
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = this.theme.text;
+    ctx.font = `800 18px ${this.fonts.display}`;
+    ctx.fillText(t('daily.month', { year: this.year, monthName: t('daily.monthNames')[this.month] }), screenWidth / 2, y);
+
+    ctx.font = `800 26px ${this.fonts.ui}`;
+    ctx.fillStyle = current > latest - DailyChallenge.HISTORY_MONTHS + 1 ? this.theme.text : this.theme.textMuted;
+    ctx.fillText('‹', arrows.prev.x + arrows.prev.width / 2, y);
+    ctx.fillStyle = current < latest ? this.theme.text : this.theme.textMuted;
+    ctx.fillText('›', arrows.next.x + arrows.next.width / 2, y);
+
+    // 星期表头
+    const grid = this.getGridLayout();
+    ctx.fillStyle = this.theme.textSoft;
+    ctx.font = `600 13px ${this.fonts.ui}`;
+    t('daily.weekdays').forEach((name, index) => {
+      ctx.fillText(name, grid.x + grid.cellSize * (index + 0.5), grid.y - WEEKDAY_ROW_HEIGHT / 2);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * 日期格子：已通关绿色打勾，失败灰色，今天橙色外圈，未来日期淡化
+   */
+  drawDays(ctx, daily) {
+    const grid = this.getGridLayout();
+    const radius = grid.cellSize * 0.4;
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let day = 1; day <= grid.days; day++) {
+      const index = grid.firstWeekday + day - 1;
+      const cx = grid.x + grid.cellSize * (index % 7 + 0.5);
+      const cy = grid.y + grid.cellSize * (Math.floor(index / 7) + 0.5);
+      const dateKey = this.getDateKey(day);
+      const record = daily.getRecord(dateKey);
+      const isFuture = dateKey > this.today;
+
+      if (record) {
+        ctx.fillStyle = record.completed ? this.theme.completed : this.theme.failed;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+      } else if (!isFuture) {
+        ctx.fillStyle = this.theme.card;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      if (dateKey === this.today) {
+        ctx.strokeStyle = this.theme.today;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius + 2, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
+      if (isFuture) {
+        ctx.fillStyle = this.theme.textMuted;
+      } else {
+        ctx.fillStyle = record ? '#FFFFFF' : this.theme.text;
+      }
+      ctx.font = `600 15px ${this.fonts.ui}`;
+      ctx.fillText(String(day), cx, cy - (record && record.completed ? 4 : 0));
+
+      if (record && record.completed) {
+        ctx.font = `bold 10px ${this.fonts.ui}`;
+        ctx.fillText('✓', cx, cy + radius * 0.55);
+      }
+    }
+
+    ctx.restore();
+  }
+}
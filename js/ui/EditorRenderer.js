@@ -0,0 +1,325 @@
+/**
+ * 关卡编辑器渲染器
+ * - 顶部：返回按钮、标题、方块尺寸切换；下方一行显示实时可解性与最大依赖深度
+ * - 棋盘：网格单元画成小圆点，方块上标注依赖深度，选中方块带高亮外圈
+ * - 底部：动物类型色板 + 朝向（旋转）按钮，操作按钮（删除/清空/导入/导出/试玩）
+ */
+
+import Button from './Button';
+import BlockRenderer from './BlockRenderer';
+import Block from '../game/blocks/Block';
+import { FONT_FAMILIES, MAIN_ANIMAL_TYPES, drawRoundRect, getAnimalColor } from './UIConstants';
+import { t } from './Strings';
+
+const HEADER_HEIGHT = 64;      // 顶部栏高度（返回按钮 + 标题）
+const SWATCH_RADIUS = 17;      // 动物色板半径
+const TOOL_ROW_OFFSET = 104;   // 色板行中心距屏幕底部
+const ACTION_ROW_OFFSET = 56;  // 操作按钮行顶部距屏幕底部
+const ACTION_HEIGHT = 38;
+
+// 操作按钮：名称、颜色（文字取 Strings 中的 editor.<name>）
+const ACTIONS = [
+  { name: 'delete', color: '#EF5350' },
+  { name: 'clear', color: '#78909C' },
+  { name: 'import', color: '#29B6F6' },
+  { name: 'export', color: '#26A69A' },
+  { name: 'playtest', color: '#FF7A3D' }
+];
+
+export default class EditorRenderer {
+  constructor() {
+    this.theme = {
+      skyTop: '#F9F1DE',
+      skyBottom: '#B7E6D1',
+      cell: 'rgba(31, 42, 51, 0.18)',
+      selected: '#FF7A3D',
+      solvable: '#2E7D32',
+      unsolvable: '#D32F2F',
+      unknown: '#F57C00',
+      text: '#1F2A33',
+      textSoft: '#4B5B66'
+    };
+    this.fonts = {
+      display: FONT_FAMILIES.DISPLAY,
+      ui: FONT_FAMILIES.UI
+    };
+
+    this.backButton = { x: 12, y: 14, width: 72, height: 36 };
+    this.sizeButton = { x: canvas.width - 96, y: 14, width: 84, height: 36 };
+
+    this.buttons = {};
+    this.initButtons();
+  }
+
+  /**
+   * 初始化底部操作按钮
+   */
+  initButtons() {
+    const gap = 8;
+    const width = (canvas.width - gap * (ACTIONS.length + 1)) / ACTIONS.length;
+    const y = canvas.height - ACTION_ROW_OFFSET;
+
+    ACTIONS.forEach((action, index) => {
+      this.buttons[action.name] = new Button(t(`editor.${action.name}`), gap + index * (width + gap), y, {
+        width,
+        height: ACTION_HEIGHT,
+        backgroundColor: action.color,
+        textColor: '#FFFFFF',
+        fontSize: 15,
+        fontFamily: this.fonts.ui,
+        cornerRadius: ACTION_HEIGHT / 2
+      });
+    });
+  }
+
+  /**
+   * 色板与旋转按钮的圆心（旋转按钮排在最后）
+   */
+  getToolSlots() {
+    const count = MAIN_ANIMAL_TYPES.length + 1;
+    const spacing = Math.min(56, (canvas.width - 32) / count);
+    const startX = canvas.width / 2 - spacing * (count - 1) / 2;
+    const y = canvas.height - TOOL_ROW_OFFSET;
+    return Array.from({ length: count }, (_, index) => ({ x: startX + index * spacing, y }));
+  }
+
+  getButton(name) {
+    return this.buttons[name];
+  }
+
+  /**
+   * 点击检测
+   * @returns {{ type: 'back' } | { type: 'size' } | { type: 'rotate' } | { type: 'animal', animal: string }
+   *   | { type: 'action', name: string } | { type: 'board' }}
+   */
+  hitTest(x, y) {
+    const inRect = (rect) => x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+    if (inRect(this.backButton)) return { type: 'back' };
+    if (inRect(this.sizeButton)) return { type: 'size' };
+
+    for (const action of ACTIONS) {
+      if (this.buttons[action.name].isClicked(x, y)) return { type: 'action', name: action.name };
+    }
+
+    const slots = this.getToolSlots();
+    const hitRadius = SWATCH_RADIUS + 6;
+    for (let i = 0; i < slots.length; i++) {
+      const dx = x - slots[i].x;
+      const dy = y - slots[i].y;
+      if (dx * dx + dy * dy > hitRadius * hitRadius) continue;
+      return i < MAIN_ANIMAL_TYPES.length ? { type: 'animal', animal: MAIN_ANIMAL_TYPES[i] } : { type: 'rotate' };
+    }
+
+    return { type: 'board' };
+  }
+
+  // ==================== 渲染 ====================
+
+  /**
+   * 渲染编辑器
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {LevelEditor} editor
+   */
+  render(ctx, editor) {
+    const screenWidth = canvas.width;
+    const screenHeight = canvas.height;
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, screenHeight);
+    gradient.addColorStop(0, this.theme.skyTop);
+    gradient.addColorStop(1, this.theme.skyBottom);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, screenWidth, screenHeight);
+
+    this.drawGrid(ctx, editor);
+    this.drawSelection(ctx, editor);
+    editor.blocks.forEach(block => BlockRenderer.render(ctx, block));
+    this.drawDepths(ctx, editor);
+
+    this.drawHeader(ctx, editor, screenWidth);
+    this.drawStatus(ctx, editor, screenWidth);
+    this.drawTools(ctx, editor);
+    ACTIONS.forEach(action => {
+      const button = this.buttons[action.name];
+      button.text = t(`editor.${action.name}`);
+      button.render(ctx);
+    });
+  }
+
+  /**
+   * 空闲网格单元
+   */
+  drawGrid(ctx, editor) {
+    ctx.save();
+    ctx.fillStyle = this.theme.cell;
+    const radius = Math.max(2, editor.grid.shortSide * 0.14);
+    for (const cell of editor.grid.cells.values()) {
+      if (editor.occupancy.has(cell.key)) continue;
+      ctx.beginPath();
+      ctx.arc(cell.x, cell.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * 选中方块的高亮外圈（衬在方块下方）
+   */
+  drawSelection(ctx, editor) {
+    const block = editor.getSelectedBlock();
+    if (!block) return;
+
+    const pulse = 0.5 + 0.5 * Math.sin(Date.now() / 200);
+    ctx.save();
+    ctx.translate(block.x + block.width / 2, block.y + block.height / 2);
+    ctx.rotate(block.rotation || 0);
+    ctx.fillStyle = this.theme.selected;
+    ctx.globalAlpha = 0.3 + 0.25 * pulse;
+    const pad = 5;
+    const width = block.bodyWidth + pad * 2;
+    const height = block.bodyHeight + pad * 2;
+    drawRoundRect(ctx, -width / 2, -height / 2, width, height, height / 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * 方块中心标注依赖深度（∞ 表示处于循环依赖中）
+   */
+  drawDepths(ctx, editor) {
+    const analysis = editor.analysis;
+    if (!analysis || analysis.depths.length === 0) return;
+
+    ctx.save();
+    const fontSize = Math.max(9, Math.round(editor.grid.shortSide * 0.6));
+    ctx.font = `bold ${fontSize}px ${this.fonts.ui}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillStyle = '#FFFFFF';
+
+    editor.blocks.forEach((block, index) => {
+      const depth = analysis.depths[index];
+      const label = Number.isFinite(depth) ? String(depth) : '∞';
+      const cx = block.x + block.width / 2;
+      const cy = block.y + block.height / 2;
+      ctx.strokeText(label, cx, cy);
+      ctx.fillText(label, cx, cy);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * 顶部栏：返回按钮 + 标题 + 尺寸切换
+   */
+  drawHeader(ctx, editor, screenWidth) {
+    ctx.save();
+
+    ctx.fillStyle = 'rgba(249, 241, 222, 0.95)';
+    ctx.fillRect(0, 0, screenWidth, HEADER_HEIGHT);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, HEADER_HEIGHT);
+    ctx.lineTo(screenWidth, HEADER_HEIGHT);
+    ctx.stroke();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    [[this.backButton, t('common.back')], [this.sizeButton, t('editor.size', { size: editor.blockSize })]].forEach(([rect, text]) => {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      drawRoundRect(ctx, rect.x, rect.y, rect.width, rect.height, rect.height / 2);
+      ctx.fill();
+      ctx.fillStyle = this.theme.text;
+      ctx.font = `600 15px ${this.fonts.ui}`;
+      ctx.fillText(text, rect.x + rect.width / 2, rect.y + rect.height / 2);
+    });
+
+    ctx.font = `800 20px ${this.fonts.display}`;
+    ctx.fillText(t('editor.title'), screenWidth / 2, this.backButton.y + this.backButton.height / 2);
+
+    ctx.restore();
+  }
+
+  /**
+   * 实时分析结果：方块数 · 可解性（步数）· 最大深度
+   */
+  drawStatus(ctx, editor, screenWidth) {
+    const analysis = editor.analysis;
+    let text = t('editor.placeHint');
+    let color = this.theme.textSoft;
+    if (analysis && analysis.status !== 'empty') {
+      const count = t('editor.count', { count: editor.blocks.length });
+      const depth = t('editor.maxDepth', { depth: analysis.maxDepth });
+      if (analysis.status === 'solvable') {
+        text = t('editor.solvable', { count, moves: analysis.moves, depth });
+        color = this.theme.solvable;
+      } else if (analysis.status === 'unsolvable') {
+        text = t('editor.unsolvable', { count, depth });
+        color = this.theme.unsolvable;
+      } else {
+        text = t('editor.unknown', { count, depth });
+        color = this.theme.unknown;
+      }
+    }
+
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.font = `600 15px ${this.fonts.ui}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, screenWidth / 2, HEADER_HEIGHT + 24);
+    ctx.restore();
+  }
+
+  /**
+   * 动物色板（当前类型带外圈）与朝向按钮（箭头指示新方块朝向）
+   */
+  drawTools(ctx, editor) {
+    const slots = this.getToolSlots();
+    ctx.save();
+
+    MAIN_ANIMAL_TYPES.forEach((animal, index) => {
+      const { x, y } = slots[index];
+      if (animal === editor.type) {
+        ctx.strokeStyle = this.theme.selected;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y, SWATCH_RADIUS + 4, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      ctx.fillStyle = getAnimalColor(animal);
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(x, y, SWATCH_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    const rotate = slots[slots.length - 1];
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.beginPath();
+    ctx.arc(rotate.x, rotate.y, SWATCH_RADIUS + 2, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.translate(rotate.x, rotate.y);
+    ctx.rotate(Block.getDirectionAngle(editor.direction));
+    ctx.strokeStyle = this.theme.text;
+    ctx.fillStyle = this.theme.text;
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(-9, 0);
+    ctx.lineTo(4, 0);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(11, 0);
+    ctx.lineTo(2, -7);
+    ctx.lineTo(2, 7);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.restore();
+  }
+}
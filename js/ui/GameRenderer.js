@@ -4,10 +4,14 @@
  * - 顶部栏：关卡编号、子关卡节点、2x2功能区
  * - 进度显示：动物头像 + 进度百分比
  * - 棋盘区域：木质桌面背景
- * - 底部道具栏：4个圆角矩形按钮
+ * - 底部道具栏：5个圆角矩形按钮
  */
 
 import PropButton from './PropButton';
+import BlockRenderer from './BlockRenderer';
+import LevelRules from '../game/LevelRules';
+import { getBackgroundTheme } from './BackgroundThemes';
+import { t } from './Strings';
 import { 
   COLORS, 
   LAYOUT, 
@@ -18,15 +22,31 @@ import {
   getBoardRect 
 } from './UIConstants';
 
+// 切换背景主题的淡入时长
+const BACKGROUND_FADE_MS = 400;
+
 export default class GameRenderer {
   constructor() {
-    // 道具按钮（4个）
+    // 背景主题与切换时的淡入（{ from, startTime }）
+    this.backgroundTheme = getBackgroundTheme();
+    this.backgroundFade = null;
+
+    // 各主题的装饰位置缓存（主题 id -> 装饰列表）
+    this._decorations = {};
+
+    // 纯色模式：方块绘制为扁平胶囊 + 高对比方向箭头
+    this.pureColor = false;
+
+    // 方向标记：在动物身体上叠加朝向箭头
+    this.directionGlyphs = false;
+
+    // 道具按钮（5个）
     this.propButtons = {};
 
     // 顶部功能按钮区域
     this.topButtons = {
       settings: null,
-      refresh: null,
+      undo: null,
       background: null,
       pureColor: null
     };
@@ -46,43 +66,37 @@ export default class GameRenderer {
     const screenHeight = canvas.height;
     const bottomY = screenHeight - LAYOUT.BOTTOM_BAR_HEIGHT / 2 - 12; // 上移，留出标签空间
     const buttonSpacing = 8;   // 按钮间距
-    const buttonSize = BUTTON_SIZES.PROP;
-    
-    // 4个按钮的总宽度
-    const totalWidth = buttonSize * 4 + buttonSpacing * 3;
-    const startX = (screenWidth - totalWidth) / 2 + buttonSize / 2;
+    const sideMargin = 12;     // 两侧留白
 
-    // 抓走道具（蓝色）
-    this.propButtons.grab = new PropButton(
+    // 抓走（蓝）、翻转（黄）、洗牌位置（紫）、洗牌方向（粉紫）、提示（绿）
+    const types = [
       PROP_TYPES.GRAB,
-      items.grab || 0,
-      startX,
-      bottomY
-    );
-
-    // 翻转道具（黄色）
-    this.propButtons.flip = new PropButton(
       PROP_TYPES.FLIP,
-      items.flip || 0,
-      startX + buttonSize + buttonSpacing,
-      bottomY
-    );
-
-    // 洗牌道具-位置（紫色）
-    this.propButtons.shufflePos = new PropButton(
       PROP_TYPES.SHUFFLE_POS,
-      items.shufflePos || items.shuffle || 0,
-      startX + (buttonSize + buttonSpacing) * 2,
-      bottomY
-    );
-
-    // 洗牌道具-方向（粉紫色）
-    this.propButtons.shuffleDir = new PropButton(
       PROP_TYPES.SHUFFLE_DIR,
-      items.shuffleDir || 0,
-      startX + (buttonSize + buttonSpacing) * 3,
-      bottomY
-    );
+      PROP_TYPES.HINT
+    ];
+
+    // 5个按钮放不下标准尺寸时整体缩小
+    const fitSize = (screenWidth - sideMargin * 2 - buttonSpacing * (types.length - 1)) / types.length;
+    const buttonSize = Math.min(BUTTON_SIZES.PROP, Math.floor(fitSize));
+    const totalWidth = buttonSize * types.length + buttonSpacing * (types.length - 1);
+    const startX = (screenWidth - totalWidth) / 2 + buttonSize / 2;
+
+    this.propButtons = {};
+    types.forEach((type, i) => {
+      // 兼容旧的shuffle类型
+      const count = type === PROP_TYPES.SHUFFLE_POS
+        ? (items.shufflePos || items.shuffle || 0)
+        : (items[type] || 0);
+      this.propButtons[type] = new PropButton(
+        type,
+        count,
+        startX + (buttonSize + buttonSpacing) * i,
+        bottomY,
+        buttonSize
+      );
+    });
   }
 
   /**
@@ -118,80 +132,100 @@ export default class GameRenderer {
   }
 
   /**
-   * 绘制背景（浅绿色草地风格）
+   * 切换纯色模式（立即生效）
+   * @param {boolean} enabled
+   */
+  setPureColor(enabled) {
+    this.pureColor = !!enabled;
+  }
+
+  /**
+   * 切换方向标记（立即生效）
+   * @param {boolean} enabled
+   */
+  setDirectionGlyphs(enabled) {
+    this.directionGlyphs = !!enabled;
+  }
+
+  /**
+   * 绘制方块（按当前渲染模式；滑出中的方块只要可见就绘制，让动画完整播放）
+   * @param {Array} blocks - 方块列表
+   */
+  drawBlocks(ctx, blocks) {
+    const options = { pureColor: this.pureColor, glyphs: this.directionGlyphs };
+    blocks.forEach(block => {
+      if (block.visible) {
+        BlockRenderer.render(ctx, block, options);
+      }
+    });
+  }
+
+  /**
+   * 切换背景主题
+   * @param {string} id - 主题 id（见 BackgroundThemes）
+   * @param {boolean} [animate=true] - 是否从当前主题淡入（启动时直接应用）
+   */
+  setBackgroundTheme(id, animate = true) {
+    const theme = getBackgroundTheme(id);
+    if (theme === this.backgroundTheme) return;
+    this.backgroundFade = animate && this.backgroundTheme
+      ? { from: this.backgroundTheme, startTime: Date.now() }
+      : null;
+    this.backgroundTheme = theme;
+  }
+
+  /**
+   * 绘制背景（当前主题；切换时旧主题在下、新主题逐渐淡入）
    */
   drawBackground(ctx) {
+    const fade = this.backgroundFade;
+    if (fade) {
+      const progress = (Date.now() - fade.startTime) / BACKGROUND_FADE_MS;
+      if (progress < 1) {
+        this.drawThemeBackground(ctx, fade.from);
+        ctx.save();
+        ctx.globalAlpha = progress;
+        this.drawThemeBackground(ctx, this.backgroundTheme);
+        ctx.restore();
+        return;
+      }
+      this.backgroundFade = null;
+    }
+    this.drawThemeBackground(ctx, this.backgroundTheme);
+  }
+
+  /**
+   * 绘制一个主题的背景渐变与装饰
+   */
+  drawThemeBackground(ctx, theme) {
     const screenWidth = canvas.width;
     const screenHeight = canvas.height;
+    const [top, mid, bottom] = theme.game.gradient;
 
-    // 浅绿色草地背景渐变
     const gradient = ctx.createLinearGradient(0, 0, 0, screenHeight);
-    gradient.addColorStop(0, '#A8D86B');   // 顶部浅绿
-    gradient.addColorStop(0.5, '#9ACD32'); // 中部草绿
-    gradient.addColorStop(1, '#8BC34A');   // 底部稍深
+    gradient.addColorStop(0, top);
+    gradient.addColorStop(0.5, mid);
+    gradient.addColorStop(1, bottom);
 
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, screenWidth, screenHeight);
 
-    // 绘制随机小花和草装饰
-    this.drawGrassDecorations(ctx, screenWidth, screenHeight);
-  }
-
-  /**
-   * 绘制草地装饰（小花、草叶）
-   */
-  drawGrassDecorations(ctx, screenWidth, screenHeight) {
-    // 使用固定种子的随机数，确保每帧装饰位置一致
-    const decorations = this.getGrassDecorationPositions(screenWidth, screenHeight);
-    
-    decorations.forEach(dec => {
+    const alpha = ctx.globalAlpha;
+    this.getThemeDecorations(theme, screenWidth, screenHeight).forEach(dec => {
       ctx.save();
-      ctx.globalAlpha = 0.6;
-      
-      if (dec.type === 'flower') {
-        // 小花
-        ctx.fillStyle = dec.color;
-        ctx.beginPath();
-        ctx.arc(dec.x, dec.y, 4, 0, Math.PI * 2);
-        ctx.fill();
-        // 花心
-        ctx.fillStyle = '#FFD700';
-        ctx.beginPath();
-        ctx.arc(dec.x, dec.y, 2, 0, Math.PI * 2);
-        ctx.fill();
-      } else if (dec.type === 'grass') {
-        // 小草叶
-        ctx.strokeStyle = '#7CB342';
-        ctx.lineWidth = 2;
-        ctx.lineCap = 'round';
-        ctx.beginPath();
-        ctx.moveTo(dec.x, dec.y);
-        ctx.quadraticCurveTo(dec.x + 3, dec.y - 8, dec.x + 1, dec.y - 12);
-        ctx.stroke();
-      }
-      
+      theme.drawDecoration(ctx, dec, alpha);
       ctx.restore();
     });
   }
 
   /**
-   * 获取草地装饰位置（缓存以避免每帧重新计算）
+   * 获取主题装饰位置（按主题缓存，避免每帧重新计算）
    */
-  getGrassDecorationPositions(screenWidth, screenHeight) {
-    if (!this._grassDecorations) {
-      this._grassDecorations = [];
-      const flowerColors = ['#FFB6C1', '#FFFFFF', '#FFE4B5', '#E6E6FA'];
-      
-      // 生成随机装饰
-      for (let i = 0; i < 30; i++) {
-        const x = Math.random() * screenWidth;
-        const y = 100 + Math.random() * (screenHeight - 200);
-        const type = Math.random() > 0.5 ? 'flower' : 'grass';
-        const color = flowerColors[Math.floor(Math.random() * flowerColors.length)];
-        this._grassDecorations.push({ x, y, type, color });
-      }
+  getThemeDecorations(theme, screenWidth, screenHeight) {
+    if (!this._decorations[theme.id]) {
+      this._decorations[theme.id] = theme.createDecorations(screenWidth, screenHeight, Math.random);
     }
-    return this._grassDecorations;
+    return this._decorations[theme.id];
   }
 
   /**
@@ -201,7 +235,7 @@ export default class GameRenderer {
     const topBarHeight = LAYOUT.TOP_BAR_HEIGHT + 20;
 
     // 顶部左侧2x2功能区
-    this.drawTopFunctionButtons(ctx);
+    this.drawTopFunctionButtons(ctx, databus);
 
     // 关卡标题（居中，位置下移避免绿叶遮挡）
     ctx.fillStyle = '#FFFFFF';
@@ -211,22 +245,25 @@ export default class GameRenderer {
     ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
     ctx.shadowBlur = 4;
     ctx.shadowOffsetY = 2;
-    ctx.fillText(`第${databus.currentLevel}关`, canvas.width / 2, 25);  // 位置上移
+    ctx.fillText(databus.levelTitle || t('game.levelTitle', { level: databus.currentLevel }), canvas.width / 2, 25);  // 位置上移
     ctx.shadowColor = 'transparent';
 
     // 子关卡节点（关卡标题下方）
     this.drawSubLevelNodes(ctx, databus);
 
+    // 限步 / 限时关卡的剩余步数与倒计时（子关卡节点下方）
+    this.drawLevelLimits(ctx, databus);
+
     // 右上角更多按钮和进度头像
     this.drawRightTopArea(ctx, databus);
   }
 
   /**
    * 绘制顶部左侧2x2功能区（设计感版本）
-   * - 第一排（设置/刷新）：仅图标居中，无文字
+   * - 第一排（设置/撤销）：仅图标居中，无文字；撤销按钮右上角显示剩余次数
    * - 第二排（背景/纯色）：图标居中，白色艺术字体在按钮下方横跨背景
    */
-  drawTopFunctionButtons(ctx) {
+  drawTopFunctionButtons(ctx, databus) {
     const startX = LAYOUT.SIDE_PADDING;
     const startY = 12;
     const buttonSize = 40;           // 紧凑一点
@@ -235,9 +272,9 @@ export default class GameRenderer {
 
     const buttons = [
       { type: 'settings', label: '', accent: '#4CAF50', row: 0, col: 0 },
-      { type: 'refresh', label: '', accent: '#03A9F4', row: 0, col: 1 },
-      { type: 'background', label: '背景', accent: '#FF9800', row: 1, col: 0 },
-      { type: 'pureColor', label: '纯色', accent: '#8BC34A', row: 1, col: 1 }
+      { type: 'undo', label: '', accent: '#03A9F4', row: 0, col: 1 },
+      { type: 'background', label: t('game.background'), accent: '#FF9800', row: 1, col: 0 },
+      { type: 'pureColor', label: t('game.pureColor'), accent: '#8BC34A', row: 1, col: 1 }
     ];
 
     buttons.forEach(btn => {
@@ -256,24 +293,30 @@ export default class GameRenderer {
       drawRoundRect(ctx, x, y, buttonSize, buttonSize, 12);
       ctx.fill();
       
-      // 细边框
+      // 细边框（纯色模式开启时纯色按钮描主题色粗边）
+      const active = btn.type === 'pureColor' && this.pureColor;
       ctx.shadowColor = 'transparent';
-      ctx.strokeStyle = 'rgba(0, 0, 0, 0.06)';
-      ctx.lineWidth = 1;
+      ctx.strokeStyle = active ? btn.accent : 'rgba(0, 0, 0, 0.06)';
+      ctx.lineWidth = active ? 2.5 : 1;
       ctx.stroke();
       ctx.restore();
 
-      // 图标居中（自绘矢量）
+      // 图标居中（自绘矢量），撤销不可用时置灰
       const iconSize = 18;
+      const undoDisabled = btn.type === 'undo' && databus && !databus.canUndo();
       this.drawTopButtonIcon(
         ctx,
         btn.type,
         x + buttonSize / 2,
         y + buttonSize / 2,
         iconSize,
-        btn.accent
+        undoDisabled ? '#B0BEC5' : btn.accent
       );
 
+      if (btn.type === 'undo' && databus) {
+        this.drawUndoCountBadge(ctx, x + buttonSize - 2, y + 2, databus.getUndoRemaining());
+      }
+
       // 第二排文字：白色艺术字体，在按钮下方横跨绿色背景
       if (btn.label) {
         const labelX = x + buttonSize / 2;
@@ -313,8 +356,8 @@ export default class GameRenderer {
       case 'settings':
         this.drawIconGear(ctx, cx, cy, size);
         break;
-      case 'refresh':
-        this.drawIconRefresh(ctx, cx, cy, size);
+      case 'undo':
+        this.drawIconUndo(ctx, cx, cy, size);
         break;
       case 'background':
         this.drawIconPicture(ctx, cx, cy, size);
@@ -362,27 +405,51 @@ export default class GameRenderer {
     ctx.stroke();
   }
 
-  drawIconRefresh(ctx, cx, cy, size) {
-    const r = size * 0.42;
-    const start = Math.PI * 0.1;
-    const end = Math.PI * 1.85;
+  drawIconUndo(ctx, cx, cy, size) {
+    const r = size * 0.34;
+    const arcCx = cx + size * 0.06;
+    const arcCy = cy + size * 0.06;
 
-    // 弧线
+    // 返回弧线（从左上绕到下方）
     ctx.beginPath();
-    ctx.arc(cx, cy, r, start, end, false);
+    ctx.arc(arcCx, arcCy, r, Math.PI * 1.1, Math.PI * 0.7, false);
     ctx.stroke();
 
-    // 箭头（右上）
-    const ax = cx + Math.cos(end) * r;
-    const ay = cy + Math.sin(end) * r;
+    // 箭头（左上，指向左）
+    const ax = arcCx + Math.cos(Math.PI * 1.1) * r;
+    const ay = arcCy + Math.sin(Math.PI * 1.1) * r;
     ctx.beginPath();
-    ctx.moveTo(ax, ay);
-    ctx.lineTo(ax - size * 0.16, ay - size * 0.02);
-    ctx.lineTo(ax - size * 0.04, ay + size * 0.14);
+    ctx.moveTo(ax - size * 0.12, ay - size * 0.04);
+    ctx.lineTo(ax + size * 0.1, ay - size * 0.16);
+    ctx.lineTo(ax + size * 0.06, ay + size * 0.1);
     ctx.closePath();
     ctx.fill();
   }
 
+  /**
+   * 绘制撤销剩余次数角标
+   */
+  drawUndoCountBadge(ctx, x, y, remaining) {
+    const text = Number.isFinite(remaining) ? String(remaining) : '∞';
+    const radius = 8;
+
+    ctx.save();
+    ctx.fillStyle = remaining > 0 ? '#FF5722' : '#9E9E9E';
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 10px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y + 0.5);
+    ctx.restore();
+  }
+
   drawIconPicture(ctx, cx, cy, size) {
     const w = size * 0.95;
     const h = size * 0.72;
@@ -516,6 +583,42 @@ export default class GameRenderer {
     });
   }
 
+  /**
+   * 绘制剩余步数与倒计时胶囊（失败条件 B），接近用完时变红
+   */
+  drawLevelLimits(ctx, databus) {
+    const items = [];
+    if (databus.timeLimit !== null) {
+      const remaining = databus.getTimeRemaining();
+      items.push({ text: `⏱ ${LevelRules.formatTime(remaining)}`, urgent: remaining <= 10000 });
+    }
+    if (databus.moveLimit !== null) {
+      const remaining = databus.getMovesRemaining();
+      items.push({ text: t('game.movesLeft', { moves: remaining }), urgent: remaining <= 5 });
+    }
+    if (items.length === 0) return;
+
+    const pillWidth = 78;
+    const pillHeight = 24;
+    const gap = 8;
+    const y = 70;
+    let x = canvas.width / 2 - (items.length * pillWidth + (items.length - 1) * gap) / 2;
+
+    ctx.save();
+    ctx.font = `bold ${FONT_SIZES.HINT}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    items.forEach(item => {
+      ctx.fillStyle = item.urgent ? 'rgba(229, 57, 53, 0.92)' : 'rgba(0, 0, 0, 0.35)';
+      drawRoundRect(ctx, x, y, pillWidth, pillHeight, pillHeight / 2);
+      ctx.fill();
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(item.text, x + pillWidth / 2, y + pillHeight / 2);
+      x += pillWidth + gap;
+    });
+    ctx.restore();
+  }
+
   /**
    * 绘制右上角区域（更多按钮 + 进度头像）
    */
@@ -550,12 +653,12 @@ export default class GameRenderer {
 
     this.drawPandaAvatar(ctx, avatarX, avatarY);
 
-    // 进度文字（黑色，更醒目）
-    ctx.fillStyle = '#333';
+    // 进度文字（随背景主题取深色或浅色，更醒目）
+    ctx.fillStyle = this.backgroundTheme.game.hudText;
     ctx.font = `bold ${FONT_SIZES.HINT}px Arial`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText(`进度${progress}%`, avatarX, avatarY + 46);
+    ctx.fillText(t('game.progress', { percent: progress }), avatarX, avatarY + 46);
   }
 
   drawPandaAvatar(ctx, x, y) {
@@ -639,11 +742,12 @@ export default class GameRenderer {
     const bottomBarHeight = LAYOUT.BOTTOM_BAR_HEIGHT;
     const bottomY = screenHeight - bottomBarHeight;
 
-    // 半透明渐变背景（与绿色草地融合）
+    // 半透明渐变背景（与背景主题融合）
+    const [barTop, barMid, barBottom] = this.backgroundTheme.game.bottomBar;
     const bgGradient = ctx.createLinearGradient(0, bottomY, 0, screenHeight);
-    bgGradient.addColorStop(0, 'rgba(139, 195, 74, 0.3)');  // 浅绿半透明
-    bgGradient.addColorStop(0.5, 'rgba(104, 159, 56, 0.5)');
-    bgGradient.addColorStop(1, 'rgba(85, 139, 47, 0.6)');
+    bgGradient.addColorStop(0, barTop);
+    bgGradient.addColorStop(0.5, barMid);
+    bgGradient.addColorStop(1, barBottom);
     ctx.fillStyle = bgGradient;
     ctx.fillRect(0, bottomY, screenWidth, bottomBarHeight);
 
@@ -674,27 +778,69 @@ export default class GameRenderer {
     ctx.textBaseline = 'top';
     ctx.font = `bold ${FONT_SIZES.HINT - 2}px Arial`;
 
-    const propNames = {
-      grab: '抓走',
-      flip: '翻转',
-      shufflePos: '重排',
-      shuffleDir: '随机向'
-    };
-
     Object.entries(this.propButtons).forEach(([type, button]) => {
       if (button) {
         const labelY = button.y + button.height / 2 + 8;
         // 描边
         ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
         ctx.lineWidth = 3;
-        ctx.strokeText(propNames[type] || type, button.x, labelY);
+        const label = t(`prop.${type}`, null, type);
+        ctx.strokeText(label, button.x, labelY);
         // 文字
         ctx.fillStyle = '#FFFFFF';
-        ctx.fillText(propNames[type] || type, button.x, labelY);
+        ctx.fillText(label, button.x, labelY);
       }
     });
   }
 
+  /**
+   * 绘制提示道具效果（在方块之前绘制，光晕衬在方块下方）
+   * - 目标方块：脉冲光晕
+   * - 出口射线：沿 DirectionDetector.getRayPath 的路径点画虚线，超出棋盘区域即止
+   * @param {Object} hint - { block, path, startTime }
+   */
+  drawHint(ctx, hint) {
+    if (!hint || !hint.block || hint.block.isRemoved) return;
+
+    const { block, path } = hint;
+    const boardRect = getBoardRect(canvas.width, canvas.height);
+    const pulse = 0.5 + 0.5 * Math.sin((Date.now() - hint.startTime) / 160);
+    const centerX = block.x + block.width / 2;
+    const centerY = block.y + block.height / 2;
+    const bodySize = Math.max(block.width, block.height);
+
+    ctx.save();
+
+    // 脉冲光晕
+    const glowRadius = bodySize * (0.75 + 0.2 * pulse);
+    const glow = ctx.createRadialGradient(centerX, centerY, bodySize * 0.2, centerX, centerY, glowRadius);
+    glow.addColorStop(0, `rgba(255, 241, 118, ${0.55 + 0.35 * pulse})`);
+    glow.addColorStop(1, 'rgba(255, 241, 118, 0)');
+    ctx.fillStyle = glow;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, glowRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 虚线出口射线（跳过被方块自身遮住的路径点）
+    ctx.fillStyle = `rgba(255, 255, 255, ${0.6 + 0.4 * pulse})`;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+    ctx.lineWidth = 1;
+    for (const point of path || []) {
+      if (point.x < boardRect.x || point.x > boardRect.x + boardRect.width ||
+          point.y < boardRect.y || point.y > boardRect.y + boardRect.height) {
+        break;
+      }
+      if (Math.hypot(point.x - centerX, point.y - centerY) < bodySize / 2) continue;
+
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
   /**
    * 获取道具按钮
    */
@@ -774,12 +920,58 @@ export default class GameRenderer {
     ctx.font = `bold ${FONT_SIZES.BUTTON + 4}px Arial`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText('点击要移除的方块', screenWidth / 2, hintY + 18);
+    ctx.fillText(t('game.grabHint'), screenWidth / 2, hintY + 18);
 
     // 副标题文字（白色，较小）
     ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
     ctx.font = `${FONT_SIZES.HINT}px Arial`;
-    ctx.fillText('点击空白处取消', screenWidth / 2, hintY + 50);
+    ctx.fillText(t('game.grabCancel'), screenWidth / 2, hintY + 50);
+
+    ctx.restore();
+  }
+
+  /**
+   * 绘制新手教程横幅（绿色，贴在棋盘上沿或下沿，避开高亮的方块）
+   * @param {Object} step - { title, message } 当前步骤的文案
+   * @param {Object|null} block - 本步高亮的方块
+   */
+  drawTutorial(ctx, step, block) {
+    const screenWidth = canvas.width;
+    const boardRect = getBoardRect(canvas.width, canvas.height);
+
+    const bannerWidth = Math.min(320, screenWidth - LAYOUT.SIDE_PADDING * 2);
+    const bannerHeight = 64;
+    const bannerX = (screenWidth - bannerWidth) / 2;
+
+    // 高亮方块在棋盘上半部分时横幅放到下沿
+    const blockCenterY = block ? block.y + block.height / 2 : boardRect.y + boardRect.height;
+    const bannerY = blockCenterY < boardRect.y + boardRect.height / 2
+      ? boardRect.y + boardRect.height - bannerHeight
+      : boardRect.y;
+
+    ctx.save();
+
+    const gradient = ctx.createLinearGradient(bannerX, bannerY, bannerX, bannerY + bannerHeight);
+    gradient.addColorStop(0, 'rgba(102, 187, 106, 0.95)');
+    gradient.addColorStop(1, 'rgba(56, 142, 60, 0.95)');
+
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+    ctx.shadowBlur = 10;
+    ctx.shadowOffsetY = 5;
+    ctx.fillStyle = gradient;
+    drawRoundRect(ctx, bannerX, bannerY, bannerWidth, bannerHeight, 15);
+    ctx.fill();
+    ctx.shadowColor = 'transparent';
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = `bold ${FONT_SIZES.BUTTON + 2}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(step.title, screenWidth / 2, bannerY + 12);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.font = `${FONT_SIZES.HINT}px Arial`;
+    ctx.fillText(step.message, screenWidth / 2, bannerY + 40);
 
     ctx.restore();
   }
@@ -0,0 +1,452 @@
+/**
+ * 关卡选择地图渲染器
+ * 位于主界面与关卡之间：
+ * - 纵向蜿蜒路径展示所有已解锁关卡（外加下一个待解锁关卡）
+ * - 节点显示星级与最佳步数，阶段切换处显示阶段名（教学关、难度飙升……）
+ * - 支持拖动滚动（松手后惯性滑动）与点击节点开始关卡
+ */
+
+import { FONT_FAMILIES, drawRoundRect } from './UIConstants';
+import { t } from './Strings';
+
+const HEADER_HEIGHT = 64;      // 顶部栏高度（返回按钮 + 标题）
+const NODE_RADIUS = 30;        // 关卡节点半径
+const NODE_SPACING = 118;      // 相邻节点纵向间距（含星级与步数文字）
+const PHASE_BAND_HEIGHT = 48;  // 阶段名横条占用高度
+const TAP_THRESHOLD = 8;       // 手指位移小于该值视为点击
+const FRICTION = 0.92;         // 惯性滑动衰减
+const MAX_VELOCITY = 60;       // 惯性速度上限（像素/帧）
+
+export default class LevelMapRenderer {
+  /**
+   * @param {LevelManager} levelManager - 提供关卡元数据（阶段名可被手工关卡包覆盖）
+   */
+  constructor(levelManager) {
+    this.levelManager = levelManager;
+    this.theme = {
+      skyTop: '#F9F1DE',
+      skyBottom: '#B7E6D1',
+      path: 'rgba(255, 255, 255, 0.75)',
+      completed: '#66BB6A',
+      current: '#FF7A3D',
+      locked: '#B0BEC5',
+      star: '#FFC107',
+      starEmpty: 'rgba(0, 0, 0, 0.15)',
+      text: '#1F2A33',
+      textSoft: '#4B5B66'
+    };
+    this.fonts = {
+      display: FONT_FAMILIES.DISPLAY,
+      ui: FONT_FAMILIES.UI
+    };
+
+    // 布局（open 时根据解锁进度计算）
+    this.nodes = [];
+    this.phaseBands = [];
+    this.contentHeight = 0;
+
+    // 滚动状态
+    this.scrollY = 0;
+    this.maxScroll = 0;
+    this.velocity = 0;
+    this.drag = null;
+
+    // 返回按钮区域
+    this.backButton = { x: 12, y: 14, width: 72, height: 36 };
+
+    // 阶段名缓存（buildLevelMeta 每次都会构造完整难度参数对象）
+    this.phaseNames = new Map();
+  }
+
+  /**
+   * 打开地图：重新布局并滚动到指定关卡
+   * @param {GameDataBus} databus
+   * @param {number} focusLevel - 初始居中的关卡
+   */
+  open(databus, focusLevel) {
+    this.layout(databus);
+    this.velocity = 0;
+    this.drag = null;
+
+    const node = this.nodes.find(n => n.level === focusLevel) || this.nodes[this.nodes.length - 1];
+    this.scrollY = node ? this.clampScroll(node.y - canvas.height / 2) : 0;
+  }
+
+  /**
+   * 计算节点与阶段横条位置
+   */
+  layout(databus) {
+    const lastLevel = databus.unlockedLevels + 1; // 多展示一个待解锁关卡
+    let y = HEADER_HEIGHT + 16;
+    let prevPhase = null;
+
+    this.nodes = [];
+    this.phaseBands = [];
+
+    for (let level = 1; level <= lastLevel; level++) {
+      const phaseName = this.getPhaseName(level);
+      if (phaseName !== prevPhase) {
+        this.phaseBands.push({ name: phaseName, y: y + PHASE_BAND_HEIGHT / 2 });
+        y += PHASE_BAND_HEIGHT;
+        prevPhase = phaseName;
+      }
+
+      this.nodes.push({
+        level,
+        x: this.getNodeX(level),
+        y: y + NODE_RADIUS + 8,
+        locked: level > databus.unlockedLevels
+      });
+      y += NODE_SPACING;
+    }
+
+    this.contentHeight = y;
+    this.maxScroll = Math.max(0, this.contentHeight - canvas.height + 24);
+  }
+
+  getPhaseName(level) {
+    if (!this.phaseNames.has(level)) {
+      this.phaseNames.set(level, this.levelManager.buildLevelMeta(level).phaseName || '');
+    }
+    return this.phaseNames.get(level);
+  }
+
+  /**
+   * 节点横向位置：中 → 右 → 中 → 左 循环，形成蜿蜒小路
+   */
+  getNodeX(level) {
+    const pattern = [0.5, 0.74, 0.5, 0.26];
+    return Math.round(canvas.width * pattern[(level - 1) % pattern.length]);
+  }
+
+  clampScroll(value) {
+    return Math.max(0, Math.min(this.maxScroll, value));
+  }
+
+  // ==================== 触摸 ====================
+
+  onTouchStart(x, y) {
+    this.velocity = 0;
+    this.drag = {
+      startY: y,
+      lastY: y,
+      lastTime: Date.now(),
+      startScroll: this.scrollY,
+      moved: false
+    };
+  }
+
+  onTouchMove(x, y) {
+    const drag = this.drag;
+    if (!drag) return;
+
+    const dy = y - drag.startY;
+    if (Math.abs(dy) > TAP_THRESHOLD) {
+      drag.moved = true;
+    }
+
+    if (drag.moved) {
+      const now = Date.now();
+      const dt = Math.max(1, now - drag.lastTime);
+      // 换算为每帧（约 16ms）的滚动速度
+      const velocity = ((drag.lastY - y) / dt) * 16;
+      this.velocity = Math.max(-MAX_VELOCITY, Math.min(MAX_VELOCITY, velocity));
+      this.scrollY = this.clampScroll(drag.startScroll - dy);
+      drag.lastTime = now;
+    }
+    drag.lastY = y;
+  }
+
+  /**
+   * 手指抬起：未发生拖动时视为点击
+   * @returns {{ type: 'back' } | { type: 'level', level: number, locked: boolean } | null}
+   */
+  onTouchEnd(x, y) {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag || drag.moved) return null;
+
+    this.velocity = 0;
+    return this.hitTest(x, y);
+  }
+
+  hitTest(x, y) {
+    const back = this.backButton;
+    if (x >= back.x && x <= back.x + back.width && y >= back.y && y <= back.y + back.height) {
+      return { type: 'back' };
+    }
+
+    if (y < HEADER_HEIGHT) return null;
+
+    const contentY = y + this.scrollY;
+    const hitRadius = NODE_RADIUS + 10;
+    for (const node of this.nodes) {
+      const dx = x - node.x;
+      const dy = contentY - node.y;
+      if (dx * dx + dy * dy <= hitRadius * hitRadius) {
+        return { type: 'level', level: node.level, locked: node.locked };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 惯性滑动
+   */
+  update() {
+    if (this.drag || Math.abs(this.velocity) < 0.2) return;
+
+    const next = this.clampScroll(this.scrollY + this.velocity);
+    this.velocity = next === this.scrollY ? 0 : this.velocity * FRICTION;
+    this.scrollY = next;
+  }
+
+  // ==================== 渲染 ====================
+
+  /**
+   * 渲染关卡地图
+   */
+  render(ctx, databus) {
+    const screenWidth = canvas.width;
+    const screenHeight = canvas.height;
+
+    this.drawBackground(ctx, screenWidth, screenHeight);
+
+    // 可见范围（内容坐标）
+    const viewTop = this.scrollY + HEADER_HEIGHT - NODE_SPACING;
+    const viewBottom = this.scrollY + screenHeight + NODE_SPACING;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, HEADER_HEIGHT, screenWidth, screenHeight - HEADER_HEIGHT);
+    ctx.clip();
+    ctx.translate(0, -this.scrollY);
+
+    this.drawPath(ctx, viewTop, viewBottom);
+
+    this.phaseBands.forEach(band => {
+      if (band.y >= viewTop && band.y <= viewBottom) {
+        this.drawPhaseBand(ctx, band, screenWidth);
+      }
+    });
+
+    this.nodes.forEach(node => {
+      if (node.y >= viewTop && node.y <= viewBottom) {
+        this.drawNode(ctx, node, databus);
+      }
+    });
+
+    ctx.restore();
+
+    this.drawHeader(ctx, databus, screenWidth);
+  }
+
+  drawBackground(ctx, width, height) {
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, this.theme.skyTop);
+    gradient.addColorStop(1, this.theme.skyBottom);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  /**
+   * 连接相邻节点的小路
+   */
+  drawPath(ctx, viewTop, viewBottom) {
+    ctx.save();
+    ctx.strokeStyle = this.theme.path;
+    ctx.lineWidth = 10;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (let i = 1; i < this.nodes.length; i++) {
+      const from = this.nodes[i - 1];
+      const to = this.nodes[i];
+      if (to.y < viewTop || from.y > viewBottom) continue;
+
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      const midY = (from.y + to.y) / 2;
+      ctx.bezierCurveTo(from.x, midY, to.x, midY, to.x, to.y);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * 阶段名横条
+   */
+  drawPhaseBand(ctx, band, screenWidth) {
+    ctx.save();
+    ctx.font = `bold 15px ${this.fonts.ui}`;
+    const name = t(`phase.${band.name}`, null, band.name);
+    const textWidth = ctx.measureText(name).width;
+    const pillWidth = textWidth + 36;
+    const pillHeight = 28;
+    const pillX = (screenWidth - pillWidth) / 2;
+    const pillY = band.y - pillHeight / 2;
+
+    // 两侧细线
+    ctx.strokeStyle = 'rgba(75, 91, 102, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(24, band.y);
+    ctx.lineTo(pillX - 8, band.y);
+    ctx.moveTo(pillX + pillWidth + 8, band.y);
+    ctx.lineTo(screenWidth - 24, band.y);
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    drawRoundRect(ctx, pillX, pillY, pillWidth, pillHeight, pillHeight / 2);
+    ctx.fill();
+
+    ctx.fillStyle = this.theme.textSoft;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(name, screenWidth / 2, band.y);
+    ctx.restore();
+  }
+
+  /**
+   * 关卡节点：已通关（绿）/ 可挑战（橙，当前关卡带脉冲外圈）/ 未解锁（灰）
+   */
+  drawNode(ctx, node, databus) {
+    const record = databus.getLevelRecord(node.level);
+    const completed = !!(record && record.completed);
+    const isCurrent = !node.locked && node.level === databus.currentLevel;
+    const color = node.locked
+      ? this.theme.locked
+      : completed ? this.theme.completed : this.theme.current;
+
+    ctx.save();
+
+    // 当前关卡脉冲外圈
+    if (isCurrent) {
+      const pulse = 0.5 + 0.5 * Math.sin(Date.now() / 260);
+      ctx.strokeStyle = color;
+      ctx.globalAlpha = 0.35 + 0.35 * pulse;
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, NODE_RADIUS + 6 + pulse * 4, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
+    // 节点主体
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+    ctx.shadowBlur = 8;
+    ctx.shadowOffsetY = 4;
+    const gradient = ctx.createLinearGradient(node.x, node.y - NODE_RADIUS, node.x, node.y + NODE_RADIUS);
+    gradient.addColorStop(0, this.lightenColor(color, 18));
+    gradient.addColorStop(1, color);
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(node.x, node.y, NODE_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowColor = 'transparent';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+
+    // 关卡号 / 锁
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    if (node.locked) {
+      ctx.font = `22px ${this.fonts.ui}`;
+      ctx.fillText('🔒', node.x, node.y);
+    } else {
+      ctx.font = `800 ${node.level >= 100 ? 18 : 22}px ${this.fonts.display}`;
+      ctx.fillText(`${node.level}`, node.x, node.y + 1);
+    }
+
+    // 星级 + 最佳步数
+    if (completed) {
+      this.drawStars(ctx, node.x, node.y + NODE_RADIUS + 14, record.stars);
+      ctx.fillStyle = this.theme.textSoft;
+      ctx.font = `600 12px ${this.fonts.ui}`;
+      ctx.fillText(t('map.bestMoves', { moves: record.bestMoves }), node.x, node.y + NODE_RADIUS + 34);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * 三颗小星（已获得的填充金色）
+   */
+  drawStars(ctx, x, y, stars) {
+    const size = 8;
+    const spacing = 20;
+    for (let i = 0; i < 3; i++) {
+      const cx = x + (i - 1) * spacing;
+      ctx.fillStyle = i < stars ? this.theme.star : this.theme.starEmpty;
+      ctx.beginPath();
+      for (let j = 0; j < 5; j++) {
+        const angle = (Math.PI * 2 * j) / 5 - Math.PI / 2;
+        const innerAngle = angle + Math.PI / 5;
+        if (j === 0) ctx.moveTo(cx + Math.cos(angle) * size, y + Math.sin(angle) * size);
+        else ctx.lineTo(cx + Math.cos(angle) * size, y + Math.sin(angle) * size);
+        ctx.lineTo(cx + Math.cos(innerAngle) * size * 0.45, y + Math.sin(innerAngle) * size * 0.45);
+      }
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+
+  /**
+   * 顶部栏：返回按钮 + 标题 + 累计星数
+   */
+  drawHeader(ctx, databus, screenWidth) {
+    ctx.save();
+
+    ctx.fillStyle = 'rgba(249, 241, 222, 0.95)';
+    ctx.fillRect(0, 0, screenWidth, HEADER_HEIGHT);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, HEADER_HEIGHT);
+    ctx.lineTo(screenWidth, HEADER_HEIGHT);
+    ctx.stroke();
+
+    // 返回按钮
+    const back = this.backButton;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    drawRoundRect(ctx, back.x, back.y, back.width, back.height, back.height / 2);
+    ctx.fill();
+    ctx.fillStyle = this.theme.text;
+    ctx.font = `600 15px ${this.fonts.ui}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(t('common.back'), back.x + back.width / 2, back.y + back.height / 2);
+
+    // 标题
+    ctx.font = `800 20px ${this.fonts.display}`;
+    ctx.fillText(t('map.title'), screenWidth / 2, back.y + back.height / 2);
+
+    // 累计星数
+    const totalStars = Object.values(databus.levels).reduce((sum, record) => sum + (record.stars || 0), 0);
+    ctx.fillStyle = this.theme.textSoft;
+    ctx.font = `600 15px ${this.fonts.ui}`;
+    ctx.textAlign = 'right';
+    ctx.fillText(`⭐ ${totalStars}`, screenWidth - 16, back.y + back.height / 2);
+
+    ctx.restore();
+  }
+
+  /**
+   * 使颜色变亮
+   */
+  lightenColor(color, percent) {
+    const num = parseInt(color.replace('#', ''), 16);
+    const amt = Math.round(2.55 * percent);
+    const R = (num >> 16) + amt;
+    const G = (num >> 8 & 0x00FF) + amt;
+    const B = (num & 0x0000FF) + amt;
+    return '#' + (0x1000000 +
+      (R < 255 ? R < 1 ? 0 : R : 255) * 0x10000 +
+      (G < 255 ? G < 1 ? 0 : G : 255) * 0x100 +
+      (B < 255 ? B < 1 ? 0 : B : 255)
+    ).toString(16).slice(1);
+  }
+}
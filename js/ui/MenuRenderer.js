@@ -2,28 +2,25 @@
  * 主界面（首页）渲染器
  * 根据 PRD.md 第十八章节设计
  * - 背景风格：森林/草地卡通风格
- * - 顶部左侧功能区：设置、游戏圈、排行榜
+ * - 顶部左侧功能区：关卡编辑器、设置、游戏圈、排行榜
  * - 中心主角展示区：Q版小动物
  * - 底部主操作区：开始游戏按钮
  */
 
 import Button from './Button';
 import { BUTTON_SIZES, FONT_FAMILIES, drawRoundRect } from './UIConstants';
+import { getBackgroundTheme } from './BackgroundThemes';
+import { t } from './Strings';
 
 export default class MenuRenderer {
   constructor() {
+    // 天空、山丘与文字配色取自背景主题（见 setBackgroundTheme）
     this.theme = {
-      skyTop: '#F9F1DE',
-      skyMid: '#D7F0FB',
-      skyBottom: '#B7E6D1',
+      ...getBackgroundTheme().menu,
       sun: '#FFE29A',
-      hillFront: '#77C88B',
-      hillBack: '#5EBB7A',
       accent: '#FF7A3D',
       accentDark: '#E55A2C',
-      card: 'rgba(255, 255, 255, 0.7)',
-      text: '#1F2A33',
-      textSoft: '#4B5B66'
+      card: 'rgba(255, 255, 255, 0.7)'
     };
     this.fonts = {
       display: FONT_FAMILIES.DISPLAY,
@@ -46,7 +43,7 @@ export default class MenuRenderer {
 
     // 开始游戏按钮（居中、大、亮黄）
     this.buttons.start = new Button(
-      '开始游戏',
+      t('menu.start'),
       startLayout.x,
       startLayout.y,
       {
@@ -63,7 +60,7 @@ export default class MenuRenderer {
 
     // 签到按钮（底部左侧）
     this.buttons.checkin = new Button(
-      '每日签到',
+      t('menu.checkin'),
       20,
       screenHeight - BUTTON_SIZES.SECONDARY.HEIGHT - 20,
       {
@@ -79,7 +76,7 @@ export default class MenuRenderer {
 
     // 分享好友按钮（底部右侧）
     this.buttons.share = new Button(
-      '分享好友',
+      t('menu.share'),
       screenWidth - BUTTON_SIZES.SECONDARY.WIDTH - 20,
       screenHeight - BUTTON_SIZES.SECONDARY.HEIGHT - 20,
       {
@@ -94,6 +91,14 @@ export default class MenuRenderer {
     this.buttons.share.setVisible(false);
   }
 
+  /**
+   * 切换背景主题（与关卡页共用，见 BackgroundThemes）
+   * @param {string} id - 主题 id
+   */
+  setBackgroundTheme(id) {
+    Object.assign(this.theme, getBackgroundTheme(id).menu);
+  }
+
   getStartButtonLayout(screenWidth, screenHeight) {
     const width = Math.min(screenWidth * 0.72, 280);
     const height = Math.max(70, Math.round(screenHeight * 0.085));
@@ -110,6 +115,7 @@ export default class MenuRenderer {
 
     if (this.buttons.start) {
       Object.assign(this.buttons.start, {
+        text: t('menu.start'),
         x: startLayout.x,
         y: startLayout.y,
         width: startLayout.width,
@@ -125,8 +131,11 @@ export default class MenuRenderer {
 
   /**
    * 渲染主界面
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} [options]
+   * @param {boolean} [options.dailyPending] - 今日挑战尚未开局（入口显示红点）
    */
-  render(ctx) {
+  render(ctx, options = {}) {
     this.layoutButtons();
 
     // 绘制背景
@@ -147,8 +156,8 @@ export default class MenuRenderer {
     // 绘制底部辅助按钮
     this.drawBottomButtons(ctx);
 
-    // 绘制占位按钮（游戏圈、排行榜等）
-    this.drawPlaceholderButtons(ctx);
+    // 绘制每日挑战与无尽模式入口
+    this.drawModeButtons(ctx, options.dailyPending);
   }
 
   /**
@@ -177,8 +186,8 @@ export default class MenuRenderer {
     const cx = width * 0.82;
     const cy = height * 0.16;
     const gradient = ctx.createRadialGradient(cx, cy, radius * 0.2, cx, cy, radius);
-    gradient.addColorStop(0, 'rgba(255, 226, 154, 0.9)');
-    gradient.addColorStop(1, 'rgba(255, 226, 154, 0)');
+    gradient.addColorStop(0, this.theme.sunGlow[0]);
+    gradient.addColorStop(1, this.theme.sunGlow[1]);
     ctx.fillStyle = gradient;
     ctx.beginPath();
     ctx.arc(cx, cy, radius, 0, Math.PI * 2);
@@ -193,7 +202,7 @@ export default class MenuRenderer {
     ];
 
     ctx.save();
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.65)';
+    ctx.fillStyle = this.theme.cloud;
     clouds.forEach(cloud => {
       ctx.beginPath();
       ctx.ellipse(cloud.x, cloud.y, cloud.size, cloud.size * 0.6, 0, 0, Math.PI * 2);
@@ -252,12 +261,13 @@ export default class MenuRenderer {
     const buttonSize = 44;
     const spacing = 12;
     const screenWidth = canvas.width;
-    const startX = screenWidth - padding - (buttonSize * 3 + spacing * 2);
+    const startX = screenWidth - padding - (buttonSize * 4 + spacing * 3);
     const buttonY = padding + 6;
 
-    this.drawIconButton(ctx, 'settings', startX, buttonY, buttonSize, '⚙', '#607D8B');
-    this.drawIconButton(ctx, 'community', startX + buttonSize + spacing, buttonY, buttonSize, '🎯', '#FF7043', true);
-    this.drawIconButton(ctx, 'rank', startX + (buttonSize + spacing) * 2, buttonY, buttonSize, '🏆', '#FFA726', true);
+    this.drawIconButton(ctx, 'editor', startX, buttonY, buttonSize, '✏', '#8D6E63');
+    this.drawIconButton(ctx, 'settings', startX + buttonSize + spacing, buttonY, buttonSize, '⚙', '#607D8B');
+    this.drawIconButton(ctx, 'community', startX + (buttonSize + spacing) * 2, buttonY, buttonSize, '🎯', '#FF7043', true);
+    this.drawIconButton(ctx, 'rank', startX + (buttonSize + spacing) * 3, buttonY, buttonSize, '🏆', '#FFA726', true);
   }
 
   /**
@@ -332,12 +342,12 @@ export default class MenuRenderer {
     ctx.shadowOffsetY = 4;
     ctx.fillStyle = this.theme.text;
     ctx.font = `800 ${titleSize}px ${this.fonts.display}`;
-    ctx.fillText('方向出走', screenWidth / 2, titleY);
+    ctx.fillText(t('menu.title'), screenWidth / 2, titleY);
 
     ctx.shadowColor = 'transparent';
     ctx.fillStyle = this.theme.textSoft;
     ctx.font = `600 ${subtitleSize}px ${this.fonts.ui}`;
-    ctx.fillText('轻松解谜 · 方向挑战', screenWidth / 2, titleY + 36);
+    ctx.fillText(t('menu.subtitle'), screenWidth / 2, titleY + 36);
 
     ctx.restore();
   }
@@ -508,9 +518,9 @@ export default class MenuRenderer {
   }
 
   /**
-   * 绘制占位按钮
+   * 绘制底部胶囊按钮：左侧每日挑战入口，右侧无尽模式入口
    */
-  drawPlaceholderButtons(ctx) {
+  drawModeButtons(ctx, dailyPending = false) {
     const screenWidth = canvas.width;
     const screenHeight = canvas.height;
     const bottomY = Math.round(screenHeight - 86);
@@ -520,23 +530,37 @@ export default class MenuRenderer {
     const startX = Math.round((screenWidth - (buttonWidth * 2 + spacing)) / 2);
 
     ctx.save();
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
     drawRoundRect(ctx, startX, bottomY, buttonWidth, buttonHeight, 18);
     ctx.fill();
 
-    ctx.fillStyle = this.theme.textSoft;
+    ctx.fillStyle = this.theme.accent;
     ctx.font = `600 14px ${this.fonts.ui}`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText('活动 🔒', startX + buttonWidth / 2, bottomY + buttonHeight / 2);
+    ctx.fillText(t('menu.daily'), startX + buttonWidth / 2, bottomY + buttonHeight / 2);
+
+    // 今日挑战未开局：右上角红点
+    if (dailyPending) {
+      ctx.fillStyle = '#F44336';
+      ctx.beginPath();
+      ctx.arc(startX + buttonWidth - 10, bottomY + 6, 5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    if (!this.iconButtons) {
+      this.iconButtons = {};
+    }
+    this.iconButtons.daily = { x: startX, y: bottomY, width: buttonWidth, height: buttonHeight };
 
     const rightX = startX + buttonWidth + spacing;
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
     drawRoundRect(ctx, rightX, bottomY, buttonWidth, buttonHeight, 18);
     ctx.fill();
 
-    ctx.fillStyle = this.theme.textSoft;
-    ctx.fillText('收藏 🔒', rightX + buttonWidth / 2, bottomY + buttonHeight / 2);
+    ctx.fillStyle = this.theme.accent;
+    ctx.fillText(t('menu.endless'), rightX + buttonWidth / 2, bottomY + buttonHeight / 2);
+    this.iconButtons.endless = { x: rightX, y: bottomY, width: buttonWidth, height: buttonHeight };
     ctx.restore();
   }
 
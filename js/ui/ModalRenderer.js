@@ -3,11 +3,14 @@
  * - 胜利弹窗
  * - 失败弹窗（死局）
  * - Toast 提示（自动消失）
+ * - 关卡警告（全屏强提示 / 顶部柔和横幅）
  * - 道具确认弹窗
+ * - 设置面板（音量、开关、配色、语言、重玩第 1 关、重置进度）
  */
 
 import Button from './Button';
-import { COLORS, FONT_SIZES, BUTTON_SIZES, drawRoundRect } from './UIConstants';
+import { COLORS, FONT_SIZES, BUTTON_SIZES, LAYOUT, drawRoundRect } from './UIConstants';
+import { t } from './Strings';
 
 export default class ModalRenderer {
   constructor() {
@@ -16,6 +19,9 @@ export default class ModalRenderer {
     this.animationProgress = 0;
     this.isAnimating = false;
 
+    // 失败弹窗文案：{ title, message }
+    this.defeatInfo = null;
+
     // Toast 相关
     this.toastMessage = '';
     this.toastStartTime = 0;
@@ -25,6 +31,15 @@ export default class ModalRenderer {
     // 确认弹窗相关
     this.confirmData = null;
     this.confirmCallback = null;
+
+    // 设置面板当前值：{ bgmEnabled, bgmVolume, sfxEnabled, sfxVolume, haptics, doomWarning, paletteName, directionGlyphs, languageName }
+    this.settingsData = null;
+
+    // 关卡警告相关（横幅上的快捷按钮不属于弹窗，不阻挡棋盘操作）
+    this.warningData = null;
+    this.showingWarning = false;
+    this.warningButtons = {};
+    this.warningActions = [];
   }
 
   // ==================== Toast 提示 ====================
@@ -41,6 +56,15 @@ export default class ModalRenderer {
     this.showingToast = true;
   }
 
+  /**
+   * 更新正在显示的 Toast 文案（不重置计时与淡入）
+   */
+  updateToastMessage(message) {
+    if (this.showingToast) {
+      this.toastMessage = message;
+    }
+  }
+
   /**
    * 隐藏 Toast
    */
@@ -102,21 +126,94 @@ export default class ModalRenderer {
   // ==================== 关卡警告提示 ====================
 
   /**
-   * 显示关卡警告（用于 Level 2 难度飙升提示）
+   * 显示关卡警告（用于 Level 2 难度飙升提示、死局预警）
    * @param {string} title - 标题
    * @param {string} message - 消息内容
    * @param {number} duration - 显示时长（毫秒）
    * @param {Function} onComplete - 完成后的回调
+   * @param {Object} options - { soft: 顶部柔和横幅（不遮挡棋盘）, actions: [{ name, text, color }] 横幅按钮 }
    */
-  showLevelWarning(title, message, duration = 2000, onComplete = null) {
+  showLevelWarning(title, message, duration = 2000, onComplete = null, options = {}) {
     this.warningData = {
-      title: title || '⚠️ 警告',
+      title: title || t('warning.default'),
       message: message || '',
       startTime: Date.now(),
       duration,
-      onComplete
+      onComplete,
+      soft: !!options.soft
     };
     this.showingWarning = true;
+    this.initWarningButtons(options.soft ? options.actions || [] : []);
+  }
+
+  /**
+   * 立即关闭关卡警告（不触发完成回调）
+   */
+  hideLevelWarning() {
+    this.showingWarning = false;
+    this.warningData = null;
+    this.warningButtons = {};
+    this.warningActions = [];
+  }
+
+  /**
+   * 初始化柔和横幅上的快捷按钮（横向居中排列在横幅底部）
+   */
+  initWarningButtons(actions) {
+    this.warningActions = actions;
+    this.warningButtons = {};
+    if (actions.length === 0) return;
+
+    const { y, height } = this.getSoftWarningRect(true);
+    const buttonWidth = 96;
+    const buttonHeight = 30;
+    const buttonGap = 12;
+    const totalWidth = buttonWidth * actions.length + buttonGap * (actions.length - 1);
+    const startX = (canvas.width - totalWidth) / 2;
+
+    actions.forEach((action, i) => {
+      this.warningButtons[action.name] = new Button(
+        action.text,
+        startX + (buttonWidth + buttonGap) * i,
+        y + height - buttonHeight - 10,
+        {
+          width: buttonWidth,
+          height: buttonHeight,
+          cornerRadius: 10,
+          backgroundColor: action.color || '#FF9800',
+          textColor: '#FFFFFF',
+          fontSize: 14
+        }
+      );
+    });
+  }
+
+  /**
+   * 柔和横幅区域（顶部栏下方，进度显示区域之上）
+   */
+  getSoftWarningRect(hasButtons = Object.keys(this.warningButtons).length > 0) {
+    const margin = 12;
+    return {
+      x: margin,
+      y: LAYOUT.TOP_BAR_HEIGHT + 4,
+      width: canvas.width - margin * 2,
+      height: hasButtons ? 104 : 64
+    };
+  }
+
+  /**
+   * 移除横幅上的一个快捷按钮，其余按钮重新居中排列
+   */
+  removeWarningButton(name) {
+    if (!this.warningButtons[name]) return;
+    this.initWarningButtons(this.warningActions.filter(action => action.name !== name));
+  }
+
+  /**
+   * 获取横幅按钮
+   */
+  getWarningButton(name) {
+    return this.showingWarning ? this.warningButtons[name] : null;
   }
 
   /**
@@ -130,12 +227,16 @@ export default class ModalRenderer {
 
     // 检查是否结束
     if (elapsed >= duration) {
-      this.showingWarning = false;
-      this.warningData = null;
+      this.hideLevelWarning();
       if (onComplete) onComplete();
       return;
     }
 
+    if (this.warningData.soft) {
+      this.renderSoftWarning(ctx, elapsed);
+      return;
+    }
+
     const screenWidth = canvas.width;
     const screenHeight = canvas.height;
     const progress = elapsed / duration;
@@ -199,6 +300,308 @@ export default class ModalRenderer {
     ctx.restore();
   }
 
+  /**
+   * 渲染柔和警告横幅（无遮罩、无震动，从顶部滑入）
+   */
+  renderSoftWarning(ctx, elapsed) {
+    const { duration, title, message } = this.warningData;
+    const rect = this.getSoftWarningRect();
+
+    // 滑入 + 淡出
+    let alpha = 1;
+    let offsetY = 0;
+    if (elapsed < 250) {
+      const t = elapsed / 250;
+      alpha = t;
+      offsetY = -(1 - t) * 20;
+    } else if (elapsed > duration - 400) {
+      alpha = (duration - elapsed) / 400;
+    }
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.translate(0, offsetY);
+
+    // 暖色卡片
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.25)';
+    ctx.shadowBlur = 10;
+    ctx.shadowOffsetY = 4;
+    ctx.fillStyle = 'rgba(255, 248, 225, 0.96)';
+    drawRoundRect(ctx, rect.x, rect.y, rect.width, rect.height, 14);
+    ctx.fill();
+    ctx.shadowColor = 'transparent';
+    ctx.strokeStyle = '#FFB300';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // 标题 + 消息
+    const centerX = rect.x + rect.width / 2;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#E65100';
+    ctx.font = `bold 17px Arial`;
+    ctx.fillText(title, centerX, rect.y + 20);
+    ctx.fillStyle = COLORS.TEXT_SECONDARY;
+    ctx.font = `14px Arial`;
+    ctx.fillText(message, centerX, rect.y + 44);
+
+    // 快捷按钮
+    Object.values(this.warningButtons).forEach(button => {
+      button.render(ctx);
+    });
+
+    ctx.restore();
+  }
+
+  // ==================== 设置面板 ====================
+
+  /**
+   * 显示设置面板
+   * @param {Object} values - 当前设置值（见 settingsData）
+   */
+  showSettings(values) {
+    this.currentModal = 'settings';
+    this.settingsData = { ...values };
+    this.initSettingsButtons();
+    this.startAnimation();
+  }
+
+  /**
+   * 设置改变后刷新面板显示（切换语言后按钮文字随之更新）
+   */
+  updateSettings(values) {
+    if (this.currentModal !== 'settings') return;
+    const languageChanged = values.languageName !== this.settingsData.languageName;
+    this.settingsData = { ...this.settingsData, ...values };
+    if (languageChanged) this.initSettingsButtons();
+  }
+
+  /**
+   * 设置面板布局（绘制与点击判定共用）
+   * rows 中每一行为 { key, label, kind: toggle / slider / option, x, y, width, height }
+   */
+  getSettingsLayout() {
+    const width = Math.min(canvas.width * 0.86, 340);
+    const height = 484;
+    const x = (canvas.width - width) / 2;
+    const y = Math.max(20, (canvas.height - height) / 2);
+    const padding = 20;
+
+    const rowSpecs = [
+      { key: 'bgmEnabled', label: t('settings.bgm'), kind: 'toggle', height: 40 },
+      { key: 'bgmVolume', label: t('settings.volume'), kind: 'slider', height: 32, enabledBy: 'bgmEnabled' },
+      { key: 'sfxEnabled', label: t('settings.sfx'), kind: 'toggle', height: 40 },
+      { key: 'sfxVolume', label: t('settings.volume'), kind: 'slider', height: 32, enabledBy: 'sfxEnabled' },
+      { key: 'haptics', label: t('settings.haptics'), kind: 'toggle', height: 40 },
+      { key: 'doomWarning', label: t('settings.doomWarning'), kind: 'toggle', height: 40 },
+      { key: 'palette', label: t('settings.palette'), kind: 'option', valueKey: 'paletteName', height: 40 },
+      { key: 'directionGlyphs', label: t('settings.directionGlyphs'), kind: 'toggle', height: 40 },
+      { key: 'language', label: t('settings.language'), kind: 'option', valueKey: 'languageName', height: 40 }
+    ];
+
+    let cursor = y + 56;
+    const rows = rowSpecs.map(spec => {
+      const row = { ...spec, x: x + padding, y: cursor, width: width - padding * 2 };
+      cursor += spec.height;
+      return row;
+    });
+
+    return {
+      x,
+      y,
+      width,
+      height,
+      rows,
+      close: { x: x + width - 44, y: y + 8, width: 36, height: 36 },
+      buttonY: cursor + 16
+    };
+  }
+
+  /**
+   * 音量滑块的轨道（行内去掉左侧"音量"标签）
+   */
+  getSliderTrack(row) {
+    const labelWidth = 48;
+    return { x: row.x + labelWidth, y: row.y + row.height / 2, width: row.width - labelWidth - 8 };
+  }
+
+  /**
+   * 初始化设置面板按钮（重玩第 1 关 / 重置进度）
+   */
+  initSettingsButtons() {
+    const layout = this.getSettingsLayout();
+    const buttonGap = 12;
+    const buttonWidth = (layout.width - 40 - buttonGap) / 2;
+
+    this.buttons.settingsTutorial = new Button(
+      t('settings.tutorial'),
+      layout.x + 20,
+      layout.buttonY,
+      {
+        width: buttonWidth,
+        height: 44,
+        backgroundColor: '#2196F3',
+        textColor: '#FFFFFF',
+        fontSize: 15
+      }
+    );
+
+    this.buttons.settingsReset = new Button(
+      t('settings.reset'),
+      layout.x + 20 + buttonWidth + buttonGap,
+      layout.buttonY,
+      {
+        width: buttonWidth,
+        height: 44,
+        backgroundColor: '#E53935',
+        textColor: '#FFFFFF',
+        fontSize: 15
+      }
+    );
+  }
+
+  /**
+   * 设置面板点击判定
+   * @returns {{ type: string, key?: string, value?: number }|null}
+   *   close / tutorial / reset / toggle{key} / slider{key, value} / palette / language / inside（面板内空白处）；面板外返回 null
+   */
+  hitTestSettings(x, y) {
+    const layout = this.getSettingsLayout();
+    const inRect = (rect) => x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+
+    if (inRect(layout.close)) return { type: 'close' };
+    if (this.buttons.settingsTutorial.isClicked(x, y)) return { type: 'tutorial' };
+    if (this.buttons.settingsReset.isClicked(x, y)) return { type: 'reset' };
+
+    for (const row of layout.rows) {
+      if (!inRect(row)) continue;
+      if (row.kind === 'toggle') return { type: 'toggle', key: row.key };
+      if (row.kind === 'slider') return { type: 'slider', key: row.key, value: this.getSliderValue(row, x) };
+      return { type: row.key };
+    }
+
+    return inRect(layout) ? { type: 'inside' } : null;
+  }
+
+  /**
+   * 拖动滑块时按横坐标取值（0-1，保留两位小数）
+   */
+  getSliderValue(row, x) {
+    const track = this.getSliderTrack(row);
+    const value = Math.max(0, Math.min(1, (x - track.x) / track.width));
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * 按键名取滑块行
+   */
+  getSettingsRow(key) {
+    return this.getSettingsLayout().rows.find(row => row.key === key) || null;
+  }
+
+  /**
+   * 绘制设置面板
+   */
+  drawSettingsModal(ctx, scale) {
+    const layout = this.getSettingsLayout();
+    const values = this.settingsData;
+    const centerX = layout.x + layout.width / 2;
+
+    ctx.save();
+
+    // 缩放动画
+    ctx.translate(centerX, layout.y + layout.height / 2);
+    ctx.scale(scale, scale);
+    ctx.translate(-centerX, -(layout.y + layout.height / 2));
+
+    // 白色卡片
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+    ctx.shadowBlur = 15;
+    ctx.shadowOffsetY = 5;
+    ctx.fillStyle = 'white';
+    drawRoundRect(ctx, layout.x, layout.y, layout.width, layout.height, 16);
+    ctx.fill();
+    ctx.shadowColor = 'transparent';
+
+    // 标题
+    ctx.fillStyle = COLORS.TEXT_PRIMARY;
+    ctx.font = `bold 18px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(t('settings.title'), centerX, layout.y + 28);
+
+    // 关闭按钮
+    const close = layout.close;
+    ctx.fillStyle = COLORS.TEXT_SECONDARY;
+    ctx.font = `20px Arial`;
+    ctx.fillText('✕', close.x + close.width / 2, close.y + close.height / 2);
+
+    layout.rows.forEach(row => {
+      const midY = row.y + row.height / 2;
+      const enabled = !row.enabledBy || values[row.enabledBy];
+
+      ctx.globalAlpha = enabled ? 1 : 0.4;
+      ctx.textAlign = 'left';
+      ctx.fillStyle = row.kind === 'slider' ? COLORS.TEXT_SECONDARY : COLORS.TEXT_PRIMARY;
+      ctx.font = row.kind === 'slider' ? `13px Arial` : `15px Arial`;
+      ctx.fillText(row.label, row.x + (row.kind === 'slider' ? 12 : 0), midY);
+
+      if (row.kind === 'toggle') {
+        this.drawSettingsToggle(ctx, row.x + row.width - 46, midY - 13, values[row.key]);
+      } else if (row.kind === 'slider') {
+        this.drawSettingsSlider(ctx, this.getSliderTrack(row), values[row.key]);
+      } else {
+        ctx.textAlign = 'right';
+        ctx.fillStyle = COLORS.TEXT_SECONDARY;
+        ctx.fillText(`${values[row.valueKey]} ›`, row.x + row.width, midY);
+      }
+      ctx.globalAlpha = 1;
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * 开关（46x26 胶囊）
+   */
+  drawSettingsToggle(ctx, x, y, on) {
+    const width = 46;
+    const height = 26;
+    ctx.fillStyle = on ? '#4CAF50' : '#CFD8DC';
+    drawRoundRect(ctx, x, y, width, height, height / 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.arc(on ? x + width - height / 2 : x + height / 2, y + height / 2, height / 2 - 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * 音量滑块（轨道 + 已填充部分 + 圆形把手）
+   */
+  drawSettingsSlider(ctx, track, value) {
+    const trackHeight = 6;
+    ctx.fillStyle = '#E0E0E0';
+    drawRoundRect(ctx, track.x, track.y - trackHeight / 2, track.width, trackHeight, trackHeight / 2);
+    ctx.fill();
+
+    const filled = track.width * value;
+    if (filled > 0) {
+      ctx.fillStyle = '#4CAF50';
+      drawRoundRect(ctx, track.x, track.y - trackHeight / 2, filled, trackHeight, Math.min(trackHeight, filled) / 2);
+      ctx.fill();
+    }
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.strokeStyle = '#4CAF50';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(track.x + filled, track.y, 9, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
   // ==================== 确认弹窗 ====================
 
   /**
@@ -209,10 +612,10 @@ export default class ModalRenderer {
   showConfirm(data, callback) {
     this.currentModal = 'confirm';
     this.confirmData = {
-      title: data.title || '提示',
+      title: data.title || t('common.notice'),
       message: data.message || '',
-      confirmText: data.confirmText || '确定',
-      cancelText: data.cancelText || '取消'
+      confirmText: data.confirmText || t('common.ok'),
+      cancelText: data.cancelText || t('common.cancel')
     };
     this.confirmCallback = callback;
     this.initConfirmButtons();
@@ -304,19 +707,27 @@ export default class ModalRenderer {
 
   /**
    * 显示胜利弹窗
+   * @param {Object} [options] - { nextText } 主按钮文字，默认"下一关"
    */
-  showVictory() {
+  showVictory(options = {}) {
     this.currentModal = 'victory';
-    this.initVictoryButtons();
+    this.initVictoryButtons(options.nextText || t('victory.next'));
     this.startAnimation();
   }
 
   /**
    * 显示失败弹窗
+   * @param {Object} [options] - { title, message } 标题与提示文字，{ retryText } 重开按钮文字，
+   *   { allowProps: false } 不提供"使用道具"续玩（限时/限步用完）
    */
-  showDefeat() {
+  showDefeat(options = {}) {
     this.currentModal = 'defeat';
-    this.initDefeatButtons();
+    this.defeatInfo = {
+      title: options.title || t('defeat.title'),
+      message: options.message || t('defeat.message'),
+      allowProps: options.allowProps !== false
+    };
+    this.initDefeatButtons(options.retryText || t('defeat.retry'), this.defeatInfo.allowProps);
     this.startAnimation();
   }
 
@@ -329,6 +740,7 @@ export default class ModalRenderer {
     this.animationProgress = 0;
     this.confirmData = null;
     this.confirmCallback = null;
+    this.settingsData = null;
   }
 
   /**
@@ -342,7 +754,7 @@ export default class ModalRenderer {
   /**
    * 初始化胜利弹窗按钮
    */
-  initVictoryButtons() {
+  initVictoryButtons(nextText = t('victory.next')) {
     const screenWidth = canvas.width;
     const screenHeight = canvas.height;
     const centerX = screenWidth / 2;
@@ -351,7 +763,7 @@ export default class ModalRenderer {
 
     // 下一关按钮
     this.buttons.next = new Button(
-      '下一关',
+      nextText,
       centerX - BUTTON_SIZES.PRIMARY.WIDTH / 2,
       buttonY,
       {
@@ -364,7 +776,7 @@ export default class ModalRenderer {
 
     // 重玩按钮
     this.buttons.replay = new Button(
-      '重玩',
+      t('victory.replay'),
       centerX - BUTTON_SIZES.SECONDARY.WIDTH / 2,
       buttonY + BUTTON_SIZES.PRIMARY.HEIGHT + 12,
       {
@@ -378,17 +790,34 @@ export default class ModalRenderer {
 
   /**
    * 初始化失败弹窗按钮
+   * @param {string} retryText - 重开按钮文字
+   * @param {boolean} allowProps - 是否显示"使用道具"按钮；不显示时重开按钮作为主按钮
    */
-  initDefeatButtons() {
+  initDefeatButtons(retryText = t('defeat.retry'), allowProps = true) {
     const screenWidth = canvas.width;
     const screenHeight = canvas.height;
     const centerX = screenWidth / 2;
     const modalY = screenHeight * 0.35;
     const buttonY = modalY + 130;
 
+    if (!allowProps) {
+      this.buttons.retry = new Button(
+        retryText,
+        centerX - BUTTON_SIZES.PRIMARY.WIDTH / 2,
+        buttonY,
+        {
+          width: BUTTON_SIZES.PRIMARY.WIDTH,
+          height: BUTTON_SIZES.PRIMARY.HEIGHT,
+          backgroundColor: '#FF9800',
+          fontSize: FONT_SIZES.BUTTON
+        }
+      );
+      return;
+    }
+
     // 使用道具按钮
     this.buttons.useProp = new Button(
-      '使用道具',
+      t('defeat.useProp'),
       centerX - BUTTON_SIZES.PRIMARY.WIDTH / 2,
       buttonY,
       {
@@ -401,7 +830,7 @@ export default class ModalRenderer {
 
     // 重试按钮
     this.buttons.retry = new Button(
-      '重开本关',
+      retryText,
       centerX - BUTTON_SIZES.SECONDARY.WIDTH / 2,
       buttonY + BUTTON_SIZES.PRIMARY.HEIGHT + 12,
       {
@@ -455,6 +884,8 @@ export default class ModalRenderer {
       this.drawDefeatModal(ctx, databus, scale);
     } else if (this.currentModal === 'confirm') {
       this.drawConfirmModal(ctx, scale);
+    } else if (this.currentModal === 'settings') {
+      this.drawSettingsModal(ctx, scale);
     }
 
     // 绘制按钮
@@ -494,19 +925,79 @@ export default class ModalRenderer {
     ctx.font = `bold 24px Arial`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText('关卡完成！', centerX, modalY + 30);
+    ctx.fillText(t('victory.title'), centerX, modalY + 22);
 
-    // 进度信息
+    // 新纪录角标
+    const result = databus.lastResult;
+    if (result) {
+      this.drawRecordBadges(ctx, centerX, modalY + 56, this.getRecordBadges(result));
+    }
+
+    // 成绩信息（步数 + 用时）
     ctx.fillStyle = COLORS.TEXT_SECONDARY;
     ctx.font = `16px Arial`;
-    ctx.fillText(`已消除 ${databus.removedBlocks} / ${databus.totalBlocks} 个方块`, centerX, modalY + 75);
+    ctx.textBaseline = 'top';
+    const summary = result
+      ? t('victory.summary', { moves: result.moves, time: this.formatDuration(result.time) })
+      : t('victory.removed', { removed: databus.removedBlocks, total: databus.totalBlocks });
+    ctx.fillText(summary, centerX, modalY + 80);
 
-    // 简洁星星
-    this.drawSimpleStars(ctx, centerX, modalY + 110, 3);
+    // 简洁星星（本次获得的星级）
+    this.drawSimpleStars(ctx, centerX, modalY + 117, 3, result ? result.stars : 3);
 
     ctx.restore();
   }
 
+  /**
+   * 本次通关的新纪录标签
+   */
+  getRecordBadges(result) {
+    if (result.firstClear) return [t('victory.firstClear')];
+
+    const badges = [];
+    if (result.newRecords.stars) badges.push(t('victory.bestStars'));
+    if (result.newRecords.moves) badges.push(t('victory.bestMoves'));
+    if (result.newRecords.time) badges.push(t('victory.bestTime'));
+    return badges;
+  }
+
+  /**
+   * 绘制新纪录角标（横向居中排列的小胶囊）
+   */
+  drawRecordBadges(ctx, centerX, y, badges) {
+    if (badges.length === 0) return;
+
+    const height = 20;
+    const gap = 6;
+    ctx.save();
+    ctx.font = `bold 12px Arial`;
+    const widths = badges.map(text => ctx.measureText(text).width + 16);
+    const totalWidth = widths.reduce((sum, width) => sum + width, 0) + gap * (badges.length - 1);
+    let x = centerX - totalWidth / 2;
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    badges.forEach((text, i) => {
+      ctx.fillStyle = '#FF7043';
+      drawRoundRect(ctx, x, y, widths[i], height, height / 2);
+      ctx.fill();
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(text, x + widths[i] / 2, y + height / 2 + 1);
+      x += widths[i] + gap;
+    });
+    ctx.restore();
+  }
+
+  /**
+   * 毫秒转为 m:ss
+   */
+  formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round((ms || 0) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+  }
+
   /**
    * 绘制失败弹窗（简洁版）
    */
@@ -538,17 +1029,19 @@ export default class ModalRenderer {
     ctx.font = `bold 20px Arial`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText('没有可消除的方块了', centerX, modalY + 30);
+    ctx.fillText(this.defeatInfo.title, centerX, modalY + 30);
 
     // 提示
     ctx.fillStyle = COLORS.TEXT_SECONDARY;
     ctx.font = `15px Arial`;
-    ctx.fillText('使用道具可以帮助你解围', centerX, modalY + 70);
+    ctx.fillText(this.defeatInfo.message, centerX, modalY + 70);
 
-    // 道具数量
-    const totalProps = (databus.items.grab || 0) + (databus.items.flip || 0) + 
-                       (databus.items.shufflePos || 0) + (databus.items.shuffleDir || 0);
-    ctx.fillText(`剩余道具: ${totalProps} 个`, centerX, modalY + 95);
+    // 道具数量（不能用道具续玩时不显示）
+    if (this.defeatInfo.allowProps) {
+      const totalProps = (databus.items.grab || 0) + (databus.items.flip || 0) + 
+                         (databus.items.shufflePos || 0) + (databus.items.shuffleDir || 0);
+      ctx.fillText(t('defeat.propsLeft', { count: totalProps }), centerX, modalY + 95);
+    }
 
     ctx.restore();
   }
@@ -556,14 +1049,14 @@ export default class ModalRenderer {
   /**
    * 绘制简洁星星
    */
-  drawSimpleStars(ctx, x, y, count) {
+  drawSimpleStars(ctx, x, y, count, filled = count) {
     const size = 18;
     const spacing = 28;
     const startX = x - ((count - 1) * spacing) / 2;
 
-    ctx.fillStyle = '#FFC107';
     for (let i = 0; i < count; i++) {
       const cx = startX + i * spacing;
+      ctx.fillStyle = i < filled ? '#FFC107' : '#E0E0E0';
       // 简单的五角星
     ctx.beginPath();
       for (let j = 0; j < 5; j++) {
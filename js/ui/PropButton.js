@@ -1,27 +1,26 @@
 /**
  * 道具按钮组件（PRD v1.3 更新版）
  * 根据 PRD.md 第十七、十八章节设计
- * 支持四种道具：抓走、翻转、洗牌(位置)、洗牌(方向)
+ * 支持五种道具：抓走、翻转、洗牌(位置)、洗牌(方向)、提示
  * 按钮形状：圆角矩形
  */
 
 import {
   BUTTON_SIZES,
   PROP_TYPES,
-  PROP_NAMES,
   getPropColor,
   FONT_SIZES,
   drawRoundRect
 } from './UIConstants';
 
 export default class PropButton {
-  constructor(type, count, x, y) {
+  constructor(type, count, x, y, size = BUTTON_SIZES.PROP) {
     this.type = type;
     this.count = count;
     this.x = x;  // 按钮中心x
     this.y = y;  // 按钮中心y
-    this.width = BUTTON_SIZES.PROP;
-    this.height = BUTTON_SIZES.PROP;
+    this.width = size;   // 窄屏下由布局缩小
+    this.height = size;
     this.cornerRadius = 10;  // 适配更小的按钮
 
     // 动画状态
@@ -230,6 +229,10 @@ export default class PropButton {
         this.drawShuffleIcon(ctx, iconSize, true);
         break;
 
+      case PROP_TYPES.HINT:
+        this.drawHintIcon(ctx, iconSize);
+        break;
+
       default:
         // 兼容旧的shuffle类型
         if (this.type === 'shuffle') {
@@ -339,6 +342,40 @@ export default class PropButton {
     }
   }
 
+  /**
+   * 绘制提示图标（灯泡）
+   */
+  drawHintIcon(ctx, size) {
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+
+    // 灯泡玻璃罩
+    const bulbY = this.y - size * 0.15;
+    ctx.beginPath();
+    ctx.arc(this.x, bulbY, size * 0.45, Math.PI * 0.8, Math.PI * 2.2);
+    ctx.lineTo(this.x + size * 0.2, this.y + size * 0.35);
+    ctx.lineTo(this.x - size * 0.2, this.y + size * 0.35);
+    ctx.closePath();
+    ctx.stroke();
+
+    // 灯座
+    ctx.beginPath();
+    ctx.moveTo(this.x - size * 0.2, this.y + size * 0.55);
+    ctx.lineTo(this.x + size * 0.2, this.y + size * 0.55);
+    ctx.stroke();
+
+    // 光芒
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(this.x, bulbY - size * 0.65);
+    ctx.lineTo(this.x, bulbY - size * 0.85);
+    ctx.moveTo(this.x - size * 0.6, bulbY - size * 0.35);
+    ctx.lineTo(this.x - size * 0.75, bulbY - size * 0.5);
+    ctx.moveTo(this.x + size * 0.6, bulbY - size * 0.35);
+    ctx.lineTo(this.x + size * 0.75, bulbY - size * 0.5);
+    ctx.stroke();
+  }
+
   /**
    * 绘制爱心
    */
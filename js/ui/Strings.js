@@ -0,0 +1,444 @@
+/**
+ * 界面文案（简体中文 / English）
+ * 语言在设置面板中切换（保存在 GameSettings），渲染器与弹窗在绘制时用 t() 取当前语言的文案，
+ * 切换后下一帧即生效。当前语言缺少的键回退到简体中文，简体中文也没有时返回键名。
+ *
+ * 文案中的 {name} 由 t() 的参数替换；值也可以是数组（如星期、月份名）。
+ * 关卡包作者写在 meta.phaseName 里的阶段名不在表中，按原文显示。
+ */
+
+// 可选语言（第一个为默认语言）
+export const LANGUAGES = [
+  { id: 'zh-CN', name: '简体中文' },
+  { id: 'en', name: 'English' }
+];
+
+export const STRINGS = {
+  'zh-CN': {
+    // 通用
+    'common.notice': '提示',
+    'common.ok': '确定',
+    'common.cancel': '取消',
+    'common.back': '‹ 返回',
+    'common.leave': '返回',
+    'common.continue': '继续',
+    'common.restart': '重开',
+    'common.generating': '关卡生成中...',
+    'common.generatingProgress': '关卡生成中... {percent}%',
+    'common.generateFailed': '关卡生成失败，请重试',
+    'common.comingSoon': '功能开发中',
+
+    // 主界面
+    'menu.title': '方向出走',
+    'menu.subtitle': '轻松解谜 · 方向挑战',
+    'menu.start': '开始游戏',
+    'menu.checkin': '每日签到',
+    'menu.share': '分享好友',
+    'menu.daily': '📅 每日挑战',
+    'menu.endless': '♾ 无尽模式',
+
+    // 关卡地图
+    'map.title': '选择关卡',
+    'map.bestMoves': '最佳 {moves} 步',
+    'map.locked': '通关上一关后解锁',
+
+    // 关卡页
+    'game.levelTitle': '第{level}关',
+    'game.background': '背景',
+    'game.pureColor': '纯色',
+    'game.progress': '进度{percent}%',
+    'game.movesLeft': '👣 {moves} 步',
+    'game.grabHint': '点击要移除的方块',
+    'game.grabCancel': '点击空白处取消',
+    'game.backgroundToast': '背景：{name}',
+    'game.pureColorOn': '纯色模式：开',
+    'game.pureColorOff': '纯色模式：关',
+
+    // 道具（显示名称；"随机向"与"翻转"不同：翻转是整体反向，随机向是打乱朝向以破局）
+    'prop.grab': '抓走',
+    'prop.flip': '翻转',
+    'prop.shufflePos': '重排',
+    'prop.shuffleDir': '随机向',
+    'prop.hint': '提示',
+    'prop.notEnough': '道具数量不足',
+    'prop.pickBlock': '点击要移除的方块',
+    'prop.flipped': '已翻转所有方块',
+    'prop.shuffled': '已重新排列方块',
+    'prop.directionsShuffled': '已随机方块方向',
+    'prop.hintTooComplex': '局面太复杂，暂时算不出可靠的提示',
+    'prop.hintNoSafeMove': '当前没有安全的消除步骤，试试其他道具或撤销',
+    'prop.choose': '请在下方选择要使用的道具',
+
+    // 撤销
+    'undo.endless': '无尽模式不能撤销',
+    'undo.title': '无法撤销',
+    'undo.empty': '没有可撤销的操作，要重开本关吗？',
+    'undo.exhausted': '本关撤销次数已用完，要重开本关吗？',
+    'undo.done': '已撤销上一步',
+
+    // 关卡警告
+    'warning.default': '⚠️ 警告',
+    'warning.doomTitle': '⚠️ 已陷入死局',
+    'warning.doom': '剩余方块已无法全部消除',
+    'warning.doomProps': '剩余方块已无法全部消除，至少还需 {count} 次抓走',
+    'warning.useProp': '用道具',
+    'warning.undo': '撤销',
+    'warning.spikeTitle': '⚠️ 难度飙升',
+    'warning.spike': '做好准备，真正的挑战开始了！',
+    'warning.timedTitle': '⏱ 限时关卡',
+    'warning.movesTitle': '👣 限步关卡',
+    'warning.timeRule': '{time} 内',
+    'warning.moveRule': '{moves} 步内',
+    'warning.ruleSeparator': '、',
+    'warning.rules': '{rules}消除全部方块',
+
+    // 胜利 / 失败
+    'victory.title': '关卡完成！',
+    'victory.next': '下一关',
+    'victory.replay': '重玩',
+    'victory.backToEditor': '返回编辑',
+    'victory.backToCalendar': '返回日历',
+    'victory.summary': '{moves} 步 · 用时 {time}',
+    'victory.removed': '已消除 {removed} / {total} 个方块',
+    'victory.firstClear': '首次通关',
+    'victory.bestStars': '星级新高',
+    'victory.bestMoves': '步数新纪录',
+    'victory.bestTime': '用时新纪录',
+    'defeat.title': '没有可消除的方块了',
+    'defeat.message': '使用道具可以帮助你解围',
+    'defeat.retry': '重开本关',
+    'defeat.useProp': '使用道具',
+    'defeat.propsLeft': '剩余道具: {count} 个',
+    'defeat.timeUp': '时间到',
+    'defeat.timeUpMessage': '还剩 {remaining} 个方块没有消除',
+    'defeat.movesUp': '步数用完了',
+    'defeat.movesUpMessage': '{limit} 步内还剩 {remaining} 个方块',
+    'defeat.noProps': '没有可用道具',
+    'defeat.restartPrompt': '要重开本关吗？',
+
+    // 设置面板
+    'settings.title': '设置',
+    'settings.bgm': '背景音乐',
+    'settings.sfx': '音效',
+    'settings.volume': '音量',
+    'settings.haptics': '振动',
+    'settings.doomWarning': '死局预警',
+    'settings.palette': '配色方案',
+    'settings.directionGlyphs': '方向标记',
+    'settings.language': '语言',
+    'settings.tutorial': '重玩教程',
+    'settings.reset': '重置进度',
+    'settings.resetMessage': '关卡进度、道具与成绩将全部清除',
+    'settings.resetConfirm': '重置',
+    'settings.resetDone': '进度已重置',
+
+    // 配色方案与背景主题
+    'palette.default': '标准',
+    'palette.redGreen': '红绿色弱',
+    'palette.blueYellow': '蓝黄色弱',
+    'background.meadow': '草地',
+    'background.night': '夜晚',
+    'background.snow': '雪地',
+    'background.beach': '沙滩',
+
+    // 关卡地图上的阶段名（生成器给出的中文名）
+    'phase.教学关': '教学关',
+    'phase.难度飙升': '难度飙升',
+    'phase.成长期': '成长期',
+    'phase.挑战期': '挑战期',
+    'phase.大师期': '大师期',
+    'phase.传奇期': '传奇期',
+
+    // 新手教程（第 1 关的分步引导）
+    'tutorial.tapTitle': '点击朝外的动物',
+    'tutorial.tap': '它会沿着脸朝的方向走出棋盘',
+    'tutorial.blockedTitle': '小心挡路的动物',
+    'tutorial.blocked': '前面被挡住时只会滑到挡路者跟前，先让挡路的离开',
+    'tutorial.clearTitle': '清空棋盘就过关',
+    'tutorial.clear': '卡住时用下方道具解围，左上角可以撤销',
+    'tutorial.done': '教程完成，开始挑战吧！',
+
+    // 模式离开确认
+    'playtest.leaveTitle': '结束试玩',
+    'playtest.leaveMessage': '返回关卡编辑器？',
+    'endless.title': '无尽模式 · {cleared}',
+    'endless.leaveTitle': '结束本局',
+    'endless.leaveMessage': '已消除 {cleared} 个方块，结束并记录成绩？',
+    'endless.leaveConfirm': '结束',
+    'endless.over': '无尽模式结束',
+    'endless.result': '本局消除 {cleared} 个方块',
+    'endless.newBest': ' · 新纪录！',
+    'endless.rank': ' · 第 {rank} 名',
+    'endless.again': '再来一局',
+    'daily.leaveTitle': '离开挑战',
+    'daily.leaveMessage': '返回每日挑战日历？',
+
+    // 每日挑战
+    'daily.title': '每日挑战',
+    'daily.levelTitle': '每日挑战 {month}/{day}',
+    'daily.start': '开始今日挑战',
+    'daily.replayCompleted': '今日已完成 · 重玩',
+    'daily.replayAttempted': '今日已挑战 · 重玩',
+    'daily.rules': '每天只有第一次挑战计分 · 点击日期重玩（不计分）',
+    'daily.streak': '🔥 连续 {days} 天',
+    'daily.bestStreak': '最佳纪录 {days} 天',
+    'daily.month': '{year}年{monthName}',
+    'daily.monthNames': ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月', '12月'],
+    'daily.weekdays': ['日', '一', '二', '三', '四', '五', '六'],
+    'daily.generatingUnscored': '关卡生成中（重玩不计分）...',
+    'daily.completed': '每日挑战完成，已连续 {days} 天',
+
+    // 关卡编辑器
+    'editor.title': '关卡编辑器',
+    'editor.size': '尺寸 {size}',
+    'editor.delete': '删除',
+    'editor.clear': '清空',
+    'editor.import': '导入',
+    'editor.export': '导出',
+    'editor.playtest': '试玩',
+    'editor.placeHint': '点击空白格子放置方块',
+    'editor.count': '{count} 个方块',
+    'editor.maxDepth': '最大深度 {depth}',
+    'editor.solvable': '{count} · 可解（{moves} 步）· {depth}',
+    'editor.unsolvable': '{count} · 无解 · {depth}',
+    'editor.unknown': '{count} · 未能确认可解 · {depth}',
+    'editor.noRoom': '这里放不下',
+    'editor.sizeChanged': '方块尺寸 {size}',
+    'editor.sizeDropped': '方块尺寸 {size}，{dropped} 个方块超出棋盘已移除',
+    'editor.noRotate': '周围没有空位，无法旋转',
+    'editor.selectFirst': '先点选一个方块',
+    'editor.clearTitle': '清空棋盘',
+    'editor.clearMessage': '确定删除所有方块吗？',
+    'editor.imported': '已导入 {count} 个方块',
+    'editor.importFailed': '导入失败：{error}',
+    'editor.clipboardFailed': '读取剪贴板失败',
+    'editor.empty': '棋盘上还没有方块',
+    'editor.copied': '关卡 JSON 已复制到剪贴板',
+    'editor.copyFailed': '复制失败',
+    'editor.unsolvableTitle': '关卡无解',
+    'editor.unsolvableMessage': '不用道具无法清空棋盘，仍要试玩吗？'
+  },
+
+  en: {
+    'common.notice': 'Notice',
+    'common.ok': 'OK',
+    'common.cancel': 'Cancel',
+    'common.back': '‹ Back',
+    'common.leave': 'Leave',
+    'common.continue': 'Continue',
+    'common.restart': 'Restart',
+    'common.generating': 'Generating level...',
+    'common.generatingProgress': 'Generating level... {percent}%',
+    'common.generateFailed': 'Level generation failed, please retry',
+    'common.comingSoon': 'Coming soon',
+
+    'menu.title': 'Direction Escape',
+    'menu.subtitle': 'Relaxing puzzles · Find the way out',
+    'menu.start': 'Play',
+    'menu.checkin': 'Check in',
+    'menu.share': 'Share',
+    'menu.daily': '📅 Daily',
+    'menu.endless': '♾ Endless',
+
+    'map.title': 'Levels',
+    'map.bestMoves': 'Best {moves} moves',
+    'map.locked': 'Clear the previous level to unlock',
+
+    'game.levelTitle': 'Level {level}',
+    'game.background': 'Theme',
+    'game.pureColor': 'Plain',
+    'game.progress': '{percent}%',
+    'game.movesLeft': '👣 {moves}',
+    'game.grabHint': 'Tap a block to remove',
+    'game.grabCancel': 'Tap empty space to cancel',
+    'game.backgroundToast': 'Theme: {name}',
+    'game.pureColorOn': 'Plain mode: on',
+    'game.pureColorOff': 'Plain mode: off',
+
+    'prop.grab': 'Grab',
+    'prop.flip': 'Flip',
+    'prop.shufflePos': 'Shuffle',
+    'prop.shuffleDir': 'Turn',
+    'prop.hint': 'Hint',
+    'prop.notEnough': 'Not enough items',
+    'prop.pickBlock': 'Tap a block to remove',
+    'prop.flipped': 'All blocks flipped',
+    'prop.shuffled': 'Blocks rearranged',
+    'prop.directionsShuffled': 'Directions shuffled',
+    'prop.hintTooComplex': 'Too complex to find a reliable hint',
+    'prop.hintNoSafeMove': 'No safe move right now, try another item or undo',
+    'prop.choose': 'Pick an item below',
+
+    'undo.endless': 'Undo is off in Endless mode',
+    'undo.title': 'Cannot undo',
+    'undo.empty': 'Nothing to undo. Restart this level?',
+    'undo.exhausted': 'No undos left. Restart this level?',
+    'undo.done': 'Move undone',
+
+    'warning.default': '⚠️ Warning',
+    'warning.doomTitle': '⚠️ Stuck',
+    'warning.doom': 'The remaining blocks can no longer all escape',
+    'warning.doomProps': 'The remaining blocks can no longer all escape, {count} grabs needed',
+    'warning.useProp': 'Items',
+    'warning.undo': 'Undo',
+    'warning.spikeTitle': '⚠️ Difficulty spike',
+    'warning.spike': 'Get ready, the real challenge starts now!',
+    'warning.timedTitle': '⏱ Timed level',
+    'warning.movesTitle': '👣 Move limit',
+    'warning.timeRule': 'within {time}',
+    'warning.moveRule': 'in {moves} moves',
+    'warning.ruleSeparator': ', ',
+    'warning.rules': 'Clear every block {rules}',
+
+    'victory.title': 'Level clear!',
+    'victory.next': 'Next',
+    'victory.replay': 'Replay',
+    'victory.backToEditor': 'Editor',
+    'victory.backToCalendar': 'Calendar',
+    'victory.summary': '{moves} moves · {time}',
+    'victory.removed': '{removed} / {total} blocks cleared',
+    'victory.firstClear': 'First clear',
+    'victory.bestStars': 'Best stars',
+    'victory.bestMoves': 'Fewest moves',
+    'victory.bestTime': 'Best time',
+    'defeat.title': 'No moves left',
+    'defeat.message': 'Use an item to get unstuck',
+    'defeat.retry': 'Restart',
+    'defeat.useProp': 'Use item',
+    'defeat.propsLeft': 'Items left: {count}',
+    'defeat.timeUp': "Time's up",
+    'defeat.timeUpMessage': '{remaining} blocks left',
+    'defeat.movesUp': 'Out of moves',
+    'defeat.movesUpMessage': '{remaining} blocks left after {limit} moves',
+    'defeat.noProps': 'No items left',
+    'defeat.restartPrompt': 'Restart this level?',
+
+    'settings.title': 'Settings',
+    'settings.bgm': 'Music',
+    'settings.sfx': 'Sound effects',
+    'settings.volume': 'Volume',
+    'settings.haptics': 'Vibration',
+    'settings.doomWarning': 'Stuck warning',
+    'settings.palette': 'Colors',
+    'settings.directionGlyphs': 'Direction marks',
+    'settings.language': 'Language',
+    'settings.tutorial': 'Replay tutorial',
+    'settings.reset': 'Reset progress',
+    'settings.resetMessage': 'Levels, items and records will be erased',
+    'settings.resetConfirm': 'Reset',
+    'settings.resetDone': 'Progress reset',
+
+    'palette.default': 'Standard',
+    'palette.redGreen': 'Red-green',
+    'palette.blueYellow': 'Blue-yellow',
+    'background.meadow': 'Meadow',
+    'background.night': 'Night',
+    'background.snow': 'Snow',
+    'background.beach': 'Beach',
+
+    'phase.教学关': 'Tutorial',
+    'phase.难度飙升': 'Difficulty spike',
+    'phase.成长期': 'Growing',
+    'phase.挑战期': 'Challenge',
+    'phase.大师期': 'Master',
+    'phase.传奇期': 'Legend',
+
+    'tutorial.tapTitle': 'Tap an animal facing out',
+    'tutorial.tap': 'It walks off the board the way it faces',
+    'tutorial.blockedTitle': 'Watch for blockers',
+    'tutorial.blocked': 'A blocked animal only slides up to the blocker',
+    'tutorial.clearTitle': 'Clear the board to win',
+    'tutorial.clear': 'Stuck? Use the items below or undo at the top left',
+    'tutorial.done': 'Tutorial complete, have fun!',
+
+    'playtest.leaveTitle': 'End playtest',
+    'playtest.leaveMessage': 'Back to the level editor?',
+    'endless.title': 'Endless · {cleared}',
+    'endless.leaveTitle': 'End run',
+    'endless.leaveMessage': '{cleared} blocks cleared. End and save this run?',
+    'endless.leaveConfirm': 'End',
+    'endless.over': 'Run over',
+    'endless.result': '{cleared} blocks cleared',
+    'endless.newBest': ' · New best!',
+    'endless.rank': ' · Rank {rank}',
+    'endless.again': 'Play again',
+    'daily.leaveTitle': 'Leave challenge',
+    'daily.leaveMessage': 'Back to the daily calendar?',
+
+    'daily.title': 'Daily Challenge',
+    'daily.levelTitle': 'Daily {month}/{day}',
+    'daily.start': "Play today's challenge",
+    'daily.replayCompleted': 'Done today · Replay',
+    'daily.replayAttempted': 'Played today · Replay',
+    'daily.rules': 'Only the first try each day counts · Tap a date to replay',
+    'daily.streak': '🔥 {days}-day streak',
+    'daily.bestStreak': 'Best streak {days} days',
+    'daily.month': '{monthName} {year}',
+    'daily.monthNames': ['January', 'February', 'March', 'April', 'May', 'June',
+      'July', 'August', 'September', 'October', 'November', 'December'],
+    'daily.weekdays': ['S', 'M', 'T', 'W', 'T', 'F', 'S'],
+    'daily.generatingUnscored': 'Generating level (replays are not scored)...',
+    'daily.completed': 'Daily challenge done, {days}-day streak',
+
+    'editor.title': 'Level Editor',
+    'editor.size': 'Size {size}',
+    'editor.delete': 'Delete',
+    'editor.clear': 'Clear',
+    'editor.import': 'Import',
+    'editor.export': 'Export',
+    'editor.playtest': 'Play',
+    'editor.placeHint': 'Tap an empty cell to place a block',
+    'editor.count': '{count} blocks',
+    'editor.maxDepth': 'max depth {depth}',
+    'editor.solvable': '{count} · solvable ({moves} moves) · {depth}',
+    'editor.unsolvable': '{count} · unsolvable · {depth}',
+    'editor.unknown': '{count} · solvability unknown · {depth}',
+    'editor.noRoom': 'No room here',
+    'editor.sizeChanged': 'Block size {size}',
+    'editor.sizeDropped': 'Block size {size}, {dropped} blocks off the board were removed',
+    'editor.noRotate': 'No free cell to rotate into',
+    'editor.selectFirst': 'Select a block first',
+    'editor.clearTitle': 'Clear board',
+    'editor.clearMessage': 'Delete every block?',
+    'editor.imported': 'Imported {count} blocks',
+    'editor.importFailed': 'Import failed: {error}',
+    'editor.clipboardFailed': 'Could not read the clipboard',
+    'editor.empty': 'The board is empty',
+    'editor.copied': 'Level JSON copied to the clipboard',
+    'editor.copyFailed': 'Copy failed',
+    'editor.unsolvableTitle': 'Unsolvable level',
+    'editor.unsolvableMessage': 'The board cannot be cleared without items. Play anyway?'
+  }
+};
+
+// 当前语言
+let activeLanguage = LANGUAGES[0].id;
+
+/**
+ * 切换界面语言（未知 id 回退到默认语言）
+ */
+export function setLanguage(id) {
+  activeLanguage = LANGUAGES.some(lang => lang.id === id) ? id : LANGUAGES[0].id;
+}
+
+/**
+ * 当前语言 id
+ */
+export function getLanguage() {
+  return activeLanguage;
+}
+
+/**
+ * 取当前语言的文案
+ * @param {string} key - 文案键
+ * @param {Object} [params] - 替换文案中的 {name}
+ * @param {string} [fallback] - 两种语言都没有该键时的返回值（默认为键名）
+ * @returns {string|Array<string>}
+ */
+export function t(key, params = null, fallback = key) {
+  let text = STRINGS[activeLanguage][key];
+  if (text === undefined) text = STRINGS[LANGUAGES[0].id][key];
+  if (text === undefined) return fallback;
+  if (!params || typeof text !== 'string') return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
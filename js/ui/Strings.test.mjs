@@ -0,0 +1,101 @@
+/**
+ * 界面文案测试：各语言的键、占位符与数组长度一致，设置面板切换语言后保存并生效
+ *
+ * 用法：
+ *   node js/ui/Strings.test.mjs
+ *
+ * 文案表部分只比较 Strings.STRINGS 的结构，结果完全确定；
+ * 切换语言部分在无头运行时中点击设置面板的语言行，检查 gameSettings 存储、
+ * 面板按钮文字与重新启动后的语言。
+ */
+import assert from 'node:assert/strict';
+import HeadlessRuntime from '../../tools/headless/HeadlessRuntime.mjs';
+
+const { LANGUAGES, STRINGS, setLanguage, getLanguage, t } = await import('./Strings.js');
+
+/**
+ * 文案中的占位符名（排序后比较）
+ */
+function placeholders(text) {
+  return (text.match(/\{(\w+)\}/g) || []).sort().join(',');
+}
+
+function testTables() {
+  const baseId = LANGUAGES[0].id;
+  const base = STRINGS[baseId];
+  for (const { id } of LANGUAGES) {
+    const table = STRINGS[id];
+    assert.ok(table, `缺少 ${id} 文案表`);
+    assert.deepEqual(Object.keys(table).sort(), Object.keys(base).sort(), `${id} 的键与 ${baseId} 不一致`);
+    for (const [key, value] of Object.entries(base)) {
+      if (Array.isArray(value)) {
+        assert.ok(Array.isArray(table[key]) && table[key].length === value.length, `${id} ${key}：数组长度不一致`);
+      } else {
+        assert.equal(typeof table[key], 'string', `${id} ${key}：应为字符串`);
+        assert.equal(placeholders(table[key]), placeholders(value), `${id} ${key}：占位符不一致`);
+      }
+    }
+  }
+}
+
+function testLookup() {
+  setLanguage('en');
+  assert.equal(t('settings.title'), 'Settings');
+  assert.equal(t('game.levelTitle', { level: 7 }), 'Level 7');
+  assert.equal(t('daily.weekdays').length, 7);
+  // 没有的键回退到给定值，再回退到键名
+  assert.equal(t('phase.作者自定义', null, '作者自定义'), '作者自定义');
+  assert.equal(t('no.such.key'), 'no.such.key');
+
+  setLanguage('xx');
+  assert.equal(getLanguage(), LANGUAGES[0].id, '未知语言应回退到默认语言');
+  assert.equal(t('settings.title'), '设置');
+}
+
+async function testSettingsPanel() {
+  setLanguage(LANGUAGES[0].id);
+  const runtime = new HeadlessRuntime({ quiet: true, randomSeed: 1, renderEvery: 1 });
+  await runtime.boot();
+  let stored;
+  try {
+    runtime.settle();
+    const { game } = runtime;
+    game.openSettings();
+    runtime.settle();
+
+    const row = game.modalRenderer.getSettingsRow('language');
+    assert.ok(row, '设置面板缺少语言行');
+    runtime.tap(row.x + row.width / 2, row.y + row.height / 2);
+    runtime.step();
+
+    assert.equal(getLanguage(), 'en');
+    stored = JSON.parse(runtime.storage.get('gameSettings'));
+    assert.equal(stored.language, 'en', '语言未保存到 gameSettings');
+    assert.equal(game.modalRenderer.settingsData.languageName, 'English');
+    assert.equal(game.modalRenderer.getButton('settingsReset').text, 'Reset progress', '面板按钮文字未切换');
+    assert.equal(game.modalRenderer.getSettingsRow('haptics').label, 'Vibration');
+  } finally {
+    runtime.dispose();
+  }
+
+  // 重新启动时按存储的设置切换语言
+  setLanguage(LANGUAGES[0].id);
+  const restarted = new HeadlessRuntime({ quiet: true, randomSeed: 1, renderEvery: 1, storage: { gameSettings: stored } });
+  await restarted.boot();
+  try {
+    restarted.settle();
+    assert.equal(getLanguage(), 'en', '重新启动后语言未恢复');
+  } finally {
+    restarted.dispose();
+  }
+}
+
+async function main() {
+  testTables();
+  testLookup();
+  await testSettingsPanel();
+
+  process.stdout.write(`界面文案测试通过：${LANGUAGES.length} 种语言，${Object.keys(STRINGS[LANGUAGES[0].id]).length} 条文案\n`);
+}
+
+main();
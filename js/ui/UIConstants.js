@@ -3,6 +3,11 @@
  * 根据 PRD.md 第十三、十八章节定义
  */
 
+// 棋盘几何（方块尺寸、布局、棋盘区域）与关卡生成器共用，定义在 Worker 可访问的生成器包中
+import { BLOCK_SIZES, LAYOUT, MAIN_ANIMAL_TYPES, getBoardRect } from "../../workers/generator/constants";
+
+export { BLOCK_SIZES, LAYOUT, MAIN_ANIMAL_TYPES, getBoardRect };
+
 // ==================== 颜色方案 ====================
 
 /**
@@ -53,27 +58,6 @@ export const COLORS = {
 
 // ==================== 尺寸规范 ====================
 
-/**
- * 方块尺寸（优化版 - 圆润胶囊风格 2.5:1 比例）
- */
-export const BLOCK_SIZES = {
-  // 胶囊长边：圆润胶囊风格（长度 = 2.5 × 宽度）
-  LENGTH: 45, // 长边（适中长度）
-  WIDTH: 18, // 宽度（短边）
-  MIN_CLICK_AREA: 24, // 最小可点击区域
-  SPACING: 2, // 相邻方块间距
-  CORNER_RADIUS: 9, // 胶囊圆角（圆润）
-
-  // 网格单元计算（必须容纳最大尺寸）
-  GRID_CELL_SIZE: 48, // 单元格大小：约45px（长边）+ 3px间距
-  GRID_SPACING: 4, // 单元格之间间距
-  SAFETY_MARGIN: 6, // 防溢出安全边距
-  RENDER_MARGIN: 10, // 渲染外扩余量（阴影/描边/缩放）
-  HITBOX_INSET: 4, // 逻辑碰撞内缩（减少AABB误判）
-  COLLISION_SHRINK: 0.22, // 阻挡检测内缩比例
-  CAPSULE_ASPECT_RATIO: 45 / 18, // 胶囊长宽比 2.5:1（圆润胶囊）
-};
-
 /**
  * 按钮尺寸
  */
@@ -92,22 +76,6 @@ export const BUTTON_SIZES = {
   },
 };
 
-/**
- * 布局尺寸
- */
-export const LAYOUT = {
-  TOP_BAR_HEIGHT: 60, // 顶部栏高度
-  BOTTOM_BAR_HEIGHT: 110, // 底部道具栏高度（增大以容纳更大按钮）
-  PROGRESS_BAR_HEIGHT: 12, // 进度条高度
-  SIDE_PADDING: 16, // 左右边距
-  BOARD_SIDE_PADDING: 4, // 棋盘区域左右边距（更贴边）
-  TOP_PADDING: 16, // 顶部边距
-
-  // 棋盘区域（关卡UI与关卡生成必须共用同一套参数）
-  BOARD_TOP_OFFSET: 60, // 顶部栏下方预留（进度/标题区域）
-  BOARD_BOTTOM_MARGIN: 10, // 棋盘与底部道具栏之间的间距
-};
-
 // ==================== 字体规范 ====================
 
 /**
@@ -179,17 +147,6 @@ export const ANIMAL_TYPES = {
   PANDA: "panda",
 };
 
-/**
- * 主要动物类型（用于前期关卡）
- */
-export const MAIN_ANIMAL_TYPES = [
-  ANIMAL_TYPES.PIG,
-  ANIMAL_TYPES.SHEEP,
-  ANIMAL_TYPES.DOG,
-  ANIMAL_TYPES.FOX,
-  ANIMAL_TYPES.PANDA,
-];
-
 /**
  * 动物显示名称
  */
@@ -219,10 +176,59 @@ export const ANIMAL_COLORS = {
 };
 
 /**
- * 获取动物颜色
+ * 动物配色方案（设置面板中选择）
+ * 色盲友好方案只替换主要动物的体色，deficiencies 为适配的色觉类型，
+ * 配色测试（js/ui/palettes.test.mjs）在这些色觉下检查两两之间的色差
+ */
+export const COLOR_PALETTES = [
+  { id: "default", name: "标准", deficiencies: [], colors: ANIMAL_COLORS },
+  {
+    id: "redGreen",
+    name: "红绿色弱",
+    deficiencies: ["protanopia", "deuteranopia"],
+    colors: {
+      ...ANIMAL_COLORS,
+      pig: "#CC79A7", // 紫红色
+      dog: "#F0E442", // 黄色
+      fox: "#1565C0", // 蓝色
+    },
+  },
+  {
+    id: "blueYellow",
+    name: "蓝黄色弱",
+    deficiencies: ["tritanopia"],
+    colors: {
+      ...ANIMAL_COLORS,
+      pig: "#E07BA0", // 玫红色
+      dog: "#009E73", // 青绿色
+      fox: "#D55E00", // 朱红色
+    },
+  },
+];
+
+// 当前配色方案
+let activePalette = COLOR_PALETTES[0];
+
+/**
+ * 切换配色方案（未知 id 回退到标准配色）
+ */
+export function setColorPalette(id) {
+  activePalette = COLOR_PALETTES.find(palette => palette.id === id) || COLOR_PALETTES[0];
+}
+
+/**
+ * 当前配色方案
+ */
+export function getColorPalette() {
+  return activePalette;
+}
+
+/**
+ * 获取动物颜色（按当前配色方案）
  */
 export function getAnimalColor(type) {
-  return ANIMAL_COLORS[type] || ANIMAL_COLORS.pig;
+  const colors = activePalette.colors;
+  return colors[type] || colors.pig;
 }
 
 // ==================== 道具类型 ====================
@@ -235,17 +241,7 @@ export const PROP_TYPES = {
   FLIP: "flip", // 翻转
   SHUFFLE_POS: "shufflePos", // 洗牌（位置）
   SHUFFLE_DIR: "shuffleDir", // 洗牌（方向）
-};
-
-/**
- * 道具显示名称
- */
-export const PROP_NAMES = {
-  grab: "抓走",
-  flip: "翻转",
-  shufflePos: "重排",
-  // 与“翻转”不同：翻转通常是整体反向；这里是随机打乱朝向以破局
-  shuffleDir: "随机向",
+  HINT: "hint", // 提示
 };
 
 /**
@@ -256,6 +252,7 @@ export const PROP_COLORS = {
   flip: "#FFC107", // 黄色
   shufflePos: "#9C27B0", // 紫色
   shuffleDir: "#E91E63", // 粉紫色
+  hint: "#43A047", // 绿色
 };
 
 /**
@@ -301,20 +298,3 @@ export function drawCapsule(ctx, x, y, width, height) {
   drawRoundRect(ctx, x, y, width, height, radius);
 }
 
-/**
- * 获取棋盘区域矩形（关卡UI与关卡生成共用）
- */
-export function getBoardRect(screenWidth, screenHeight) {
-  const sidePadding =
-    typeof LAYOUT.BOARD_SIDE_PADDING === "number"
-      ? LAYOUT.BOARD_SIDE_PADDING
-      : LAYOUT.SIDE_PADDING;
-  const x = sidePadding;
-  const y = LAYOUT.TOP_BAR_HEIGHT + LAYOUT.BOARD_TOP_OFFSET;
-  const width = screenWidth - sidePadding * 2;
-  const bottomY =
-    screenHeight - LAYOUT.BOTTOM_BAR_HEIGHT - LAYOUT.BOARD_BOTTOM_MARGIN;
-  const height = Math.max(0, bottomY - y);
-
-  return { x, y, width, height };
-}
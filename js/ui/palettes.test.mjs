@@ -0,0 +1,125 @@
+/**
+ * 配色测试：每个配色方案中主要动物两两之间的色差，以及方向箭头/标记与体色的对比度
+ *
+ * 用法：
+ *   node js/ui/palettes.test.mjs
+ *
+ * 色差按 CIE76 ΔE（CIELAB 欧氏距离）计算：先在正常色觉下检查，
+ * 再按方案声明的 deficiencies 用 Machado 2009（严重度 1.0）矩阵模拟色盲后检查。
+ * 箭头颜色取 BlockRenderer.getContrastColor，与体色的对比度按 WCAG 2.x 计算，
+ * 下限取非文字图形的 3:1。结果完全确定，不依赖随机数与画布。
+ */
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+register('../../tools/headless/loader.mjs', import.meta.url);
+
+const { COLOR_PALETTES, MAIN_ANIMAL_TYPES } = await import('./UIConstants.js');
+const { default: BlockRenderer } = await import('./BlockRenderer.js');
+
+// 两两色差下限（ΔE76；约 25 以上可一眼区分）
+const MIN_DELTA_E = 25;
+
+// 箭头/方向标记与体色的最低对比度（WCAG 非文字图形）
+const MIN_GLYPH_CONTRAST = 3;
+
+// 色盲模拟矩阵（Machado, Oliveira & Fernandes 2009，作用于线性 RGB）
+const DEFICIENCY_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.01182, 0.04294, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.3039]
+  ]
+};
+
+/**
+ * '#RRGGBB' → 线性 RGB（0-1）
+ */
+function toLinearRgb(color) {
+  const num = parseInt(color.replace('#', ''), 16);
+  return [num >> 16, (num >> 8) & 0xff, num & 0xff].map(channel => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+}
+
+/**
+ * 模拟色盲后的线性 RGB（deficiency 为空时原样返回）
+ */
+function simulate(rgb, deficiency) {
+  if (!deficiency) return rgb;
+  return DEFICIENCY_MATRICES[deficiency].map(row => {
+    const value = row[0] * rgb[0] + row[1] * rgb[1] + row[2] * rgb[2];
+    return Math.max(0, Math.min(1, value));
+  });
+}
+
+/**
+ * 线性 RGB → CIELAB（D65 白点）
+ */
+function toLab([r, g, b]) {
+  const X = (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047;
+  const Y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const Z = (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883;
+  const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const [fx, fy, fz] = [f(X), f(Y), f(Z)];
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function deltaE(colorA, colorB, deficiency) {
+  const a = toLab(simulate(toLinearRgb(colorA), deficiency));
+  const b = toLab(simulate(toLinearRgb(colorB), deficiency));
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function main() {
+  let checks = 0;
+
+  for (const palette of COLOR_PALETTES) {
+    const colors = MAIN_ANIMAL_TYPES.map(type => ({ type, color: palette.colors[type] }));
+    colors.forEach(({ type, color }) => {
+      assert.match(color || '', /^#[0-9A-Fa-f]{6}$/, `${palette.id}：${type} 缺少颜色`);
+    });
+
+    // 标准配色只要求正常色觉可区分；色盲友好方案还要在声明的色觉下可区分
+    const visions = [null, ...palette.deficiencies];
+    for (const deficiency of visions) {
+      for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+          const a = colors[i];
+          const b = colors[j];
+          const value = deltaE(a.color, b.color, deficiency);
+          assert.ok(
+            value >= MIN_DELTA_E,
+            `${palette.id}（${deficiency || '正常色觉'}）：${a.type} 与 ${b.type} 色差 ${value.toFixed(1)} < ${MIN_DELTA_E}`
+          );
+          checks++;
+        }
+      }
+    }
+
+    colors.forEach(({ type, color }) => {
+      const glyph = BlockRenderer.getContrastColor(color);
+      const ratio = BlockRenderer.getContrastRatio(color, glyph);
+      assert.ok(
+        ratio >= MIN_GLYPH_CONTRAST,
+        `${palette.id}：${type} 的方向箭头对比度 ${ratio.toFixed(2)} < ${MIN_GLYPH_CONTRAST}`
+      );
+      checks++;
+    });
+  }
+
+  process.stdout.write(`配色测试通过：${COLOR_PALETTES.length} 个方案，${checks} 项检查\n`);
+}
+
+main();
@@ -0,0 +1,595 @@
+/**
+ * 无头运行时（Node 环境下运行完整游戏，不依赖微信 wx/canvas）
+ *
+ * 提供小游戏运行所需的替身环境：
+ * - wx：内存存储、剪贴板、代码包文件读取、画布/窗口信息、图片与音频空实现、触摸事件注册
+ * - canvas：固定尺寸画布，2D 上下文为空操作
+ * - 虚拟时钟：接管 Date.now / setTimeout / requestAnimationFrame，由 advance() 推进，
+ *   动画、延时开局、按钮按压都按虚拟时间执行，模拟一局不需要真实等待
+ * - 触摸注入：tap()/swipe() 走游戏自身的触摸处理与命中检测
+ *
+ * 一个 Node 进程只能启动一个运行时（DirectionGame 在模块顶层绑定了画布上下文）。
+ *
+ * 使用示例：
+ *   const runtime = new HeadlessRuntime({ quiet: true, randomSeed: 1 });
+ *   await runtime.boot();
+ *   await runtime.startLevel(5, { seed: 123 });
+ *   runtime.tapBlock(runtime.databus.blocks[0]);
+ *   runtime.settle();
+ */
+import { register } from 'node:module';
+import { readFileSync } from 'node:fs';
+
+register('./loader.mjs', import.meta.url);
+
+const ROOT_URL = new URL('../../', import.meta.url);
+
+// 默认屏幕尺寸（iPhone 6/7/8 逻辑分辨率）
+const DEFAULT_WIDTH = 375;
+const DEFAULT_HEIGHT = 667;
+
+// 默认帧间隔（毫秒）
+const DEFAULT_FRAME_MS = 16;
+
+// settle()/startLevel() 默认最长等待的虚拟时间（毫秒）
+const DEFAULT_SETTLE_TIMEOUT = 15000;
+const DEFAULT_START_TIMEOUT = 60000;
+
+// 关卡生成 Worker 入口（与 LevelManager 中的 wx.createWorker 路径一致）
+const WORKER_SCRIPT = 'workers/levelGenerator.js';
+
+// 被虚拟化的全局对象，dispose() 时恢复
+const PATCHED_GLOBALS = [
+  'wx', 'canvas', 'GameGlobal', 'worker',
+  'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval',
+  'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+/**
+ * 创建空操作的 2D 上下文
+ * 绘制调用全部忽略；measureText 返回近似宽度，create*Gradient/Pattern 返回可用的空对象
+ */
+function createNullContext(canvas) {
+  const gradient = { addColorStop() {} };
+  const state = { canvas };
+  return new Proxy(state, {
+    get(target, key) {
+      if (key in target) return target[key];
+      if (key === 'measureText') {
+        return (text) => ({ width: String(text).length * 8 });
+      }
+      if (key === 'getImageData' || key === 'createImageData') {
+        return (...args) => ({ data: new Uint8ClampedArray(4), width: args[2] || 1, height: args[3] || 1 });
+      }
+      if (typeof key === 'string' && key.startsWith('create')) {
+        return () => gradient;
+      }
+      if (key === 'getLineDash') {
+        return () => [];
+      }
+      return () => {};
+    },
+    set(target, key, value) {
+      target[key] = value;
+      return true;
+    }
+  });
+}
+
+/**
+ * 创建空实现的音频上下文
+ */
+function createNullAudio() {
+  const audio = { src: '', volume: 1, loop: false, paused: true };
+  ['play', 'pause', 'stop', 'seek', 'destroy'].forEach(name => {
+    audio[name] = () => {
+      if (name === 'play') audio.paused = false;
+      if (name === 'pause' || name === 'stop') audio.paused = true;
+    };
+  });
+  ['onCanplay', 'onPlay', 'onEnded', 'onError', 'offCanplay', 'offPlay', 'offEnded', 'offError'].forEach(name => {
+    audio[name] = () => {};
+  });
+  return audio;
+}
+
+export default class HeadlessRuntime {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.width=375] - 屏幕宽度
+   * @param {number} [options.height=667] - 屏幕高度
+   * @param {number} [options.frameMs=16] - advance() 每帧推进的虚拟时间
+   * @param {boolean} [options.quiet=false] - 静默游戏内的 console.log/warn
+   * @param {number} [options.randomSeed] - 指定后 Math.random 使用可复现随机数（飞入抖动、洗牌道具等）
+   * @param {Object} [options.storage] - 初始本地存储内容 { key: value }
+   * @param {boolean} [options.worker=false] - 是否提供 wx.createWorker（Worker 入口在同一进程内加载，
+   *   消息经虚拟定时器异步投递；默认不提供，关卡走同步生成）
+   * @param {number} [options.renderEvery=1] - 每 N 帧执行一次渲染（0 为不渲染，批量模拟时可降低开销）
+   */
+  constructor(options = {}) {
+    this.width = options.width || DEFAULT_WIDTH;
+    this.height = options.height || DEFAULT_HEIGHT;
+    this.frameMs = options.frameMs || DEFAULT_FRAME_MS;
+    this.quiet = !!options.quiet;
+    this.randomSeed = Number.isFinite(options.randomSeed) ? options.randomSeed : null;
+    this.enableWorker = !!options.worker;
+    this.renderEvery = Number.isFinite(options.renderEvery) ? options.renderEvery : 1;
+
+    // 本地存储（按 wx 语义读写时做深拷贝）
+    this.storage = new Map();
+    Object.entries(options.storage || {}).forEach(([key, value]) => {
+      this.storage.set(key, JSON.stringify(value));
+    });
+
+    // 剪贴板
+    this.clipboard = '';
+
+    // 虚拟时钟
+    this.now = Date.now();
+    this.timers = new Map();
+    this.nextTimerId = 1;
+    this.frameCallbacks = new Map();
+    this.nextFrameId = 1;
+    this.frameCount = 0;
+
+    // 触摸监听
+    this.touchListeners = { start: [], move: [], end: [], cancel: [] };
+
+    // Worker 消息通道（options.worker 时创建）
+    this.workerChannel = null;
+
+    this.game = null;
+    this.modules = null;
+    this.booted = false;
+    this.saved = null;
+  }
+
+  /**
+   * 安装替身环境并启动游戏（加载 render.js 与 DirectionGame，进入主菜单）
+   */
+  async boot() {
+    if (this.booted) return this.game;
+
+    this.installGlobals();
+
+    const load = (path) => import(new URL(path, ROOT_URL).href).then(mod => mod.default);
+    await import(new URL('js/render.js', ROOT_URL).href);
+    const [DirectionGame, PuzzleSolver, DeadlockDetector, DirectionDetector, ReverseLevelGenerator] = await Promise.all([
+      load('js/game/DirectionGame.js'),
+      load('js/game/algorithms/PuzzleSolver.js'),
+      load('js/game/algorithms/DeadlockDetector.js'),
+      load('workers/generator/DirectionDetector.js'),
+      load('workers/generator/ReverseLevelGenerator.js')
+    ]);
+    this.modules = { DirectionGame, PuzzleSolver, DeadlockDetector, DirectionDetector, ReverseLevelGenerator };
+
+    if (this.enableWorker) {
+      // Worker 入口在模块顶层注册 worker.onMessage，需在游戏创建 Worker 之前加载
+      this.workerChannel = this.createWorkerChannel();
+      globalThis.worker = this.workerChannel.scope;
+      await import(new URL(WORKER_SCRIPT, ROOT_URL).href);
+    }
+
+    if (this.randomSeed !== null) {
+      Math.random = ReverseLevelGenerator.createSeededRandom(this.randomSeed);
+    }
+
+    this.game = new DirectionGame();
+    if (this.renderEvery !== 1) {
+      // 渲染只影响画面，跳帧渲染不改变游戏逻辑
+      const render = this.game.render.bind(this.game);
+      this.game.render = () => {
+        if (this.renderEvery > 0 && this.frameCount % this.renderEvery === 0) render();
+      };
+    }
+    this.booted = true;
+    return this.game;
+  }
+
+  /**
+   * 安装全局替身（wx / canvas / GameGlobal / 定时器 / Date.now）
+   */
+  installGlobals() {
+    this.saved = {
+      globals: PATCHED_GLOBALS.map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]),
+      dateNow: Date.now,
+      random: Math.random,
+      log: console.log,
+      warn: console.warn
+    };
+
+    const canvas = { width: this.width, height: this.height };
+    canvas.getContext = () => {
+      if (!canvas.context) canvas.context = createNullContext(canvas);
+      return canvas.context;
+    };
+    this.canvas = canvas;
+
+    globalThis.GameGlobal = globalThis;
+    globalThis.wx = this.createWx();
+    globalThis.canvas = canvas;
+
+    Date.now = () => this.now;
+    globalThis.setTimeout = (fn, delay = 0, ...args) => this.addTimer(fn, delay, args, false);
+    globalThis.setInterval = (fn, delay = 0, ...args) => this.addTimer(fn, delay, args, true);
+    globalThis.clearTimeout = (id) => { this.timers.delete(id); };
+    globalThis.clearInterval = (id) => { this.timers.delete(id); };
+    globalThis.requestAnimationFrame = (fn) => {
+      const id = this.nextFrameId++;
+      this.frameCallbacks.set(id, fn);
+      return id;
+    };
+    globalThis.cancelAnimationFrame = (id) => { this.frameCallbacks.delete(id); };
+
+    if (this.quiet) {
+      console.log = () => {};
+      console.warn = () => {};
+    }
+  }
+
+  /**
+   * 创建 wx 替身
+   */
+  createWx() {
+    const storage = this.storage;
+    const windowInfo = {
+      screenWidth: this.width,
+      screenHeight: this.height,
+      windowWidth: this.width,
+      windowHeight: this.height,
+      pixelRatio: 2,
+      platform: 'headless'
+    };
+    const wx = {
+      createCanvas: () => this.canvas,
+      getWindowInfo: () => ({ ...windowInfo }),
+      getSystemInfoSync: () => ({ ...windowInfo }),
+      createImage: () => ({ src: '', width: 0, height: 0, onload: null, onerror: null }),
+      createInnerAudioContext: () => createNullAudio(),
+      getStorageSync: (key) => (storage.has(key) ? JSON.parse(storage.get(key)) : ''),
+      setStorageSync: (key, value) => { storage.set(key, JSON.stringify(value)); },
+      removeStorageSync: (key) => { storage.delete(key); },
+      clearStorageSync: () => { storage.clear(); },
+      // 代码包内文件（关卡包等）按仓库根目录读取
+      getFileSystemManager: () => ({
+        readFileSync: (path, encoding) => readFileSync(new URL(path, ROOT_URL), encoding)
+      }),
+      onTouchStart: (fn) => this.touchListeners.start.push(fn),
+      onTouchMove: (fn) => this.touchListeners.move.push(fn),
+      onTouchEnd: (fn) => this.touchListeners.end.push(fn),
+      onTouchCancel: (fn) => this.touchListeners.cancel.push(fn),
+      // 剪贴板（关卡编辑器导入/导出）
+      setClipboardData: ({ data, success }) => {
+        this.clipboard = String(data);
+        if (success) success();
+      },
+      getClipboardData: ({ success }) => {
+        if (success) success({ data: this.clipboard });
+      },
+      vibrateShort: () => {},
+      showToast: () => {}
+    };
+    if (this.enableWorker) {
+      wx.createWorker = (scriptPath) => this.createWorker(scriptPath);
+    } else {
+      // 不提供 Worker：LevelManager 捕获异常后改用分帧/同步生成
+      wx.createWorker = () => {
+        throw new Error('headless runtime: worker not supported');
+      };
+    }
+    return wx;
+  }
+
+  /**
+   * 创建 Worker 消息通道
+   * scope 是 Worker 入口看到的全局 worker 对象，handle 是 wx.createWorker 返回给主线程的对象；
+   * 双向消息经结构化克隆后由虚拟定时器投递，与真机一样是异步的
+   */
+  createWorkerChannel() {
+    const mainListeners = [];
+    const workerListeners = [];
+    const deliver = (listeners, msg) => {
+      const data = structuredClone(msg);
+      this.addTimer(() => listeners.forEach(fn => fn(data)), 0, [], false);
+    };
+
+    const scope = {
+      onMessage: (fn) => workerListeners.push(fn),
+      postMessage: (msg) => deliver(mainListeners, msg)
+    };
+    const handle = {
+      onMessage: (fn) => mainListeners.push(fn),
+      postMessage: (msg) => deliver(workerListeners, msg),
+      terminate: () => {
+        mainListeners.length = 0;
+      }
+    };
+    return { scope, handle };
+  }
+
+  /**
+   * wx.createWorker 替身：只支持游戏自身的关卡生成 Worker
+   */
+  createWorker(scriptPath) {
+    if (scriptPath !== WORKER_SCRIPT) {
+      throw new Error(`headless runtime: unknown worker script ${scriptPath}`);
+    }
+    return this.workerChannel.handle;
+  }
+
+  /**
+   * 恢复被替换的全局对象
+   */
+  dispose() {
+    if (!this.saved) return;
+    this.saved.globals.forEach(([name, descriptor]) => {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    });
+    Date.now = this.saved.dateNow;
+    Math.random = this.saved.random;
+    console.log = this.saved.log;
+    console.warn = this.saved.warn;
+    this.saved = null;
+  }
+
+  // ==================== 虚拟时钟 ====================
+
+  addTimer(fn, delay, args, repeat) {
+    const id = this.nextTimerId++;
+    const interval = Math.max(0, Number(delay) || 0);
+    this.timers.set(id, { fn, args, at: this.now + interval, interval, repeat });
+    return id;
+  }
+
+  /**
+   * 执行所有到期的定时器（按到期时间、注册顺序）
+   */
+  runDueTimers() {
+    for (;;) {
+      let dueId = null;
+      let due = null;
+      for (const [id, timer] of this.timers) {
+        if (timer.at > this.now) continue;
+        if (!due || timer.at < due.at) {
+          dueId = id;
+          due = timer;
+        }
+      }
+      if (!due) return;
+
+      if (due.repeat) {
+        due.at += Math.max(1, due.interval);
+      } else {
+        this.timers.delete(dueId);
+      }
+      due.fn(...due.args);
+    }
+  }
+
+  /**
+   * 推进一帧：时钟前进 frameMs，执行到期定时器，再执行本帧的 requestAnimationFrame 回调
+   */
+  step(frameMs = this.frameMs) {
+    this.now += frameMs;
+    this.runDueTimers();
+
+    const callbacks = Array.from(this.frameCallbacks.values());
+    this.frameCallbacks.clear();
+    callbacks.forEach(fn => fn(this.now));
+    this.frameCount++;
+  }
+
+  /**
+   * 推进指定的虚拟时间
+   * @param {number} ms
+   */
+  advance(ms) {
+    const target = this.now + ms;
+    while (this.now < target) {
+      this.step(Math.min(this.frameMs, target - this.now));
+    }
+  }
+
+  /**
+   * 推进时间直到条件成立
+   * @param {Function} predicate - 每帧检查一次
+   * @param {number} [timeout] - 最长等待的虚拟时间
+   * @returns {boolean} 条件是否成立（超时返回 false）
+   */
+  advanceUntil(predicate, timeout = DEFAULT_SETTLE_TIMEOUT) {
+    const deadline = this.now + timeout;
+    while (!predicate()) {
+      if (this.now >= deadline) return false;
+      this.step();
+    }
+    return true;
+  }
+
+  /**
+   * 等待当前的方块动画、弹窗动画与按钮延时全部结束
+   * @returns {boolean} 是否在超时前进入静止状态
+   */
+  settle(timeout = DEFAULT_SETTLE_TIMEOUT) {
+    // 多推进一帧，让刚触发的操作进入动画状态
+    this.step();
+    return this.advanceUntil(() => this.isIdle(), timeout);
+  }
+
+  /**
+   * 是否处于静止状态：没有进行中的方块动画、道具动画、弹窗动画、每日挑战生成与 1 秒内到期的定时器
+   * 方块动画只在 playing 状态下推进，胜负弹窗出现后不再等待
+   */
+  isIdle() {
+    const databus = this.databus;
+    const playing = this.game && this.game.state === 'playing';
+    if (playing && (databus.isSpawning || this.game.propAnimation)) return false;
+    if (playing && databus.blocks.some(block =>
+      block.isSpawning || block.isMoving || block.isShaking || block.isBouncing || block.isPropAnimating())) {
+      return false;
+    }
+    if (this.game && this.game.modalRenderer.isAnimating) return false;
+    if (this.game && this.game.pendingDaily !== null) return false;
+    for (const timer of this.timers.values()) {
+      if (!timer.repeat && timer.at - this.now <= 1000) return false;
+    }
+    return true;
+  }
+
+  // ==================== 触摸注入 ====================
+
+  dispatchTouch(type, touches, changedTouches) {
+    const event = { touches, changedTouches, timeStamp: this.now };
+    this.touchListeners[type].forEach(fn => fn(event));
+  }
+
+  /**
+   * 单击（touchStart + touchEnd）
+   */
+  tap(x, y) {
+    const touch = { identifier: 0, clientX: x, clientY: y };
+    this.dispatchTouch('start', [touch], [touch]);
+    this.dispatchTouch('end', [], [touch]);
+  }
+
+  /**
+   * 滑动（关卡地图滚动等）
+   * @param {number} steps - 中间 touchMove 次数，每次推进一帧
+   */
+  swipe(x0, y0, x1, y1, steps = 10) {
+    const at = (t) => ({ identifier: 0, clientX: x0 + (x1 - x0) * t, clientY: y0 + (y1 - y0) * t });
+    this.dispatchTouch('start', [at(0)], [at(0)]);
+    for (let i = 1; i <= steps; i++) {
+      this.step();
+      this.dispatchTouch('move', [at(i / steps)], [at(i / steps)]);
+    }
+    this.dispatchTouch('end', [], [at(1)]);
+  }
+
+  /**
+   * 点击按钮中心（Button 以左上角定位，PropButton 以中心定位）
+   * @returns {boolean} 按钮是否存在
+   */
+  tapButton(button, centered = false) {
+    if (!button) return false;
+    const x = centered ? button.x : button.x + button.width / 2;
+    const y = centered ? button.y : button.y + button.height / 2;
+    this.tap(x, y);
+    return true;
+  }
+
+  /**
+   * 查找一个点击后会命中指定方块的坐标
+   * 与游戏命中规则一致：从上层到下层取第一个包含触点的方块；
+   * 包围盒与相邻方块重叠时，在方块范围内采样寻找不被遮挡的点
+   * @returns {{x: number, y: number}|null} 无法点中时返回 null
+   */
+  findTapPoint(block) {
+    if (!block || block.isRemoved) return null;
+    const blocks = this.databus.blocks;
+    const hitAt = (x, y) => {
+      for (let i = blocks.length - 1; i >= 0; i--) {
+        const candidate = blocks[i];
+        if (candidate.isRemoved) continue;
+        if (this.game.isTouchInBlock(x, y, candidate)) return candidate;
+      }
+      return null;
+    };
+
+    const samples = 6;
+    const points = [{ x: block.x + block.width / 2, y: block.y + block.height / 2 }];
+    for (let i = 0; i <= samples; i++) {
+      for (let j = 0; j <= samples; j++) {
+        points.push({
+          x: block.x + block.width * (i / samples),
+          y: block.y + block.height * (j / samples)
+        });
+      }
+    }
+    return points.find(point => hitAt(point.x, point.y) === block) || null;
+  }
+
+  /**
+   * 点击指定方块
+   * @returns {boolean} 是否找到可点中的位置
+   */
+  tapBlock(block) {
+    const point = this.findTapPoint(block);
+    if (!point) return false;
+    this.tap(point.x, point.y);
+    return true;
+  }
+
+  /**
+   * 点击道具按钮；抓走道具需同时传入目标方块
+   * @param {string} type - grab/flip/shufflePos/shuffleDir/hint
+   * @param {Object} [target] - 抓走的目标方块
+   * @returns {boolean} 道具是否被消耗
+   */
+  useProp(type, target = null) {
+    const databus = this.databus;
+    const before = databus.items[type] || 0;
+    if (!this.tapButton(this.game.gameRenderer.getPropButton(type), true)) return false;
+
+    if (type === 'grab' && this.game.propMode === 'grab') {
+      if (!target || !this.tapBlock(target)) {
+        // 目标无法点中：点空白处退出抓取模式
+        this.tap(1, 1);
+        this.game.propMode = null;
+      }
+    }
+    return (databus.items[type] || 0) < before;
+  }
+
+  /**
+   * 点击弹窗按钮（next/replay/useProp/retry/confirm/cancel）
+   */
+  tapModalButton(name) {
+    return this.tapButton(this.game.modalRenderer.getButton(name));
+  }
+
+  // ==================== 游戏流程 ====================
+
+  /**
+   * 开始关卡并等待飞入动画结束
+   * @param {number} level
+   * @param {Object} [options] - { seed }
+   * @returns {Promise<boolean>} 是否成功进入可操作状态
+   */
+  async startLevel(level, options = {}) {
+    this.game.startLevel(level, options);
+    const ready = this.advanceUntil(
+      () => this.game.state === 'playing' && this.databus.currentLevel === level && !this.databus.isSpawning,
+      options.timeout || DEFAULT_START_TIMEOUT
+    );
+    return ready && this.settle();
+  }
+
+  get databus() {
+    return globalThis.GameGlobal ? globalThis.GameGlobal.databus : null;
+  }
+
+  get state() {
+    return this.game ? this.game.state : null;
+  }
+
+  /**
+   * 当前未消除的方块
+   */
+  getActiveBlocks() {
+    return this.databus.blocks.filter(block => !block.isRemoved);
+  }
+
+  /**
+   * 当前可直接消除的方块
+   */
+  getRemovableBlocks() {
+    const { DirectionDetector } = this.modules;
+    const blocks = this.databus.blocks;
+    return blocks.filter(block => !block.isRemoved &&
+      !DirectionDetector.isBlocked(block, blocks, this.width, this.height));
+  }
+}
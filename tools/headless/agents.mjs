@@ -0,0 +1,100 @@
+/**
+ * 无头模拟的脚本化玩家
+ *
+ * 每个玩家提供：
+ * - act(runtime, rand)：游戏进行中执行一次操作，返回操作名；无可执行操作时返回 null
+ * - recover(runtime, rand)（可选）：失败弹窗出现时尝试用道具解围，返回是否继续游戏
+ * - expect：期望结局（'victory' 表示必须通关，否则计为失败用例）
+ *
+ * 所有操作都通过触摸注入完成，与真实玩家走同一条代码路径。
+ */
+
+/**
+ * 从数组中随机取一个元素
+ */
+function pick(list, rand) {
+  return list.length ? list[Math.floor(rand() * list.length)] : null;
+}
+
+/**
+ * 求解器玩家：每步按精确求解器的解点击，不使用道具
+ * 生成的关卡保证可解，因此必须通关
+ */
+export const solverAgent = {
+  name: 'solver',
+  expect: 'victory',
+  act(runtime) {
+    const { PuzzleSolver } = runtime.modules;
+    const blocks = runtime.databus.blocks;
+    const result = PuzzleSolver.solve(blocks, {
+      computeMinProps: false,
+      screenWidth: runtime.width,
+      screenHeight: runtime.height
+    });
+    const move = result.solvable ? result.solution[0] : null;
+    if (!move) return null;
+    return runtime.tapBlock(blocks[move.index]) ? move.action : null;
+  }
+};
+
+/**
+ * 贪心玩家：随机点击一个可消除的方块，不看后果
+ */
+export const greedyAgent = {
+  name: 'greedy',
+  expect: null,
+  act(runtime, rand) {
+    const block = pick(runtime.getRemovableBlocks(), rand);
+    if (!block) return null;
+    return runtime.tapBlock(block) ? 'remove' : null;
+  }
+};
+
+/**
+ * 道具玩家：优先使用提示道具，提示用完后贪心消除；陷入死局时用抓走道具解围
+ */
+export const assistedAgent = {
+  name: 'assisted',
+  expect: null,
+  act(runtime, rand) {
+    const game = runtime.game;
+    const databus = runtime.databus;
+
+    if (!game.hint && databus.items.hint > 0) {
+      runtime.useProp('hint');
+    }
+    if (game.hint && runtime.tapBlock(game.hint.block)) {
+      return 'hint';
+    }
+    return greedyAgent.act(runtime, rand);
+  },
+  recover(runtime, rand) {
+    const databus = runtime.databus;
+    if (!(databus.items.grab > 0)) return false;
+
+    runtime.tapModalButton('useProp');
+    runtime.settle();
+    if (runtime.state !== 'playing') return false;
+    return runtime.useProp('grab', pick(runtime.getActiveBlocks(), rand));
+  }
+};
+
+/**
+ * 随机玩家：随机点击任意方块（可能滑动或抖动），用于覆盖滑动与无效点击
+ */
+export const randomAgent = {
+  name: 'random',
+  expect: null,
+  act(runtime, rand) {
+    const block = pick(runtime.getActiveBlocks(), rand);
+    if (!block) return null;
+    return runtime.tapBlock(block) ? 'tap' : null;
+  }
+};
+
+export const AGENTS = {
+  solver: solverAgent,
+  greedy: greedyAgent,
+  assisted: assistedAgent,
+  random: randomAgent
+};
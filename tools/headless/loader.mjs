@@ -0,0 +1,31 @@
+/**
+ * 无头运行时的 Node 模块加载钩子
+ *
+ * 小游戏源码使用无扩展名导入、.js 文件为 ES Module，而 js/libs 下的第三方库为 CommonJS，
+ * 这里补全扩展名并按目录指定模块格式，使 Node 可以直接加载游戏源码。
+ * 由 HeadlessRuntime 通过 module.register 注册，无需手动使用。
+ */
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_URL = new URL('../../', import.meta.url).href;
+const LIBS_URL = new URL('js/libs/', ROOT_URL).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (isRelative && context.parentURL && context.parentURL.startsWith(ROOT_URL) && !/\.m?js$/.test(specifier)) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) {
+      return nextResolve(url.href, context);
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(ROOT_URL) && url.endsWith('.js')) {
+    const format = url.startsWith(LIBS_URL) ? 'commonjs' : 'module';
+    return nextLoad(url, { ...context, format });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,150 @@
+/**
+ * 单局模拟与不变量检查
+ *
+ * playLevel() 用指定玩家完整地玩一局，并在每次操作后检查
+ * onBlockClicked → checkDeadlock → onVictory/onDefeat 流程的一致性。
+ */
+
+/**
+ * 检查当前局面的不变量
+ * @returns {Array<string>} 违反的不变量描述
+ */
+export function checkInvariants(runtime, level) {
+  const { DeadlockDetector } = runtime.modules;
+  const databus = runtime.databus;
+  const state = runtime.state;
+  const errors = [];
+
+  const removedCount = databus.blocks.filter(block => block.isRemoved).length;
+  if (removedCount !== databus.removedBlocks) {
+    errors.push(`removedBlocks=${databus.removedBlocks} 与实际消除数 ${removedCount} 不一致`);
+  }
+
+  if (state === 'victory') {
+    if (removedCount !== databus.totalBlocks) {
+      errors.push(`胜利时仍有 ${databus.totalBlocks - removedCount} 个方块未消除`);
+    }
+    const record = databus.levels[level];
+    if (!record || !record.completed) {
+      errors.push('胜利后关卡记录未标记通关');
+    }
+    if (databus.unlockedLevels <= level) {
+      errors.push(`胜利后未解锁下一关（unlockedLevels=${databus.unlockedLevels}）`);
+    }
+  } else if (state === 'defeat') {
+    if (removedCount >= databus.totalBlocks) {
+      errors.push('方块已全部消除却判定失败');
+    }
+    // 只有死局失败要求棋盘真的无解；限步 / 限时失败时棋盘通常仍可消除
+    const reason = databus.defeatReason;
+    if (reason === 'deadlock') {
+      if (!DeadlockDetector.check(databus.blocks, runtime.width, runtime.height)) {
+        errors.push('仍有可消除方块却判定死局');
+      }
+    } else if (reason === 'moves') {
+      if (databus.getMovesRemaining() > 0) {
+        errors.push(`还剩 ${databus.getMovesRemaining()} 步却判定步数用完`);
+      }
+    } else if (reason === 'time') {
+      if (databus.getTimeRemaining() > 0) {
+        errors.push(`还剩 ${databus.getTimeRemaining()}ms 却判定时间到`);
+      }
+    } else {
+      errors.push(`未知的失败原因 ${reason}`);
+    }
+  } else if (state === 'playing' && databus.isPlaying && !databus.isSpawning) {
+    if (removedCount >= databus.totalBlocks) {
+      errors.push('方块已全部消除但未触发胜利');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 用指定玩家完整地玩一局
+ * @param {HeadlessRuntime} runtime - 已 boot 的运行时
+ * @param {Object} agent - 见 agents.mjs
+ * @param {Object} options
+ * @param {number} options.level - 关卡号
+ * @param {number} [options.seed] - 关卡种子
+ * @param {number} [options.maxActions=500] - 最多操作次数
+ * @returns {Promise<Object>} { level, seed, agent, outcome, actions, moves, propsUsed, blocks, virtualMs, errors }
+ *   - outcome：victory / defeat / stuck（玩家无操作可做）/ timeout（超过操作上限或动画未停止）/ error
+ */
+export async function playLevel(runtime, agent, options) {
+  const { ReverseLevelGenerator } = runtime.modules;
+  const level = options.level;
+  const maxActions = options.maxActions || 500;
+  const rand = ReverseLevelGenerator.createSeededRandom(((options.seed || 0) ^ (level * 2654435761)) >>> 0);
+
+  const result = {
+    level,
+    seed: null,
+    agent: agent.name,
+    outcome: 'timeout',
+    actions: 0,
+    moves: 0,
+    propsUsed: 0,
+    blocks: 0,
+    virtualMs: 0,
+    errors: []
+  };
+  const startTime = runtime.now;
+
+  try {
+    const started = await runtime.startLevel(level, { seed: options.seed });
+    const databus = runtime.databus;
+    result.seed = databus.levelSeed;
+    result.blocks = databus.totalBlocks;
+    if (!started) {
+      result.outcome = 'error';
+      result.errors.push('关卡未能在限定时间内开始');
+      return result;
+    }
+
+    while (result.actions < maxActions) {
+      const state = runtime.state;
+      if (state === 'victory') {
+        result.outcome = 'victory';
+        break;
+      }
+      if (state === 'defeat') {
+        if (agent.recover && agent.recover(runtime, rand)) {
+          result.actions++;
+          runtime.settle();
+          result.errors.push(...checkInvariants(runtime, level));
+          continue;
+        }
+        result.outcome = 'defeat';
+        break;
+      }
+
+      const action = agent.act(runtime, rand);
+      if (!action) {
+        result.outcome = 'stuck';
+        break;
+      }
+      result.actions++;
+
+      if (!runtime.settle()) {
+        result.errors.push(`操作 ${action} 后动画未能停止`);
+        break;
+      }
+      result.errors.push(...checkInvariants(runtime, level));
+      if (result.errors.length) break;
+    }
+
+    result.moves = databus.moves;
+    result.propsUsed = databus.propsUsed;
+  } catch (e) {
+    result.outcome = 'error';
+    result.errors.push(e && e.stack ? e.stack : String(e));
+  }
+
+  if (agent.expect && result.outcome !== agent.expect && result.outcome !== 'error') {
+    result.errors.push(`期望结局 ${agent.expect}，实际 ${result.outcome}`);
+  }
+  result.virtualMs = runtime.now - startTime;
+  return result;
+}
@@ -0,0 +1,75 @@
+/**
+ * 不变量检查测试：限步 / 限时失败不按死局检查
+ *
+ * 用法：
+ *   node tools/headless/runner.test.mjs
+ *
+ * checkInvariants() 按 databus.defeatReason 区分失败原因：死局失败要求棋盘无解，
+ * 限步失败要求步数用完，限时失败要求倒计时归零。限额用完时棋盘通常仍有可消除方块，
+ * 不能再报"仍有可消除方块"。
+ */
+import assert from 'node:assert/strict';
+import HeadlessRuntime from './HeadlessRuntime.mjs';
+import { randomAgent } from './agents.mjs';
+import { checkInvariants, playLevel } from './runner.mjs';
+
+// 第 8 关起每 5 关的第 3 关限步、第 4 关限时（见 ReverseLevelGenerator 的 limitMode）
+const MOVES_LEVEL = 8;
+const TIME_LEVEL = 9;
+
+async function testMoveLimitDefeat(runtime) {
+  const { databus } = runtime;
+  assert.ok(await runtime.startLevel(MOVES_LEVEL, { seed: 1 }), '限步关未能开始');
+  assert.notEqual(databus.moveLimit, null, `第 ${MOVES_LEVEL} 关应限步`);
+
+  // 只留一步：消除一个方块后步数用完，棋盘仍可继续消除
+  databus.moveLimit = databus.moves + 1;
+  runtime.tapBlock(runtime.getRemovableBlocks()[0]);
+  runtime.settle();
+  assert.equal(runtime.state, 'defeat');
+  assert.equal(databus.defeatReason, 'moves');
+  assert.ok(runtime.getRemovableBlocks().length > 0, '本用例要求失败时仍有可消除方块');
+  assert.deepEqual(checkInvariants(runtime, MOVES_LEVEL), []);
+
+  // 失败原因与局面不符时仍要报出来
+  databus.defeatReason = 'deadlock';
+  assert.equal(checkInvariants(runtime, MOVES_LEVEL).length, 1, '有可消除方块的死局失败应被报出');
+}
+
+async function testTimeLimitDefeat(runtime) {
+  const { databus } = runtime;
+  assert.ok(await runtime.startLevel(TIME_LEVEL, { seed: 1 }), '限时关未能开始');
+  assert.notEqual(databus.timeLimit, null, `第 ${TIME_LEVEL} 关应限时`);
+
+  // 不操作，等倒计时结束
+  assert.ok(runtime.advanceUntil(() => runtime.state === 'defeat', databus.timeLimit + 5000), '倒计时结束后未判负');
+  runtime.settle();
+  assert.equal(databus.defeatReason, 'time');
+  assert.deepEqual(checkInvariants(runtime, TIME_LEVEL), []);
+}
+
+async function testRandomAgentOnMoveLimit(runtime) {
+  // 随机玩家在限步关上常常步数用完：整局不应出现不变量违反
+  const result = await playLevel(runtime, randomAgent, { level: MOVES_LEVEL, seed: 1 });
+  assert.deepEqual(result.errors, []);
+  if (result.outcome === 'defeat') {
+    assert.ok(['moves', 'deadlock'].includes(runtime.databus.defeatReason));
+  }
+}
+
+async function main() {
+  const runtime = new HeadlessRuntime({ quiet: true, randomSeed: 1, renderEvery: 0 });
+  await runtime.boot();
+  try {
+    runtime.settle();
+    await testMoveLimitDefeat(runtime);
+    await testTimeLimitDefeat(runtime);
+    await testRandomAgentOnMoveLimit(runtime);
+  } finally {
+    runtime.dispose();
+  }
+
+  process.stdout.write('不变量检查测试通过：3 组\n');
+}
+
+main();
@@ -0,0 +1,116 @@
+/**
+ * 批量模拟：用脚本化玩家在大量生成关卡上跑完整局，回归检查胜负流程
+ *
+ * 用法：
+ *   node tools/headless/simulate.mjs [--agents solver,greedy] [--levels 1-30] [--seeds 10]
+ *                                    [--seed-base 1] [--max-actions 500] [--render-every 10]
+ *                                    [--verbose] [--bail]
+ *
+ * 每个 (关卡, 种子, 玩家) 组合跑一局；出现不变量违反、异常，或求解器玩家未能通关时计为失败，
+ * 进程以退出码 1 结束。
+ */
+import HeadlessRuntime from './HeadlessRuntime.mjs';
+import { AGENTS } from './agents.mjs';
+import { playLevel } from './runner.mjs';
+
+function parseArgs(argv) {
+  const options = {
+    agents: ['solver'],
+    levels: [1, 30],
+    seeds: 10,
+    seedBase: 1,
+    maxActions: 500,
+    renderEvery: 10,
+    verbose: false,
+    bail: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--agents') {
+      options.agents = next().split(',').map(name => name.trim()).filter(Boolean);
+    } else if (arg === '--levels') {
+      const [from, to] = next().split('-').map(Number);
+      options.levels = [from, Number.isFinite(to) ? to : from];
+    } else if (arg === '--seeds') {
+      options.seeds = Number(next());
+    } else if (arg === '--seed-base') {
+      options.seedBase = Number(next());
+    } else if (arg === '--max-actions') {
+      options.maxActions = Number(next());
+    } else if (arg === '--render-every') {
+      options.renderEvery = Number(next());
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--bail') {
+      options.bail = true;
+    } else {
+      throw new Error(`未知参数: ${arg}`);
+    }
+  }
+
+  options.agents.forEach(name => {
+    if (!AGENTS[name]) throw new Error(`未知玩家: ${name}（可选 ${Object.keys(AGENTS).join(', ')}）`);
+  });
+  return options;
+}
+
+function write(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const runtime = new HeadlessRuntime({ quiet: true, randomSeed: options.seedBase, renderEvery: options.renderEvery });
+  await runtime.boot();
+
+  const stats = {};
+  const failures = [];
+  const wallStart = process.hrtime.bigint();
+
+  outer:
+  for (let level = options.levels[0]; level <= options.levels[1]; level++) {
+    for (let i = 0; i < options.seeds; i++) {
+      const seed = options.seedBase + i;
+      for (const name of options.agents) {
+        const result = await playLevel(runtime, AGENTS[name], { level, seed, maxActions: options.maxActions });
+
+        const entry = stats[name] || (stats[name] = { games: 0, victory: 0, defeat: 0, stuck: 0, timeout: 0, error: 0, failed: 0 });
+        entry.games++;
+        entry[result.outcome]++;
+        if (result.errors.length) {
+          entry.failed++;
+          failures.push(result);
+        }
+
+        if (options.verbose || result.errors.length) {
+          write(`[${name}] 关卡 ${level} 种子 ${seed}: ${result.outcome}，操作 ${result.actions}，` +
+            `步数 ${result.moves}，道具 ${result.propsUsed}，方块 ${result.blocks}`);
+          result.errors.forEach(error => write(`    ✗ ${error}`));
+        }
+        if (options.bail && result.errors.length) break outer;
+      }
+    }
+  }
+
+  runtime.dispose();
+
+  const wallMs = Number(process.hrtime.bigint() - wallStart) / 1e6;
+  write('');
+  write(`关卡 ${options.levels[0]}-${options.levels[1]}，每关 ${options.seeds} 个种子，耗时 ${(wallMs / 1000).toFixed(1)}s`);
+  Object.entries(stats).forEach(([name, entry]) => {
+    write(`  ${name.padEnd(9)} 局数 ${entry.games}  胜 ${entry.victory}  负 ${entry.defeat}  ` +
+      `卡住 ${entry.stuck}  超限 ${entry.timeout}  异常 ${entry.error}  失败用例 ${entry.failed}`);
+  });
+
+  if (failures.length) {
+    write(`\n共 ${failures.length} 个失败用例`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(e => {
+  process.stderr.write(`${e && e.stack ? e.stack : e}\n`);
+  process.exitCode = 1;
+});
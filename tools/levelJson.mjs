@@ -0,0 +1,150 @@
+/**
+ * 关卡 JSON（PRD §15.4）导出与校验
+ *
+ * 用法：
+ *   node tools/levelJson.mjs export --level 5 [--seed 1] [--width 375] [--height 667]
+ *                                   [--name 名称] [--difficulty medium] [--out level-5.json]
+ *   node tools/levelJson.mjs validate <file.json> [...] [--width 375] [--height 667] [--solver-nodes 20000]
+ *
+ * export：用 ReverseLevelGenerator 生成关卡并导出为 JSON（未指定 --out 时输出到标准输出）
+ * validate：按游戏内导入规则逐个校验文件（字段、棋盘范围、重叠、可解性），有文件不合法时以退出码 1 结束；
+ *           关卡包文件（含 levels 数组，见 LevelPackRegistry）额外校验包结构并逐关校验
+ */
+import { register } from 'node:module';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+register('./headless/loader.mjs', import.meta.url);
+
+const ROOT_URL = new URL('../', import.meta.url);
+
+function parseArgs(argv) {
+  const options = {
+    command: argv[0],
+    files: [],
+    level: 1,
+    seed: 1,
+    width: 375,
+    height: 667,
+    name: undefined,
+    difficulty: undefined,
+    solverNodes: 20000,
+    out: null
+  };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--level') {
+      options.level = Number(next());
+    } else if (arg === '--seed') {
+      options.seed = Number(next());
+    } else if (arg === '--width') {
+      options.width = Number(next());
+    } else if (arg === '--height') {
+      options.height = Number(next());
+    } else if (arg === '--name') {
+      options.name = next();
+    } else if (arg === '--difficulty') {
+      options.difficulty = next();
+    } else if (arg === '--solver-nodes') {
+      options.solverNodes = Number(next());
+    } else if (arg === '--out') {
+      options.out = next();
+    } else if (arg.startsWith('--')) {
+      throw new Error(`未知参数: ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.command !== 'export' && options.command !== 'validate') {
+    throw new Error('用法: node tools/levelJson.mjs export|validate ...');
+  }
+  return options;
+}
+
+function write(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // 生成器与求解器的逐步日志对命令行输出没有意义
+  console.log = () => {};
+  console.warn = () => {};
+
+  const load = (path) => import(new URL(path, ROOT_URL).href).then(mod => mod.default);
+  const ReverseLevelGenerator = await load('workers/generator/ReverseLevelGenerator.js');
+  const LevelFormat = await load('js/game/LevelFormat.js');
+  const LevelPackRegistry = await load('js/game/LevelPackRegistry.js');
+
+  if (options.command === 'export') {
+    const levelData = ReverseLevelGenerator.generate(options.level, options.width, options.height, { seed: options.seed });
+    const text = `${LevelFormat.stringify(levelData.blocks, {
+      levelId: options.level,
+      name: options.name,
+      difficulty: options.difficulty
+    })}\n`;
+    if (options.out) {
+      writeFileSync(options.out, text);
+      write(`关卡 ${options.level}（种子 ${levelData.seed}，${levelData.total} 个方块）已导出到 ${options.out}`);
+    } else {
+      process.stdout.write(text);
+    }
+    return;
+  }
+
+  if (options.files.length === 0) {
+    throw new Error('validate 需要至少一个文件');
+  }
+
+  const validateLevel = (label, input) => {
+    const result = LevelFormat.parse(input, options.width, options.height, {
+      solverNodes: options.solverNodes
+    });
+    if (result.ok) {
+      write(`✓ ${label}：关卡 ${result.level.levelId}「${result.level.name}」，${result.level.levelData.total} 个方块`);
+      return true;
+    }
+    write(`✗ ${label}`);
+    result.errors.forEach(error => write(`    ${error}`));
+    return false;
+  };
+
+  let invalid = 0;
+  for (const file of options.files) {
+    const text = readFileSync(file, 'utf8');
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      // 交给 LevelFormat 报告解析错误
+    }
+
+    if (!json || !Array.isArray(json.levels)) {
+      if (!validateLevel(file, json || text)) invalid++;
+      continue;
+    }
+
+    // 关卡包：先校验包结构，再逐关校验
+    const packErrors = LevelPackRegistry.validatePack(json);
+    if (packErrors.length > 0) {
+      invalid++;
+      write(`✗ ${file}（关卡包）`);
+      packErrors.forEach(error => write(`    ${error}`));
+      continue;
+    }
+    const failed = json.levels.filter(level => !validateLevel(`${file}#${level.level_id}`, level)).length;
+    if (failed > 0) invalid++;
+  }
+
+  if (invalid > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(e => {
+  process.stderr.write(`${e && e.stack ? e.stack : e}\n`);
+  process.exitCode = 1;
+});
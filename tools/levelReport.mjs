@@ -0,0 +1,341 @@
+/**
+ * 关卡质量批量报告：检查难度曲线
+ *
+ * 对一段关卡、每关若干种子运行 ReverseLevelGenerator.generate，收集生成器自身的统计
+ * （validateAndRecordStats / computeDifficultyScore）、精确求解器结果、生成耗时与失败率，
+ * 输出 JSON（逐样本明细 + 逐关/逐阶段汇总）与 CSV（逐关汇总），
+ * 并检查各阶段（成长期/挑战期/大师期…）的平均难度是否逐段上升。
+ *
+ * 用法：
+ *   node tools/levelReport.mjs [--levels 1-60] [--seeds 5] [--seed-base 1]
+ *                              [--width 375] [--height 667] [--solver-nodes 20000] [--no-solver]
+ *                              [--out level-quality-report]
+ *
+ * 输出 <out>.json 与 <out>.csv；阶段难度未逐段上升时以退出码 1 结束。
+ */
+import { register } from 'node:module';
+import { writeFileSync } from 'node:fs';
+import { performance } from 'node:perf_hooks';
+
+register('./headless/loader.mjs', import.meta.url);
+
+const ROOT_URL = new URL('../', import.meta.url);
+
+// CSV 列（逐关汇总）
+const CSV_COLUMNS = [
+  'level', 'phaseName', 'isReliefLevel', 'samples', 'failures', 'failureRate', 'offTargetRate',
+  'targetBlockCount', 'blockCountMean', 'targetDifficulty', 'difficultyMean', 'difficultyMin', 'difficultyMax',
+  'depthCycleRate', 'avgDepthMean', 'maxDepthMean', 'removableRatioMean', 'fillRateMean',
+  'solvableRate', 'inexactCount', 'forcedRatioMean', 'solverNodesMean',
+  'generateMsMean', 'generateMsMax', 'solveMsMean'
+];
+
+function parseArgs(argv) {
+  const options = {
+    levels: [1, 60],
+    seeds: 5,
+    seedBase: 1,
+    width: 375,
+    height: 667,
+    solverNodes: 20000,
+    solver: true,
+    out: 'level-quality-report'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--levels') {
+      const [from, to] = next().split('-').map(Number);
+      options.levels = [from, Number.isFinite(to) ? to : from];
+    } else if (arg === '--seeds') {
+      options.seeds = Number(next());
+    } else if (arg === '--seed-base') {
+      options.seedBase = Number(next());
+    } else if (arg === '--width') {
+      options.width = Number(next());
+    } else if (arg === '--height') {
+      options.height = Number(next());
+    } else if (arg === '--solver-nodes') {
+      options.solverNodes = Number(next());
+    } else if (arg === '--no-solver') {
+      options.solver = false;
+    } else if (arg === '--out') {
+      options.out = next().replace(/\.(json|csv)$/, '');
+    } else {
+      throw new Error(`未知参数: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function write(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+function round(value, digits = 3) {
+  if (!Number.isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  const list = values.filter(Number.isFinite);
+  return list.length ? list.reduce((sum, v) => sum + v, 0) / list.length : null;
+}
+
+function min(values) {
+  const list = values.filter(Number.isFinite);
+  return list.length ? Math.min(...list) : null;
+}
+
+function max(values) {
+  const list = values.filter(Number.isFinite);
+  return list.length ? Math.max(...list) : null;
+}
+
+/**
+ * 生成并分析单个样本
+ */
+function analyzeSample(modules, level, seed, options) {
+  const { ReverseLevelGenerator, PuzzleSolver } = modules;
+  const params = ReverseLevelGenerator.getDifficultyParams(level);
+  const sample = {
+    level,
+    seed,
+    phaseName: params.phaseName || '',
+    isReliefLevel: !!params.isReliefLevel,
+    targetBlockCount: params.blockCount,
+    targetDifficulty: params.targetDifficulty || 0,
+    ok: false,
+    error: null
+  };
+
+  let levelData;
+  const generateStart = performance.now();
+  try {
+    levelData = ReverseLevelGenerator.generate(level, options.width, options.height, { seed });
+  } catch (e) {
+    sample.error = e && e.message ? e.message : String(e);
+  }
+  sample.generateMs = round(performance.now() - generateStart, 1);
+
+  const blocks = levelData ? levelData.blocks : [];
+  if (!blocks.length || !blocks._stats) {
+    sample.error = sample.error || '生成结果为空';
+    return sample;
+  }
+
+  const stats = blocks._stats;
+  const distribution = blocks._directionDistribution;
+  const verdict = ReverseLevelGenerator.isDifficultyAcceptable(params, stats, distribution, blocks._difficulty);
+
+  Object.assign(sample, {
+    ok: true,
+    blockCount: blocks.length,
+    difficulty: blocks._difficulty,
+    onTarget: verdict.ok,
+    layoutProfile: blocks._layoutProfile,
+    // 依赖图存在环时深度为 Infinity（JSON 中记为 null），难度分的深度项随之封顶
+    depthCycle: !Number.isFinite(stats.maxDepth),
+    avgDepth: round(stats.avgDepth),
+    maxDepth: Number.isFinite(stats.maxDepth) ? stats.maxDepth : null,
+    removableRatio: round(stats.removableRatio),
+    fillRate: round(stats.fillRate),
+    maxLocalDirectionRatio: round(stats.maxLocalDirectionRatio),
+    maxLineDirectionRatio: round(stats.maxLineDirectionRatio),
+    directionRatios: {
+      up: round(distribution.ratios.up),
+      right: round(distribution.ratios.right),
+      down: round(distribution.ratios.down),
+      left: round(distribution.ratios.left)
+    }
+  });
+
+  if (options.solver) {
+    const solveStart = performance.now();
+    const result = PuzzleSolver.solve(blocks, {
+      maxNodes: options.solverNodes,
+      computeMinProps: false,
+      screenWidth: options.width,
+      screenHeight: options.height
+    });
+    Object.assign(sample, {
+      solvable: result.solvable,
+      exact: result.exact,
+      solutionLength: result.solution.length,
+      forcedMoves: result.forcedMoves,
+      forcedRatio: round(result.forcedMoves / blocks.length),
+      solverNodes: result.nodes,
+      solveMs: round(performance.now() - solveStart, 1)
+    });
+  }
+
+  return sample;
+}
+
+/**
+ * 逐关汇总
+ */
+function summarizeLevel(level, samples) {
+  const ok = samples.filter(s => s.ok);
+  const pick = (key) => ok.map(s => s[key]);
+  const solved = ok.filter(s => s.solvable !== undefined);
+  const first = samples[0];
+
+  return {
+    level,
+    phaseName: first.phaseName,
+    isReliefLevel: first.isReliefLevel,
+    samples: samples.length,
+    failures: samples.length - ok.length,
+    failureRate: round((samples.length - ok.length) / samples.length),
+    offTargetRate: ok.length ? round(ok.filter(s => !s.onTarget).length / ok.length) : null,
+    targetBlockCount: first.targetBlockCount,
+    blockCountMean: round(mean(pick('blockCount')), 1),
+    targetDifficulty: first.targetDifficulty,
+    difficultyMean: round(mean(pick('difficulty')), 1),
+    difficultyMin: min(pick('difficulty')),
+    difficultyMax: max(pick('difficulty')),
+    depthCycleRate: ok.length ? round(ok.filter(s => s.depthCycle).length / ok.length) : null,
+    avgDepthMean: round(mean(pick('avgDepth'))),
+    maxDepthMean: round(mean(pick('maxDepth')), 1),
+    removableRatioMean: round(mean(pick('removableRatio'))),
+    fillRateMean: round(mean(pick('fillRate'))),
+    solvableRate: solved.length ? round(solved.filter(s => s.solvable).length / solved.length) : null,
+    inexactCount: solved.filter(s => !s.exact).length,
+    forcedRatioMean: round(mean(solved.map(s => s.forcedRatio))),
+    solverNodesMean: round(mean(solved.map(s => s.solverNodes)), 0),
+    generateMsMean: round(mean(samples.map(s => s.generateMs)), 1),
+    generateMsMax: max(samples.map(s => s.generateMs)),
+    solveMsMean: round(mean(solved.map(s => s.solveMs)), 1)
+  };
+}
+
+/**
+ * 逐阶段汇总，并检查平均难度是否逐段上升
+ * 阶段按首次出现的关卡排序
+ */
+function summarizePhases(levelSummaries, samples) {
+  const phases = [];
+  const byName = new Map();
+
+  levelSummaries.forEach(summary => {
+    let phase = byName.get(summary.phaseName);
+    if (!phase) {
+      phase = { phaseName: summary.phaseName, fromLevel: summary.level, toLevel: summary.level, levels: [] };
+      byName.set(summary.phaseName, phase);
+      phases.push(phase);
+    }
+    phase.toLevel = summary.level;
+    phase.levels.push(summary.level);
+  });
+
+  let previous = null;
+  return phases.map(phase => {
+    const phaseSamples = samples.filter(s => s.ok && phase.levels.includes(s.level));
+    const difficultyMean = round(mean(phaseSamples.map(s => s.difficulty)), 1);
+    const rises = previous === null || difficultyMean === null || difficultyMean > previous;
+    if (difficultyMean !== null) previous = difficultyMean;
+
+    return {
+      phaseName: phase.phaseName,
+      fromLevel: phase.fromLevel,
+      toLevel: phase.toLevel,
+      samples: phaseSamples.length,
+      difficultyMean,
+      depthCycleRate: phaseSamples.length ? round(phaseSamples.filter(s => s.depthCycle).length / phaseSamples.length) : null,
+      avgDepthMean: round(mean(phaseSamples.map(s => s.avgDepth))),
+      removableRatioMean: round(mean(phaseSamples.map(s => s.removableRatio))),
+      blockCountMean: round(mean(phaseSamples.map(s => s.blockCount)), 1),
+      risesFromPrevious: rises
+    };
+  });
+}
+
+function toCsv(rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach(row => lines.push(CSV_COLUMNS.map(key => escape(row[key])).join(',')));
+  return `${lines.join('\n')}\n`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // 生成器与求解器的逐步日志对报告没有意义
+  console.log = () => {};
+  console.warn = () => {};
+
+  const load = (path) => import(new URL(path, ROOT_URL).href).then(mod => mod.default);
+  const modules = {
+    ReverseLevelGenerator: await load('workers/generator/ReverseLevelGenerator.js'),
+    PuzzleSolver: await load('js/game/algorithms/PuzzleSolver.js')
+  };
+
+  const samples = [];
+  const levelSummaries = [];
+  const wallStart = performance.now();
+
+  for (let level = options.levels[0]; level <= options.levels[1]; level++) {
+    const levelSamples = [];
+    for (let i = 0; i < options.seeds; i++) {
+      levelSamples.push(analyzeSample(modules, level, options.seedBase + i, options));
+    }
+    samples.push(...levelSamples);
+
+    const summary = summarizeLevel(level, levelSamples);
+    levelSummaries.push(summary);
+    write(`关卡 ${String(level).padStart(3)} ${summary.phaseName.padEnd(4, '　')} ` +
+      `难度 ${summary.difficultyMean} / 目标 ${summary.targetDifficulty}  ` +
+      `方块 ${summary.blockCountMean}  失败 ${summary.failures}/${summary.samples}  ` +
+      `偏离目标 ${summary.offTargetRate}  可解 ${summary.solvableRate}  生成 ${summary.generateMsMean}ms`);
+  }
+
+  const phases = summarizePhases(levelSummaries, samples);
+  const report = {
+    generatedAt: new Date().toISOString(),
+    options: {
+      levels: options.levels,
+      seeds: options.seeds,
+      seedBase: options.seedBase,
+      screen: { width: options.width, height: options.height },
+      solver: options.solver ? { maxNodes: options.solverNodes } : null
+    },
+    totals: {
+      samples: samples.length,
+      failures: samples.filter(s => !s.ok).length,
+      failureRate: round(samples.filter(s => !s.ok).length / Math.max(1, samples.length)),
+      durationMs: round(performance.now() - wallStart, 0)
+    },
+    phases,
+    levels: levelSummaries,
+    samples
+  };
+
+  writeFileSync(`${options.out}.json`, JSON.stringify(report, null, 2));
+  writeFileSync(`${options.out}.csv`, toCsv(levelSummaries));
+
+  write('');
+  write('阶段难度曲线：');
+  phases.forEach(phase => {
+    write(`  ${phase.risesFromPrevious ? '✓' : '✗'} ${phase.phaseName}（${phase.fromLevel}-${phase.toLevel}）` +
+      `平均难度 ${phase.difficultyMean}，平均深度 ${phase.avgDepthMean}，依赖环占比 ${phase.depthCycleRate}，` +
+      `可消比例 ${phase.removableRatioMean}`);
+  });
+  write(`\n样本 ${report.totals.samples}，生成失败率 ${report.totals.failureRate}，` +
+    `报告已写入 ${options.out}.json / ${options.out}.csv`);
+
+  if (phases.some(phase => !phase.risesFromPrevious)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(e => {
+  process.stderr.write(`${e && e.stack ? e.stack : e}\n`);
+  process.exitCode = 1;
+});
@@ -12,6 +12,7 @@
  * - 安全步骤分析 (Safe Moves): 找出不会导致死锁的消除选择
  */
 import DirectionDetector from './DirectionDetector';
+import StepRunner from './StepRunner';
 
 export default class DependencyGraph {
   /**
@@ -23,6 +24,15 @@ export default class DependencyGraph {
    * @returns {Object} 依赖图对象
    */
   static build(blocks, screenWidth, screenHeight) {
+    return StepRunner.run(this.buildSteps(blocks, screenWidth, screenHeight));
+  }
+
+  /**
+   * 分步构建依赖图（Generator，每计算完一个方块的阻挡关系、每确定一个节点的深度暂停一次）
+   *
+   * @returns {Generator} 返回值为依赖图对象
+   */
+  static *buildSteps(blocks, screenWidth, screenHeight) {
     const n = blocks.length;
     if (n === 0) {
       return this.createEmptyGraph();
@@ -73,10 +83,11 @@ export default class DependencyGraph {
 
       // 检查当前是否可消除
       nodeB.isRemovable = blockersInfo.blockerIndices.length === 0;
+      yield 'graph';
     }
 
     // 计算深度
-    this.calculateDepths(nodeMap);
+    yield* this.calculateDepthsSteps(nodeMap);
 
     // 构建图对象
     const graph = {
@@ -111,35 +122,47 @@ export default class DependencyGraph {
       
       // 获取统计信息
       getStats() {
-        let maxDepth = 0;
-        let totalDepth = 0;
-        let removableCount = 0;
-        let validCount = 0;
-        
-        for (const [id, node] of nodeMap) {
-          if (node.depth >= 0) {
-            maxDepth = Math.max(maxDepth, node.depth);
-            totalDepth += node.depth;
-            validCount++;
-          }
-          if (node.isRemovable) {
-            removableCount++;
-          }
-        }
-        
-        return {
-          nodeCount: n,
-          maxDepth,
-          avgDepth: validCount > 0 ? totalDepth / validCount : 0,
-          removableCount,
-          removableRatio: n > 0 ? removableCount / n : 0
-        };
+        return StepRunner.run(DependencyGraph.getStatsSteps(graph));
       }
     };
 
     return graph;
   }
 
+  /**
+   * 分步统计依赖图（Generator，每统计一个节点暂停一次）
+   *
+   * @param {Object} graph - 依赖图
+   * @returns {Generator} 返回值为 { nodeCount, maxDepth, avgDepth, removableCount, removableRatio }
+   */
+  static *getStatsSteps(graph) {
+    const n = graph.size;
+    let maxDepth = 0;
+    let totalDepth = 0;
+    let removableCount = 0;
+    let validCount = 0;
+
+    for (const [id, node] of graph.nodes) {
+      if (node.depth >= 0) {
+        maxDepth = Math.max(maxDepth, node.depth);
+        totalDepth += node.depth;
+        validCount++;
+      }
+      if (node.isRemovable) {
+        removableCount++;
+      }
+      yield 'stats';
+    }
+
+    return {
+      nodeCount: n,
+      maxDepth,
+      avgDepth: validCount > 0 ? totalDepth / validCount : 0,
+      removableCount,
+      removableRatio: n > 0 ? removableCount / n : 0
+    };
+  }
+
   /**
    * 创建空图
    */
@@ -284,11 +307,21 @@ export default class DependencyGraph {
    * - 深度 N：需要先消除 N 层阻挡方块
    */
   static calculateDepths(nodeMap) {
-    // BFS 层次遍历
+    StepRunner.run(this.calculateDepthsSteps(nodeMap));
+  }
+
+  /**
+   * 分步计算节点深度（Generator，每个节点出队处理完后暂停一次）
+   */
+  static *calculateDepthsSteps(nodeMap) {
+    // BFS 层次遍历（Kahn 拓扑序，每个节点只出队一次）
+    // 阻挡者全部出队后才入队：环上节点不入队，不会在环内来回更新深度
     const queue = [];
+    const pendingBlockers = new Map();
     
     // 入度为 0 的节点深度为 0
     for (const [id, node] of nodeMap) {
+      pendingBlockers.set(id, node.blockedBy.length);
       if (node.inDegree === 0) {
         node.depth = 0;
         queue.push(node);
@@ -296,8 +329,8 @@ export default class DependencyGraph {
     }
 
     // BFS 计算深度
-    while (queue.length > 0) {
-      const current = queue.shift();
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
       
       for (const blockedId of current.blocking) {
         const blockedNode = nodeMap.get(blockedId);
@@ -309,17 +342,14 @@ export default class DependencyGraph {
           blockedNode.depth = newDepth;
         }
         
-        // 如果这是最后一个阻挡者被处理，加入队列
-        // （简化：我们直接检查是否所有阻挡者都已有深度）
-        const allBlockersHaveDepth = blockedNode.blockedBy.every(blockerId => {
-          const blockerNode = nodeMap.get(blockerId);
-          return blockerNode && blockerNode.depth >= 0;
-        });
-        
-        if (allBlockersHaveDepth && !queue.includes(blockedNode)) {
+        // 最后一个阻挡者处理完毕后才入队，避免重复入队导致指数级展开
+        const left = pendingBlockers.get(blockedId) - 1;
+        pendingBlockers.set(blockedId, left);
+        if (left === 0) {
           queue.push(blockedNode);
         }
       }
+      yield 'depth';
     }
 
     // 处理循环依赖（如果有环，相关节点深度为 -1）
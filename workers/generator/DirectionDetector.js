@@ -2,8 +2,7 @@
  * 方向阻挡检测算法
  * 优先使用网格占用判断阻挡，缺失网格信息时回退射线检测
  */
-import { DIRECTIONS } from '../blocks/Block';
-import { BLOCK_SIZES } from '../../ui/UIConstants';
+import { DIRECTIONS, BLOCK_SIZES } from './constants';
 
 export default class DirectionDetector {
   /**
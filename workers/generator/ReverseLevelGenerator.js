@@ -6,11 +6,14 @@
  * - 后射入的方块天然在"外层"，先射入的在"内层"
  * - 100% 保证可解，无需蒙特卡洛验证
  */
-import { DIRECTIONS } from '../blocks/Block';
-import { MAIN_ANIMAL_TYPES, BLOCK_SIZES, getBoardRect } from '../../ui/UIConstants';
+import { DIRECTIONS, MAIN_ANIMAL_TYPES, BLOCK_SIZES, getBoardRect } from './constants';
 import DependencyGraph from './DependencyGraph';
+import StepRunner from './StepRunner';
 
 export default class ReverseLevelGenerator {
+  // 生成算法版本：改动生成逻辑（同一种子得到不同棋盘）时提升，使持久化关卡缓存失效
+  static VERSION = 1;
+
   // 主要动物类型
   static ANIMAL_TYPES = MAIN_ANIMAL_TYPES;
 
@@ -19,25 +22,46 @@ export default class ReverseLevelGenerator {
    * @param {number} levelNumber - 关卡号
    * @param {number} screenWidth - 屏幕宽度
    * @param {number} screenHeight - 屏幕高度
-   * @returns {{ blocks: Array, total: number }}
+   * @param {Object} [options]
+   * @param {number} [options.seed] - 固定种子；传入后同一输入必定生成同一棋盘
+   * @param {Function} [options.onProgress] - 每轮尝试结束时回调 { attempt, maxAttempts }
+   * @returns {{ blocks: Array, total: number, seed: number }}
    */
-  static generate(levelNumber, screenWidth, screenHeight) {
-    const params = this.getDifficultyParams(levelNumber);
+  static generate(levelNumber, screenWidth, screenHeight, options = {}) {
+    return StepRunner.run(this.generateSteps(levelNumber, screenWidth, screenHeight, options));
+  }
+
+  /**
+   * 分步生成关卡（可恢复的 Generator，参数与 generate 相同）
+   *
+   * 每次 next() 执行一小段工作（放置一个方块、剥离一个方块、计算一个方块的阻挡关系等）后暂停，
+   * yield 的值是当前阶段名：'grid' / 'layout' / 'peel' / 'graph' / 'depth' / 'stats' / 'attempt'。
+   * 暂停时长不计入生成耗时预算，因此分帧执行与一次性执行得到相同结果。
+   * @returns {Generator} 返回值为 { blocks, total, seed }
+   */
+  static *generateSteps(levelNumber, screenWidth, screenHeight, options = {}) {
+    const baseParams = this.getDifficultyParams(levelNumber);
     const boardRect = getBoardRect(screenWidth, screenHeight);
-    const seed = this.getSeed(levelNumber, 0);
+    const fixedSeed = this.normalizeSeed(options.seed);
+    const seed = fixedSeed !== null ? fixedSeed : this.getSeed(levelNumber, 0);
+    // 固定种子时关闭耗时预算，避免因机器快慢提前退出导致结果不一致
+    const params = fixedSeed !== null ? { ...baseParams, deterministic: true } : baseParams;
 
-    console.log(`[ReverseLevelGenerator] 生成关卡 ${levelNumber}, 目标方块数: ${params.blockCount}, 阶段: ${params.phaseName}`);
+    console.log(`[ReverseLevelGenerator] 生成关卡 ${levelNumber}, 目标方块数: ${params.blockCount}, 阶段: ${params.phaseName}, 种子: ${seed}`);
 
-    const result = this.generateWithValidation(
+    const clock = StepRunner.createClock();
+    const result = yield* StepRunner.track(this.generateWithValidation(
       params,
       seed,
       screenWidth,
       screenHeight,
-      boardRect
-    );
+      boardRect,
+      options.onProgress,
+      clock
+    ), clock);
 
     console.log(`[ReverseLevelGenerator] 关卡 ${levelNumber} 生成完成，方块数: ${result.blocks.length}`);
-    return { blocks: result.blocks, total: result.blocks.length };
+    return { blocks: result.blocks, total: result.blocks.length, seed };
   }
 
   /**
@@ -49,6 +73,22 @@ export default class ReverseLevelGenerator {
     return (levelNumber + 1) * 10007 + attempt * 97 + timePart;
   }
 
+  /**
+   * 规范化外部传入的种子，非法值返回 null
+   */
+  static normalizeSeed(seed) {
+    if (!Number.isFinite(seed)) return null;
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+
+  /**
+   * 获取生成耗时预算（固定种子模式下不限时）
+   */
+  static getTimeBudget(params) {
+    if (params.deterministic) return Infinity;
+    return Number.isFinite(params.maxGenerateTimeMs) ? params.maxGenerateTimeMs : 3000;
+  }
+
   /**
    * 创建可复现随机数生成器 (mulberry32)
    */
@@ -80,27 +120,33 @@ export default class ReverseLevelGenerator {
    * 2. 从边缘选择入射点和方向
    * 3. 方块沿反方向"滑入"直到碰撞
    * 4. 放置方块，重复直到达到目标数量
+   *
+   * 分步执行（Generator），耗时按 clock 计算
    */
-  static generateWithValidation(params, seed, screenWidth, screenHeight, boardRect) {
+  static *generateWithValidation(params, seed, screenWidth, screenHeight, boardRect, onProgress = null, clock = StepRunner.createClock()) {
     const maxAttempts = Number.isFinite(params.maxGenerateAttempts) ? params.maxGenerateAttempts : 6;
-    const maxTotalTimeMs = Number.isFinite(params.maxGenerateTimeMs) ? params.maxGenerateTimeMs : 3000;
-    const startTime = Date.now();
+    const maxTotalTimeMs = this.getTimeBudget(params);
+    const startTime = clock.now();
     let best = null;
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      if (Date.now() - startTime > maxTotalTimeMs) break;
+      if (clock.now() - startTime > maxTotalTimeMs) break;
       const attemptSeed = seed + attempt * 131;
-      const result = this.generateByReverseFilling(
+      const result = yield* this.generateByReverseFilling(
         params,
         attemptSeed,
         screenWidth,
         screenHeight,
-        boardRect
+        boardRect,
+        clock
       );
 
+      if (onProgress) onProgress({ attempt: attempt + 1, maxAttempts });
+      yield 'attempt';
+
       if (!result || !result.blocks || result.blocks.length === 0) continue;
 
-      const stats = this.validateAndRecordStats(result.blocks, screenWidth, screenHeight, result.grid, params);
+      const stats = yield* this.validateAndRecordStats(result.blocks, screenWidth, screenHeight, result.grid, params);
       const directionDistribution = this.getDirectionDistribution(result.blocks);
       const difficultyScore = this.computeDifficultyScore(stats, directionDistribution);
       const verdict = this.isDifficultyAcceptable(params, stats, directionDistribution, difficultyScore);
@@ -122,16 +168,20 @@ export default class ReverseLevelGenerator {
     return best ? { blocks: best.blocks } : { blocks: [] };
   }
 
-  static generateByReverseFilling(params, seed, screenWidth, screenHeight, boardRect) {
+  /**
+   * 单次逆向填空尝试（分步执行）
+   */
+  static *generateByReverseFilling(params, seed, screenWidth, screenHeight, boardRect, clock) {
     const { blockCount, blockSize, depthFactor, animalTypes = 5 } = params;
     const rand = this.createSeededRandom(seed);
-    const maxGenerateTimeMs = Number.isFinite(params.maxGenerateTimeMs) ? params.maxGenerateTimeMs : 3000;
-    const startTime = Date.now();
+    const maxGenerateTimeMs = this.getTimeBudget(params);
+    const startTime = clock.now();
 
     // 计算网格参数
     const shortSide = blockSize || BLOCK_SIZES.WIDTH;
     const grid = this.initializeGrid(shortSide, boardRect);
     const layoutProfile = this.createLayoutProfile(params, rand, grid);
+    yield 'grid';
     
     if (grid.maxPossibleBlocks < 2) {
       console.warn('[ReverseLevelGenerator] 棋盘太小，无法生成方块');
@@ -144,7 +194,7 @@ export default class ReverseLevelGenerator {
       ? Math.min(grid.maxPossibleBlocks, fillTarget)
       : Math.min(blockCount, grid.maxPossibleBlocks, fillTarget);
 
-    const blocks = this.generateDenseLayout(
+    const blocks = yield* this.generateDenseLayout(
       grid,
       targetCount,
       layoutProfile,
@@ -152,21 +202,23 @@ export default class ReverseLevelGenerator {
       shortSide,
       startTime,
       maxGenerateTimeMs,
-      params
+      params,
+      clock
     );
 
     if (!blocks || blocks.length < targetCount) {
       return { blocks: [], layoutProfile, grid };
     }
 
-    const peelResult = this.peelAssignDirections(
+    const peelResult = yield* this.peelAssignDirections(
       grid,
       blocks,
       params,
       rand,
       shortSide,
       startTime,
-      maxGenerateTimeMs
+      maxGenerateTimeMs,
+      clock
     );
 
     if (!peelResult) {
@@ -179,19 +231,19 @@ export default class ReverseLevelGenerator {
   }
 
   /**
-   * 使用 DependencyGraph 验证生成结果并记录统计
+   * 使用 DependencyGraph 验证生成结果并记录统计（分步执行）
    */
-  static validateAndRecordStats(blocks, screenWidth, screenHeight, grid, params) {
+  static *validateAndRecordStats(blocks, screenWidth, screenHeight, grid, params) {
     // 构建依赖图
-    const graph = DependencyGraph.build(blocks, screenWidth, screenHeight);
-    const graphStats = graph.getStats();
+    const graph = yield* DependencyGraph.buildSteps(blocks, screenWidth, screenHeight);
+    const graphStats = yield* DependencyGraph.getStatsSteps(graph);
     
     // 计算填充率
     const filledCells = blocks.length * 2; // 每个方块占 2 格
     const totalCells = grid.cells.size;
     const fillRate = totalCells > 0 ? filledCells / totalCells : 0;
-    const localStats = this.computeLocalDirectionStats(blocks, grid, params);
-    const lineStats = this.computeLineDirectionStats(blocks, params);
+    const localStats = yield* this.computeLocalDirectionStats(blocks, grid, params);
+    const lineStats = yield* this.computeLineDirectionStats(blocks, params);
     
     return {
       avgDepth: graphStats.avgDepth,
@@ -206,7 +258,10 @@ export default class ReverseLevelGenerator {
     };
   }
 
-  static computeLocalDirectionStats(blocks, grid, params) {
+  /**
+   * 分区方向统计：棋盘按 localDirectionGrid 等分，取各分区中最多方向的占比最大值（分步执行，每个方块/分区暂停一次）
+   */
+  static *computeLocalDirectionStats(blocks, grid, params) {
     const localGrid = Number.isFinite(params && params.localDirectionGrid) ? params.localDirectionGrid : 3;
     if (!grid || !grid.safeBoardRect || localGrid <= 1) {
       return { maxLocalDirectionRatio: 0.25 };
@@ -236,6 +291,7 @@ export default class ReverseLevelGenerator {
       const stats = sectors.get(key);
       stats.total += 1;
       stats[block.direction] += 1;
+      yield 'stats';
     }
 
     let maxLocalDirectionRatio = 0;
@@ -248,12 +304,16 @@ export default class ReverseLevelGenerator {
         stats[DIRECTIONS.LEFT]
       ) / stats.total;
       if (localMax > maxLocalDirectionRatio) maxLocalDirectionRatio = localMax;
+      yield 'stats';
     }
 
     return { maxLocalDirectionRatio };
   }
 
-  static computeLineDirectionStats(blocks, params) {
+  /**
+   * 行列方向统计：同一行/列（至少 lineDirectionMinCount 个方块）中最多方向的占比最大值（分步执行，每个方块/行列暂停一次）
+   */
+  static *computeLineDirectionStats(blocks, params) {
     const minCount = Number.isFinite(params && params.lineDirectionMinCount) ? params.lineDirectionMinCount : 3;
     const lines = new Map();
     for (const block of blocks) {
@@ -270,6 +330,7 @@ export default class ReverseLevelGenerator {
       const stats = lines.get(key);
       stats.total += 1;
       stats[block.direction] += 1;
+      yield 'stats';
     }
 
     let maxLineDirectionRatio = 0;
@@ -282,6 +343,7 @@ export default class ReverseLevelGenerator {
         stats[DIRECTIONS.LEFT]
       ) / stats.total;
       if (localMax > maxLineDirectionRatio) maxLineDirectionRatio = localMax;
+      yield 'stats';
     }
 
     if (!maxLineDirectionRatio) maxLineDirectionRatio = 0.25;
@@ -590,7 +652,10 @@ export default class ReverseLevelGenerator {
     return boundary;
   }
 
-  static generateDenseLayout(grid, targetCount, layoutProfile, rand, shortSide, startTime, maxGenerateTimeMs, params) {
+  /**
+   * 按布局权重密铺方块（分步执行，每放置一个方块暂停一次）
+   */
+  static *generateDenseLayout(grid, targetCount, layoutProfile, rand, shortSide, startTime, maxGenerateTimeMs, params, clock) {
     const cells = Array.from(grid.cells.values());
     const weightOf = (cell) => (layoutProfile ? layoutProfile.weight(cell) : 1);
     const maxDist = Math.sqrt(
@@ -600,7 +665,7 @@ export default class ReverseLevelGenerator {
     let bestBlocks = [];
 
     for (let attempt = 0; attempt < 3; attempt++) {
-      if (Date.now() - startTime > maxGenerateTimeMs) break;
+      if (clock.now() - startTime > maxGenerateTimeMs) break;
       this.resetGridOccupancy(grid);
       const blocks = [];
       const axisCounts = { row: 0, col: 0 };
@@ -616,9 +681,9 @@ export default class ReverseLevelGenerator {
         weight: weightOf(cell) + (rand() - 0.5) * 0.1
       })).sort((a, b) => b.weight - a.weight);
 
-      const tryFill = (list) => {
+      const tryFill = function* (list) {
         for (const entry of list) {
-          if (Date.now() - startTime > maxGenerateTimeMs) break;
+          if (clock.now() - startTime > maxGenerateTimeMs) break;
           if (blocks.length >= targetCount) break;
           const cell = entry.cell;
           if (cell.occupied) continue;
@@ -636,15 +701,16 @@ export default class ReverseLevelGenerator {
           blocks.push(block);
           this.occupyBlockCells(grid, block);
           axisCounts[axis] += 1;
+          yield 'layout';
         }
       };
 
-      tryFill(ordered);
+      yield* tryFill.call(this, ordered);
 
       if (blocks.length < targetCount) {
         const shuffled = [...cells];
         this.shuffleArray(shuffled, rand);
-        tryFill(shuffled.map(cell => ({ cell, weight: weightOf(cell) })));
+        yield* tryFill.call(this, shuffled.map(cell => ({ cell, weight: weightOf(cell) })));
       }
 
       if (blocks.length > bestBlocks.length) {
@@ -712,7 +778,10 @@ export default class ReverseLevelGenerator {
     block.y = cy - bh / 2;
   }
 
-  static peelAssignDirections(grid, blocks, params, rand, shortSide, startTime, maxGenerateTimeMs) {
+  /**
+   * 由外向内逐个剥离方块并分配朝向（分步执行，每剥离一个方块暂停一次）
+   */
+  static *peelAssignDirections(grid, blocks, params, rand, shortSide, startTime, maxGenerateTimeMs, clock) {
     const total = blocks.length;
     const targetMix = (params && params.directionMixTarget) || { up: 0.25, right: 0.25, down: 0.25, left: 0.25 };
     const targetCounts = {
@@ -770,7 +839,7 @@ export default class ReverseLevelGenerator {
     };
 
     while (order.length < total) {
-      if (Date.now() - startTime > maxGenerateTimeMs) return null;
+      if (clock.now() - startTime > maxGenerateTimeMs) return null;
 
       let best = null;
       for (const block of remaining) {
@@ -807,6 +876,7 @@ export default class ReverseLevelGenerator {
       counts[best.direction] += 1;
       order.push({ block: best.block, direction: best.direction });
       remaining.delete(best.block);
+      yield 'peel';
     }
 
     for (let i = 0; i < order.length; i++) {
@@ -831,7 +901,7 @@ export default class ReverseLevelGenerator {
   }
 
   static releaseBlock(grid, block) {
-    const cells = this.getBlockCells(block);
+    const cells = grid.getBlockCells(block);
     if (!cells) return;
     for (const c of cells) {
       const cell = grid.getCell(c.row, c.col);
@@ -843,7 +913,7 @@ export default class ReverseLevelGenerator {
   }
 
   static occupyBlockCells(grid, block) {
-    const cells = this.getBlockCells(block);
+    const cells = grid.getBlockCells(block);
     if (!cells) return;
     for (const c of cells) {
       const cell = grid.getCell(c.row, c.col);
@@ -1348,6 +1418,7 @@ export default class ReverseLevelGenerator {
         depthFactor: 0.05,    // 极低深度
         animalTypes: 3,
         scale: 1.5,
+        undoLimit: 5,         // 教学关撤销更宽松
         targetDifficulty: 10,
         targetDifficultyTolerance: 4,
         depthTargetRange: [0, 1.8],
@@ -1376,6 +1447,7 @@ export default class ReverseLevelGenerator {
         animalTypes: 4,
         scale: 1.0,
         showWarning: true,    // 显示警告
+        undoLimit: 3,
         targetDifficulty: 80,
         targetDifficultyTolerance: 8,
         depthTargetRange: [4.5, 7.5],
@@ -1418,6 +1490,11 @@ export default class ReverseLevelGenerator {
     const blockCountAdjust = isReliefLevel ? -10 : cyclePosition * 3;
     const depthAdjust = isReliefLevel ? -0.05 : cyclePosition * 0.01;
 
+    // 失败条件 B（PRD 3.2）：第 8 关起每个周期第 3 关限步、第 4 关限时，第 30 关起第 4 关限时且限步
+    let limitMode = null;
+    if (level >= 8 && cyclePosition === 2) limitMode = 'moves';
+    if (level >= 8 && cyclePosition === 3) limitMode = level >= 30 ? 'both' : 'time';
+
     const targetDifficulty = 80 + (level - 2) * 2;
     const avgDepthTarget = 5.0 + progress * 2.6;
     const removableTargetBase = Math.max(0.1, 0.2 - progress * 0.08);
@@ -1431,6 +1508,8 @@ export default class ReverseLevelGenerator {
       animalTypes,
       scale: 1.0,
       isReliefLevel,
+      undoLimit: isReliefLevel ? 4 : 3,
+      limitMode,
       targetDifficulty,
       targetDifficultyTolerance: 6,
       depthTargetRange: [avgDepthTarget - 1.2, avgDepthTarget + 1.2],
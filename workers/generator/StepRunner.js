@@ -0,0 +1,55 @@
+/**
+ * 分步执行工具 (Step Runner)
+ *
+ * 生成器的耗时阶段写成 Generator 函数，每个 yield 是一个可恢复的暂停点：
+ * - Worker / 同步生成：run() 一次性执行到底
+ * - 主线程分帧生成：调用方每帧调用 next()，用完时间预算后让出，下一帧从暂停点继续
+ *
+ * 暂停期间的时间不应计入生成耗时预算（maxGenerateTimeMs），
+ * 因此耗时检查使用 createClock() 提供的时钟，由 track() 扣除暂停时长。
+ */
+export default class StepRunner {
+  /**
+   * 一次性执行分步任务，返回最终结果
+   * @param {Iterator} steps - Generator 对象
+   * @returns {*} Generator 的返回值
+   */
+  static run(steps) {
+    let result = steps.next();
+    while (!result.done) {
+      result = steps.next();
+    }
+    return result.value;
+  }
+
+  /**
+   * 创建只统计执行时间的时钟（暂停时长由 track() 扣除）
+   * @returns {{ pausedMs: number, now: Function }}
+   */
+  static createClock() {
+    const clock = {
+      pausedMs: 0,
+      now() {
+        return Date.now() - clock.pausedMs;
+      }
+    };
+    return clock;
+  }
+
+  /**
+   * 包装分步任务：原样转发每个 yield，并把调用方暂停的时长记入 clock.pausedMs
+   * @param {Iterator} steps - Generator 对象
+   * @param {Object} clock - createClock() 创建的时钟
+   * @returns {*} Generator 的返回值
+   */
+  static *track(steps, clock) {
+    let result = steps.next();
+    while (!result.done) {
+      const pausedAt = Date.now();
+      yield result.value;
+      clock.pausedMs += Date.now() - pausedAt;
+      result = steps.next();
+    }
+    return result.value;
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * 关卡生成器共用常量
+ *
+ * 生成器包（workers/generator）同时被主线程与 Worker 加载，
+ * Worker 只能引用 workers 目录内的文件，因此棋盘几何常量在这里定义，
+ * 主线程通过 UIConstants / Block 重新导出，保证 UI 与生成器使用同一套参数。
+ */
+
+/**
+ * 方向常量
+ */
+export const DIRECTIONS = {
+  // 兼容旧命名，但语义改为对角线方向（方块本体45°）
+  // UP   = 右上（NE）
+  // RIGHT= 右下（SE）
+  // DOWN = 左下（SW）
+  // LEFT = 左上（NW）
+  UP: 0,
+  RIGHT: 1,
+  DOWN: 2,
+  LEFT: 3
+};
+
+/**
+ * 方块尺寸（优化版 - 圆润胶囊风格 2.5:1 比例）
+ */
+export const BLOCK_SIZES = {
+  // 胶囊长边：圆润胶囊风格（长度 = 2.5 × 宽度）
+  LENGTH: 45, // 长边（适中长度）
+  WIDTH: 18, // 宽度（短边）
+  MIN_CLICK_AREA: 24, // 最小可点击区域
+  SPACING: 2, // 相邻方块间距
+  CORNER_RADIUS: 9, // 胶囊圆角（圆润）
+
+  // 网格单元计算（必须容纳最大尺寸）
+  GRID_CELL_SIZE: 48, // 单元格大小：约45px（长边）+ 3px间距
+  GRID_SPACING: 4, // 单元格之间间距
+  SAFETY_MARGIN: 6, // 防溢出安全边距
+  RENDER_MARGIN: 10, // 渲染外扩余量（阴影/描边/缩放）
+  HITBOX_INSET: 4, // 逻辑碰撞内缩（减少AABB误判）
+  COLLISION_SHRINK: 0.22, // 阻挡检测内缩比例
+  CAPSULE_ASPECT_RATIO: 45 / 18, // 胶囊长宽比 2.5:1（圆润胶囊）
+};
+
+/**
+ * 布局尺寸
+ */
+export const LAYOUT = {
+  TOP_BAR_HEIGHT: 60, // 顶部栏高度
+  BOTTOM_BAR_HEIGHT: 110, // 底部道具栏高度（增大以容纳更大按钮）
+  PROGRESS_BAR_HEIGHT: 12, // 进度条高度
+  SIDE_PADDING: 16, // 左右边距
+  BOARD_SIDE_PADDING: 4, // 棋盘区域左右边距（更贴边）
+  TOP_PADDING: 16, // 顶部边距
+
+  // 棋盘区域（关卡UI与关卡生成必须共用同一套参数）
+  BOARD_TOP_OFFSET: 60, // 顶部栏下方预留（进度/标题区域）
+  BOARD_BOTTOM_MARGIN: 10, // 棋盘与底部道具栏之间的间距
+};
+
+/**
+ * 主要动物类型（用于前期关卡，取值与 UIConstants.ANIMAL_TYPES 一致）
+ */
+export const MAIN_ANIMAL_TYPES = ['pig', 'sheep', 'dog', 'fox', 'panda'];
+
+/**
+ * 获取棋盘区域矩形（关卡UI与关卡生成共用）
+ */
+export function getBoardRect(screenWidth, screenHeight) {
+  const sidePadding = typeof LAYOUT.BOARD_SIDE_PADDING === 'number'
+    ? LAYOUT.BOARD_SIDE_PADDING
+    : LAYOUT.SIDE_PADDING;
+  const x = sidePadding;
+  const y = LAYOUT.TOP_BAR_HEIGHT + LAYOUT.BOARD_TOP_OFFSET;
+  const width = screenWidth - sidePadding * 2;
+  const bottomY = screenHeight - LAYOUT.BOTTOM_BAR_HEIGHT - LAYOUT.BOARD_BOTTOM_MARGIN;
+  const height = Math.max(0, bottomY - y);
+
+  return { x, y, width, height };
+}
@@ -0,0 +1,183 @@
+/**
+ * 依赖深度测试：DependencyGraph.calculateDepths（Kahn 拓扑序，每个节点只出队一次）
+ * 与改写前的逐层 BFS（阻挡者全部有深度即重新入队）在其能结束的图上算出的深度完全一致
+ *
+ * 用法：
+ *   node workers/generator/depths.test.mjs
+ *
+ * 覆盖手工构造的小图（链、菱形、扇出、孤立节点、纯环）、固定种子的随机无环图，
+ * 以及各难度阶段固定种子生成的棋盘。改写前的算法在"环外有阻挡者进入环"时，
+ * 环上节点互相重新入队、深度无限增长而不结束，这类图只检查新算法能结束并给出有限深度；
+ * 其余图逐节点比较。结果完全确定，不依赖随机数与画布。
+ */
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+register('../../tools/headless/loader.mjs', import.meta.url);
+
+const { default: DependencyGraph } = await import('./DependencyGraph.js');
+const { default: ReverseLevelGenerator } = await import('./ReverseLevelGenerator.js');
+
+const SCREEN = { width: 375, height: 667 };
+const LEVELS = [1, 5, 12, 25, 40, 100];
+const SEEDS = [1, 20240601, 987654321];
+const RANDOM_GRAPHS = 200;
+
+// 改写前算法的出队次数上限（按节点数倍数计），超过即视为不结束
+const BASELINE_DEQUEUE_FACTOR = 1000;
+
+/**
+ * 改写前的深度计算（baseline 原样保留，只把深度写进单独的 Map）
+ * @returns {Map|null} 节点 id → 深度；出队次数超过上限（不会结束）时返回 null
+ */
+function baselineDepths(nodeMap) {
+  const maxDequeues = nodeMap.size * BASELINE_DEQUEUE_FACTOR;
+  let dequeues = 0;
+  const depths = new Map();
+  for (const [id] of nodeMap) depths.set(id, -1);
+
+  const queue = [];
+  for (const [id, node] of nodeMap) {
+    if (node.inDegree === 0) {
+      depths.set(id, 0);
+      queue.push(node);
+    }
+  }
+
+  while (queue.length > 0) {
+    if (++dequeues > maxDequeues) return null;
+    const current = queue.shift();
+
+    for (const blockedId of current.blocking) {
+      const blockedNode = nodeMap.get(blockedId);
+      if (!blockedNode) continue;
+
+      const newDepth = depths.get(current.id) + 1;
+      if (depths.get(blockedId) < newDepth) {
+        depths.set(blockedId, newDepth);
+      }
+
+      const allBlockersHaveDepth = blockedNode.blockedBy.every(blockerId => {
+        return nodeMap.has(blockerId) && depths.get(blockerId) >= 0;
+      });
+
+      if (allBlockersHaveDepth && !queue.includes(blockedNode)) {
+        queue.push(blockedNode);
+      }
+    }
+  }
+
+  for (const [id, depth] of depths) {
+    if (depth < 0) depths.set(id, Infinity);
+  }
+  return depths;
+}
+
+/**
+ * 按边表 [[阻挡者, 被挡者], ...] 构造与 DependencyGraph.buildSteps 相同结构的节点表
+ */
+function createNodeMap(size, edges) {
+  const nodeMap = new Map();
+  for (let id = 0; id < size; id++) {
+    nodeMap.set(id, { id, blockedBy: [], blocking: [], inDegree: 0, outDegree: 0, depth: -1 });
+  }
+  for (const [from, to] of edges) {
+    const a = nodeMap.get(from);
+    const b = nodeMap.get(to);
+    if (a.blocking.includes(to)) continue;
+    a.blocking.push(to);
+    a.outDegree++;
+    b.blockedBy.push(from);
+    b.inDegree++;
+  }
+  return nodeMap;
+}
+
+/**
+ * 比较两种算法在同一节点表上的深度
+ * @returns {boolean} 是否逐节点比较过（改写前的算法不结束时为 false）
+ */
+function assertSameDepths(nodeMap, label) {
+  const expected = baselineDepths(nodeMap);
+  for (const node of nodeMap.values()) node.depth = -1;
+  DependencyGraph.calculateDepths(nodeMap);
+  if (!expected) {
+    for (const [id, node] of nodeMap) {
+      assert.ok(node.depth >= 0, `${label}：节点 ${id} 深度未计算`);
+      assert.ok(node.depth === Infinity || node.depth < nodeMap.size, `${label}：节点 ${id} 深度 ${node.depth} 超出节点数`);
+    }
+    return false;
+  }
+  for (const [id, node] of nodeMap) {
+    assert.equal(node.depth, expected.get(id), `${label}：节点 ${id} 深度不一致`);
+  }
+  return true;
+}
+
+function testHandBuiltGraphs() {
+  const cases = {
+    链: [4, [[0, 1], [1, 2], [2, 3]]],
+    菱形: [4, [[0, 1], [0, 2], [1, 3], [2, 3]]],
+    长短路径汇合: [5, [[0, 1], [1, 2], [2, 4], [0, 3], [3, 4]]],
+    扇出: [6, [[0, 1], [0, 2], [0, 3], [0, 4], [0, 5]]],
+    孤立节点: [3, []],
+    纯环: [3, [[0, 1], [1, 2], [2, 0]]]
+  };
+  for (const [label, [size, edges]] of Object.entries(cases)) {
+    assert.ok(assertSameDepths(createNodeMap(size, edges), label), `${label}：改写前的算法应能结束`);
+  }
+
+  // 从环外进入环：改写前的算法在 1、2 之间来回入队不结束；新算法不让环上节点入队，保留入口给的深度
+  const cycleWithEntry = createNodeMap(3, [[0, 1], [0, 2], [1, 2], [2, 1]]);
+  assert.equal(assertSameDepths(cycleWithEntry, '环外进入环'), false, '环外进入环：改写前的算法应不结束');
+  assert.deepEqual([...cycleWithEntry.values()].map(node => node.depth), [0, 1, 1]);
+
+  // 深度取最长阻挡链：长短路径汇合处为 3 而不是 2
+  const nodeMap = createNodeMap(5, cases['长短路径汇合'][1]);
+  DependencyGraph.calculateDepths(nodeMap);
+  assert.deepEqual([...nodeMap.values()].map(node => node.depth), [0, 1, 2, 1, 3]);
+}
+
+function testRandomGraphs() {
+  const rand = ReverseLevelGenerator.createSeededRandom(20261019);
+  for (let i = 0; i < RANDOM_GRAPHS; i++) {
+    // 只连编号小→大的边，保证无环
+    const size = 2 + Math.floor(rand() * 24);
+    const edges = [];
+    for (let from = 0; from < size; from++) {
+      for (let to = from + 1; to < size; to++) {
+        if (rand() < 0.15) edges.push([from, to]);
+      }
+    }
+    assert.ok(assertSameDepths(createNodeMap(size, edges), `随机图 ${i}`), `随机图 ${i}：改写前的算法应能结束`);
+  }
+}
+
+/**
+ * @returns {number} 逐节点比较过的棋盘数
+ */
+function testGeneratedBoards() {
+  let compared = 0;
+  for (const level of LEVELS) {
+    for (const seed of SEEDS) {
+      const { blocks } = ReverseLevelGenerator.generate(level, SCREEN.width, SCREEN.height, { seed });
+      const graph = DependencyGraph.build(blocks, SCREEN.width, SCREEN.height);
+      if (assertSameDepths(graph.nodes, `关卡 ${level} 种子 ${seed}`)) compared++;
+    }
+  }
+  assert.ok(compared > 0, '没有可比较的生成棋盘');
+  return compared;
+}
+
+function main() {
+  // 生成过程的日志对本测试无意义
+  console.log = () => {};
+
+  testHandBuiltGraphs();
+  testRandomGraphs();
+  const compared = testGeneratedBoards();
+
+  process.stdout.write(`依赖深度测试通过：${RANDOM_GRAPHS} 张随机图，${LEVELS.length * SEEDS.length} 个生成棋盘（逐节点比较 ${compared} 个）\n`);
+}
+
+main();
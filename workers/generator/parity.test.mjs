@@ -0,0 +1,74 @@
+/**
+ * 生成器一致性测试：Worker 与主线程同步生成对同一 (关卡号, 种子) 必须得到相同棋盘
+ *
+ * 用法：
+ *   node workers/generator/parity.test.mjs
+ *
+ * Worker 入口在无头运行时中加载，请求经与真机相同的消息协议往返；
+ * 主线程结果来自 LevelManager.generateLevelSync。两边比较方块的位置、尺寸、朝向、网格坐标与种子。
+ */
+import assert from 'node:assert/strict';
+import HeadlessRuntime from '../../tools/headless/HeadlessRuntime.mjs';
+
+// 覆盖各难度阶段的关卡与若干种子
+const LEVELS = [1, 2, 5, 12, 25, 40];
+const SEEDS = [1, 20240601, 987654321];
+
+/**
+ * 提取可比较的棋盘数据
+ */
+function snapshot(levelResult) {
+  return {
+    seed: levelResult.seed,
+    blocks: levelResult.blocks.map(block => ({
+      x: block.x,
+      y: block.y,
+      width: block.width,
+      height: block.height,
+      direction: block.direction,
+      type: block.type,
+      axis: block.axis,
+      gridRow: block.gridRow,
+      gridCol: block.gridCol
+    }))
+  };
+}
+
+async function main() {
+  const runtime = new HeadlessRuntime({ quiet: true, worker: true, renderEvery: 0 });
+  await runtime.boot();
+  const levelManager = runtime.game.levelManager;
+  assert.ok(levelManager.worker, 'Worker 未创建');
+
+  // 等待主菜单触发的预加载结束，避免与本测试的请求混在一起
+  assert.ok(runtime.advanceUntil(() => levelManager.pendingRequests.size === 0, 120000), '启动预加载未结束');
+
+  let cases = 0;
+  try {
+    for (const level of LEVELS) {
+      for (const seed of SEEDS) {
+        levelManager.preloadLevelWorker(level, { seed });
+        const ready = runtime.advanceUntil(() => {
+          const cached = levelManager.preloadedLevels.get(level);
+          return !!cached && cached.seed === seed;
+        }, 120000);
+        assert.ok(ready, `关卡 ${level} 种子 ${seed}：Worker 未返回结果`);
+
+        const fromWorker = levelManager.generateLevel(level, { seed });
+        const fromMain = levelManager.generateLevelSync(level, { seed });
+        assert.ok(fromMain.blocks.length > 0, `关卡 ${level} 种子 ${seed}：生成了空棋盘`);
+        assert.deepEqual(snapshot(fromWorker), snapshot(fromMain), `关卡 ${level} 种子 ${seed}：Worker 与主线程结果不一致`);
+        cases++;
+      }
+    }
+  } finally {
+    runtime.dispose();
+  }
+
+  process.stdout.write(`生成器一致性测试通过：${cases} 个用例\n`);
+}
+
+main().catch(e => {
+  process.stderr.write(`${e && e.stack ? e.stack : e}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,79 @@
+/**
+ * 分步生成测试：固定种子下 generateSteps 的每一步都不超过主线程分帧预算
+ *
+ * 用法：
+ *   node workers/generator/steps.test.mjs
+ *
+ * 固定种子时步骤序列完全确定，同一步在多轮中的耗时取最小值，排除 GC 与 JIT 编译造成的偶发尖峰；
+ * 先空跑一轮预热。另检查依赖图的深度计算与统计各自分步（出现 'depth' / 'stats' 阶段），
+ * 不会在最后一个 'graph' 之后一次性执行完。
+ */
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+register('../../tools/headless/loader.mjs', import.meta.url);
+
+const { default: ReverseLevelGenerator } = await import('./ReverseLevelGenerator.js');
+
+// 与 LevelManager.timeSliceBudgetMs 一致
+const FRAME_BUDGET_MS = 8;
+
+const LEVELS = [12, 40, 100];
+const SEED = 20261019;
+const SCREEN = { width: 375, height: 667 };
+const RUNS = 3;
+
+/**
+ * 执行一轮分步生成，记录每一步的耗时与阶段名
+ */
+function profile(level) {
+  const steps = ReverseLevelGenerator.generateSteps(level, SCREEN.width, SCREEN.height, { seed: SEED });
+  const durations = [];
+  const stages = [];
+  for (;;) {
+    const start = performance.now();
+    const { value, done } = steps.next();
+    durations.push(performance.now() - start);
+    stages.push(done ? 'done' : value);
+    if (done) return { durations, stages, blocks: value.blocks.length };
+  }
+}
+
+function main() {
+  // 生成过程的日志对本测试无意义
+  console.log = () => {};
+
+  for (const level of LEVELS) {
+    profile(level);
+
+    let fastest = null;
+    let stages = null;
+    for (let run = 0; run < RUNS; run++) {
+      const result = profile(level);
+      assert.ok(result.blocks > 0, `关卡 ${level}：生成了空棋盘`);
+      if (!fastest) {
+        fastest = result.durations;
+        stages = result.stages;
+        continue;
+      }
+      assert.deepEqual(result.stages, stages, `关卡 ${level}：同一种子的步骤序列不一致`);
+      fastest = fastest.map((ms, i) => Math.min(ms, result.durations[i]));
+    }
+
+    assert.ok(stages.includes('depth'), `关卡 ${level}：深度计算未分步`);
+    assert.ok(stages.includes('stats'), `关卡 ${level}：统计未分步`);
+
+    let slowest = 0;
+    fastest.forEach((ms, i) => {
+      if (ms > fastest[slowest]) slowest = i;
+    });
+    const ms = fastest[slowest];
+    const label = `${slowest > 0 ? stages[slowest - 1] : 'start'} → ${stages[slowest]}`;
+    assert.ok(ms < FRAME_BUDGET_MS, `关卡 ${level}：第 ${slowest} 步（${label}）耗时 ${ms.toFixed(2)}ms ≥ ${FRAME_BUDGET_MS}ms`);
+    process.stdout.write(`关卡 ${level}：${stages.length} 步，最长一步 ${ms.toFixed(2)}ms（${label}）\n`);
+  }
+
+  process.stdout.write(`分步生成测试通过：${LEVELS.length} 个关卡\n`);
+}
+
+main();